@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+// testpixel — headless runner for the canvas probe pages (index.html / compare_png.html)
+/*
+Usage:
+  testpixel run [options]
+  testpixel hash-secret <secret>   print the hash to store for a token or password in the server's auth.json
+
+  --url <base>            server base URL (default http://localhost:80, env TESTPIXEL_URL)
+  --page <index|compare>  which page to drive (default index = RAW vs server baseline)
+  --baseline <name>       baseline to compare against (index page only; omitted = the server's default baseline)
+  --suite <name>          probe suite to render (public/probes.js: classic, emoji, text, raster, webgl, offscreen, all; default classic)
+  --sizes <list>          canvas size matrix, e.g. "default,64x64,256x256" (each variant is its own image)
+  --dpr <list>            devicePixelRatio matrix, e.g. "1,2" ("device" = the browser's own)
+  --runs <n>              number of page loads, each one is a fresh compare (default 1)
+  --browser <path>        Chrome/Chromium executable (env CHROME_PATH / PUPPETEER_EXECUTABLE_PATH)
+  --device-label <label>  device label recorded with every run (public/environment.js); history is kept per client
+  --token <name.secret>   API token (auth.json token name, ".", its secret) sent as "Authorization: Bearer" (env TESTPIXEL_TOKEN);
+                          recording runs needs the writer role
+  --timeout <ms>          per-run timeout (default 120000)
+  --json <file>           write every run's report to <file>
+  --report <file>         write a report of every run (public/report.js); format from the extension:
+                          .json (versioned schema), .csv, .xml (JUnit, failures = threshold breaches), .html
+
+  thresholds (checked per image, per comparison path; any breach -> exit 1):
+  --max-changed <px>      changedPixels
+  --max-pct <percent>     pctChanged, in percent (e.g. 0.5)
+  --max-deviation <n>     maxDeviation (0..255)
+  --max-deviation-excl <n> maxDeviationExcl255_254
+  --max-alpha <n>         alphaChanges
+  --rules                 check the rule-filtered counts (baseline rules, see public/rules.js) instead of the raw ones
+
+  policy: when the server has a pass/fail policy (GET /policy, public/policy.js) the page evaluates it on
+  every run; each failing rule is printed and a failed verdict exits 1 like a threshold breach.
+  --ignore-policy         print the policy verdict but do not let it decide the exit code
+
+Exit codes: 0 = all runs within thresholds and policy, 1 = thresholds exceeded or policy failed, 2 = usage or runtime error.
+
+The index page appends every run to the server history itself (PUT /history/append), so each
+headless run shows up in /history/runs exactly like a clicked one.
+*/
+import { parseArgs } from 'util';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+import path from 'path';
+import { buildReport, formatReport } from '../public/report.js';
+import { DEVICE_LABEL_KEY } from '../public/environment.js';
+import { hashSecret } from '../server/auth.js';
+
+const USAGE = 'usage: testpixel run [--url <base>] [--page index|compare] [--baseline <name>] [--runs <n>] ' +
+  '[--suite <name>] [--sizes <WxH,...>] [--dpr <n,...>] [--browser <path>] [--device-label <label>] [--token <token>] [--max-changed <px>] [--max-pct <pct>] [--max-deviation <n>] [--max-deviation-excl <n>] ' +
+  '[--max-alpha <n>] [--rules] [--ignore-policy] [--json <file>] [--report <file.json|.csv|.xml|.html>]';
+
+const PAGES = { index: 'index.html', compare: 'compare_png.html' };
+const REPORT_EXT = { '.json': 'json', '.csv': 'csv', '.xml': 'junit', '.html': 'html' };
+
+const BROWSER_CANDIDATES = [
+  '/usr/bin/google-chrome', '/usr/bin/google-chrome-stable', '/usr/bin/chromium', '/usr/bin/chromium-browser',
+  '/snap/bin/chromium', '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+];
+
+function fail(msg){
+  console.error(`testpixel: ${msg}`);
+  process.exit(2);
+}
+
+function parseCli(argv){
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      url:                  { type: 'string', default: process.env.TESTPIXEL_URL || 'http://localhost:80' },
+      page:                 { type: 'string', default: 'index' },
+      baseline:             { type: 'string' },
+      suite:                { type: 'string' },
+      sizes:                { type: 'string' },
+      dpr:                  { type: 'string' },
+      runs:                 { type: 'string', default: '1' },
+      browser:              { type: 'string' },
+      'device-label':       { type: 'string' },
+      token:                { type: 'string', default: process.env.TESTPIXEL_TOKEN },
+      timeout:              { type: 'string', default: '120000' },
+      json:                 { type: 'string' },
+      report:               { type: 'string' },
+      'max-changed':        { type: 'string' },
+      'max-pct':            { type: 'string' },
+      'max-deviation':      { type: 'string' },
+      'max-deviation-excl': { type: 'string' },
+      'max-alpha':          { type: 'string' },
+      rules:                { type: 'boolean', default: false },
+      'ignore-policy':      { type: 'boolean', default: false },
+      help:                 { type: 'boolean', short: 'h' },
+    },
+  });
+  if (values.help) { console.log(USAGE); process.exit(0); }
+  if (positionals[0] === 'hash-secret') {
+    if (!positionals[1]) fail('usage: testpixel hash-secret <secret>');
+    console.log(hashSecret(positionals[1]));
+    process.exit(0);
+  }
+  if (positionals[0] !== 'run') fail(USAGE);
+  if (!PAGES[values.page]) fail(`unknown --page "${values.page}" (index|compare)`);
+
+  const num = (k) => {
+    if (values[k] == null) return null;
+    const n = Number(values[k]);
+    if (!Number.isFinite(n) || n < 0) fail(`--${k} must be a non-negative number`);
+    return n;
+  };
+  if (values.report && !REPORT_EXT[path.extname(values.report).toLowerCase()])
+    fail(`--report must end in ${Object.keys(REPORT_EXT).join(', ')}`);
+  const runs = num('runs');
+  if (!Number.isInteger(runs) || runs < 1) fail('--runs must be a positive integer');
+
+  return {
+    url: values.url.replace(/\/+$/, ''),
+    page: values.page,
+    baseline: values.baseline ?? null,   // null = whatever the server's default is
+    suite: values.suite || null,
+    sizes: values.sizes || null,
+    dpr: values.dpr || null,
+    runs,
+    timeout: num('timeout'),
+    json: values.json || null,
+    report: values.report || null,
+    deviceLabel: values['device-label'] || null,
+    token: values.token || null,
+    useRules: values.rules,
+    ignorePolicy: values['ignore-policy'],
+    browser: values.browser || process.env.CHROME_PATH || process.env.PUPPETEER_EXECUTABLE_PATH
+      || BROWSER_CANDIDATES.find(p => existsSync(p)) || null,
+    thresholds: {
+      changedPixels: num('max-changed'),
+      pctChanged: num('max-pct'),
+      maxDeviation: num('max-deviation'),
+      maxDeviationExcl255_254: num('max-deviation-excl'),
+      alphaChanges: num('max-alpha'),
+    },
+  };
+}
+
+function pageUrl(opts){
+  const u = new URL(`${opts.url}/${PAGES[opts.page]}`);
+  if (opts.page === 'index' && opts.baseline != null) u.searchParams.set('baseline', opts.baseline);
+  if (opts.suite) u.searchParams.set('suite', opts.suite);
+  if (opts.sizes) u.searchParams.set('sizes', opts.sizes);
+  if (opts.dpr) u.searchParams.set('dpr', opts.dpr);
+  return u.toString();
+}
+
+// Load the page, click "Run Compare" and wait for show() to publish the next report.
+async function runOnce(browser, opts){
+  const page = await browser.newPage();
+  try {
+    page.on('pageerror', (e) => console.error(`[page] ${e.message}`));
+    if (opts.token) await page.setExtraHTTPHeaders({ Authorization: `Bearer ${opts.token}` });
+    if (opts.deviceLabel) {
+      await page.evaluateOnNewDocument((key, label) => localStorage.setItem(key, label), DEVICE_LABEL_KEY, opts.deviceLabel);
+    }
+    await page.goto(pageUrl(opts), { waitUntil: 'load', timeout: opts.timeout });
+    const seq = await page.evaluate(() => window.__pp_last_report__?.seq ?? 0);
+    await page.click('#btn-run');
+    await page.waitForFunction((s) => (window.__pp_last_report__?.seq ?? 0) > s, { timeout: opts.timeout }, seq);
+    return await page.evaluate(() => window.__pp_last_report__);
+  } finally {
+    await page.close();
+  }
+}
+
+// Every object with a changedPixels field is one (image, comparison path) metric set.
+function collectMetrics(details, pathParts = [], out = []){
+  if (!details || typeof details !== 'object') return out;
+  if (typeof details.changedPixels === 'number') { out.push({ where: pathParts.join(' / '), m: details }); return out; }
+  for (const [k, v] of Object.entries(details)) {
+    if (k === 'history' || k === 'sample' || k === 'policy') continue;
+    collectMetrics(v, [...pathParts, k], out);
+  }
+  return out;
+}
+
+function pctOf(m){
+  return typeof m.pctChanged === 'string' ? parseFloat(m.pctChanged) : (Number(m.pctChanged) || 0) * 100;
+}
+
+// useRules: judge the rule-filtered counts where a comparison has them
+function checkThresholds(details, thresholds, useRules = false){
+  const breaches = [];
+  for (const { where, m: raw } of collectMetrics(details)) {
+    const m = useRules && raw.filtered ? raw.filtered : raw;
+    const values = {
+      changedPixels: m.changedPixels,
+      pctChanged: pctOf(m),
+      maxDeviation: m.maxDeviation,
+      maxDeviationExcl255_254: m.maxDeviationExcl255_254,
+      alphaChanges: m.alphaChanges || 0,
+    };
+    for (const [k, limit] of Object.entries(thresholds)) {
+      if (limit != null && values[k] > limit) breaches.push({ where, metric: k, value: values[k], limit });
+    }
+  }
+  return breaches;
+}
+
+async function main(){
+  const opts = parseCli(process.argv.slice(2));
+  if (!opts.browser) fail('no Chrome/Chromium found; pass --browser <path> or set CHROME_PATH');
+
+  let puppeteer;
+  try { puppeteer = (await import('puppeteer-core')).default; }
+  catch { fail('puppeteer-core is not installed (npm install)'); }
+
+  const browser = await puppeteer.launch({
+    executablePath: opts.browser,
+    headless: true,
+    args: ['--no-first-run', '--no-default-browser-check'],
+  });
+
+  const results = [];
+  let exceeded = false, policyFailed = false;
+  try {
+    for (let i = 1; i <= opts.runs; i++) {
+      const report = await runOnce(browser, opts);
+      if (report?.details?.error) throw new Error(`page reported an error: ${report.details.error}`);
+      if (report?.details?.note === 'no baseline') throw new Error(`no baseline ${opts.baseline != null ? `"${opts.baseline}"` : '(server default)'} on ${opts.url}`);
+
+      const breaches = checkThresholds(report.details, opts.thresholds, opts.useRules);
+      if (breaches.length) exceeded = true;
+      const policy = report.details?.policy ?? null;
+      if (policy?.verdict === 'fail') policyFailed = true;
+      results.push({ run: i, at: report.at, runId: report.details?.runId ?? null, breaches, verdict: policy?.verdict ?? null, details: report.details });
+
+      const metrics = collectMetrics(report.details);
+      const changed = metrics.reduce((a, { m }) => a + m.changedPixels, 0);
+      console.log(`run ${i}/${opts.runs}: ${metrics.length} comparisons, ${changed} changed pixels` +
+        (report.details?.runId ? `, history run ${report.details.runId}` : '') +
+        (breaches.length ? `, ${breaches.length} threshold breach(es)` : '') +
+        (policy ? `, policy ${policy.verdict}` : ''));
+      for (const b of breaches) console.log(`  ✗ ${b.where}: ${b.metric} = ${b.value} > ${b.limit}`);
+      for (const e of policy?.errors || []) console.log(`  ✗ policy invalid: ${e.path || '(root)'} — ${e.error}`);
+      for (const r of policy?.rules || []) {
+        if (r.status !== 'fail') continue;
+        console.log(`  ✗ policy "${r.name}" (${r.expect}): ${r.matched ? `${r.failed}/${r.matched} failed` : 'no matching comparison'}`);
+        for (const f of r.failures) console.log(`      ${f.image} · ${f.path} = ${f.value}`);
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  if (opts.report) {
+    // one comparison per run × image × path; testcases judge the rule-filtered counts where present
+    const details = Object.fromEntries(results.map((r) => [`run_${r.run}`, r.details]));
+    if (results.some((r) => r.verdict)) {
+      details.policy = {
+        verdict: policyFailed ? 'fail' : 'pass',
+        runs: results.map((r) => ({ run: r.run, runId: r.runId, verdict: r.verdict, rules: r.details?.policy?.rules ?? [] })),
+      };
+    }
+    const report = buildReport(details, {
+      source: { page: opts.page, url: opts.url, baseline: opts.baseline, suite: opts.suite, sizes: opts.sizes, dpr: opts.dpr, runs: opts.runs },
+      defaultPath: opts.page === 'index' ? 'raw_vs_baseline' : undefined,
+    });
+    const thresholds = Object.fromEntries(Object.entries(opts.thresholds).filter(([, v]) => v != null));
+    await fs.writeFile(opts.report, formatReport(report, REPORT_EXT[path.extname(opts.report).toLowerCase()], thresholds).body);
+  }
+  if (opts.json) await fs.writeFile(opts.json, JSON.stringify({ url: opts.url, page: opts.page, baseline: opts.baseline, suite: opts.suite, sizes: opts.sizes, dpr: opts.dpr, runs: results }, null, 2));
+  const gated = policyFailed && !opts.ignorePolicy;
+  console.log(exceeded && gated ? 'FAIL: deviation thresholds exceeded, policy failed'
+    : exceeded ? 'FAIL: deviation thresholds exceeded'
+    : gated ? 'FAIL: policy failed'
+    : policyFailed ? 'PASS (policy failed, ignored)' : 'PASS');
+  process.exit(exceeded || gated ? 1 : 0);
+}
+
+main().catch((e) => fail(e?.message || String(e)));
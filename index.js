@@ -1,9 +1,34 @@
-// server.js — static site from ./public + /baseline + flexible /last-session + /history
+// server.js — static site from ./public + /baseline(s) + flexible /last-session + /history
+// Storage lives under DATA_DIR in a compact binary layout; the old JSON files are imported on startup (server/migrate.js);
+// retention.json bounds how much of it is kept (server/retention.js).
+// API access is role-checked (viewer < writer < admin) when AUTH_FILE exists (server/auth.js).
 import express from 'express';
+import multer from 'multer';
 import path from 'path';
 import fs from 'fs/promises';
-import { constants as FS_CONST } from 'fs';
+import zlib from 'zlib';
 import { fileURLToPath } from 'url';
+import { exists, isPlainObject, readJson, writeJsonAtomic, writeJsonGzAtomic, dirUsage } from './server/fsutil.js';
+import { createBaselineStore, isValidBaselineName, LEGACY_DEFAULT_NAME } from './server/baselines.js';
+import { withFileLock, etagOf, ifMatchOk, sendConflict, starWithoutResource, sendPreconditionFailed } from './server/concurrency.js';
+import { emptyHistory, normalizeHistory, mergeRunIntoHistory, capPatterns, createRunLog } from './server/history.js';
+import { normalizeRetention, planCompaction, isExpired, quotaState, DAY_MS } from './server/retention.js';
+import { analyzeRuns } from './server/analysis.js';
+import { driftReport, parseWindow } from './server/drift.js';
+import { stabilityReport, baselineHashes, normalizeHashes } from './server/stability.js';
+import { buildReport, collectComparisons, isReport, formatReport, reportFileName, REPORT_FORMATS } from './public/report.js';
+import { emptyPolicy, validatePolicy, evaluatePolicy } from './public/policy.js';
+import { normalizeEnvironment, CLIENT_RE } from './public/environment.js';
+import { createSessionStore, SESSION_SERIES } from './server/sessions.js';
+import { createUploadStore, isValidSessionId } from './server/uploads.js';
+import { createTransferStore } from './server/transfers.js';
+import { compareSessions } from './server/compare.js';
+import { migrateLegacyData } from './server/migrate.js';
+import { createAuth, requiredRole, hasRole, routePath } from './server/auth.js';
+import { createAuditLog } from './server/audit.js';
+import { SCHEMAS, MAX_ERRORS, validateBody, invalidPayload } from './server/schemas.js';
+import { isPng, decodePng } from './server/png.js';
+import { globToRe } from './public/rules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname  = path.dirname(__filename);
@@ -13,17 +38,50 @@ const PORT = process.env.PORT || 80;
 
 // ---- paths
 const PUBLIC_DIR        = path.join(__dirname, 'public');
-const BASELINE_FILE     = path.join(__dirname, 'baseline.json');
-const LAST_SESSION_FILE = path.join(__dirname, 'last_session_v2.json');
-const HISTORY_FILE      = path.join(__dirname, 'history.json');
+const DATA_DIR          = process.env.DATA_DIR || path.join(__dirname, 'data');
+const HISTORY_FILE      = path.join(DATA_DIR, 'history.json.gz');                  // "" client partition
+const HISTORY_DIR       = path.join(DATA_DIR, 'history');                          // <client>.json.gz per client
+const POLICY_FILE       = path.join(DATA_DIR, 'policy.json');
+const RETENTION_FILE    = path.join(DATA_DIR, 'retention.json');                   // see server/retention.js
+const LEGACY = {                                                       // imported once, then unused
+  baseline:    path.join(__dirname, 'baseline.json'),
+  lastSession: path.join(__dirname, 'last_session_v2.json'),
+  history:     path.join(__dirname, 'history.json'),
+};
+const AUTH_FILE         = process.env.AUTH_FILE || path.join(DATA_DIR, 'auth.json');   // roles, see server/auth.js
+const UPLOAD_MAX_BYTES  = Number(process.env.UPLOAD_MAX_BYTES) || 64 * 1024 * 1024;   // per file (and per transfer item)
+const TRANSFER_CHUNK_BYTES = Number(process.env.TRANSFER_CHUNK_BYTES) || 16 * 1024 * 1024; // per PUT /transfers/:id/items/:n
+// PP_COMPRESS=0 stores run records as plain typed-array blocks (no zlib)
+const COMPRESS_RUNS     = process.env.PP_COMPRESS !== '0';
 
 // ---- middleware
-app.use(express.json({ limit: '200mb' }));
+// static pages first (public), then roles (server/auth.js) and the disk quota (STORAGE) before any body is parsed
+const audit = createAuditLog(DATA_DIR);
+const auth = await createAuth(AUTH_FILE, { audit });
 app.use(express.static(PUBLIC_DIR, {
   etag: true,
   lastModified: true,
   setHeaders(res){ res.setHeader('Cache-Control', 'no-store'); }
 }));
+app.use(auth.middleware);
+app.use(quotaGuard);
+app.use(express.json({ limit: '200mb' }));
+// unparsable / oversized JSON bodies answer in the same { error, errors } shape as schema violations
+app.use((err, _req, res, next) => {
+  if (err?.type === 'entity.parse.failed') return res.status(400).json(invalidPayload([{ path: '', error: `not JSON: ${err.message}` }]));
+  if (err?.type === 'entity.too.large') return res.status(413).json(invalidPayload([{ path: '', error: `body exceeds ${err.limit} bytes` }]));
+  next(err);
+});
+
+// 400 { error, errors: [{ path, error }] } (server/schemas.js format)
+const badRequest = (res, errors) => res.status(400).json(invalidPayload(errors));
+// validates a JSON body against SCHEMAS[name]; answers 400 and returns true when it does not match
+function rejectInvalid(name, body, res){
+  const errors = validateBody(name, body ?? {});
+  if (!errors.length) return false;
+  badRequest(res, errors);
+  return true;
+}
 
 // optional: / -> public/index.html (if present)
 app.get('/', (_req, res) => {
@@ -33,39 +91,418 @@ app.get('/', (_req, res) => {
 // simple health check (non-breaking addition)
 app.get('/healthz', (_req, res) => res.json({ ok: true }));
 
-// ---- helpers
-async function exists(p){ try { await fs.access(p, FS_CONST.F_OK); return true; } catch { return false; } }
-async function readJson(p){
+// ================= SCHEMAS (request bodies, server/schemas.js) =================
+/*
+  GET /schemas        -> { errorFormat, schemas: [{ name, $id, title, routes }] }   (public)
+  GET /schemas/:name  -> the JSON Schema (2020-12) every listed route validates its body against
+Any body that does not match is answered 400 { error, errors: [{ path, error }] } before anything is stored.
+*/
+const schemaOf = (name) => ({ $id: `/schemas/${name}`, ...SCHEMAS[name].schema });
+
+app.get('/schemas', (_req, res) => {
+  res.json({
+    errorFormat: {
+      status: 400,
+      body: '{ error: "invalid payload: <first problem>", errors: [{ path, error }] }',
+      path: 'field path in the body ("" = the body; a.b[2]); query and route parameters as query.<name> / params.<name>',
+    },
+    schemas: Object.entries(SCHEMAS).map(([name, { routes, schema }]) => ({ name, $id: `/schemas/${name}`, title: schema.title, routes })),
+  });
+});
+
+app.get('/schemas/:name', (req, res) => {
+  if (!Object.hasOwn(SCHEMAS, req.params.name)) return res.status(404).json({ error: 'no such schema' });
+  res.json(schemaOf(req.params.name));
+});
+
+// ================= AUTH & AUDIT =================
+/*
+  GET  /auth/whoami                -> { authEnabled, name, via: token|basic|null, role: viewer|writer|admin|null }   (public)
+  GET  /audit[?type=<t>][&limit=N] -> newest first audit events (server/audit.js), admin only;
+                                      type "write." = every write to baselines, rules, last-session and history
+  GET  /audit/snapshots/:sha256    -> the content a write event's sha256 / previous.sha256 names
+  GET  /audit/:id                  -> one event
+  POST /audit/:id/restore          -> { use?: "after" | "before" }  writes that version back (default: after,
+                                      or before for deletes); the restore is itself audited (restoredFrom)
+  page: /audit.html
+
+Restoring history writes each partition the snapshot holds; "before" of a write that dropped runs
+also puts those run records (and a wiped replay base) back.
+*/
+app.get('/auth/whoami', async (req, res) => {
+  try {
+    const p = await auth.whoami(req);
+    res.json({ authEnabled: auth.enabled, name: p.name, via: p.via, role: p.role });
+  } catch (e) {
+    console.error('[GET /auth/whoami] error:', e);
+    res.status(500).json({ error: 'failed to check credentials' });
+  }
+});
+
+// who made a write: the principal server/auth.js attached, and from where
+const whoOf = (req) => ({ name: req.principal?.name ?? null, via: req.principal?.via ?? null, role: req.principal?.role ?? null, ip: req.ip });
+// client key of the writing browser: from the environment it sent, else from its User-Agent
+const writerClientOf = (req, environment = null) =>
+  (environment ?? normalizeEnvironment(null, { userAgent: req.get('user-agent') || '' })).client;
+
+// audits a write that already happened; a failure is logged, the write still succeeds
+async function auditWrite(kind, action, req, fields = {}){
+  try {
+    return await audit.recordWrite(kind, action, { by: whoOf(req), client: writerClientOf(req), ...fields });
+  } catch (e) {
+    console.error(`[audit] ${kind} ${action} not recorded:`, e);
+    return null;
+  }
+}
+
+app.get('/audit', async (req, res) => {
+  try {
+    const limit = req.query.limit == null ? 200 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return badRequest(res, [{ path: 'query.limit', error: 'expected a positive integer' }]);
+    res.json(await audit.list({ type: req.query.type ? String(req.query.type) : null, limit: Math.min(limit, 5000) }));
+  } catch (e) {
+    console.error('[GET /audit] error:', e);
+    res.status(500).json({ error: 'failed to read audit log' });
+  }
+});
+
+app.get('/audit/snapshots/:sha', async (req, res) => {
+  try {
+    const content = await audit.readSnapshot(req.params.sha);
+    if (content == null) return res.status(404).json({ error: 'no such snapshot' });
+    res.json(content);
+  } catch (e) {
+    console.error('[GET /audit/snapshots/:sha] error:', e);
+    res.status(500).json({ error: 'failed to read snapshot' });
+  }
+});
+
+app.get('/audit/:id', async (req, res) => {
+  try {
+    const event = await audit.get(req.params.id);
+    if (!event) return res.status(404).json({ error: 'no such audit event' });
+    res.json(event);
+  } catch (e) {
+    console.error('[GET /audit/:id] error:', e);
+    res.status(500).json({ error: 'failed to read audit event' });
+  }
+});
+
+app.post('/audit/:id/restore', async (req, res) => {
+  try {
+    if (rejectInvalid('auditRestore', req.body, res)) return;
+    const event = await audit.get(req.params.id);
+    if (!event?.type?.startsWith('write.')) return res.status(404).json({ error: 'no such write event' });
+    const use = req.body?.use ?? (event.sha256 ? 'after' : 'before');
+    const sha256 = use === 'after' ? event.sha256 : event.previous?.sha256;
+    const content = sha256 ? await audit.readSnapshot(sha256) : null;
+    if (content == null) return res.status(409).json({ error: `nothing to restore: the event has no stored ${use} content` });
+
+    const restoredFrom = { event: event.id, use, sha256 };
+    const { kind, name } = event.resource;
+    let r;
+    if (kind === 'baseline') {
+      r = await saveBaseline(name, { ...content, label: `${content.label ? `${content.label} ` : ''}(restored)` }, req, { action: 'restore', restoredFrom });
+    } else if (kind === 'rules') {
+      r = await saveRules(name, content, req, { action: 'restore', restoredFrom });
+      if (r.notFound) return res.status(404).json({ error: 'no such baseline' });
+    } else if (kind === 'last-session') {
+      r = await saveLastSession(content, req, { action: 'restore', restoredFrom });
+    } else if (kind === 'history') {
+      const runs = use === 'before' ? event.removedRuns || [] : [];
+      const bases = use === 'before' ? event.removedBase ?? [] : [];
+      r = await restoreHistory(content, { runs, bases }, req, restoredFrom);
+    } else {
+      return res.status(409).json({ error: `cannot restore ${kind}` });
+    }
+    res.json({ ok: true, restored: restoredFrom, ...r });
+  } catch (e) {
+    console.error('[POST /audit/:id/restore] error:', e);
+    res.status(500).json({ error: 'failed to restore' });
+  }
+});
+
+// ================= BASELINES (named, versioned) =================
+/*
+  GET    /baselines                      -> { default, baselines: [{ name, isDefault, createdAt, versions, latest }] }
+  GET    /baselines/:name[?version=N]    -> { pixels, meta }   (latest version unless ?version; meta.environment = saving client)
+  GET    /baselines/:name/versions       -> [{ version, savedAt, label }]
+  PUT    /baselines/:name                -> { pixels, meta?, label? }  appends a new version
+  DELETE /baselines/:name                -> removes the baseline and all its versions
+  POST   /baselines/:name/rename         -> { to }
+  POST   /baselines/:name/pin            -> make it the default baseline
+  GET    /baselines/:name/rules          -> { name, updatedAt, rules }
+  PUT    /baselines/:name/rules          -> { rules }  replaces the comparison rules (see public/rules.js)
+
+GET /baselines/:name also returns the rules ({ pixels, meta, rules }) so a compare needs one request.
+Legacy /baseline routes (incl. /baseline/rules) are aliases for the default baseline.
+GET responses carry an ETag ("<name>@v<latest>"); PUT/DELETE honour If-Match and answer 409 on mismatch
+(412 for "If-Match: *" when the baseline does not exist yet).
+Every save, delete, rename, pin and rules change is audited (write.baseline / write.rules) with the
+version it replaced.
+*/
+const baselines = createBaselineStore(DATA_DIR);
+// per-name lock around "read previous version, write, audit" so the audited previous is the one replaced
+const lockBaseline = (name, fn) => withFileLock(`baseline:${name}`, fn);
+
+// meta.environment is re-normalized (public/environment.js) so every version records the client that saved it
+function parseBaselinePayload(body, req){
+  if (!body || typeof body !== 'object' || !isPlainObject(body.pixels)) return null;
+  const meta = isPlainObject(body.meta) ? { ...body.meta } : {};
+  meta.environment = normalizeEnvironment(meta.environment, { userAgent: req.get('user-agent') || '' });
+  const label = typeof body.label === 'string' ? body.label : (typeof meta.label === 'string' ? meta.label : '');
+  return { pixels: body.pixels, meta, label };
+}
+
+// -> { version, content: { pixels, meta, label } } of a stored version (latest without one), or null
+async function baselineVersion(name, version){
+  const data = name ? await baselines.get(name, version) : null;
+  if (!data) return null;
+  const { baseline, ...meta } = data.meta;
+  return { version: baseline.version, content: { pixels: data.pixels, meta, label: baseline.label } };
+}
+
+// name null = the default; -> baselines.save() result
+async function saveBaseline(name, payload, req, { action = 'save', ifMatch = null, ...fields } = {}){
+  name = name ?? (await baselines.getDefaultName()) ?? LEGACY_DEFAULT_NAME;
+  return lockBaseline(name, async () => {
+    const before = await baselineVersion(name);
+    const r = await baselines.save(name, payload, { ifMatch });
+    if (r.conflict) return r;
+    await auditWrite('baseline', action, req, {
+      resource: { name }, client: writerClientOf(req, payload.meta?.environment),
+      after: (await baselineVersion(name, r.version))?.content, version: r.version,
+      before: before?.content, previousVersion: before?.version ?? null, ...fields,
+    });
+    return r;
+  });
+}
+
+// -> baselines.remove() result
+async function removeBaseline(name, req){
+  name = name ?? (await baselines.getDefaultName());
+  if (!name) return { notFound: true };
+  return lockBaseline(name, async () => {
+    const before = await baselineVersion(name);
+    const r = await baselines.remove(name, { ifMatch: req.get('if-match') });
+    if (r.ok) await auditWrite('baseline', 'delete', req, { resource: { name }, before: before?.content, previousVersion: before?.version ?? null });
+    return r;
+  });
+}
+
+app.get('/baselines', async (_req, res) => {
   try {
-    const s = await fs.readFile(p, 'utf8');
-    return JSON.parse(s);
+    res.json(await baselines.list());
   } catch (e) {
-    console.error(`[readJson] ${p} error:`, e);
-    throw e;
+    console.error('[GET /baselines] error:', e);
+    res.status(500).json({ error: 'failed to list baselines' });
   }
+});
+
+function sendBaseline(res, data){
+  const { etag, ...body } = data;
+  if (etag) res.setHeader('ETag', etag);
+  res.json(body);
 }
-async function writeJsonAtomic(p, obj){
-  const tmp = p + '.tmp-' + Date.now();
-  await fs.writeFile(tmp, JSON.stringify(obj), 'utf8');
-  await fs.rename(tmp, p);
+function sendBaselineSaved(res, r){
+  if (r.preconditionFailed) return sendPreconditionFailed(res);
+  if (r.conflict) return sendConflict(res, r.etag);
+  res.setHeader('ETag', r.etag);
+  res.json({ ok: true, ...r });
 }
-function isPlainObject(v){ return v && typeof v === 'object' && !Array.isArray(v); }
 
-// ================= BASELINE =================
+app.get('/baselines/:name', async (req, res) => {
+  try {
+    const data = await baselines.get(req.params.name, req.query.version);
+    if (!data) return res.status(404).json({ error: 'no such baseline/version' });
+    sendBaseline(res, data);
+  } catch (e) {
+    console.error('[GET /baselines/:name] error:', e);
+    res.status(500).json({ error: 'failed to read baseline' });
+  }
+});
+
+app.get('/baselines/:name/versions', async (req, res) => {
+  try {
+    const list = await baselines.versions(req.params.name);
+    if (!list) return res.status(404).json({ error: 'no such baseline' });
+    res.json(list);
+  } catch (e) {
+    console.error('[GET /baselines/:name/versions] error:', e);
+    res.status(500).json({ error: 'failed to list baseline versions' });
+  }
+});
+
+app.put('/baselines/:name', async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!isValidBaselineName(name)) return badRequest(res, [{ path: 'params.name', error: 'invalid baseline name' }]);
+    if (rejectInvalid('baseline', req.body, res)) return;
+    const payload = parseBaselinePayload(req.body, req);
+    sendBaselineSaved(res, await saveBaseline(name, payload, req, { ifMatch: req.get('if-match') }));
+  } catch (e) {
+    console.error('[PUT /baselines/:name] error:', e);
+    res.status(500).json({ error: 'failed to save baseline' });
+  }
+});
+
+app.delete('/baselines/:name', async (req, res) => {
+  try {
+    const r = await removeBaseline(req.params.name, req);
+    if (r.notFound) return res.status(404).json({ error: 'no such baseline' });
+    if (r.conflict) return sendConflict(res, r.etag);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[DELETE /baselines/:name] error:', e);
+    res.status(500).json({ error: 'failed to delete baseline' });
+  }
+});
+
+app.post('/baselines/:name/rename', async (req, res) => {
+  try {
+    if (rejectInvalid('baselineRename', req.body, res)) return;
+    const to = req.body.to;
+    const r = await baselines.rename(req.params.name, to);
+    if (r.error === 'not found') return res.status(404).json({ error: 'no such baseline' });
+    if (r.error) return res.status(409).json({ error: `cannot rename: ${r.error}` });
+    await auditWrite('baseline', 'rename', req, { resource: { name: to }, from: req.params.name });
+    res.json({ ok: true, name: to });
+  } catch (e) {
+    console.error('[POST /baselines/:name/rename] error:', e);
+    res.status(500).json({ error: 'failed to rename baseline' });
+  }
+});
+
+app.post('/baselines/:name/pin', async (req, res) => {
+  try {
+    const previousDefault = await baselines.getDefaultName();
+    if (!(await baselines.setDefault(req.params.name))) return res.status(404).json({ error: 'no such baseline' });
+    await auditWrite('baseline', 'pin', req, { resource: { name: req.params.name }, previousDefault });
+    res.json({ ok: true, default: req.params.name });
+  } catch (e) {
+    console.error('[POST /baselines/:name/pin] error:', e);
+    res.status(500).json({ error: 'failed to pin baseline' });
+  }
+});
+
+// ---- comparison rules (tolerance / ignore regions), stored next to the baseline
+async function getRules(name, res){
+  const r = await baselines.getRules(name);
+  if (!r) return res.status(404).json({ error: 'no such baseline' });
+  res.json(r);
+}
+// PNG masks -> one byte per pixel (painted = non-black and non-transparent = ignore), in place
+function flattenMaskPngs(rules){
+  const errors = [];
+  for (const [key, rule] of Object.entries(rules)) {
+    if (!rule.mask) continue;
+    const bytes = Buffer.from(rule.mask.replace(/^data:image\/png;base64,/, ''), 'base64');
+    if (!isPng(bytes)) continue;
+    try {
+      const { rgba } = decodePng(bytes);
+      const out = Buffer.alloc(rgba.length >> 2);
+      for (let p = 0; p < out.length; p++) {
+        const i = p * 4;
+        out[p] = rgba[i + 3] && (rgba[i] || rgba[i + 1] || rgba[i + 2]) ? 1 : 0;
+      }
+      rule.mask = out.toString('base64');
+    } catch (e) {
+      errors.push({ path: `rules.${key}.mask`, error: `PNG decode failed: ${e.message}` });
+    }
+  }
+  return errors;
+}
+
+// validated rules -> baselines.putRules() result (name null = the default)
+async function saveRules(name, rules, req, { action = 'replace', ...fields } = {}){
+  name = name ?? (await baselines.getDefaultName());
+  if (!name) return { notFound: true };
+  return lockBaseline(name, async () => {
+    const before = await baselines.getRules(name);
+    const r = await baselines.putRules(name, rules);
+    if (!r.notFound) await auditWrite('rules', action, req, {
+      resource: { name }, after: r.rules, version: r.updatedAt,
+      before: before?.updatedAt ? before.rules : null, previousVersion: before?.updatedAt ?? null, ...fields,
+    });
+    return r;
+  });
+}
+
+async function putRules(name, req, res){
+  if (rejectInvalid('rules', req.body, res)) return;
+  const rules = req.body.rules;
+  const errors = flattenMaskPngs(rules);
+  if (errors.length) return badRequest(res, errors);
+  const r = await saveRules(name, rules, req);
+  if (r.notFound) return res.status(404).json({ error: 'no such baseline' });
+  res.json({ ok: true, ...r });
+}
+
+app.get('/baselines/:name/rules', async (req, res) => {
+  try {
+    await getRules(req.params.name, res);
+  } catch (e) {
+    console.error('[GET /baselines/:name/rules] error:', e);
+    res.status(500).json({ error: 'failed to read rules' });
+  }
+});
+
+app.put('/baselines/:name/rules', async (req, res) => {
+  try {
+    await putRules(req.params.name, req, res);
+  } catch (e) {
+    console.error('[PUT /baselines/:name/rules] error:', e);
+    res.status(500).json({ error: 'failed to save rules' });
+  }
+});
+
+// ---- legacy aliases: /baseline == current default baseline
 app.get('/baseline', async (_req, res) => {
-  if (!(await exists(BASELINE_FILE))) return res.status(404).json({ error: 'no baseline' });
-  res.json(await readJson(BASELINE_FILE));
+  try {
+    const name = await baselines.getDefaultName();
+    const data = name ? await baselines.get(name) : null;
+    if (!data) return res.status(404).json({ error: 'no baseline' });
+    sendBaseline(res, data);
+  } catch (e) {
+    console.error('[GET /baseline] error:', e);
+    res.status(500).json({ error: 'failed to read baseline' });
+  }
 });
 app.put('/baseline', async (req, res) => {
-  const incoming = req.body;
-  if (!incoming || typeof incoming !== 'object' || !incoming.pixels)
-    return res.status(400).json({ error: 'invalid payload: require {pixels:{}, meta{}}' });
-  await writeJsonAtomic(BASELINE_FILE, incoming);
-  res.json({ ok: true });
+  try {
+    if (rejectInvalid('baseline', req.body, res)) return;
+    const payload = parseBaselinePayload(req.body, req);
+    sendBaselineSaved(res, await saveBaseline(null, payload, req, { ifMatch: req.get('if-match') }));
+  } catch (e) {
+    console.error('[PUT /baseline] error:', e);
+    res.status(500).json({ error: 'failed to save baseline' });
+  }
 });
-app.delete('/baseline', async (_req, res) => {
-  try { await fs.unlink(BASELINE_FILE); } catch {}
-  res.json({ ok: true });
+app.get('/baseline/rules', async (_req, res) => {
+  try {
+    await getRules(null, res);
+  } catch (e) {
+    console.error('[GET /baseline/rules] error:', e);
+    res.status(500).json({ error: 'failed to read rules' });
+  }
+});
+app.put('/baseline/rules', async (req, res) => {
+  try {
+    await putRules(null, req, res);
+  } catch (e) {
+    console.error('[PUT /baseline/rules] error:', e);
+    res.status(500).json({ error: 'failed to save rules' });
+  }
+});
+app.delete('/baseline', async (req, res) => {
+  try {
+    const r = await removeBaseline(null, req);
+    if (r.conflict) return sendConflict(res, r.etag);
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[DELETE /baseline] error:', e);
+    res.status(500).json({ error: 'failed to delete baseline' });
+  }
 });
 
 // =============== LAST SESSION (disk-backed, flexible schema) ===============
@@ -75,19 +512,54 @@ Accepted PUT payloads (any of these):
      { raw: {name: base64_pixels}, png: {name: base64_pixels}, meta? }
   2) New (recommended):
      { raw: {name: base64_pixels}, png_blob: {name: base64_pixels}, png_durl: {name: dataURL}, meta? }
+     plus any other read-back series from SESSION_SERIES (server/sessions.js):
+     raw_subrect, raw_repeat, bitmap, jpeg_blob, webp_blob {name: base64_pixels},
+     jpeg_durl, webp_durl {name: dataURL}, measure_text {label: number[]}
+
+Stored as binary image sets (server/sessions.js); GET returns the same wire shape.
+meta keeps savedAt and environment (the saving client, public/environment.js); other meta fields are dropped.
+Every replace is audited (write.last-session) with the session it overwrote.
 */
+const sessions = createSessionStore(DATA_DIR);
+const lockSession = (fn) => withFileLock('last-session', fn);
+
+// wire payload -> savedAt; audited with the stored session before and after
+function saveLastSession(payload, req, { action = 'replace', ...fields } = {}){
+  return lockSession(async () => {
+    const before = await sessions.get();
+    await sessions.put(payload);
+    await auditWrite('last-session', action, req, {
+      client: writerClientOf(req, payload.meta?.environment),
+      after: await sessions.get(), version: payload.meta?.savedAt ?? null,
+      before, previousVersion: before?.meta?.savedAt ?? null, ...fields,
+    });
+    return { savedAt: payload.meta?.savedAt ?? null };
+  });
+}
+
+// validated body -> stored payload: known series only (legacy "png" = png_blob), meta { savedAt, environment }
+function parseLastSessionPayload(body, req){
+  const payload = {};
+  for (const key of Object.keys(SESSION_SERIES)) {
+    if (isPlainObject(body[key])) payload[key] = body[key];
+  }
+  if (!payload.png_blob && isPlainObject(body.png)) payload.png_blob = body.png;
+
+  const meta = isPlainObject(body.meta) ? body.meta : {};
+  payload.meta = {
+    savedAt: meta.savedAt || new Date().toISOString(),
+    environment: normalizeEnvironment(meta.environment, { userAgent: req.get('user-agent') || '' }),
+  };
+  return payload;
+}
+
 app.get('/last-session', async (_req, res) => {
   try {
-    if (!(await exists(LAST_SESSION_FILE))) return res.status(404).json({ error: 'no last session' });
-    const data = await readJson(LAST_SESSION_FILE);
-
-    // Back-compat shim: if old file has "png" but no "png_blob", promote it
-    if (isPlainObject(data.png) && !isPlainObject(data.png_blob)) {
-      data.png_blob = data.png;
-    }
+    const data = await sessions.get();
+    if (!data) return res.status(404).json({ error: 'no last session' });
 
     const ok =
-      (isPlainObject(data.raw) || isPlainObject(data.png_blob) || isPlainObject(data.png_durl)) &&
+      Object.keys(SESSION_SERIES).some((k) => isPlainObject(data[k])) &&
       isPlainObject(data.meta);
 
     if (!ok) return res.status(500).json({ error: 'corrupted last-session file' });
@@ -100,172 +572,1050 @@ app.get('/last-session', async (_req, res) => {
 
 app.put('/last-session', async (req, res) => {
   try {
-    const body = req.body || {};
+    if (rejectInvalid('lastSession', req.body, res)) return;
+    const { savedAt } = await saveLastSession(parseLastSessionPayload(req.body, req), req);
+    res.json({ ok: true, savedAt });
+  } catch (e) {
+    console.error('[PUT /last-session] error:', e);
+    res.status(500).json({ error: 'failed to save last-session' });
+  }
+});
 
-    // Accept both old and new keys
-    const raw       = isPlainObject(body.raw)       ? body.raw       : undefined;
-    const png_blob  = isPlainObject(body.png_blob)  ? body.png_blob  : (isPlainObject(body.png) ? body.png : undefined);
-    const png_durl  = isPlainObject(body.png_durl)  ? body.png_durl  : undefined;
+// ================= UPLOADED CAPTURES (multipart, per-session folders) =================
+/*
+  POST /sessions/:id/uploads        multipart/form-data
+        files   — one or more .rgba (raw RGBA) or .png files
+        width, height            — default size for every file in the request
+        meta    — optional JSON  { [fileName]: { width, height } } (overrides per file)
+      -> { ok, saved: [{ name, kind, width, height, bytes, uploadedAt }] } | 400 { error, files: [{ file, error }] }
+  GET  /sessions                    -> [sessionId]
+  GET  /sessions/:id/uploads        -> [{ name, kind, width, height, bytes, uploadedAt }]
+  GET  /sessions/:id/uploads/:file  -> the stored bytes
+  GET  /sessions/:a/compare/:b[?sample=N][&rules=<baseline>][&format=json|csv|junit|html]
+      sample = entries of each image's sample (default 20, 0 = none, at most 1000)
+      -> { a, b, comparedAt, overall, images: { [kind:stem]: { a, b, width, height, changedPixels, pctChanged,
+           alphaChanges, maxDeviation, maxDeviationExcl255_254, deviationHistogram, deviationDistribution, sample,
+           bbox?, regions?, filtered? } | { error } },
+           onlyInA, onlyInB, policy? }   (PNGs decoded server-side; mismatched dimensions are rejected per image;
+           policy = evaluation of the stored pass/fail policy, when it has rules)
+      with format: the same result as a report download (public/report.js; html embeds both images)
 
-    if (!raw && !png_blob && !png_durl) {
-      return res.status(400).json({
-        error: 'invalid payload: provide at least one of {raw, png/blob pixels, png_durl dataURLs}'
-      });
+Files land in data/uploads/session_<id>/ (raw dumps must be exactly width*height*4 bytes).
+*/
+const uploads = createUploadStore(DATA_DIR);
+const uploadFiles = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 500 },
+}).array('files');
+
+app.get('/sessions', async (_req, res) => {
+  try {
+    res.json(await uploads.sessionIds());
+  } catch (e) {
+    console.error('[GET /sessions] error:', e);
+    res.status(500).json({ error: 'failed to list sessions' });
+  }
+});
+
+app.post('/sessions/:id/uploads', (req, res) => {
+  if (!isValidSessionId(req.params.id)) return badRequest(res, [{ path: 'params.id', error: 'invalid session id' }]);
+  uploadFiles(req, res, async (err) => {
+    try {
+      if (err) return badRequest(res, [{ path: err.field || 'files', error: `upload rejected: ${err.message}` }]);
+      if (!req.files?.length) return badRequest(res, [{ path: 'files', error: 'required (multipart field)' }]);
+
+      let perFile = {};
+      if (req.body?.meta) {
+        try { perFile = JSON.parse(req.body.meta); } catch { return badRequest(res, [{ path: 'meta', error: 'not JSON' }]); }
+        const errors = validateBody('uploadMeta', perFile);
+        if (errors.length) return badRequest(res, errors.map(e => ({ ...e, path: e.path ? `meta.${e.path}` : 'meta' })));
+      }
+      const files = req.files.map(f => ({
+        name: f.originalname,
+        bytes: f.buffer,
+        width: perFile[f.originalname]?.width ?? req.body.width,
+        height: perFile[f.originalname]?.height ?? req.body.height,
+      }));
+
+      const r = await uploads.save(req.params.id, files);
+      if (r.errors) return res.status(400).json({ ...invalidPayload(r.errors.map(e => ({ path: `files.${e.file}`, error: e.error }))), files: r.errors });
+      res.json({ ok: true, saved: r.saved });
+    } catch (e) {
+      console.error('[POST /sessions/:id/uploads] error:', e);
+      res.status(500).json({ error: 'failed to store uploads' });
     }
+  });
+});
 
-    const meta = isPlainObject(body.meta) ? body.meta : {};
-    const savedAt = meta.savedAt || new Date().toISOString();
+app.get('/sessions/:id/uploads', async (req, res) => {
+  try {
+    if (!isValidSessionId(req.params.id)) return badRequest(res, [{ path: 'params.id', error: 'invalid session id' }]);
+    const list = await uploads.list(req.params.id);
+    if (!list) return res.status(404).json({ error: 'no such session' });
+    res.json(list);
+  } catch (e) {
+    console.error('[GET /sessions/:id/uploads] error:', e);
+    res.status(500).json({ error: 'failed to list uploads' });
+  }
+});
 
-    const payload = {
-      ...(raw      ? { raw }      : {}),
-      ...(png_blob ? { png_blob } : {}),
-      ...(png_durl ? { png_durl } : {}),
-      meta: { savedAt }
-    };
+app.get('/sessions/:id/uploads/:file', async (req, res) => {
+  try {
+    if (!isValidSessionId(req.params.id)) return badRequest(res, [{ path: 'params.id', error: 'invalid session id' }]);
+    const p = await uploads.filePath(req.params.id, req.params.file);
+    if (!p) return res.status(404).json({ error: 'no such upload' });
+    res.type(p.endsWith('.png') ? 'image/png' : 'application/octet-stream');
+    res.download(p, req.params.file, { headers: { 'Cache-Control': 'no-store' } });
+  } catch (e) {
+    console.error('[GET /sessions/:id/uploads/:file] error:', e);
+    res.status(500).json({ error: 'failed to read upload' });
+  }
+});
 
-    await writeJsonAtomic(LAST_SESSION_FILE, payload);
-    res.json({ ok: true, savedAt });
+app.get('/sessions/:a/compare/:b', async (req, res) => {
+  try {
+    const { a, b } = req.params;
+    const bad = [a, b].flatMap((id, i) => (isValidSessionId(id) ? [] : [{ path: `params.${i ? 'b' : 'a'}`, error: 'invalid session id' }]));
+    if (bad.length) return badRequest(res, bad);
+    if (req.query.sample != null && !/^[0-9]+$/.test(String(req.query.sample)))
+      return badRequest(res, [{ path: 'query.sample', error: 'expected a non-negative integer' }]);
+    const sampleCap = req.query.sample == null ? 20 : Math.min(Number(req.query.sample), 1000);
+    let rules = null;
+    if (req.query.rules) {
+      const r = await baselines.getRules(String(req.query.rules));
+      if (!r) return res.status(404).json({ error: 'no such baseline (rules)' });
+      rules = r.rules;
+    }
+    const format = req.query.format != null ? String(req.query.format) : null;
+    if (format && !REPORT_FORMATS[format]) return badRequest(res, [{ path: 'query.format', error: `expected one of ${Object.keys(REPORT_FORMATS).join(', ')}` }]);
+
+    const report = await compareSessions(uploads, a, b, { sampleCap, rules, embed: format === 'html' });
+    if (!report) return res.status(404).json({ error: 'no such session' });
+    if (!format) {
+      const policy = await policyResultFor({ images: report.images }, `session_${a}_vs_${b}`);
+      return res.json(policy ? { ...report, policy } : report);
+    }
+
+    const images = {};
+    for (const [key, img] of Object.entries(report.images)) {
+      if (!img.png) continue;
+      images[key] = { width: img.width, height: img.height, panels: [{ label: `session ${a}`, src: img.png.a }, { label: `session ${b}`, src: img.png.b }] };
+      delete img.png;
+    }
+    sendReport(res, buildReport({ images: report.images }, {
+      source: { page: 'sessions', a, b, rules: req.query.rules || null, comparedAt: report.comparedAt },
+      images: format === 'html' ? images : null,
+      defaultPath: `session_${a}_vs_${b}`,
+    }), format);
   } catch (e) {
-    console.error('[PUT /last-session] error:', e);
-    res.status(500).json({ error: 'failed to save last-session' });
+    console.error('[GET /sessions/:a/compare/:b] error:', e);
+    res.status(500).json({ error: 'failed to compare sessions' });
   }
 });
 
-// ================= HISTORY (disk-backed, canvas diff history) =================
+// ================= TRANSFERS (chunked uploads of a baseline version or the last session) =================
 /*
-Schema:
-{
-  runs: number,
-  byImage: {
-    [imageName]: {
-      perRunChanged: number[],
-      everChanged: number[],                 // list of pixel indices that changed at least once
-      perPixel: {                            // pixelIndex -> stats
-        [pixelIndex]: { n: number, patterns: { [ "dr,dg,db,da" ]: number } }
+  POST   /transfers                       -> { target: "baseline" | "last-session", name?, label?, meta?, measure_text?,
+                                               items: [{ series, name, bytes, type? }] }   (GET /schemas/transfer)
+                                             -> 201 { ...status, chunkBytes }
+  PUT    /transfers/:id/items/:n?offset=N -> application/octet-stream body of at most chunkBytes, appended to item n
+                                             -> { n, series, name, bytes, received, complete }
+                                             409 { error, received } when N is not what was received so far (resume there)
+  GET    /transfers/:id                   -> status { id, target, name, by, createdAt, updatedAt, bytes, received, complete,
+                                               items: [{ n, series, name, bytes, received }] }
+  POST   /transfers/:id/commit            -> stores the whole exactly like PUT /baselines/:name (If-Match honoured; no name =
+                                             the default) or PUT /last-session, with their response and audit event
+                                             (field transfer = id), then drops the transfer
+                                             409 { error, incomplete: [item status] } while any item is short
+  DELETE /transfers/:id                   -> drops an unfinished transfer
+
+Items carry raw RGBA (pixels, and the base64 series of the last session) or the encoded image of a data
+URL series (type = its media type), so no image is base64-encoded by the client. Bytes are staged under
+data/transfers/<id> (server/transfers.js) and touch nothing else until commit assembles the JSON body and
+validates it like the JSON routes do (400 paths are those of that body): a half-sent upload never
+replaces a stored baseline or session. The pages upload this way (public/transfer.js); the JSON routes
+stay for scripts and small payloads.
+Creating and committing also need the write role of the route the target replaces (baselines: admin).
+*/
+const transfers = createTransferStore(DATA_DIR);
+const lockTransfer = (id, fn) => withFileLock(`transfer:${id}`, fn);
+const readChunk = express.raw({ type: 'application/octet-stream', limit: TRANSFER_CHUNK_BYTES });
+const TRANSFER_TARGETS = { baseline: '/baseline', 'last-session': '/last-session' };   // route each target replaces
+
+// answers 401/403 through server/auth.js (audited the same way) when the caller may not write the target; -> true when rejected
+async function rejectTargetRole(target, req, res){
+  const required = requiredRole('PUT', TRANSFER_TARGETS[target]);
+  if (hasRole(req.principal, required)) return false;
+  const status = req.principal?.via ? 403 : 401;
+  await auth.reject(req, res, { status, reason: `requires ${required} role (${target} transfer)`, required, principal: req.principal });
+  return true;
+}
+
+// complete items -> the JSON body the target's route takes (base64 / data URL strings)
+function transferBody({ manifest, items }){
+  const body = { meta: manifest.meta ?? {} };
+  if (manifest.label != null) body.label = manifest.label;
+  if (manifest.measure_text != null) body.measure_text = manifest.measure_text;
+  for (const it of items) {
+    const b64 = it.data.toString('base64');
+    (body[it.series] ??= {})[it.name] = it.type ? `data:${it.type};base64,${b64}` : b64;
+  }
+  return body;
+}
+
+app.post('/transfers', async (req, res) => {
+  try {
+    if (rejectInvalid('transfer', req.body, res)) return;
+    const big = req.body.items.flatMap((it, i) =>
+      (it.bytes > UPLOAD_MAX_BYTES ? [{ path: `items[${i}].bytes`, error: `exceeds ${UPLOAD_MAX_BYTES} bytes per item` }] : []));
+    if (big.length) return badRequest(res, big);
+    if (await rejectTargetRole(req.body.target, req, res)) return;
+    const status = await transfers.create({ ...req.body, by: whoOf(req) });
+    res.status(201).json({ ...status, chunkBytes: TRANSFER_CHUNK_BYTES });
+  } catch (e) {
+    console.error('[POST /transfers] error:', e);
+    res.status(500).json({ error: 'failed to start transfer' });
+  }
+});
+
+app.put('/transfers/:id/items/:n', (req, res) => {
+  readChunk(req, res, async (err) => {
+    try {
+      if (err?.type === 'entity.too.large') return res.status(413).json(invalidPayload([{ path: '', error: `chunk exceeds ${err.limit} bytes` }]));
+      if (err) return badRequest(res, [{ path: '', error: `chunk rejected: ${err.message}` }]);
+      const n = Number(req.params.n), offset = Number(req.query.offset);
+      const bad = [];
+      if (!Number.isInteger(n) || n < 0) bad.push({ path: 'params.n', error: 'expected an item index' });
+      if (!Number.isInteger(offset) || offset < 0) bad.push({ path: 'query.offset', error: 'expected a non-negative integer' });
+      if (!Buffer.isBuffer(req.body) || !req.body.length) bad.push({ path: '', error: 'expected a non-empty application/octet-stream body' });
+      if (bad.length) return badRequest(res, bad);
+
+      const r = await lockTransfer(req.params.id, () => transfers.append(req.params.id, n, offset, req.body));
+      if (r.notFound) return res.status(404).json({ error: 'no such transfer item' });
+      if (r.conflict) return res.status(409).json({ error: `offset ${offset} does not match the ${r.received} bytes received`, received: r.received });
+      if (r.error) return badRequest(res, [{ path: '', error: r.error }]);
+      res.json(r.item);
+    } catch (e) {
+      console.error('[PUT /transfers/:id/items/:n] error:', e);
+      res.status(500).json({ error: 'failed to store chunk' });
+    }
+  });
+});
+
+app.get('/transfers/:id', async (req, res) => {
+  try {
+    const status = await transfers.get(req.params.id);
+    if (!status) return res.status(404).json({ error: 'no such transfer' });
+    res.json(status);
+  } catch (e) {
+    console.error('[GET /transfers/:id] error:', e);
+    res.status(500).json({ error: 'failed to read transfer' });
+  }
+});
+
+app.post('/transfers/:id/commit', async (req, res) => {
+  try {
+    const { id } = req.params;
+    await lockTransfer(id, async () => {
+      const staged = await transfers.read(id);
+      if (!staged) return res.status(404).json({ error: 'no such transfer' });
+      if (staged.incomplete)
+        return res.status(409).json({ error: `incomplete transfer: ${staged.incomplete.length} item(s) not fully received`, incomplete: staged.incomplete });
+      const { target, name } = staged.manifest;
+      if (await rejectTargetRole(target, req, res)) return;
+
+      const body = transferBody(staged);
+      if (target === 'baseline') {
+        if (rejectInvalid('baseline', body, res)) return;
+        const r = await saveBaseline(name ?? null, parseBaselinePayload(body, req), req, { ifMatch: req.get('if-match'), transfer: id });
+        if (!r.conflict) await transfers.remove(id);
+        return sendBaselineSaved(res, r);
       }
+      if (rejectInvalid('lastSession', body, res)) return;
+      const { savedAt } = await saveLastSession(parseLastSessionPayload(body, req), req, { transfer: id });
+      await transfers.remove(id);
+      res.json({ ok: true, savedAt });
+    });
+  } catch (e) {
+    console.error('[POST /transfers/:id/commit] error:', e);
+    res.status(500).json({ error: 'failed to commit transfer' });
+  }
+});
+
+app.delete('/transfers/:id', async (req, res) => {
+  try {
+    if (!(await lockTransfer(req.params.id, () => transfers.remove(req.params.id)))) return res.status(404).json({ error: 'no such transfer' });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error('[DELETE /transfers/:id] error:', e);
+    res.status(500).json({ error: 'failed to delete transfer' });
+  }
+});
+
+// ================= REPORTS =================
+/*
+  POST /reports?format=json|csv|junit|html
+       body: a report document (public/report.js, schema "testpixel/report")
+             or { details, source?, defaultPath? } — any compare result (the pages' details, /sessions compare)
+       optional body.thresholds: { changedPixels?, pctChanged?, maxDeviation?, maxDeviationExcl255_254?, alphaChanges? }
+       -> the report as a download (Content-Disposition: attachment)
+*/
+function sendReport(res, report, format, thresholds){
+  const { body, mime } = formatReport(report, format, thresholds);
+  res.setHeader('Content-Type', `${mime}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${reportFileName(report, format)}"`);
+  res.send(body);
+}
+
+app.post('/reports', (req, res) => {
+  try {
+    const format = String(req.query.format || 'json');
+    if (!REPORT_FORMATS[format]) return badRequest(res, [{ path: 'query.format', error: `expected one of ${Object.keys(REPORT_FORMATS).join(', ')}` }]);
+    if (rejectInvalid('report', req.body, res)) return;
+    const body = req.body;
+
+    let report;
+    if (isReport(body)) report = body;
+    else {
+      report = buildReport(body.details, {
+        source: isPlainObject(body.source) ? body.source : {},
+        ...(typeof body.defaultPath === 'string' ? { defaultPath: body.defaultPath } : {}),
+      });
     }
+    sendReport(res, report, format, body.thresholds || undefined);
+  } catch (e) {
+    console.error('[POST /reports] error:', e);
+    res.status(500).json({ error: 'failed to build report' });
   }
+});
+
+// ================= POLICY (pass/fail gate, <DATA_DIR>/policy.json) =================
+/*
+  GET  /policy            -> { policy, updatedAt, errors }   (errors: problems in a hand-edited file; [] when valid)
+  PUT  /policy            body: policy document (public/policy.js) -> { ok, policy } | 400 { error, errors: [{ path, error }] }
+  POST /policy/evaluate   body: { details, defaultPath? } | a report document, optional { policy } to try a draft
+                          -> { verdict: pass|fail|none, evaluatedAt, rules: [...] }
+
+The stored policy is evaluated on every compare that reaches the server: /sessions/:a/compare/:b
+answers with it, and /history/append (and POST /history/runs) store it with the run when the
+client sends its `details`. The file is re-read each time, so hand edits apply immediately.
+*/
+const lockPolicy = (fn) => withFileLock(POLICY_FILE, fn);
+
+// a hand-edited file that is not JSON reads as policy null (reported by validatePolicy, fails every evaluation)
+async function readPolicy(){
+  if (!(await exists(POLICY_FILE))) return { policy: emptyPolicy(), updatedAt: null };
+  const [text, st] = await Promise.all([fs.readFile(POLICY_FILE, 'utf8'), fs.stat(POLICY_FILE)]);
+  let policy = null;
+  try { policy = JSON.parse(text); } catch (e) { console.error(`[policy] ${POLICY_FILE} is not JSON:`, e.message); }
+  return { policy, updatedAt: st.mtime.toISOString() };
 }
 
+// compare details -> evaluation of the stored policy, or null when it has no rules
+async function policyResultFor(details, defaultPath){
+  const { policy } = await readPolicy();
+  if (isPlainObject(policy) && Array.isArray(policy.rules) && !policy.rules.length) return null;
+  return evaluatePolicy(policy, collectComparisons(details, defaultPath ? { defaultPath } : {}));
+}
+
+app.get('/policy', async (_req, res) => {
+  try {
+    const { policy, updatedAt } = await readPolicy();
+    res.json({ policy, updatedAt, errors: validatePolicy(policy) });
+  } catch (e) {
+    console.error('[GET /policy] error:', e);
+    res.status(500).json({ error: 'failed to read policy' });
+  }
+});
+
+app.put('/policy', async (req, res) => {
+  try {
+    if (rejectInvalid('policy', req.body, res)) return;
+    const policy = { version: 1, ...req.body };
+    await lockPolicy(async () => {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await writeJsonAtomic(POLICY_FILE, policy);
+    });
+    res.json({ ok: true, policy });
+  } catch (e) {
+    console.error('[PUT /policy] error:', e);
+    res.status(500).json({ error: 'failed to write policy' });
+  }
+});
+
+app.post('/policy/evaluate', async (req, res) => {
+  try {
+    if (rejectInvalid('policyEvaluate', req.body, res)) return;
+    const body = req.body;
+    const comparisons = isReport(body)
+      ? body.comparisons
+      : collectComparisons(body.details, typeof body.defaultPath === 'string' ? { defaultPath: body.defaultPath } : {});
+
+    const policy = body.policy != null ? body.policy : (await readPolicy()).policy;
+    res.json(evaluatePolicy(policy, comparisons));
+  } catch (e) {
+    console.error('[POST /policy/evaluate] error:', e);
+    res.status(500).json({ error: 'failed to evaluate policy' });
+  }
+});
+
+// ================= HISTORY (disk-backed, canvas diff history) =================
+/*
+Aggregate schema: see server/history.js (runs, byImage[name].{perRunChanged, everChanged, perPixel}).
+
+Aggregates are partitioned per client (public/environment.js client key, derived from the
+environment the page sends or else the request's User-Agent): runs from different browsers never
+share perPixel statistics. Every aggregate route takes ?client=<key>; without it they address the
+"" partition (runs logged before clients were tracked, and the pre-run-log base).
+
+Every appended run is also kept as its own record (server/history.js run log), so a bad run
+can be dropped and the aggregate rebuilt without wiping everything. Retention (STORAGE below) folds
+old runs into per-client replay bases, so aggregates keep counting them.
+
+All writes to history.json are serialized per file (server/concurrency.js), so concurrent
+appends from several browsers are all counted. Every write is audited (write.history) with the
+partitions before and after it; writes that drop runs also snapshot those run records (removedRuns)
+and replay bases (removedBase). GET /history sends an ETag; whole-file writes
+(PUT /history, POST /history/put, DELETE /history) honour If-Match and answer 409 on mismatch
+(412 for "If-Match: *" on a partition never written).
+
 Client options:
-  A) GET /history → merge locally → PUT /history  (recommended, minimal API)
-  B) PUT /history/append  { images: { [name]: { changedMap: { [pix]: [dr,dg,db,da] } } } }  (optional convenience)
+  A) PUT /history/append  { images: { [name]: { changedMap: { [pix]: [dr,dg,db,da] } } }, baseline?, userAgent?, environment?, details? }
+     (recommended: atomic server-side merge + run record; POST /history/append if proxies block PUT)
+     details = the page's compare details; the stored policy is evaluated on them, kept with the run
+     and returned as `policy`
+     hashes  = { [name]: { [path]: { sha256, phash } } } fingerprints of this run (public/fingerprint.js)
+     answers with the run's client partition merged, plus runId, client, policy
+     400 when a changedMap pixel lies outside the image of the baseline version the run names
+  B) GET /history?client= → merge locally → PUT /history?client= with If-Match  (+ POST /history/runs to log the run record)
   C) POST /history/put    same as PUT /history   (optional fallback if proxies block PUT)
+
+Run log:
+  GET    /history/runs          -> [{ id, createdAt, userAgent, client, baseline, verdict, images: { [name]: changedCount } }]
+  GET    /history/clients       -> [{ client, runs, firstSeen, lastSeen, environment }]
+  POST   /history/runs          -> record a run without touching the aggregate (used with option B)
+  GET    /history/runs/:id      -> full run record incl. sparse changedMap per image
+  DELETE /history/runs/:id      -> drop one run, then rebuild its client's aggregate
+  POST   /history/recompute     -> rebuild every client's aggregate from the run log (answers with ?client's)
+  DELETE /history               -> wipes every partition and the run log
+
+Analysis (each also takes ?client=<key> to only look at one client's runs):
+  GET    /history/analysis?baseline=<name>&version=<n>&gap=<minutes>
+         -> noise-pattern verdicts (server/analysis.js) over the runs compared against one baseline
+            version (default: the one the most recent run used); gap = session split, default 30
+  GET    /history/drift?image=<name|glob>&a=<from>..<to>&b=<from>..<to>&alpha=<p>&baseline=<name>
+         -> per-image drift report (server/drift.js): stats, change points, window significance test;
+            bounds are run positions (negative = from the end) or dates; page: /drift.html
+  GET    /history/stability?image=<name|glob>&baseline=<name>&version=<n>
+         -> fingerprint stability (server/stability.js): distinct hashes, entropy and baseline
+            reproduction rate per image and read-back path, over the runs compared against one
+            baseline version (default: the one the most recent run used)
 */
-function emptyHistory(){ return { runs: 0, byImage: {} }; }
-function normalizeHistory(h){
-  if (!isPlainObject(h)) return emptyHistory();
-  const out = { runs: Number(h.runs) || 0, byImage: {} };
-  const src = isPlainObject(h.byImage) ? h.byImage : {};
-  for (const [name, rec] of Object.entries(src)) {
-    const perRunChanged = Array.isArray(rec?.perRunChanged) ? rec.perRunChanged.map(x => Number(x)||0) : [];
-    const everChanged   = Array.isArray(rec?.everChanged)   ? rec.everChanged.map(x => Number(x)||0)   : [];
-    const perPixelIn    = isPlainObject(rec?.perPixel) ? rec.perPixel : {};
-    const perPixelOut   = {};
-    for (const [pix, slot] of Object.entries(perPixelIn)) {
-      const n = Number(slot?.n)||0;
-      const patternsIn = isPlainObject(slot?.patterns) ? slot.patterns : {};
-      const patternsOut = {};
-      for (const [k,v] of Object.entries(patternsIn)) patternsOut[String(k)] = Number(v)||0;
-      perPixelOut[pix] = { n, patterns: patternsOut };
-    }
-    out.byImage[name] = { perRunChanged, everChanged, perPixel: perPixelOut };
+const runLog = createRunLog(DATA_DIR, { compress: COMPRESS_RUNS });
+const EMPTY_HISTORY_ETAG = '"empty"';
+const lockHistory = (fn) => withFileLock(HISTORY_FILE, fn);     // one lock for every partition
+const historyFileOf = (client) => (client ? path.join(HISTORY_DIR, `${client}.json.gz`) : HISTORY_FILE);
+
+// ?client=<key> -> partition key ("" when absent), or null when malformed
+function clientOf(req){
+  const c = req.query.client;
+  if (c == null || c === '') return '';
+  return CLIENT_RE.test(String(c)) ? String(c) : null;
+}
+const badClient = (res) => badRequest(res, [{ path: 'query.client', error: 'expected a client key (see GET /history/clients)' }]);
+
+// -> { hist, etag, exists }; the ETag hashes the uncompressed JSON stored on disk
+async function readHistoryWithEtag(client = ''){
+  const file = historyFileOf(client);
+  if (!(await exists(file))) return { hist: emptyHistory(), etag: EMPTY_HISTORY_ETAG, exists: false };
+  const text = zlib.gunzipSync(await fs.readFile(file)).toString('utf8');
+  return { hist: normalizeHistory(JSON.parse(text)), etag: etagOf(text), exists: true };
+}
+// If-Match on a history partition: false after answering 412 / 409
+function historyIfMatch(req, res, { etag, exists: stored }){
+  const h = req.get('if-match');
+  if (starWithoutResource(h, stored)) { sendPreconditionFailed(res); return false; }
+  if (!ifMatchOk(h, etag, stored)) { sendConflict(res, etag); return false; }
+  return true;
+}
+async function readHistory(client = ''){
+  return (await readHistoryWithEtag(client)).hist;
+}
+// -> new ETag
+async function writeHistory(h, client = ''){
+  await fs.mkdir(client ? HISTORY_DIR : DATA_DIR, { recursive: true });
+  return etagOf(await writeJsonGzAtomic(historyFileOf(client), normalizeHistory(h)));
+}
+async function runInputFrom(req){
+  const images = isPlainObject(req.body?.images) ? req.body.images : null;
+  if (!images) return null;
+  const userAgent = typeof req.body.userAgent === 'string' ? req.body.userAgent : (req.get('user-agent') || '');
+  return {
+    images,
+    baseline: isPlainObject(req.body.baseline) ? req.body.baseline : null,
+    userAgent,
+    environment: normalizeEnvironment(req.body.environment, { userAgent }),
+    policy: isPlainObject(req.body.details) ? await policyResultFor(req.body.details) : null,
+    hashes: normalizeHashes(req.body.hashes),
+  };
+}
+
+// a run's pixel indices must lie inside the images of the baseline version it names (when that is stored);
+// answers 400 and returns true when one does not
+async function rejectOutsideBaseline(input, res){
+  const { name, version } = input.baseline || {};
+  const sizes = name && version != null ? await baselines.sizes(name, version) : null;
+  if (!sizes) return false;
+  const errors = [];
+  for (const [image, rec] of Object.entries(input.images)) {
+    if (!Object.hasOwn(sizes, image)) continue;
+    const pixels = sizes[image] / 4;
+    for (const pix of Object.keys(rec.changedMap))
+      if (Number(pix) >= pixels) errors.push({ path: `images.${image}.changedMap.${pix}`, error: `outside ${name}@v${version}/${image} (${pixels} pixels)` });
   }
+  if (!errors.length) return false;
+  badRequest(res, errors.slice(0, MAX_ERRORS));
+  return true;
+}
+
+// partitions with a stored aggregate ("" always)
+async function storedPartitions(){
+  const keys = [''];
+  if (await exists(HISTORY_DIR))
+    for (const f of await fs.readdir(HISTORY_DIR)) if (f.endsWith('.json.gz')) keys.push(f.slice(0, -'.json.gz'.length));
+  return keys;
+}
+// -> { [client]: aggregate }, the content a write.history event snapshots
+async function readPartitions(keys){
+  const out = {};
+  for (const key of keys) out[key] = await readHistory(key);
   return out;
 }
-async function readHistory(){
-  if (!(await exists(HISTORY_FILE))) return emptyHistory();
-  return normalizeHistory(await readJson(HISTORY_FILE));
+const partitionRuns = (parts) => (parts ? Object.fromEntries(Object.entries(parts).map(([k, h]) => [k, h.runs])) : null);
+
+function auditHistory(action, req, { before = null, after = null, ...fields }){
+  return auditWrite('history', action, req, { before, after, version: partitionRuns(after), previousVersion: partitionRuns(before), ...fields });
+}
+// run records about to be dropped -> [{ id, sha256, size }] (snapshotted first: no snapshot, no delete)
+async function snapshotRuns(runs){
+  const out = [];
+  for (const run of runs) out.push({ id: run.id, ...(await audit.snapshot(run)) });
+  return out;
 }
-async function writeHistory(h){
-  await writeJsonAtomic(HISTORY_FILE, normalizeHistory(h));
+
+// audit restore: writes the partitions back and re-inserts the run records (and replay bases) a write dropped;
+// bases: [{ client, sha256 }] (sha256 null = the client had none), or one { sha256 } of the "" client (older events)
+function restoreHistory(parts, { runs = [], bases = [] }, req, restoredFrom){
+  return lockHistory(async () => {
+    const keys = Object.keys(parts).filter(k => k === '' || CLIENT_RE.test(k));
+    const before = await readPartitions(keys), after = {};
+    for (const ref of runs) {
+      const run = await audit.readSnapshot(ref.sha256);
+      if (run) await runLog.put(run);
+    }
+    for (const b of [].concat(bases ?? [])) {
+      const client = b.client ?? '';
+      if (client === '' || CLIENT_RE.test(client)) await runLog.putBase(b.sha256 ? await audit.readSnapshot(b.sha256) : null, client);
+    }
+    for (const key of keys) await writeHistory(after[key] = normalizeHistory(parts[key]), key);
+    await auditHistory('restore', req, {
+      resource: { client: keys.length === 1 ? keys[0] : null }, before, after,
+      restoredFrom, restoredRuns: runs.map(r => r.id),
+    });
+    return { clients: keys, runs: runs.length };
+  });
 }
 
-app.get('/history', async (_req, res) => {
+app.get('/history', async (req, res) => {
   try {
-    const h = await readHistory();
-    res.json(h);
+    const client = clientOf(req);
+    if (client == null) return badClient(res);
+    const { hist, etag } = await readHistoryWithEtag(client);
+    res.setHeader('ETag', etag);
+    res.json(hist);
   } catch (e) {
     console.error('[GET /history] error:', e);
     res.status(500).json({ error: 'failed to read history' });
   }
 });
 
-app.put('/history', async (req, res) => {
+// whole-file replace, guarded by If-Match
+async function replaceHistory(req, res, route){
   try {
+    const client = clientOf(req);
+    if (client == null) return badClient(res);
+    if (rejectInvalid('history', req.body, res)) return;
     const body = normalizeHistory(req.body);
-    await writeHistory(body);
-    res.json({ ok: true });
+    await lockHistory(async () => {
+      const current = await readHistoryWithEtag(client), prev = current.hist;
+      if (!historyIfMatch(req, res, current)) return;
+      res.setHeader('ETag', await writeHistory(body, client));
+      await auditHistory('replace', req, { resource: { client }, before: { [client]: prev }, after: { [client]: body } });
+      res.json({ ok: true });
+    });
   } catch (e) {
-    console.error('[PUT /history] error:', e);
+    console.error(`[${route}] error:`, e);
     res.status(500).json({ error: 'failed to write history' });
   }
+}
+app.put('/history', (req, res) => replaceHistory(req, res, 'PUT /history'));
+
+// server-side append-merge (also logs the run); atomic w.r.t. other history writes
+async function appendHistory(req, res, route){
+  try {
+    if (rejectInvalid('historyRun', req.body, res)) return;
+    const input = await runInputFrom(req);
+    if (await rejectOutsideBaseline(input, res)) return;
+
+    await lockHistory(async () => {
+      // merge before logging: a run the aggregate cannot take is not kept either
+      const client = input.environment?.client ?? '';
+      const prev = await readHistory(client);
+      const hist = mergeRunIntoHistory(normalizeHistory(prev), input.images);
+      const run = await runLog.add(input);
+      res.setHeader('ETag', await writeHistory(hist, run.client));
+      await auditHistory('append', req, {
+        resource: { client: run.client }, client: writerClientOf(req, input.environment),
+        before: { [run.client]: prev }, after: { [run.client]: hist }, runId: run.id,
+      });
+      res.json({ ...hist, runId: run.id, client: run.client, policy: run.policy ?? null });
+    });
+  } catch (e) {
+    console.error(`[${route}] error:`, e);
+    res.status(500).json({ error: 'failed to append history' });
+  }
+}
+app.put('/history/append', (req, res) => appendHistory(req, res, 'PUT /history/append'));
+app.post('/history/append', (req, res) => appendHistory(req, res, 'POST /history/append'));
+
+// optional fallback if a proxy blocks PUT (non-breaking addition)
+app.post('/history/put', (req, res) => replaceHistory(req, res, 'POST /history/put'));
+
+// without ?client: every partition and the whole run log; with it: that client's aggregate and runs
+app.delete('/history', async (req, res) => {
+  try {
+    const client = clientOf(req);
+    if (client == null) return badClient(res);
+    await lockHistory(async () => {
+      if (!historyIfMatch(req, res, await readHistoryWithEtag(client))) return;
+      const all = req.query.client == null;
+      const before = await readPartitions(all ? await storedPartitions() : [client]);
+      const dropped = (await runLog.all()).filter(r => all || (r.client ?? '') === client);
+      const removedRuns = await snapshotRuns(dropped);
+      const removedBase = [];
+      for (const key of all ? await runLog.baseClients() : [client])
+        removedBase.push({ client: key, ...((await audit.snapshot(await runLog.readBase(key))) ?? { sha256: null, size: 0 }) });
+      if (all) {
+        if (await exists(HISTORY_FILE)) await fs.unlink(HISTORY_FILE);
+        await fs.rm(HISTORY_DIR, { recursive: true, force: true });
+        await runLog.clear();
+      } else {
+        for (const r of dropped) await runLog.remove(r.id);
+        await runLog.putBase(null, client);
+        if (await exists(historyFileOf(client))) await fs.unlink(historyFileOf(client));
+      }
+      await auditHistory('delete', req, { resource: { client: all ? null : client }, before, removedRuns, removedBase });
+      res.json({ ok: true });
+    });
+  } catch (e) {
+    console.error('[DELETE /history] error:', e);
+    res.status(500).json({ error: 'failed to delete history' });
+  }
+});
+
+// ---- run log
+app.get('/history/runs', async (_req, res) => {
+  try {
+    res.json(await runLog.list());
+  } catch (e) {
+    console.error('[GET /history/runs] error:', e);
+    res.status(500).json({ error: 'failed to list runs' });
+  }
 });
 
-// optional convenience: server-side append-merge
-app.put('/history/append', async (req, res) => {
+app.post('/history/runs', async (req, res) => {
   try {
-    const images = isPlainObject(req.body?.images) ? req.body.images : null;
-    if (!images) return res.status(400).json({ error: 'invalid payload: expected { images: { [name]: { changedMap } } }' });
+    if (rejectInvalid('historyRun', req.body, res)) return;
+    const input = await runInputFrom(req);
+    if (await rejectOutsideBaseline(input, res)) return;
+    const run = await runLog.add(input);
+    await auditWrite('history', 'run', req, { resource: { client: run.client }, client: writerClientOf(req, input.environment), runId: run.id });
+    res.json({ ok: true, runId: run.id, createdAt: run.createdAt, client: run.client, policy: run.policy ?? null });
+  } catch (e) {
+    console.error('[POST /history/runs] error:', e);
+    res.status(500).json({ error: 'failed to record run' });
+  }
+});
 
-    const hist = await readHistory();
-    hist.runs = (hist.runs || 0) + 1;
-    hist.byImage = hist.byImage || {};
+app.get('/history/clients', async (_req, res) => {
+  try {
+    res.json(await runLog.clients());
+  } catch (e) {
+    console.error('[GET /history/clients] error:', e);
+    res.status(500).json({ error: 'failed to list clients' });
+  }
+});
 
-    for (const [name, recIn] of Object.entries(images)) {
-      const changedMap = isPlainObject(recIn?.changedMap) ? recIn.changedMap : {};
-      let rec = hist.byImage[name];
-      if (!rec) rec = hist.byImage[name] = { perRunChanged: [], everChanged: [], perPixel: {} };
+app.get('/history/runs/:id', async (req, res) => {
+  try {
+    const run = await runLog.get(req.params.id);
+    if (!run) return res.status(404).json({ error: 'no such run' });
+    res.json(run);
+  } catch (e) {
+    console.error('[GET /history/runs/:id] error:', e);
+    res.status(500).json({ error: 'failed to read run' });
+  }
+});
+
+app.delete('/history/runs/:id', async (req, res) => {
+  try {
+    await lockHistory(async () => {
+      const run = await runLog.get(req.params.id);
+      if (!run) return res.status(404).json({ error: 'no such run' });
+      const client = run.client ?? '';
+      const removedRuns = await snapshotRuns([run]);
+      const prev = await readHistory(client);
+      if (!(await runLog.remove(run.id))) return res.status(404).json({ error: 'no such run' });
+      const hist = await runLog.recompute(client);
+      res.setHeader('ETag', await writeHistory(hist, client));
+      await auditHistory('delete-run', req, {
+        resource: { client }, before: { [client]: prev }, after: { [client]: hist }, runId: run.id, removedRuns,
+      });
+      res.json({ ok: true, client, runs: hist.runs });
+    });
+  } catch (e) {
+    console.error('[DELETE /history/runs/:id] error:', e);
+    res.status(500).json({ error: 'failed to delete run' });
+  }
+});
+
+// ?client=<key> narrows a query to one client's runs (all runs without it)
+function runsOfClient(all, req){
+  const client = clientOf(req);
+  return req.query.client == null ? all : all.filter(r => (r.client ?? '') === client);
+}
 
-      const changedCount = Object.keys(changedMap).length;
-      rec.perRunChanged.push(changedCount);
+// ?baseline=<name>&version=<n> -> the baseline a history query is about, and the runs logged against that name;
+// version defaults to the one the most recent of those runs used (run ids sort by time)
+function baselineRefOf(all, query){
+  const name = query.baseline != null ? String(query.baseline) : (all.length ? all[all.length - 1].baseline?.name ?? null : null);
+  const ofName = all.filter(r => (r.baseline?.name ?? null) === name);
+  const version = query.version != null
+    ? Number(query.version)
+    : (ofName.length ? ofName[ofName.length - 1].baseline?.version ?? null : null);
+  return { name, version, ofName };
+}
 
-      // everChanged as set
-      const evSet = new Set(rec.everChanged);
-      for (const pix of Object.keys(changedMap)) evSet.add(Number(pix));
-      rec.everChanged = Array.from(evSet);
+// -> { pixels: { [image]: Uint8Array }, dims } of a stored baseline version, or null
+async function baselinePixels(name, version){
+  const data = name && version != null ? await baselines.get(name, version) : null;
+  if (!data) return null;
+  const pixels = {};
+  for (const [img, b64] of Object.entries(data.pixels)) pixels[img] = new Uint8Array(Buffer.from(b64, 'base64'));
+  return { pixels, dims: isPlainObject(data.meta?.dims) ? data.meta.dims : {} };
+}
 
-      // perPixel stats
-      for (const [pixStr, delta] of Object.entries(changedMap)) {
-        const pix = Number(pixStr);
-        const key = Array.isArray(delta) ? delta.join(',') : String(delta);
-        if (!rec.perPixel[pix]) rec.perPixel[pix] = { n: 0, patterns: {} };
-        rec.perPixel[pix].n += 1;
-        rec.perPixel[pix].patterns[key] = (rec.perPixel[pix].patterns[key] || 0) + 1;
+app.get('/history/analysis', async (req, res) => {
+  try {
+    const gap = req.query.gap == null ? 30 : Number(req.query.gap);
+    if (!(gap > 0)) return badRequest(res, [{ path: 'query.gap', error: 'expected a positive number of minutes' }]);
+    if (req.query.version != null && !Number.isInteger(Number(req.query.version)))
+      return badRequest(res, [{ path: 'query.version', error: 'expected an integer' }]);
+
+    if (clientOf(req) == null) return badClient(res);
+    const { name, version, ofName } = baselineRefOf(runsOfClient(await runLog.all(), req), req.query);
+    const runs = ofName.filter(r => (r.baseline?.version ?? null) === version);
+    const pixels = await baselinePixels(name, version);
+
+    res.json({
+      baseline: name ? { name, version } : null,
+      ...analyzeRuns(runs, pixels, { gapMs: gap * 60 * 1000 }),
+    });
+  } catch (e) {
+    console.error('[GET /history/analysis] error:', e);
+    res.status(500).json({ error: 'failed to analyze history' });
+  }
+});
+
+app.get('/history/stability', async (req, res) => {
+  try {
+    if (req.query.version != null && !Number.isInteger(Number(req.query.version)))
+      return badRequest(res, [{ path: 'query.version', error: 'expected an integer' }]);
+    if (clientOf(req) == null) return badClient(res);
+    // fingerprints of runs against different baseline versions are never pooled
+    const { name, version, ofName } = baselineRefOf(runsOfClient(await runLog.all(), req), req.query);
+    const runs = ofName.filter(r => (r.baseline?.version ?? null) === version);
+    const base = await baselinePixels(name, version);
+    const re = req.query.image ? globToRe(String(req.query.image)) : null;
+
+    res.json({
+      baseline: name ? { name, version } : null,
+      ...stabilityReport(runs, { match: (img) => !re || re.test(img), baseline: base ? baselineHashes(base.pixels, base.dims) : null }),
+    });
+  } catch (e) {
+    console.error('[GET /history/stability] error:', e);
+    res.status(500).json({ error: 'failed to build stability report' });
+  }
+});
+
+app.get('/history/drift', async (req, res) => {
+  try {
+    const alpha = req.query.alpha == null ? 0.05 : Number(req.query.alpha);
+    if (!(alpha > 0 && alpha < 1)) return badRequest(res, [{ path: 'query.alpha', error: 'expected a number between 0 and 1' }]);
+    const windows = { a: null, b: null };
+    for (const k of ['a', 'b']) {
+      if (!req.query[k]) continue;
+      try { windows[k] = parseWindow(req.query[k]); } catch (e) { return badRequest(res, [{ path: `query.${k}`, error: e.message }]); }
+    }
+    const { a, b } = windows;
+    const re = req.query.image ? globToRe(String(req.query.image)) : null;
+    const baseline = req.query.baseline != null ? String(req.query.baseline) : null;
+
+    if (clientOf(req) == null) return badClient(res);
+    const runs = runsOfClient(await runLog.all(), req).filter(r => baseline == null || r.baseline?.name === baseline);
+    res.json(driftReport(runs, { match: (name) => !re || re.test(name), a, b, alpha }));
+  } catch (e) {
+    console.error('[GET /history/drift] error:', e);
+    res.status(500).json({ error: 'failed to build drift report' });
+  }
+});
+
+app.post('/history/recompute', async (req, res) => {
+  try {
+    const client = clientOf(req);
+    if (client == null) return badClient(res);
+    await lockHistory(async () => {
+      // every client with runs, plus stored partitions whose runs are all gone
+      const keys = new Set([...(await storedPartitions()), ...(await runLog.clients()).map(c => c.client)]);
+      const before = await readPartitions(keys), after = {};
+      let etag = null, answer = null;
+      for (const key of keys) {
+        const hist = after[key] = await runLog.recompute(key);
+        const tag = await writeHistory(hist, key);
+        if (key === client) { etag = tag; answer = hist; }
       }
+      await auditHistory('recompute', req, { resource: { client: null }, before, after });
+      if (!answer) { answer = emptyHistory(); etag = EMPTY_HISTORY_ETAG; }
+      res.setHeader('ETag', etag);
+      res.json(answer);
+    });
+  } catch (e) {
+    console.error('[POST /history/recompute] error:', e);
+    res.status(500).json({ error: 'failed to recompute history' });
+  }
+});
+
+// ================= STORAGE (usage, retention, disk quota) =================
+/*
+  GET  /storage                 -> disk usage: totalBytes, quota, warnings, and bytes per baseline, last-session
+                                   series, upload session, transfer, history partition and image
+                                   (images = baseline versions + last session + run records holding it)
+  GET  /storage/retention       -> { retention, updatedAt } (server/retention.js, defaults filled in)
+  PUT  /storage/retention       -> replace it; the next maintenance pass applies it
+  POST /storage/maintenance     -> run a pass now: compact history, drop expired uploads and transfers, prune the audit log
+                                   -> { compacted, patternsFolded, uploadsRemoved, transfersRemoved,
+                                        auditPruned: { eventsRemoved, snapshotsRemoved }, quota }
+All admin only (server/auth.js). Maintenance also runs every retention.intervalMinutes.
+
+Compaction folds run records past runs.keepPerImage / runs.maxAgeDays into their client's replay base
+(server/history.js fold), so aggregates and /history/recompute keep counting them; it is audited as
+write.history "compact" with the run ids (foldedRuns, trimmedRuns), the runs themselves are not
+snapshotted. Over quota.maxBytes, writes that add data (GROWING_WRITES) answer 507 until usage drops;
+from quota.warnAt they carry an X-Storage-Warning header. The audit log counts toward the quota (deletes
+snapshot what they remove), so retention.audit is what bounds it.
+*/
+const lockRetention = (fn) => withFileLock(RETENTION_FILE, fn);
+const QUOTA_TTL_MS = 60 * 1000;                 // DATA_DIR is walked at most once a minute for the quota
+let quotaCache = null;                          // { at, usedBytes }
+let maintenanceTimer = null;
+
+// writes refused over quota (deletes, restores and settings still go through); matched on routePath (server/auth.js)
+const GROWING_WRITES = [
+  ['PUT',  /^\/baselines?(\/[^/]+)?$/],
+  ['PUT',  /^\/last-session$/],
+  ['PUT',  /^\/history\/append$/],
+  ['POST', /^\/history\/(append|runs)$/],
+  ['POST', /^\/sessions\/[^/]+\/uploads$/],
+  ['POST', /^\/transfers$/],
+  ['PUT',  /^\/transfers\/[^/]+\/items\/[^/]+$/],
+];
+
+// -> { retention, updatedAt }; an unreadable file is logged and the defaults apply
+async function readRetention(){
+  if (!(await exists(RETENTION_FILE))) return { retention: normalizeRetention(null), updatedAt: null };
+  try {
+    const stored = await readJson(RETENTION_FILE);
+    return { retention: normalizeRetention(stored?.retention), updatedAt: stored?.updatedAt ?? null };
+  } catch (e) {
+    console.error('[storage] retention.json unreadable, using defaults:', e);
+    return { retention: normalizeRetention(null), updatedAt: null };
+  }
+}
+
+// -> quotaState of DATA_DIR (server/retention.js); fresh = walk the disk even if the cached size is recent
+async function storageQuota(fresh = false){
+  if (fresh || !quotaCache || Date.now() - quotaCache.at > QUOTA_TTL_MS)
+    quotaCache = { at: Date.now(), usedBytes: (await dirUsage(DATA_DIR)).bytes };
+  return quotaState(quotaCache.usedBytes, (await readRetention()).retention.quota);
+}
+
+async function quotaGuard(req, res, next){
+  if (!GROWING_WRITES.some(([m, re]) => m === req.method && re.test(routePath(req.path)))) return next();
+  try {
+    const quota = await storageQuota();
+    if (quota.state === 'over') return res.status(507).json({ error: quota.warning, quota });
+    if (quota.warning) res.setHeader('X-Storage-Warning', quota.warning);
+  } catch (e) {
+    console.error('[storage] quota check failed:', e);   // never blocks a write
+  }
+  next();
+}
+
+// what scheduled passes are audited as
+const MAINTENANCE = { principal: { name: 'maintenance', via: null, role: 'admin' }, ip: null, get: () => '' };
+
+async function compactHistory(retention, req){
+  const out = { compacted: [], patternsFolded: 0 };
+  const { keepPerImage, maxAgeDays } = retention.runs, { maxPerPixel } = retention.patterns;
+  if (keepPerImage == null && maxAgeDays == null && maxPerPixel == null) return out;
+  await lockHistory(async () => {
+    const all = await runLog.all();
+    const keys = new Set([...(await storedPartitions()), ...all.map(r => r.client ?? '')]);
+    for (const client of keys) {
+      const plan = planCompaction(all.filter(r => (r.client ?? '') === client), retention.runs);
+      const before = await readHistory(client);
+      const after = structuredClone(before);
+      const folded = capPatterns(after, maxPerPixel);
+      if (!plan.size && !folded) continue;
+      const { removed, trimmed } = await runLog.fold(client, plan, { maxPatterns: maxPerPixel });
+      if (folded) await writeHistory(after, client);
+      await auditHistory('compact', req, {
+        resource: { client }, client: null, before: { [client]: before }, after: { [client]: after },
+        foldedRuns: removed, trimmedRuns: trimmed,
+      });
+      out.compacted.push({ client, foldedRuns: removed.length, trimmedRuns: trimmed.length, patternsFolded: folded });
+      out.patternsFolded += folded;
     }
+  });
+  return out;
+}
 
-    await writeHistory(hist);
-    res.json(hist);
+// one maintenance pass (req: who asked, or MAINTENANCE for scheduled ones)
+function runMaintenance(req = MAINTENANCE){
+  return withFileLock('maintenance', async () => {
+    const { retention } = await readRetention();
+    const history = await compactHistory(retention, req);
+
+    const uploadsRemoved = [], transfersRemoved = [];
+    const uploadAge = retention.uploads.maxAgeDays != null ? retention.uploads.maxAgeDays * DAY_MS : null;
+    for (const u of await uploads.usage())
+      if (isExpired(u.lastModified, uploadAge) && (await uploads.remove(u.session))) uploadsRemoved.push(u.session);
+    const transferAge = retention.transfers.maxAgeHours != null ? retention.transfers.maxAgeHours * 3600 * 1000 : null;
+    for (const t of await transfers.list())
+      if (isExpired(t.updatedAt, transferAge) && (await lockTransfer(t.id, () => transfers.remove(t.id)))) transfersRemoved.push(t.id);
+    const auditAge = retention.audit.maxAgeDays != null ? retention.audit.maxAgeDays * DAY_MS : null;
+    const auditPruned = await audit.prune({ maxAgeMs: auditAge, maxEvents: retention.audit.maxEvents });
+
+    const quota = await storageQuota(true);
+    if (quota.warning) console.warn(`[storage] ${quota.warning}`);
+    return { ...history, uploadsRemoved, transfersRemoved, auditPruned, quota };
+  });
+}
+
+function scheduleMaintenance(minutes){
+  clearInterval(maintenanceTimer);
+  maintenanceTimer = null;
+  if (!(minutes > 0)) return;
+  maintenanceTimer = setInterval(() => {
+    runMaintenance().catch(e => console.error('[storage] maintenance failed:', e));
+  }, minutes * 60 * 1000);
+  maintenanceTimer.unref();
+}
+
+app.get('/storage', async (_req, res) => {
+  try {
+    const quota = await storageQuota(true);
+    const [baselineUsage, lastSession, uploadUsage, transferList, runs] =
+      [await baselines.usage(), await sessions.usage(), await uploads.usage(), await transfers.list(), await runLog.usage()];
+
+    const history = { bytes: 0, partitions: {}, runs };
+    for (const client of await storedPartitions()) {
+      const bytes = (await fs.stat(historyFileOf(client)).catch(() => null))?.size ?? 0;
+      history.partitions[client] = bytes;
+      history.bytes += bytes;
+    }
+
+    const images = Object.create(null);
+    const imageOf = (name) => images[name] ??= { bytes: 0, baselines: 0, lastSession: 0, runs: 0, runEntries: 0, changedPixels: 0 };
+    for (const b of baselineUsage)
+      for (const [name, n] of Object.entries(b.images)) { imageOf(name).bytes += n; images[name].baselines += n; }
+    for (const [name, n] of Object.entries(lastSession.images)) { imageOf(name).bytes += n; images[name].lastSession += n; }
+    for (const [name, r] of Object.entries(runs.images)) {
+      const img = imageOf(name);
+      img.bytes += r.bytes; img.runs += r.bytes; img.runEntries = r.runs; img.changedPixels = r.changedPixels;
+    }
+
+    res.json({
+      measuredAt: new Date().toISOString(),
+      totalBytes: quota.usedBytes,
+      quota,
+      warnings: quota.warning ? [quota.warning] : [],
+      baselines: baselineUsage,
+      lastSession,
+      uploads: uploadUsage,
+      transfers: transferList.map(({ id, target, name, createdAt, updatedAt, bytes, received }) => ({ id, target, name, createdAt, updatedAt, bytes, received })),
+      history,
+      audit: await dirUsage(path.join(DATA_DIR, 'audit')),
+      images,
+    });
   } catch (e) {
-    console.error('[PUT /history/append] error:', e);
-    res.status(500).json({ error: 'failed to append history' });
+    console.error('[GET /storage] error:', e);
+    res.status(500).json({ error: 'failed to measure storage' });
   }
 });
 
-// optional fallback if a proxy blocks PUT (non-breaking addition)
-app.post('/history/put', async (req, res) => {
+app.get('/storage/retention', async (_req, res) => {
   try {
-    const body = normalizeHistory(req.body);
-    await writeHistory(body);
-    res.json({ ok: true });
+    res.json(await readRetention());
   } catch (e) {
-    console.error('[POST /history/put] error:', e);
-    res.status(500).json({ error: 'failed to write history via POST' });
+    console.error('[GET /storage/retention] error:', e);
+    res.status(500).json({ error: 'failed to read retention settings' });
   }
 });
 
-app.delete('/history', async (_req, res) => {
+app.put('/storage/retention', async (req, res) => {
   try {
-    if (await exists(HISTORY_FILE)) await fs.unlink(HISTORY_FILE);
-    res.json({ ok: true });
+    if (rejectInvalid('retention', req.body, res)) return;
+    const stored = await lockRetention(async () => {
+      const next = { retention: normalizeRetention(req.body), updatedAt: new Date().toISOString() };
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await writeJsonAtomic(RETENTION_FILE, next);
+      return next;
+    });
+    quotaCache = null;
+    scheduleMaintenance(stored.retention.intervalMinutes);
+    res.json(stored);
   } catch (e) {
-    console.error('[DELETE /history] error:', e);
-    res.status(500).json({ error: 'failed to delete history' });
+    console.error('[PUT /storage/retention] error:', e);
+    res.status(500).json({ error: 'failed to save retention settings' });
+  }
+});
+
+app.post('/storage/maintenance', async (req, res) => {
+  try {
+    res.json(await runMaintenance(req));
+  } catch (e) {
+    console.error('[POST /storage/maintenance] error:', e);
+    res.status(500).json({ error: 'failed to run maintenance' });
   }
 });
 
 // ---- start
+await migrateLegacyData({ baselines, sessions, runLog, legacy: LEGACY, historyFile: HISTORY_FILE });
+// one pass now (folds what piled up while the server was down), then every retention.intervalMinutes
+runMaintenance().catch(e => console.error('[storage] maintenance failed:', e));
+scheduleMaintenance((await readRetention()).retention.intervalMinutes);
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server on http://0.0.0.0:${PORT}`);
   console.log(`Static dir: ${PUBLIC_DIR}`);
@@ -0,0 +1,136 @@
+// audit.js — page for GET /audit (server/audit.js): who changed baselines, rules, the last session
+// and history, with links to every stored version and POST /audit/:id/restore to put one back.
+
+const $run  = document.getElementById("btn-run");
+const $sum  = document.getElementById("summary");
+const $out  = document.getElementById("output");
+const $rows = document.getElementById("rows");
+const fields = {
+  type: document.getElementById("type"),
+  limit: document.getElementById("limit"),
+};
+
+// ?type=&limit= prefill the form (and are kept in the URL for sharing)
+const q = new URLSearchParams(location.search);
+for (const [k, el] of Object.entries(fields)) if (q.has(k)) el.value = q.get(k);
+
+function queryString(){
+  const p = new URLSearchParams();
+  for (const [k, el] of Object.entries(fields)) if (el.value.trim()) p.set(k, el.value.trim());
+  return p.toString();
+}
+
+const esc = (s) => String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const bytes = (n) => (n == null ? "—" : n < 1024 ? `${n} B` : n < 1048576 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1048576).toFixed(1)} MB`);
+const versionText = (v) => (v == null ? "" : typeof v === "object" ? Object.entries(v).map(([c, runs]) => `${c || "(legacy)"}: ${runs} runs`).join(", ") : String(v));
+
+function snapshotLink(sha256, size, version){
+  if (!sha256) return "—";
+  return `<a href="/audit/snapshots/${sha256}" target="_blank" title="${sha256}"><code>${sha256.slice(0, 10)}</code></a>` +
+    ` ${bytes(size)}${version != null ? `<br/><span class="label">${esc(versionText(version))}</span>` : ""}`;
+}
+
+function resourceText(e){
+  const r = e.resource || {};
+  if (e.type === "auth.rejected") return `${esc(e.method)} ${esc(e.path)}`;
+  if (r.kind === "history") return r.client == null ? "every partition" : `client <code>${esc(r.client || "(legacy)")}</code>`;
+  if (r.kind === "last-session") return "last session";
+  return `<b>${esc(r.name)}</b>`;
+}
+
+function byText(e){
+  const by = e.type === "auth.rejected" ? { ...(e.principal || { name: e.claimed }), role: e.role, ip: e.ip } : e.by || {};
+  return `${esc(by.name || "anonymous")}${by.role ? ` <span class="label">${esc(by.role)}</span>` : ""}<br/><span class="label">${esc(by.ip)}</span>`;
+}
+
+function cell(tr, content, cls = ""){
+  const td = document.createElement("td");
+  if (cls) td.className = cls;
+  if (content instanceof Node) td.appendChild(content); else td.innerHTML = content;
+  tr.appendChild(td);
+}
+
+function restoreButtons(e){
+  const span = document.createElement("span");
+  if (!e.type.startsWith("write.")) return span;
+  for (const [use, label, sha256] of [["after", "this", e.sha256], ["before", "previous", e.previous?.sha256]]) {
+    if (!sha256) continue;
+    const btn = document.createElement("button");
+    btn.textContent = label;
+    btn.title = `restore the ${use === "after" ? "version this event wrote" : "version this event replaced"}`;
+    btn.addEventListener("click", (ev) => { ev.stopPropagation(); restore(e, use, btn); });
+    span.appendChild(btn);
+  }
+  return span;
+}
+
+function render(events){
+  $rows.innerHTML = "";
+  for (const e of events) {
+    const tr = document.createElement("tr");
+    const action = e.type === "auth.rejected" ? `rejected ${e.status}` : e.action;
+    const cls = e.type === "auth.rejected" ? "rejected" : e.action === "restore" ? "restore" : /delete/.test(e.action) ? "delete" : "";
+    cell(tr, new Date(e.at).toLocaleString());
+    cell(tr, `${esc(e.type.replace(/^write\./, ""))} <span class="${cls}">${esc(action)}</span>` +
+      (e.restoredFrom ? `<br/><span class="label">from ${esc(e.restoredFrom.event)} (${esc(e.restoredFrom.use)})</span>` : ""));
+    cell(tr, resourceText(e));
+    cell(tr, byText(e));
+    cell(tr, e.client ? `<code>${esc(e.client)}</code>` : "—");
+    cell(tr, snapshotLink(e.sha256, e.size, e.version));
+    cell(tr, e.previous ? snapshotLink(e.previous.sha256, e.previous.size, e.previous.version)
+      : e.previousDefault !== undefined ? `default was ${esc(e.previousDefault || "none")}`
+      : e.from ? `renamed from ${esc(e.from)}` : "—");
+    cell(tr, restoreButtons(e));
+    tr.addEventListener("click", () => {
+      for (const row of $rows.children) row.classList.toggle("sel", row === tr);
+      $out.textContent = JSON.stringify(e, null, 2);
+    });
+    $rows.appendChild(tr);
+  }
+}
+
+async function restore(e, use, btn){
+  const what = `${e.type.replace(/^write\./, "")} ${e.resource?.name || ""}`.trim();
+  if (!confirm(`Restore ${what} to the version ${use === "after" ? "written" : "replaced"} at ${new Date(e.at).toLocaleString()}?`)) return;
+  btn.disabled = true;
+  try {
+    const resp = await fetch(`/audit/${encodeURIComponent(e.id)}/restore`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ use }),
+    });
+    const result = await resp.json();
+    if (!resp.ok) throw new Error(result.error || `POST /audit/${e.id}/restore failed: ${resp.status}`);
+    $out.textContent = JSON.stringify(result, null, 2);
+    await run();
+    $sum.innerHTML += `<br/>Restored <b>${esc(what)}</b> (${use}).`;
+  } catch (err) {
+    console.error(err);
+    $sum.textContent = `Restore failed: ${err.message || err}`;
+  } finally { btn.disabled = false; }
+}
+
+async function run(){
+  $run.disabled = true;
+  try {
+    const qs = queryString();
+    history.replaceState(null, "", qs ? `?${qs}` : location.pathname);
+    const resp = await fetch(`/audit?${qs}`);
+    const events = await resp.json();
+    if (!resp.ok) throw new Error(events.error || `GET /audit failed: ${resp.status}`);
+
+    render(events);
+    const writes = events.filter((e) => e.type.startsWith("write."));
+    const who = new Set(writes.map((e) => e.by?.name || "anonymous"));
+    $sum.innerHTML =
+      `<b>${events.length}</b> event(s)` + (events.length ? ` from ${new Date(events[events.length - 1].at).toLocaleString()}` : "") + `.<br/>` +
+      `Writes: <b>${writes.length}</b> by ${[...who].map(esc).join(", ") || "nobody"}; ` +
+      `deletes: <b>${writes.filter((e) => /delete/.test(e.action)).length}</b>, restores: <b>${writes.filter((e) => e.action === "restore").length}</b>.`;
+  } catch (e) {
+    console.error(e);
+    $sum.textContent = `Audit log failed: ${e.message || e}`;
+  } finally { $run.disabled = false; }
+}
+
+$run.addEventListener("click", run);
+run();
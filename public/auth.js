@@ -0,0 +1,28 @@
+// auth.js — the page's role (GET /auth/whoami, server/auth.js) and the controls it may not use
+const ROLES = ["viewer", "writer", "admin"];
+
+// -> { authEnabled, name, via, role } or null when the server is unreachable
+export async function whoami() {
+  try {
+    const resp = await fetch("/auth/whoami", { method: "GET" });
+    return resp.ok ? await resp.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+// Disable every control whose role is above the page's: gateControls({ writer: [$btn], admin: [$btn, ...] })
+export async function gateControls(controls) {
+  const me = await whoami();
+  if (!me?.authEnabled) return me;
+  const have = ROLES.indexOf(me.role);
+  for (const [role, els] of Object.entries(controls)) {
+    if (have >= ROLES.indexOf(role)) continue;
+    for (const el of els) {
+      if (!el) continue;
+      el.disabled = true;
+      el.title = `requires the ${role} role (you are ${me.name || "anonymous"}${me.role ? `, ${me.role}` : ""})`;
+    }
+  }
+  return me;
+}
@@ -1,9 +1,36 @@
 // compare_png.js — server-backed persistence + existing comparisons + toDataURL pixel comparisons (+ A-channel any-change)
+// Read-back paths, each persisted as its own last-session series and summed in its own agg bucket:
+//   raw           getImageData of the whole canvas (what the probe renderer returned)
+//   png_blob      toBlob PNG, decoded             png_durl     toDataURL PNG
+//   raw_subrect   getImageData in SUBRECT_TILE-sized tiles, reassembled
+//   raw_repeat    the last of REPEAT_READS further full reads of the same canvas
+//   bitmap        createImageBitmap(canvas) drawn onto a fresh canvas
+//   jpeg_* webp_* toBlob / toDataURL at LOSSY_QUALITY (compared vs last and blob vs dataURL; never vs RAW)
+//   measure_text  measureText() metrics of MEASURE_TEXT_CASES
+// The last compare can be downloaded as a report (public/report.js: JSON, CSV, JUnit XML, HTML).
 // Requires server endpoints:
-//   GET  /last-session  -> { raw, png_blob, png_durl, meta:{savedAt} } or 404
-//   PUT  /last-session  -> accepts { raw?, png_blob?, png_durl?, meta? } (any subset)
-
-import { TYPE_MAP_10, drawOne } from "./frozen.js";
+//   GET  /last-session  -> { raw, png_blob, png_durl, ...other series, meta:{savedAt} } or 404
+//   POST /transfers     -> chunked upload of the same series (target last-session, see transfer.js),
+//                          stored like PUT /last-session { raw?, png_blob?, png_durl?, ...other series, meta? }
+//   GET  /baseline/rules -> { rules } of the default baseline (optional; applied to every comparison)
+//   PUT  /history/append -> records every compare with a last session as a run (RAW vs last RAW deltas and
+//                           every read-back path's fingerprint; stored policy evaluated server-side;
+//                           see public/history_client.js)
+
+import "./frozen.js";            // registers the built-in probe families
+import "./probes_webgl.js";
+import "./probes_offscreen.js";
+import { renderSuite, lookupImage, bindSuiteSelect, bindMatrixInputs, variantLabel } from "./probes.js";
+import { diffPixels, emptyDiff } from "./diff_engine.js";
+import { resolveRule } from "./rules.js";
+import { bindZoom, vizRow, diffOverlayRGBA, pixelInspector } from "./viz.js";
+import { buildReport, collectComparisons, bindExport, embedPanels } from "./report.js";
+import { evaluatePolicy, policyBanner } from "./policy.js";
+import { fingerprint, hammingDistance } from "./fingerprint.js";
+import { collectEnvironment, bindDeviceLabel, describeClient } from "./environment.js";
+import { gateControls } from "./auth.js";
+import { appendRunToServer } from "./history_client.js";
+import { uploadTransfer, progressBar, dataUrlBytes } from "./transfer.js";
 
 // ---------- DOM ----------
 const $run  = document.getElementById("btn-run");
@@ -11,30 +38,50 @@ const $sum  = document.getElementById("summary");
 const $out  = document.getElementById("output");
 const $root = document.getElementById("canvas-root");
 const $clr  = document.getElementById("btn-clear-last");
+const $progress = document.getElementById("upload-progress");   // <progress>: last-session upload
+const $zoom = document.getElementById("zoom");
+const $device = document.getElementById("device-label");
+const $exportFormat = document.getElementById("export-format");
+const $export = document.getElementById("btn-export");
+const selectedSuite = bindSuiteSelect(document.getElementById("suite"));
+const selectedMatrix = bindMatrixInputs(document.getElementById("sizes"), document.getElementById("dprs"));
 
 // Keep current maps in memory so "Clear Last Session" can replace server files
 let CURRENT_RAW_MAP   = null; // Map<string, Uint8Array>  (raw RGBA from canvases)
 let CURRENT_PNG_PIX   = null; // Map<string, Uint8Array>  (decoded via toBlob)
 let CURRENT_PNG_DURL  = null; // Map<string, string>      (toDataURL)
 let CURRENT_DURL_PIX  = null; // Map<string, Uint8Array>  (decoded from toDataURL)
+let CURRENT_EXTRA     = null; // other read-back series, Maps by series name (see readbackPayload)
+
+// Last compare, kept for the report export: { details, source, images: name -> { width, height, panels } }
+let LAST_COMPARE = null;
+
+const SUBRECT_TILE  = 37;   // odd, so tiles straddle every power-of-two boundary
+const REPEAT_READS  = 3;    // extra full reads of each canvas after the renderer's own
+const LOSSY_QUALITY = 0.8;  // fixed JPEG/WebP quality, so runs stay comparable
+const MEASURE_TEXT_CASES = [
+  { font: "16px serif",           text: "Hamburgefonstiv 0123" },
+  { font: "16px sans-serif",      text: "Hamburgefonstiv 0123" },
+  { font: "italic 13px monospace", text: "{[()]} ~!@#$%^&*" },
+  { font: "20px system-ui",       text: "Ωμέγα Привет 你好 😀" },
+  { font: "bold 11px cursive",    text: "fi fl ffi — …" },
+];
+const MEASURE_TEXT_FIELDS = [
+  "width", "actualBoundingBoxLeft", "actualBoundingBoxRight", "actualBoundingBoxAscent",
+  "actualBoundingBoxDescent", "fontBoundingBoxAscent", "fontBoundingBoxDescent",
+];
 
 // ---------- base64 helpers for RAW/pixel blobs ----------
-function u8ToB64(u8){
-  let s = "", chunk = 0x8000;
-  for (let i=0;i<u8.length;i+=chunk) s += String.fromCharCode.apply(null, u8.subarray(i, i+chunk));
-  return btoa(s);
-}
 function b64ToU8(b64){
   const bin = atob(b64);
   const u8 = new Uint8Array(bin.length);
   for (let i=0;i<bin.length;i++) u8[i] = bin.charCodeAt(i);
   return u8;
 }
-function rawMapToObj(map){ const obj = {}; for (const [k, u8] of map.entries()) obj[k] = u8ToB64(u8); return obj; }
 function objToRawMap(obj){ const map = new Map(); for (const [k, b64] of Object.entries(obj || {})) map.set(k, b64ToU8(b64)); return map; }
 
 // ---------- server I/O (/last-session) ----------
-// Server canonical schema: { raw:{}, png_blob:{}, png_durl:{}, meta:{savedAt} }
+// Server canonical schema: { raw:{}, png_blob:{}, png_durl:{}, ...other series, meta:{savedAt, environment} }
 async function getLastSession(){
   const resp = await fetch("/last-session", { method: "GET" });
   if (resp.status === 404) return null;
@@ -42,31 +89,65 @@ async function getLastSession(){
   const data = await resp.json();
   return {
     when: data?.meta?.savedAt || null,
+    environment: data?.meta?.environment || null,
     rawMap: objToRawMap(data?.raw || {}),
     pngBlobMap: objToRawMap(data?.png_blob || {}),
     pngDURL: new Map(Object.entries(data?.png_durl || {})),
+    subrectMap: objToRawMap(data?.raw_subrect || {}),
+    bitmapMap: objToRawMap(data?.bitmap || {}),
+    jpegBlobMap: objToRawMap(data?.jpeg_blob || {}),
+    webpBlobMap: objToRawMap(data?.webp_blob || {}),
+    measureText: data?.measure_text || null,
   };
 }
-async function putLastSession(rawMap, pngBlobPixMap, pngDURLMap){
-  const payload = {
-    raw: rawMapToObj(rawMap),
-    png_blob: rawMapToObj(pngBlobPixMap),
-    png_durl: Object.fromEntries(pngDURLMap.entries()),
-    meta: { savedAt: new Date().toISOString() },
+// extra: other read-back series (readbackPayload); omitted series stay empty.
+// Uploaded image by image as binary chunks (transfer.js): the stored session is replaced only once all arrived.
+async function putLastSession(rawMap, pngBlobPixMap, pngDURLMap, extra = {}){
+  const items = [];
+  const add = (series, map) => {
+    for (const [name, v] of map.entries())
+      items.push(typeof v === "string" ? { series, name, ...dataUrlBytes(v) } : { series, name, bytes: v });
   };
-  const resp = await fetch("/last-session", {
-    method: "PUT",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-  if (!resp.ok) throw new Error("PUT /last-session failed");
-  return payload.meta.savedAt;
+  add("raw", rawMap);
+  add("png_blob", pngBlobPixMap);
+  add("png_durl", pngDURLMap);
+  for (const [series, map] of Object.entries(extra)) if (map instanceof Map) add(series, map);
+  const meta = { savedAt: new Date().toISOString(), environment: collectEnvironment() };
+  const manifest = { target: "last-session", ...(extra.measure_text ? { measure_text: extra.measure_text } : {}), meta };
+  await uploadTransfer(manifest, items, { onProgress: progressBar($progress) });
+  return meta.savedAt;
+}
+// Comparison rules of the default baseline ({} when there is none)
+async function getRules(){
+  try{
+    const resp = await fetch("/baseline/rules", { method: "GET" });
+    if (!resp.ok) return {};
+    return (await resp.json()).rules || {};
+  } catch { return {}; }
+}
+// Stored pass/fail policy evaluated on this compare; null when there is none (or the server is unreachable)
+async function getPolicyResult(details){
+  try{
+    const resp = await fetch("/policy", { method: "GET" });
+    if (!resp.ok) return null;
+    const { policy } = await resp.json();
+    if (Array.isArray(policy?.rules) && !policy.rules.length) return null;
+    return evaluatePolicy(policy, collectComparisons(details));
+  } catch { return null; }
 }
 // Initialize once if missing (so you won’t see "(no prev)" after restart)
-async function maybeInitLastSession(rawMap, pngBlobPixMap, pngDURLMap, last){
+// (viewers may not write it: then this run is only compared in memory, "no prev")
+async function maybeInitLastSession(rawMap, pngBlobPixMap, pngDURLMap, extra, last){
   if (last) return last;
-  const when = await putLastSession(rawMap, pngBlobPixMap, pngDURLMap);
-  return { when, rawMap, pngBlobMap: pngBlobPixMap, pngDURL: pngDURLMap };
+  let when = null;
+  try { when = await putLastSession(rawMap, pngBlobPixMap, pngDURLMap, extra); }
+  catch (e) { console.warn("[last-session] not saved:", e); }
+  return {
+    when, environment: collectEnvironment(), rawMap, pngBlobMap: pngBlobPixMap, pngDURL: pngDURLMap,
+    subrectMap: extra.raw_subrect, bitmapMap: extra.bitmap,
+    jpegBlobMap: extra.jpeg_blob, webpBlobMap: extra.webp_blob,
+    measureText: extra.measure_text || null,
+  };
 }
 
 // ---------- pixel helpers ----------
@@ -84,12 +165,12 @@ function nowStr(){ return new Date().toLocaleString(); }
 function makeCanvas(w, h){ const cv = document.createElement("canvas"); cv.width = w; cv.height = h; return cv; }
 function clearRoot(){ $root.innerHTML = ""; }
 
-// Decode a PNG dataURL to pixels (draw to canvas then read)
+// Decode an image dataURL (PNG/JPEG/WebP) to pixels (draw to canvas then read)
 async function dataURLToPixels(durl, w, h){
   const img = await new Promise((resolve, reject) => {
     const im = new Image();
     im.onload = () => resolve(im);
-    im.onerror = () => reject(new Error("PNG dataURL decode failed"));
+    im.onerror = () => reject(new Error("dataURL decode failed"));
     im.src = durl;
   });
   const cv = makeCanvas(w, h);
@@ -102,14 +183,19 @@ async function dataURLToPixels(durl, w, h){
 }
 
 // Canvas → PNG pixels via toBlob round-trip
-async function roundTripPNGAndGetPixels(srcCanvas){
-  const blob = await new Promise(res => srcCanvas.toBlob(res, "image/png"));
+const roundTripPNGAndGetPixels = (srcCanvas) => roundTripBlob(srcCanvas, "image/png");
+
+// Canvas → encoded blob → decoded pixels; null when the browser cannot encode `mime`
+// (toBlob then silently falls back to PNG)
+async function roundTripBlob(srcCanvas, mime, quality){
+  const blob = await new Promise(res => srcCanvas.toBlob(res, mime, quality));
+  if (!blob || blob.type !== mime) return null;
   const url = URL.createObjectURL(blob);
   try{
     const img = await new Promise((resolve, reject)=>{
       const im = new Image();
       im.onload = ()=> resolve(im);
-      im.onerror = ()=> reject(new Error("PNG decode failed"));
+      im.onerror = ()=> reject(new Error(`${mime} decode failed`));
       im.src = url;
     });
     const cv = makeCanvas(srcCanvas.width, srcCanvas.height);
@@ -121,71 +207,123 @@ async function roundTripPNGAndGetPixels(srcCanvas){
   } finally { URL.revokeObjectURL(url); }
 }
 
-// RAW-pixel diff (includes full metrics + Alpha-channel any-change count)
-function diffAll(prevU8, currU8){
-  const len = Math.min(prevU8.length, currU8.length);
-  const totalPixels = len >> 2;
-  const diffs = [];
-  const hist = new Uint32Array(256);
-  let changed = 0, maxDeviation = 0, maxDeviationExcl255_254 = 0;
-  let alphaChanges = 0;
-  let hasAlphaChange = false;
-
-  for (let i=0;i<len;i+=4){
-    const r0=prevU8[i], g0=prevU8[i+1], b0=prevU8[i+2], a0=prevU8[i+3];
-    const r1=currU8[i], g1=currU8[i+1], b1=currU8[i+2], a1=currU8[i+3];
-
-    // channel-wise diffs (RGB deltas still used for magnitude / histogram)
-    const dr=Math.abs(r1-r0), dg=Math.abs(g1-g0), db=Math.abs(b1-b0), da=Math.abs(a1-a0);
-
-    // **A-channel any-change**: count whenever the alpha byte differs at all
-    if (a0 !== a1){ alphaChanges++; hasAlphaChange = true; }
-
-    const localMax = Math.max(dr,dg,db,da);
-    hist[localMax]++;
-    if (localMax>maxDeviation) maxDeviation=localMax;
-    if (localMax!==255 && localMax!==254 && localMax>maxDeviationExcl255_254) maxDeviationExcl255_254 = localMax;
-
-    if (dr||dg||db||da){
-      changed++;
-      diffs.push({ pixel:i>>2, prev:[r0,g0,b0,a0], curr:[r1,g1,b1,a1], dev:[dr,dg,db,da] });
+// getImageData in SUBRECT_TILE×SUBRECT_TILE tiles (edge tiles smaller), reassembled into one buffer
+function readSubRects(cv){
+  const ctx = cv.getContext("2d");
+  const W = cv.width, H = cv.height, out = new Uint8Array(W * H * 4);
+  for (let y = 0; y < H; y += SUBRECT_TILE){
+    for (let x = 0; x < W; x += SUBRECT_TILE){
+      const w = Math.min(SUBRECT_TILE, W - x), h = Math.min(SUBRECT_TILE, H - y);
+      const tile = ctx.getImageData(x, y, w, h).data;
+      for (let r = 0; r < h; r++) out.set(tile.subarray(r * w * 4, (r + 1) * w * 4), ((y + r) * W + x) * 4);
     }
   }
+  return out;
+}
 
-  const deviationDistribution = [];
-  const sumChanged = hist.reduce((a,b,i)=> i>0 ? a+b : a, 0);
-  if (sumChanged>0){
-    for (let d=1; d<256; d++){
-      if (!hist[d]) continue;
-      deviationDistribution.push({ dev:d, pct:+((hist[d]/sumChanged)*100).toFixed(2) });
-    }
+// createImageBitmap(canvas) drawn onto a fresh opaque canvas, then read back
+async function bitmapRoundTrip(cv){
+  const bmp = await createImageBitmap(cv);
+  try{
+    const out = makeCanvas(cv.width, cv.height);
+    const ctx = out.getContext("2d", { willReadFrequently:true, alpha:true });
+    ctx.fillStyle = "#ffffff"; ctx.fillRect(0, 0, out.width, out.height);
+    ctx.drawImage(bmp, 0, 0);
+    return getPixelsFrom(out);
+  } finally { bmp.close(); }
+}
+
+// JPEG/WebP at LOSSY_QUALITY: { blobPix, durl, durlPix } — fields null where the browser cannot encode
+async function lossyRoundTrip(cv, mime){
+  const blobPix = await roundTripBlob(cv, mime, LOSSY_QUALITY);
+  const durl = cv.toDataURL(mime, LOSSY_QUALITY);
+  if (!durl.startsWith(`data:${mime}`)) return { blobPix, durl: null, durlPix: null };
+  return { blobPix, durl, durlPix: await dataURLToPixels(durl, cv.width, cv.height) };
+}
+
+// measureText() metrics: { "<font>|<text>": [MEASURE_TEXT_FIELDS values, null where unsupported] }
+function measureTextMetrics(){
+  const ctx = makeCanvas(1, 1).getContext("2d");
+  const out = {};
+  for (const { font, text } of MEASURE_TEXT_CASES){
+    ctx.font = font;
+    const m = ctx.measureText(text);
+    out[`${font}|${text}`] = MEASURE_TEXT_FIELDS.map((f) => (typeof m[f] === "number" ? m[f] : null));
   }
+  return out;
+}
 
+// Current read-back paths -> last-session series (Maps of name -> pixels / dataURL; encodes the browser lacks are left out)
+function readbackPayload({ subMap, repeatReads, bitmapPix, lossy, metricsNow }){
+  const series = (map, pick) => {
+    const out = new Map();
+    for (const [name, v] of map.entries()){ const val = pick(v); if (val) out.set(name, val); }
+    return out;
+  };
   return {
-    totalPixels,
-    changedPixels: changed,
-    pctChanged: totalPixels ? changed/totalPixels : 0,
-    maxDeviation,
-    maxDeviationExcl255_254,
-    deviationHistogram: Array.from(hist),
-    deviationDistribution,
-    diffs,
-    alphaChanges,
-    hasAlphaChange,
+    raw_subrect: subMap,
+    raw_repeat: series(repeatReads, (reads) => reads[reads.length - 1]),
+    bitmap: bitmapPix,
+    jpeg_blob: series(lossy.jpeg, (r) => r.blobPix),
+    jpeg_durl: series(lossy.jpeg, (r) => r.durl),
+    webp_blob: series(lossy.webp, (r) => r.blobPix),
+    webp_durl: series(lossy.webp, (r) => r.durl),
+    measure_text: metricsNow,
   };
 }
 
+// -> { fields, changedFields, maxAbsDelta, changes: [{ label, field, prev, curr }] }
+function diffMetrics(prev, curr){
+  const res = { fields: 0, changedFields: 0, maxAbsDelta: 0, changes: [] };
+  for (const [label, values] of Object.entries(curr)){
+    const before = prev?.[label];
+    if (!Array.isArray(before)) continue;
+    values.forEach((v, i) => {
+      res.fields++;
+      if (v === before[i]) return;
+      res.changedFields++;
+      if (v != null && before[i] != null) res.maxAbsDelta = Math.max(res.maxAbsDelta, Math.abs(v - before[i]));
+      res.changes.push({ label, field: MEASURE_TEXT_FIELDS[i], prev: before[i], curr: v });
+    });
+  }
+  return res;
+}
+
+// RAW-pixel diff: full metrics + every changed pixel in .diffs (logged to console per comparison);
+// with a rule, .filtered carries the rule-filtered counts next to the raw ones
+const diffAll = (prevU8, currU8, rule = null, width = 0) =>
+  diffPixels(prevU8, currU8, { diffs: true, sampleCap: 0, rule, width });
+const ruled = (s) => s.filtered
+  ? { filtered: { ...s.filtered, pctChanged: (s.filtered.pctChanged*100).toFixed(2) + "%" } }
+  : {};
+
 // ---------- UI ----------
 function show(summary, details){
   if ($sum) $sum.innerHTML = summary;
   if ($out) $out.textContent = JSON.stringify(details, null, 2);
+  // machine-readable copy for the headless runner (bin/testpixel.js)
+  window.__pp_last_report__ = { seq: (window.__pp_last_report__?.seq || 0) + 1, at: new Date().toISOString(), details };
 }
 const line = (s) =>
   `diff: <b>${s.changedPixels}</b> / ${s.totalPixels} (${(s.pctChanged*100).toFixed(2)}%) · ` +
   `Max <b>${s.maxDeviation}</b> · Max excl 255 & 254 <b>${s.maxDeviationExcl255_254}</b> · ` +
-  `A≠ <b>${s.alphaChanges || 0}</b>`;
-
-function addItemCard(name, rawCanvas, stats, lastWhen){
+  `A≠ <b>${s.alphaChanges || 0}</b>` +
+  (s.filtered
+    ? ` · after rules <b>${s.filtered.changedPixels}</b> (${(s.filtered.pctChanged*100).toFixed(2)}%), ignored ${s.filtered.ignoredPixels}`
+    : "");
+// per-image details entry of one comparison
+const detail = (s, extra = {}) => ({
+  totalPixels: s.totalPixels, changedPixels: s.changedPixels,
+  pctChanged: (s.pctChanged*100).toFixed(2) + "%",
+  maxDeviation: s.maxDeviation, maxDeviationExcl255_254: s.maxDeviationExcl255_254,
+  alphaChanges: s.alphaChanges,
+  ...ruled(s),
+  ...extra,
+});
+
+// px: { w, h, rawNow, rawPrev?, pngNow } — pixel buffers for the image panels
+// more: [{ label, s }] — the other read-back paths; s null = not available (no last session / unsupported encode)
+function addItemCard(name, px, stats, lastWhen, more = []){
   const {
     sRawPng,        // existing: RAW vs PNG(toBlob decoded)
     sRawLast,       // existing: RAW vs last RAW
@@ -198,12 +336,18 @@ function addItemCard(name, rawCanvas, stats, lastWhen){
   const card = document.createElement("div"); card.className = "item";
   const title = document.createElement("div"); title.innerHTML = `<b>${name}</b>`; card.appendChild(title);
 
-  const canvRow = document.createElement("div"); canvRow.className = "row2";
-  const col1 = document.createElement("div");
-  const lb1 = document.createElement("div"); lb1.className = "label"; lb1.textContent = "RAW (canvas)";
-  col1.appendChild(rawCanvas); col1.appendChild(lb1);
-  canvRow.appendChild(col1);
-  card.appendChild(canvRow);
+  // last RAW | RAW now | Δ vs last RAW | Δ RAW vs PNG(toBlob); hover shows last vs current
+  card.appendChild(vizRow({
+    width: px.w,
+    height: px.h,
+    panels: [
+      { label: "Last RAW", rgba: px.rawPrev },
+      { label: "RAW (canvas)", rgba: px.rawNow },
+      { label: "Δ RAW vs Last RAW", rgba: px.rawPrev && diffOverlayRGBA(px.rawPrev, px.rawNow) },
+      { label: "Δ RAW vs PNG(toBlob)", rgba: diffOverlayRGBA(px.rawNow, px.pngNow) },
+    ],
+    inspect: pixelInspector({ prev: px.rawPrev || px.pngNow, curr: px.rawNow, prevLabel: px.rawPrev ? "last RAW" : "PNG(toBlob)", currLabel: "RAW" }),
+  }));
 
   // existing lines (now include A≠ via line())
   const st1 = document.createElement("div"); st1.className = "stat";
@@ -236,6 +380,12 @@ function addItemCard(name, rawCanvas, stats, lastWhen){
     : `PNG toDataURL (decoded) vs Last PNG toDataURL (decoded) — no last session available`;
   card.appendChild(st6);
 
+  for (const { label, s } of more){
+    const st = document.createElement("div"); st.className = "stat";
+    st.innerHTML = `${label} — ${s ? line(s) : "not available"}`;
+    card.appendChild(st);
+  }
+
   $root.appendChild(card);
 }
 
@@ -247,16 +397,18 @@ async function runCompare(){
 
     // Load last session (server file)
     let last = await getLastSession().catch(() => null); // { when, rawMap, pngBlobMap, pngDURL } | null
+    const rules = await getRules();
 
-    // 1) Render current RAW via frozen.js
+    // 1) Render current RAW for the selected probe suite × size/DPR matrix (probes.js)
     const rawMap = new Map();
-    const viewMap = new Map(); // name -> raw canvas
-    for (let k=0;k<TYPE_MAP_10.length;k++){
-      const type = TYPE_MAP_10[k];
-      const name = `S1_${type}_${k+1}`;
-      const ctx = drawOne(type, name);
-      rawMap.set(name, getPixelsFrom(ctx));
-      viewMap.set(name, ctx.canvas);
+    const viewMap = new Map();  // name -> raw canvas
+    const probeMap = new Map(); // name -> { probe, variant }
+    const notRendered = {};     // name -> why the probe could not run here (no WebGL, …)
+    for (const { probe, variant, name, canvas, pixels, error } of await renderSuite(selectedSuite(), 1, selectedMatrix())){
+      if (error){ notRendered[name] = error; continue; }
+      rawMap.set(name, pixels);
+      viewMap.set(name, canvas);
+      probeMap.set(name, { probe, variant });
     }
 
     // 2) Current PNG decoded pixels via toBlob (existing)
@@ -278,81 +430,163 @@ async function runCompare(){
       durlPixMap.set(name, durlPix);
     }
 
+    // 3b) Other read-back paths of the same canvases
+    const subMap = new Map();       // name -> sub-rect reads, reassembled
+    const repeatReads = new Map();  // name -> [Uint8Array × REPEAT_READS]
+    const bitmapPix = new Map();    // name -> createImageBitmap round trip
+    const lossy = { jpeg: new Map(), webp: new Map() };  // name -> { blobPix, durl, durlPix }
+    for (const [name] of rawMap.entries()){
+      const cv = viewMap.get(name);
+      subMap.set(name, readSubRects(cv));
+      repeatReads.set(name, Array.from({ length: REPEAT_READS }, () => getPixelsFrom(cv)));
+      bitmapPix.set(name, await bitmapRoundTrip(cv));
+      lossy.jpeg.set(name, await lossyRoundTrip(cv, "image/jpeg"));
+      lossy.webp.set(name, await lossyRoundTrip(cv, "image/webp"));
+    }
+    const metricsNow = measureTextMetrics();
+    const extra = readbackPayload({ subMap, repeatReads, bitmapPix, lossy, metricsNow });
+
     // 4) Initialize last session on first run if missing
-    last = await maybeInitLastSession(rawMap, pngPixMap, pngDURLMap, last);
+    last = await maybeInitLastSession(rawMap, pngPixMap, pngDURLMap, extra, last);
 
     // 5) Per-image comparisons
     const perImage = {};
+    const deltaByImage = {};    // name -> { changedMap } of RAW vs last RAW, recorded as this run
+    const hashes = {};          // name -> { [read-back path]: { sha256, phash } }, stored with the run
     const agg = {
-      rawPng:  { total:0, changed:0, max:0, maxEx:0, alpha:0 },  // existing: RAW vs PNG(toBlob)
-      rawLast: { total:0, changed:0, max:0, maxEx:0, alpha:0 },  // existing: RAW vs last RAW
-      pngLast: { total:0, changed:0, max:0, maxEx:0, alpha:0 },  // existing: PNG(toBlob) vs last PNG(toBlob)
-      rawDurl: { total:0, changed:0, max:0, maxEx:0, alpha:0 },  // NEW: RAW vs toDataURL(decoded)
-      pngDurl: { total:0, changed:0, max:0, maxEx:0, alpha:0 },  // NEW: PNG(toBlob) vs toDataURL(decoded)
-      durlLast:{ total:0, changed:0, max:0, maxEx:0, alpha:0 },  // NEW: toDataURL(decoded) vs last toDataURL(decoded)
+      rawPng:  { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // existing: RAW vs PNG(toBlob)
+      rawLast: { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // existing: RAW vs last RAW
+      pngLast: { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // existing: PNG(toBlob) vs last PNG(toBlob)
+      rawDurl: { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // NEW: RAW vs toDataURL(decoded)
+      pngDurl: { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // NEW: PNG(toBlob) vs toDataURL(decoded)
+      durlLast:{ total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // NEW: toDataURL(decoded) vs last toDataURL(decoded)
+      subRect:     { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // RAW vs sub-rect reads
+      subRectLast: { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // sub-rect reads vs last
+      repeat:      { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // RAW vs every repeated read
+      bitmap:      { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // RAW vs createImageBitmap
+      bitmapLast:  { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // createImageBitmap vs last
+      jpegLast:    { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // JPEG(toBlob) vs last
+      jpegDurl:    { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // JPEG toBlob vs toDataURL
+      webpLast:    { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // WebP(toBlob) vs last
+      webpDurl:    { total:0, changed:0, max:0, maxEx:0, alpha:0, fchanged:0 },  // WebP toBlob vs toDataURL
     };
+    const fpAgg = { images: 0, losslessAgree: 0, paths: 0, withLast: 0, sameAsLast: 0 };   // fingerprint hashes
+    const unsupported = new Set();  // read-back paths this browser cannot produce
     const addAgg = (bucket, s) => {
       bucket.total  += s.totalPixels;
       bucket.changed+= s.changedPixels;
       bucket.max     = Math.max(bucket.max, s.maxDeviation);
       bucket.maxEx   = Math.max(bucket.maxEx, s.maxDeviationExcl255_254);
       bucket.alpha  += (s.alphaChanges || 0);
+      bucket.fchanged += s.filtered ? s.filtered.changedPixels : s.changedPixels;
     };
 
     for (const [name, rawNow] of rawMap.entries()){
       const cv         = viewMap.get(name);
       const pngNow     = pngPixMap.get(name);   // decoded via toBlob
       const durlPixNow = durlPixMap.get(name);  // decoded from toDataURL
+      const { probe, variant } = probeMap.get(name);
+      const rule       = resolveRule(rules, name);
+      // last-session images of this variant (the default variant also under pre-registry names)
+      const rawPrev     = last?.rawMap     ? lookupImage(last.rawMap, 1, probe, variant)     : undefined;
+      const pngPrev     = last?.pngBlobMap ? lookupImage(last.pngBlobMap, 1, probe, variant) : undefined;
+      const durlPrev    = last?.pngDURL    ? lookupImage(last.pngDURL, 1, probe, variant)    : undefined;
+      const diff       = (prev, curr) => diffAll(prev, curr, rule, cv.width);
 
       // A) RAW current vs PNG(toBlob decoded) — existing
-      const sRawPng = diffAll(rawNow, pngNow);
+      const sRawPng = diff(rawNow, pngNow);
       console.groupCollapsed(`${name} — RAW vs PNG(toBlob decoded) — diffs: ${sRawPng.changedPixels}`); console.log(sRawPng.diffs); console.groupEnd();
 
       // B) RAW current vs RAW last — existing
-      let sRawLast = {
-        totalPixels: rawNow.length>>2, changedPixels:0, pctChanged:0,
-        maxDeviation:0, maxDeviationExcl255_254:0, deviationHistogram:Array(256).fill(0),
-        deviationDistribution:[], diffs:[], alphaChanges:0
-      };
-      if (last?.rawMap?.has(name)){
-        const rawPrev = last.rawMap.get(name);
-        sRawLast = diffAll(rawPrev, rawNow);
+      let sRawLast = emptyDiff(rawNow.length>>2);
+      if (rawPrev){
+        sRawLast = diff(rawPrev, rawNow);
+        deltaByImage[name] = { changedMap: diffPixels(rawPrev, rawNow, { deltas: "signed", sampleCap: 0 }).changedMap };
         console.groupCollapsed(`${name} — RAW vs Last RAW — diffs: ${sRawLast.changedPixels}`); console.log(sRawLast.diffs); console.groupEnd();
       } else { console.log(`${name} — RAW vs Last RAW — no previous RAW`); }
 
       // C) PNG(toBlob decoded) current vs PNG(toBlob decoded) last — existing
-      let sPngLast = {
-        totalPixels: pngNow.length>>2, changedPixels:0, pctChanged:0,
-        maxDeviation:0, maxDeviationExcl255_254:0, deviationHistogram:Array(256).fill(0),
-        deviationDistribution:[], diffs:[], alphaChanges:0
-      };
-      if (last?.pngBlobMap?.has(name)){
-        const pngPrev = last.pngBlobMap.get(name);
-        sPngLast = diffAll(pngPrev, pngNow);
+      let sPngLast = emptyDiff(pngNow.length>>2);
+      if (pngPrev){
+        sPngLast = diff(pngPrev, pngNow);
         console.groupCollapsed(`${name} — PNG(toBlob decoded) vs Last — diffs: ${sPngLast.changedPixels}`); console.log(sPngLast.diffs); console.groupEnd();
       } else { console.log(`${name} — PNG(toBlob decoded) vs Last — no previous PNG(toBlob)`); }
 
       // D) NEW: RAW vs PNG(toDataURL decoded) — current
-      const sRawVsDurl = diffAll(rawNow, durlPixNow);
+      const sRawVsDurl = diff(rawNow, durlPixNow);
       console.groupCollapsed(`${name} — RAW vs PNG(toDataURL decoded) — diffs: ${sRawVsDurl.changedPixels}`); console.log(sRawVsDurl.diffs); console.groupEnd();
 
       // E) NEW: PNG(toBlob decoded) vs PNG(toDataURL decoded) — current
-      const sPngVsDurl = diffAll(pngNow, durlPixNow);
+      const sPngVsDurl = diff(pngNow, durlPixNow);
       console.groupCollapsed(`${name} — PNG(toBlob decoded) vs PNG(toDataURL decoded) — diffs: ${sPngVsDurl.changedPixels}`); console.log(sPngVsDurl.diffs); console.groupEnd();
 
       // F) NEW: PNG(toDataURL decoded) current vs last PNG(toDataURL decoded)
-      let sDurlLast = {
-        totalPixels: durlPixNow.length>>2, changedPixels:0, pctChanged:0,
-        maxDeviation:0, maxDeviationExcl255_254:0, deviationHistogram:Array(256).fill(0),
-        deviationDistribution:[], diffs:[], alphaChanges:0
-      };
-      if (last?.pngDURL?.has(name)){
-        const durlPrev = last.pngDURL.get(name);
+      let sDurlLast = emptyDiff(durlPixNow.length>>2);
+      if (durlPrev){
         const durlPixPrev = await dataURLToPixels(durlPrev, cv.width, cv.height);
-        sDurlLast = diffAll(durlPixPrev, durlPixNow);
+        sDurlLast = diff(durlPixPrev, durlPixNow);
         console.groupCollapsed(`${name} — PNG(toDataURL decoded) vs Last — diffs: ${sDurlLast.changedPixels}`); console.log(sDurlLast.diffs); console.groupEnd();
       } else { console.log(`${name} — PNG(toDataURL decoded) vs Last — no previous toDataURL`); }
 
+      // G) RAW vs sub-rect reads, and sub-rect reads vs last
+      const subNow = subMap.get(name);
+      const sSubRect = diff(rawNow, subNow);
+      const subPrev = last?.subrectMap ? lookupImage(last.subrectMap, 1, probe, variant) : undefined;
+      const sSubLast = subPrev ? diff(subPrev, subNow) : null;
+
+      // H) RAW vs each repeated read of the same canvas (per-call noise within one run)
+      const sRepeats = repeatReads.get(name).map((pix) => diff(rawNow, pix));
+      const sRepeat = sRepeats.reduce((a, b) => (b.changedPixels > a.changedPixels ? b : a));
+
+      // I) RAW vs createImageBitmap round trip, and vs last
+      const bmpNow = bitmapPix.get(name);
+      const sBitmap = diff(rawNow, bmpNow);
+      const bmpPrev = last?.bitmapMap ? lookupImage(last.bitmapMap, 1, probe, variant) : undefined;
+      const sBitmapLast = bmpPrev ? diff(bmpPrev, bmpNow) : null;
+
+      // J) JPEG / WebP at LOSSY_QUALITY: blob vs last blob, blob vs dataURL
+      const lossyStats = {};
+      for (const [kind, prevMap] of [["jpeg", last?.jpegBlobMap], ["webp", last?.webpBlobMap]]){
+        const { blobPix, durlPix } = lossy[kind].get(name);
+        if (!blobPix) unsupported.add(`${kind} toBlob`);
+        if (!durlPix) unsupported.add(`${kind} toDataURL`);
+        const prev = blobPix && prevMap ? lookupImage(prevMap, 1, probe, variant) : undefined;
+        lossyStats[kind] = {
+          last: prev ? diff(prev, blobPix) : null,
+          durl: blobPix && durlPix ? diff(blobPix, durlPix) : null,
+        };
+      }
+      // K) Fingerprint of every read-back path, and whether it reproduces the last session's hash
+      const fingerprints = {};
+      const lastOf = { raw: rawPrev, png_toBlob: pngPrev, raw_subrect: subPrev, bitmap: bmpPrev };
+      for (const [kind, prevMap] of [["jpeg", last?.jpegBlobMap], ["webp", last?.webpBlobMap]])
+        lastOf[`${kind}_toBlob`] = prevMap ? lookupImage(prevMap, 1, probe, variant) : undefined;
+      const paths = {
+        raw: rawNow, png_toBlob: pngNow, png_toDataURL: durlPixNow, raw_subrect: subNow, bitmap: bmpNow,
+        ...Object.fromEntries(repeatReads.get(name).map((pix, i) => [`raw_repeat_${i + 1}`, pix])),
+        ...Object.fromEntries(["jpeg", "webp"].flatMap((kind) => [
+          [`${kind}_toBlob`, lossy[kind].get(name).blobPix], [`${kind}_toDataURL`, lossy[kind].get(name).durlPix],
+        ])),
+      };
+      for (const [p, pix] of Object.entries(paths)){
+        if (!pix) continue;
+        const fp = await fingerprint(pix, cv.width, cv.height);
+        const prev = lastOf[p] ? await fingerprint(lastOf[p], cv.width, cv.height) : null;
+        fingerprints[p] = prev
+          ? { ...fp, sameAsLast: fp.sha256 === prev.sha256, phashDistanceToLast: hammingDistance(fp.phash, prev.phash) }
+          : fp;
+        fpAgg.paths++;
+        if (prev){ fpAgg.withLast++; if (fp.sha256 === prev.sha256) fpAgg.sameAsLast++; }
+      }
+      // lossless read-backs of one canvas should all hash alike; JPEG / WebP legitimately differ
+      const lossless = Object.entries(fingerprints).filter(([p]) => !/^(jpeg|webp)_/.test(p)).map(([, f]) => f.sha256);
+      if (new Set(lossless).size === 1) fpAgg.losslessAgree++;
+      fpAgg.images++;
+      hashes[name] = Object.fromEntries(Object.entries(fingerprints).map(([p, f]) => [p, { sha256: f.sha256, phash: f.phash }]));
+
+      for (const [label, s] of [["sub-rect", sSubRect], ["repeat", sRepeat], ["bitmap", sBitmap]])
+        if (s.changedPixels){ console.groupCollapsed(`${name} — RAW vs ${label} — diffs: ${s.changedPixels}`); console.log(s.diffs); console.groupEnd(); }
+
       // Aggregate buckets
       addAgg(agg.rawPng,  sRawPng);
       addAgg(agg.rawLast, sRawLast);
@@ -360,20 +594,33 @@ async function runCompare(){
       addAgg(agg.rawDurl, sRawVsDurl);
       addAgg(agg.pngDurl, sPngVsDurl);
       addAgg(agg.durlLast, sDurlLast);
-
-      // Per-image details
-      perImage[name] = {
+      addAgg(agg.subRect, sSubRect);
+      if (sSubLast) addAgg(agg.subRectLast, sSubLast);
+      for (const s of sRepeats) addAgg(agg.repeat, s);
+      addAgg(agg.bitmap, sBitmap);
+      if (sBitmapLast) addAgg(agg.bitmapLast, sBitmapLast);
+      for (const kind of ["jpeg", "webp"]){
+        if (lossyStats[kind].last) addAgg(agg[`${kind}Last`], lossyStats[kind].last);
+        if (lossyStats[kind].durl) addAgg(agg[`${kind}Durl`], lossyStats[kind].durl);
+      }
+
+      // Per-image details, grouped by probe then variant
+      (perImage[probe.id] ||= {})[variantLabel(variant)] = {
+        image: name,
+        fingerprints,
         "raw_vs_png_toBlob_decoded": {
           totalPixels: sRawPng.totalPixels, changedPixels: sRawPng.changedPixels,
           pctChanged: (sRawPng.pctChanged*100).toFixed(2) + "%",
           maxDeviation: sRawPng.maxDeviation, maxDeviationExcl255_254: sRawPng.maxDeviationExcl255_254,
           alphaChanges: sRawPng.alphaChanges,
+          ...ruled(sRawPng),
         },
         "raw_vs_last_raw": {
           totalPixels: sRawLast.totalPixels, changedPixels: sRawLast.changedPixels,
           pctChanged: (sRawLast.pctChanged*100).toFixed(2) + "%",
           maxDeviation: sRawLast.maxDeviation, maxDeviationExcl255_254: sRawLast.maxDeviationExcl255_254,
           alphaChanges: sRawLast.alphaChanges,
+          ...ruled(sRawLast),
           comparedAgainst: last?.when || null,
         },
         "png_toBlob_decoded_vs_last_toBlob_decoded": {
@@ -381,6 +628,7 @@ async function runCompare(){
           pctChanged: (sPngLast.pctChanged*100).toFixed(2) + "%",
           maxDeviation: sPngLast.maxDeviation, maxDeviationExcl255_254: sPngLast.maxDeviationExcl255_254,
           alphaChanges: sPngLast.alphaChanges,
+          ...ruled(sPngLast),
           comparedAgainst: last?.when || null,
         },
         "raw_vs_png_toDataURL_decoded": {
@@ -388,41 +636,112 @@ async function runCompare(){
           pctChanged: (sRawVsDurl.pctChanged*100).toFixed(2) + "%",
           maxDeviation: sRawVsDurl.maxDeviation, maxDeviationExcl255_254: sRawVsDurl.maxDeviationExcl255_254,
           alphaChanges: sRawVsDurl.alphaChanges,
+          ...ruled(sRawVsDurl),
         },
         "png_toBlob_decoded_vs_png_toDataURL_decoded": {
           totalPixels: sPngVsDurl.totalPixels, changedPixels: sPngVsDurl.changedPixels,
           pctChanged: (sPngVsDurl.pctChanged*100).toFixed(2) + "%",
           maxDeviation: sPngVsDurl.maxDeviation, maxDeviationExcl255_254: sPngVsDurl.maxDeviationExcl255_254,
           alphaChanges: sPngVsDurl.alphaChanges,
+          ...ruled(sPngVsDurl),
         },
         "png_toDataURL_decoded_vs_last_png_toDataURL_decoded": {
           totalPixels: sDurlLast.totalPixels, changedPixels: sDurlLast.changedPixels,
           pctChanged: (sDurlLast.pctChanged*100).toFixed(2) + "%",
           maxDeviation: sDurlLast.maxDeviation, maxDeviationExcl255_254: sDurlLast.maxDeviationExcl255_254,
           alphaChanges: sDurlLast.alphaChanges,
+          ...ruled(sDurlLast),
           comparedAgainst: last?.when || null,
         },
+        "raw_vs_subrect_reads": { ...detail(sSubRect), tile: SUBRECT_TILE },
+        "subrect_reads_vs_last_subrect_reads": sSubLast ? detail(sSubLast, { comparedAgainst: last?.when || null }) : null,
+        "raw_vs_repeated_reads": {
+          ...detail(sRepeat), reads: REPEAT_READS, readsDiffering: sRepeats.filter((s) => s.changedPixels).length,
+        },
+        "raw_vs_imagebitmap": detail(sBitmap),
+        "imagebitmap_vs_last_imagebitmap": sBitmapLast ? detail(sBitmapLast, { comparedAgainst: last?.when || null }) : null,
+        ...Object.fromEntries(["jpeg", "webp"].flatMap((kind) => [
+          [`${kind}_toBlob_decoded_vs_last`, lossyStats[kind].last
+            ? detail(lossyStats[kind].last, { quality: LOSSY_QUALITY, comparedAgainst: last?.when || null }) : null],
+          [`${kind}_toBlob_decoded_vs_${kind}_toDataURL_decoded`, lossyStats[kind].durl
+            ? detail(lossyStats[kind].durl, { quality: LOSSY_QUALITY }) : null],
+        ])),
       };
 
       // Card
       addItemCard(
-        name,
-        viewMap.get(name).cloneNode(true),
+        `${probe.id} · ${variantLabel(variant)}`,
+        { w: cv.width, h: cv.height, rawNow, rawPrev: rawPrev || null, pngNow },
         { sRawPng, sRawLast, sPngLast, sRawVsDurl, sPngVsDurl, sDurlLast },
-        last?.when || null
+        last?.when || null,
+        [
+          { label: "RAW vs sub-rect getImageData", s: sSubRect },
+          { label: "Sub-rect vs Last sub-rect", s: sSubLast },
+          { label: `RAW vs ${REPEAT_READS} repeated reads (worst)`, s: sRepeat },
+          { label: "RAW vs createImageBitmap", s: sBitmap },
+          { label: "createImageBitmap vs Last", s: sBitmapLast },
+          { label: `JPEG q${LOSSY_QUALITY} (toBlob) vs Last`, s: lossyStats.jpeg.last },
+          { label: `JPEG q${LOSSY_QUALITY} toBlob vs toDataURL`, s: lossyStats.jpeg.durl },
+          { label: `WebP q${LOSSY_QUALITY} (toBlob) vs Last`, s: lossyStats.webp.last },
+          { label: `WebP q${LOSSY_QUALITY} toBlob vs toDataURL`, s: lossyStats.webp.durl },
+        ]
       );
     }
 
+    // measureText metrics vs last (one set per run, not per image)
+    const mText = last?.measureText ? diffMetrics(last.measureText, metricsNow) : null;
+    if (mText) perImage.measure_text = { ...mText, comparedAgainst: last?.when || null };
+    const environment = collectEnvironment();
+    // 5b) Record the run (tolerant); the server evaluates the stored policy on it, locally only when that fails
+    const appended = Object.keys(deltaByImage).length
+      ? await appendRunToServer(deltaByImage, null, perImage, hashes, environment)
+      : null;
+    const policy = appended ? appended.policy : await getPolicyResult(perImage);
+    if (policy) perImage.policy = policy;
+    perImage.runId = appended?.runId || null;
+    perImage.environment = environment;
+    const otherClient = last?.environment?.client && last.environment.client !== environment.client;
+
     // 6) Summary — include Max, Max excl, and A≠ for ALL buckets
     const pct = (b)=> b.total ? ((b.changed/b.total)*100).toFixed(2) : "0.00";
+    const hasRules = Object.keys(rules).length > 0;
+    const afterRules = (b)=> hasRules
+      ? ` · after rules <b>${b.fchanged}</b> (${b.total ? ((b.fchanged/b.total)*100).toFixed(2) : "0.00"}%)`
+      : "";
+    const prevNote = last?.when ? `(prev ${new Date(last.when).toLocaleString()})` : `(no prev)`;
+    const bucketLine = (label, b)=> b.total
+      ? `${label} — Overall: <b>${b.changed}</b> / ${b.total} (${pct(b)}%) · Max <b>${b.max}</b> · Max excl 255 & 254 <b>${b.maxEx}</b> · A≠ <b>${b.alpha}</b>${afterRules(b)}.`
+      : `${label} — not available.`;
+    const moreLines = [
+      bucketLine("RAW vs sub-rect getImageData", agg.subRect),
+      bucketLine(`Sub-rect vs Last sub-rect ${prevNote}`, agg.subRectLast),
+      bucketLine(`RAW vs repeated reads (×${REPEAT_READS})`, agg.repeat),
+      bucketLine("RAW vs createImageBitmap", agg.bitmap),
+      bucketLine(`createImageBitmap vs Last ${prevNote}`, agg.bitmapLast),
+      bucketLine(`JPEG q${LOSSY_QUALITY} vs Last ${prevNote}`, agg.jpegLast),
+      bucketLine(`JPEG q${LOSSY_QUALITY} toBlob vs toDataURL`, agg.jpegDurl),
+      bucketLine(`WebP q${LOSSY_QUALITY} vs Last ${prevNote}`, agg.webpLast),
+      bucketLine(`WebP q${LOSSY_QUALITY} toBlob vs toDataURL`, agg.webpDurl),
+      `Fingerprints — lossless read-backs hash alike in <b>${fpAgg.losslessAgree}</b> / ${fpAgg.images} images · ` +
+        (fpAgg.withLast ? `<b>${fpAgg.sameAsLast}</b> / ${fpAgg.withLast} read-backs reproduce the last session's hash ${prevNote}.` : `no previous session to compare hashes with.`),
+      mText
+        ? `measureText vs Last ${prevNote} — <b>${mText.changedFields}</b> / ${mText.fields} metrics changed · max |Δ| <b>${+mText.maxAbsDelta.toFixed(4)}</b>.`
+        : `measureText vs Last — no previous metrics.`,
+    ];
     show(
-      `Compared at <b>${nowStr()}</b>.<br/>
-       RAW vs PNG(toBlob) — Overall: <b>${agg.rawPng.changed}</b> / ${agg.rawPng.total} (${pct(agg.rawPng)}%) · Max <b>${agg.rawPng.max}</b> · Max excl 255 & 254 <b>${agg.rawPng.maxEx}</b> · A≠ <b>${agg.rawPng.alpha}</b>.<br/>
-       RAW vs Last RAW ${last?.when ? `(prev ${new Date(last.when).toLocaleString()})` : `(no prev)`} — Overall: <b>${agg.rawLast.changed}</b> / ${agg.rawLast.total} (${pct(agg.rawLast)}%) · Max <b>${agg.rawLast.max}</b> · Max excl 255 & 254 <b>${agg.rawLast.maxEx}</b> · A≠ <b>${agg.rawLast.alpha}</b>.<br/>
-       PNG(toBlob) vs Last PNG(toBlob) ${last?.when ? `(prev ${new Date(last.when).toLocaleString()})` : `(no prev)`} — Overall: <b>${agg.pngLast.changed}</b> / ${agg.pngLast.total} (${pct(agg.pngLast)}%) · Max <b>${agg.pngLast.max}</b> · Max excl 255 & 254 <b>${agg.pngLast.maxEx}</b> · A≠ <b>${agg.pngLast.alpha}</b>.<br/>
-       RAW vs PNG(toDataURL) — Overall: <b>${agg.rawDurl.changed}</b> / ${agg.rawDurl.total} (${pct(agg.rawDurl)}%) · Max <b>${agg.rawDurl.max}</b> · Max excl 255 & 254 <b>${agg.rawDurl.maxEx}</b> · A≠ <b>${agg.rawDurl.alpha}</b>.<br/>
-       PNG(toBlob) vs PNG(toDataURL) — Overall: <b>${agg.pngDurl.changed}</b> / ${agg.pngDurl.total} (${pct(agg.pngDurl)}%) · Max <b>${agg.pngDurl.max}</b> · Max excl 255 & 254 <b>${agg.pngDurl.maxEx}</b> · A≠ <b>${agg.pngDurl.alpha}</b>.<br/>
-       PNG(toDataURL) vs Last PNG(toDataURL) ${last?.when ? `(prev ${new Date(last.when).toLocaleString()})` : `(no prev)`} — Overall: <b>${agg.durlLast.changed}</b> / ${agg.durlLast.total} (${pct(agg.durlLast)}%) · Max <b>${agg.durlLast.max}</b> · Max excl 255 & 254 <b>${agg.durlLast.maxEx}</b> · A≠ <b>${agg.durlLast.alpha}</b>.`,
+      `${policyBanner(policy)}Compared at <b>${nowStr()}</b> on <b>${describeClient(environment)}</b>${otherClient
+        ? ` — <span style="color:var(--warn)">last session was saved by another client: ${describeClient(last.environment)}</span>` : ""}.<br/>
+       RAW vs PNG(toBlob) — Overall: <b>${agg.rawPng.changed}</b> / ${agg.rawPng.total} (${pct(agg.rawPng)}%) · Max <b>${agg.rawPng.max}</b> · Max excl 255 & 254 <b>${agg.rawPng.maxEx}</b> · A≠ <b>${agg.rawPng.alpha}</b>${afterRules(agg.rawPng)}.<br/>
+       RAW vs Last RAW ${last?.when ? `(prev ${new Date(last.when).toLocaleString()})` : `(no prev)`} — Overall: <b>${agg.rawLast.changed}</b> / ${agg.rawLast.total} (${pct(agg.rawLast)}%) · Max <b>${agg.rawLast.max}</b> · Max excl 255 & 254 <b>${agg.rawLast.maxEx}</b> · A≠ <b>${agg.rawLast.alpha}</b>${afterRules(agg.rawLast)}.<br/>
+       PNG(toBlob) vs Last PNG(toBlob) ${last?.when ? `(prev ${new Date(last.when).toLocaleString()})` : `(no prev)`} — Overall: <b>${agg.pngLast.changed}</b> / ${agg.pngLast.total} (${pct(agg.pngLast)}%) · Max <b>${agg.pngLast.max}</b> · Max excl 255 & 254 <b>${agg.pngLast.maxEx}</b> · A≠ <b>${agg.pngLast.alpha}</b>${afterRules(agg.pngLast)}.<br/>
+       RAW vs PNG(toDataURL) — Overall: <b>${agg.rawDurl.changed}</b> / ${agg.rawDurl.total} (${pct(agg.rawDurl)}%) · Max <b>${agg.rawDurl.max}</b> · Max excl 255 & 254 <b>${agg.rawDurl.maxEx}</b> · A≠ <b>${agg.rawDurl.alpha}</b>${afterRules(agg.rawDurl)}.<br/>
+       PNG(toBlob) vs PNG(toDataURL) — Overall: <b>${agg.pngDurl.changed}</b> / ${agg.pngDurl.total} (${pct(agg.pngDurl)}%) · Max <b>${agg.pngDurl.max}</b> · Max excl 255 & 254 <b>${agg.pngDurl.maxEx}</b> · A≠ <b>${agg.pngDurl.alpha}</b>${afterRules(agg.pngDurl)}.<br/>
+       PNG(toDataURL) vs Last PNG(toDataURL) ${last?.when ? `(prev ${new Date(last.when).toLocaleString()})` : `(no prev)`} — Overall: <b>${agg.durlLast.changed}</b> / ${agg.durlLast.total} (${pct(agg.durlLast)}%) · Max <b>${agg.durlLast.max}</b> · Max excl 255 & 254 <b>${agg.durlLast.maxEx}</b> · A≠ <b>${agg.durlLast.alpha}</b>${afterRules(agg.durlLast)}.<br/>
+       ${moreLines.join("<br/>")}${
+         unsupported.size ? `<br/>Not supported by this browser: ${[...unsupported].join(", ")}.` : ""}${
+         Object.keys(notRendered).length
+           ? `<br/>Not rendered in this browser: ${Object.entries(notRendered).map(([n, e]) => `<b>${n}</b> (${e})`).join(", ")}.`
+           : ""}`,
       perImage
     );
 
@@ -431,6 +750,21 @@ async function runCompare(){
     CURRENT_PNG_PIX  = pngPixMap;
     CURRENT_PNG_DURL = pngDURLMap;
     CURRENT_DURL_PIX = durlPixMap;
+    CURRENT_EXTRA    = extra;
+    LAST_COMPARE = {
+      details: perImage,
+      source: { page: "compare", suite: selectedSuite(), comparedAgainst: last?.when || null, runId: perImage.runId, userAgent: navigator.userAgent, client: environment.client },
+      images: new Map([...rawMap].map(([name, rawNow]) => {
+        const cv = viewMap.get(name), { probe, variant } = probeMap.get(name);
+        const rawPrev = last?.rawMap ? lookupImage(last.rawMap, 1, probe, variant) : undefined;
+        return [name, { width: cv.width, height: cv.height, panels: [
+          { label: "Last RAW", rgba: rawPrev },
+          { label: "RAW (canvas)", rgba: rawNow },
+          { label: "PNG(toBlob)", rgba: pngPixMap.get(name) },
+          ...(rawPrev ? [{ label: "Δ RAW vs Last RAW", rgba: diffOverlayRGBA(rawPrev, rawNow) }] : []),
+        ] }];
+      })),
+    };
 
   } catch (e){
     console.error(e);
@@ -444,14 +778,26 @@ async function handleClearAndReplace(){
     if (!CURRENT_RAW_MAP || !CURRENT_PNG_PIX || !CURRENT_PNG_DURL){
       await runCompare(); // ensure maps are populated
     }
-    const savedAt = await putLastSession(CURRENT_RAW_MAP, CURRENT_PNG_PIX, CURRENT_PNG_DURL);
-    alert(`Last session files replaced with current session at ${new Date(savedAt).toLocaleString()}.`);
+    const savedAt = await putLastSession(CURRENT_RAW_MAP, CURRENT_PNG_PIX, CURRENT_PNG_DURL, CURRENT_EXTRA || {});
+    alert(`Last session files replaced with current session at ${new Date(savedAt).toLocaleString()}. The previous session can be restored from the audit log (/audit.html).`);
   } catch (e){
     console.error(e);
     alert("Failed to replace last session files. See console.");
   }
 }
 
+function exportReport(){
+  if (!LAST_COMPARE) return null;
+  const images = {};
+  for (const [name, { width, height, panels }] of LAST_COMPARE.images)
+    images[name] = { width, height, panels: embedPanels(width, height, panels) };
+  return buildReport(LAST_COMPARE.details, { source: LAST_COMPARE.source, images });
+}
+
 // ---- bind ----
+bindZoom($zoom);
+bindDeviceLabel($device);
+gateControls({ writer: [$clr] });
+bindExport($exportFormat, $export, exportReport);
 if (!$run.__bound){ $run.addEventListener("click", runCompare); $run.__bound = true; }
 if ($clr && !$clr.__bound){ $clr.addEventListener("click", handleClearAndReplace); $clr.__bound = true; }
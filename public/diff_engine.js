@@ -0,0 +1,181 @@
+// diff_engine.js — one RGBA differ for index_fixed.js, compare_png.js and the server (isomorphic ES module)
+// No DOM / Node APIs: works on any Uint8Array-like RGBA buffers.
+//
+// diffPixels(prevU8, currU8, opts) always returns the diffRaw metrics:
+//   totalPixels, changedPixels, pctChanged, alphaChanges, maxDeviation, maxDeviationExcl255_254,
+//   hasAlphaChange, deviationHistogram (max-channel |delta|, 256 bins), deviationDistribution, sample
+// and, on request:
+//   opts.deltas            "signed" | "abs" | "none" (default) -> changedMap { [pixel]: [dr,dg,db,da] }
+//   opts.diffs             true -> diffs [{ pixel, prev, curr, dev }] for every changed pixel (compare_png.js shape)
+//   opts.sampleCap         max entries in sample (default 50; 0 disables)
+//   opts.channelHistograms true -> channelHistograms { r, g, b, a } of |delta| per channel (256 bins each)
+//   opts.width             image width in pixels; needed for bbox / regions
+//   opts.bbox              true -> bbox { x, y, w, h } around all changed pixels (null if none)
+//   opts.regions           true -> regions [{ x, y, w, h, pixels }] of 4-connected changed areas, largest first
+//   opts.maxRegions        cap for regions (default 50)
+//   opts.rule              comparison rule for this image (public/rules.js resolveRule) -> filtered
+//                          { changedPixels, pctChanged, alphaChanges, maxDeviation, maxDeviationExcl255_254,
+//                            hasAlphaChange, ignoredPixels, belowTolerance } next to the raw metrics;
+//                          ignoreRects need opts.width
+
+import { compileRule } from "./rules.js";
+
+export function diffPixels(prevU8, currU8, opts = {}) {
+  const {
+    deltas = "none",
+    diffs: wantDiffs = false,
+    sampleCap = 50,
+    channelHistograms: wantChannels = false,
+    width = 0,
+    bbox: wantBbox = false,
+    regions: wantRegions = false,
+    maxRegions = 50,
+    rule: ruleIn = null,
+  } = opts;
+  if ((wantBbox || wantRegions) && !(width > 0)) throw new Error("diffPixels: opts.width is required for bbox/regions");
+
+  const len = Math.min(prevU8.length, currU8.length);
+  const totalPixels = len >> 2;
+
+  const samples = [];
+  const diffs = wantDiffs ? [] : null;
+  const changedMap = deltas !== "none" ? Object.create(null) : null;
+  const hist = new Uint32Array(256);
+  const ch = wantChannels ? [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)] : null;
+  const mask = wantRegions ? new Uint8Array(totalPixels) : null;
+  const rule = ruleIn ? compileRule(ruleIn, width, totalPixels) : null;
+  const f = rule ? { changed: 0, alpha: 0, max: 0, maxExcl: 0, ignored: 0, below: 0 } : null;
+
+  let changed = 0;
+  let alphaChanges = 0;
+  let maxDeviation = 0;
+  let maxDeviationExcl255_254 = 0;
+  let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1;
+
+  for (let i = 0; i < len; i += 4) {
+    const r0 = prevU8[i], g0 = prevU8[i + 1], b0 = prevU8[i + 2], a0 = prevU8[i + 3];
+    const r1 = currU8[i], g1 = currU8[i + 1], b1 = currU8[i + 2], a1 = currU8[i + 3];
+
+    const sdr = r1 - r0, sdg = g1 - g0, sdb = b1 - b0, sda = a1 - a0;
+    const dr = Math.abs(sdr), dg = Math.abs(sdg), db = Math.abs(sdb), da = Math.abs(sda);
+
+    if (da) alphaChanges++;
+    if (ch) { ch[0][dr]++; ch[1][dg]++; ch[2][db]++; ch[3][da]++; }
+
+    const localMax = Math.max(dr, dg, db, da);
+    hist[localMax]++;
+    if (localMax > maxDeviation) maxDeviation = localMax;
+    if (localMax !== 255 && localMax !== 254 && localMax > maxDeviationExcl255_254)
+      maxDeviationExcl255_254 = localMax;
+
+    if (!localMax) continue;
+
+    const pix = i >> 2;
+    changed++;
+    if (changedMap) changedMap[pix] = deltas === "abs" ? [dr, dg, db, da] : [sdr, sdg, sdb, sda];
+    if (diffs) diffs.push({ pixel: pix, prev: [r0, g0, b0, a0], curr: [r1, g1, b1, a1], dev: [dr, dg, db, da] });
+    if (samples.length < sampleCap) {
+      samples.push({
+        pixel: pix,
+        prev: [r0, g0, b0, a0],
+        curr: [r1, g1, b1, a1],
+        dev_abs: [dr, dg, db, da],
+        dev_signed: [sdr, sdg, sdb, sda],
+      });
+    }
+    if (mask) mask[pix] = 1;
+    if (wantBbox) {
+      const x = pix % width, y = (pix - x) / width;
+      if (x < minX) minX = x; if (x > maxX) maxX = x;
+      if (y < minY) minY = y; if (y > maxY) maxY = y;
+    }
+    if (f) {
+      if (rule.ignore && rule.ignore[pix]) { f.ignored++; continue; }
+      const { tol } = rule;
+      const fa = rule.ignoreAlpha || da <= tol[3] ? 0 : da;
+      const fMax = Math.max(dr > tol[0] ? dr : 0, dg > tol[1] ? dg : 0, db > tol[2] ? db : 0, fa);
+      if (fMax < rule.minDelta) { f.below++; continue; }
+      f.changed++;
+      if (fa) f.alpha++;
+      if (fMax > f.max) f.max = fMax;
+      if (fMax !== 255 && fMax !== 254 && fMax > f.maxExcl) f.maxExcl = fMax;
+    }
+  }
+
+  const out = {
+    totalPixels,
+    changedPixels: changed,
+    pctChanged: totalPixels ? changed / totalPixels : 0,
+    alphaChanges,
+    maxDeviation,
+    maxDeviationExcl255_254,
+    hasAlphaChange: alphaChanges > 0,
+    deviationHistogram: Array.from(hist),
+    deviationDistribution: distributionOf(hist),
+    sample: samples,
+  };
+  if (changedMap) out.changedMap = changedMap;
+  if (diffs) out.diffs = diffs;
+  if (ch) out.channelHistograms = { r: Array.from(ch[0]), g: Array.from(ch[1]), b: Array.from(ch[2]), a: Array.from(ch[3]) };
+  if (wantBbox) out.bbox = maxX < 0 ? null : { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+  if (mask) out.regions = regionsOf(mask, width, maxRegions);
+  if (f) {
+    out.filtered = {
+      changedPixels: f.changed,
+      pctChanged: totalPixels ? f.changed / totalPixels : 0,
+      alphaChanges: f.alpha,
+      maxDeviation: f.max,
+      maxDeviationExcl255_254: f.maxExcl,
+      hasAlphaChange: f.alpha > 0,
+      ignoredPixels: f.ignored,
+      belowTolerance: f.below,
+    };
+  }
+  return out;
+}
+
+// deviation % distribution (excluding 0), rounded to 2 decimals
+export function distributionOf(hist) {
+  const out = [];
+  let sumChanged = 0;
+  for (let d = 1; d < 256; d++) sumChanged += hist[d];
+  if (!sumChanged) return out;
+  for (let d = 1; d < 256; d++) if (hist[d]) out.push({ dev: d, pct: +((hist[d] / sumChanged) * 100).toFixed(2) });
+  return out;
+}
+
+// An all-zero result of the given size (used where there is nothing to compare against)
+export function emptyDiff(totalPixels) {
+  return {
+    totalPixels, changedPixels: 0, pctChanged: 0, alphaChanges: 0,
+    maxDeviation: 0, maxDeviationExcl255_254: 0, hasAlphaChange: false,
+    deviationHistogram: Array(256).fill(0), deviationDistribution: [], sample: [], diffs: [],
+  };
+}
+
+// 4-connected components of a changed-pixel mask -> bounding boxes, largest first
+function regionsOf(mask, width, maxRegions) {
+  const height = Math.ceil(mask.length / width);
+  const seen = new Uint8Array(mask.length);
+  const stack = [];
+  const regions = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+    let minX = Infinity, minY = Infinity, maxX = -1, maxY = -1, pixels = 0;
+    seen[start] = 1; stack.push(start);
+    while (stack.length) {
+      const p = stack.pop();
+      const x = p % width, y = (p - x) / width;
+      pixels++;
+      if (x < minX) minX = x; if (x > maxX) maxX = x;
+      if (y < minY) minY = y; if (y > maxY) maxY = y;
+      if (x > 0         && mask[p - 1]     && !seen[p - 1])     { seen[p - 1] = 1; stack.push(p - 1); }
+      if (x < width - 1 && mask[p + 1]     && !seen[p + 1])     { seen[p + 1] = 1; stack.push(p + 1); }
+      if (y > 0         && mask[p - width] && !seen[p - width]) { seen[p - width] = 1; stack.push(p - width); }
+      if (y < height - 1 && p + width < mask.length && mask[p + width] && !seen[p + width]) { seen[p + width] = 1; stack.push(p + width); }
+    }
+    regions.push({ x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1, pixels });
+  }
+  regions.sort((a, b) => b.pixels - a.pixels);
+  return regions.slice(0, maxRegions);
+}
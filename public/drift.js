@@ -0,0 +1,109 @@
+// drift.js — page for GET /history/drift (server/drift.js): per-image changed-pixel series with
+// change points (red) and the two compared windows (A blue, B orange) shaded on a sparkline.
+
+const $run  = document.getElementById("btn-run");
+const $sum  = document.getElementById("summary");
+const $out  = document.getElementById("output");
+const $rows = document.getElementById("rows");
+const fields = {
+  image: document.getElementById("image"),
+  a: document.getElementById("win-a"),
+  b: document.getElementById("win-b"),
+  alpha: document.getElementById("alpha"),
+  baseline: document.getElementById("baseline"),
+};
+
+// ?image=&a=&b=&alpha=&baseline= prefill the form (and are kept in the URL for sharing)
+const q = new URLSearchParams(location.search);
+for (const [k, el] of Object.entries(fields)) if (q.get(k)) el.value = q.get(k);
+
+function queryString(){
+  const p = new URLSearchParams();
+  for (const [k, el] of Object.entries(fields)) if (el.value.trim()) p.set(k, el.value.trim());
+  return p.toString();
+}
+
+function sparkline(img, windows, width = 240, height = 40){
+  const cv = document.createElement("canvas");
+  cv.width = width; cv.height = height;
+  const ctx = cv.getContext("2d");
+  const values = img.series.map((p) => p.changed);
+  const n = values.length, max = Math.max(1, ...values);
+  const x = (i) => (n > 1 ? (i / (n - 1)) * (width - 4) + 2 : width / 2);
+  const y = (v) => height - 3 - (v / max) * (height - 6);
+
+  // window shading by log position (the series only holds runs that rendered this image)
+  const shade = (win, color) => {
+    const idx = img.series.map((p, i) => (p.run >= win.from && p.run < win.to ? i : -1)).filter((i) => i >= 0);
+    if (!idx.length) return;
+    ctx.fillStyle = color;
+    ctx.fillRect(x(idx[0]) - 2, 0, x(idx[idx.length - 1]) - x(idx[0]) + 4, height);
+  };
+  shade(windows.a, "rgba(37,99,235,0.12)");
+  shade(windows.b, "rgba(245,158,11,0.16)");
+
+  ctx.strokeStyle = "#ef4444";
+  for (const cp of img.changePoints) {
+    ctx.beginPath(); ctx.moveTo(x(cp.index) - 0.5, 0); ctx.lineTo(x(cp.index) - 0.5, height); ctx.stroke();
+  }
+  ctx.strokeStyle = "#111"; ctx.beginPath();
+  values.forEach((v, i) => (i ? ctx.lineTo(x(i), y(v)) : ctx.moveTo(x(i), y(v))));
+  ctx.stroke();
+  return cv;
+}
+
+function cell(tr, content, cls = ""){
+  const td = document.createElement("td");
+  if (cls) td.className = cls;
+  if (content instanceof Node) td.appendChild(content); else td.innerHTML = content;
+  tr.appendChild(td);
+}
+
+function render(report){
+  $rows.innerHTML = "";
+  for (const [name, img] of Object.entries(report.images)) {
+    const s = img.stats, w = img.windows;
+    const tr = document.createElement("tr");
+    cell(tr, `<b>${name}</b>`);
+    cell(tr, sparkline(img, report.windows));
+    cell(tr, String(s.n), "num");
+    cell(tr, `${s.mean} ± ${s.stddev}`, "num");
+    cell(tr, s.percentiles ? `${s.percentiles.p5} / ${s.percentiles.p50} / ${s.percentiles.p95}` : "—", "num");
+    cell(tr, img.changePoints.length
+      ? img.changePoints.map((cp) =>
+          `run ${cp.run + 1} (${new Date(cp.createdAt).toLocaleString()}): ${cp.before.mean} → ${cp.after.mean}` +
+          (cp.userAgentChanged ? " · UA changed" : "") + (cp.baselineChanged ? " · baseline changed" : "")).join("<br/>")
+      : "none");
+    const cls = w.verdict === "shifted-up" ? "up" : w.verdict === "shifted-down" ? "down" : "flat";
+    cell(tr, `<span class="${cls}">${w.a.mean ?? "—"} → ${w.b.mean ?? "—"} (${w.verdict})</span>`);
+    cell(tr, String(w.test.p), "num");
+    $rows.appendChild(tr);
+  }
+}
+
+async function run(){
+  $run.disabled = true;
+  try {
+    const qs = queryString();
+    history.replaceState(null, "", qs ? `?${qs}` : location.pathname);
+    const resp = await fetch(`/history/drift?${qs}`);
+    const report = await resp.json();
+    if (!resp.ok) throw new Error(report.error || `GET /history/drift failed: ${resp.status}`);
+
+    render(report);
+    const { summary: s, windows } = report;
+    $sum.innerHTML =
+      `<b>${report.runs}</b> run(s), <b>${s.images}</b> image(s), α = ${report.alpha}.<br/>` +
+      `Images with change points: <b>${s.withChangePoints}</b>.<br/>` +
+      `Window A <code>${windows.a.text}</code> (runs ${windows.a.from + 1}–${windows.a.to}) vs ` +
+      `B <code>${windows.b.text}</code> (runs ${windows.b.from + 1}–${windows.b.to}): ` +
+      `<b>${s.shiftedBetweenWindows}</b> image(s) shifted significantly.`;
+    $out.textContent = JSON.stringify(report, null, 2);
+  } catch (e) {
+    console.error(e);
+    $sum.textContent = `Drift report failed: ${e.message || e}`;
+  } finally { $run.disabled = false; }
+}
+
+$run.addEventListener("click", run);
+run();
@@ -0,0 +1,125 @@
+// environment.js — client environment recorded with every baseline, last session and run
+//
+// Environment (normalizeEnvironment() output; the server re-normalizes whatever a client sends):
+//   {
+//     client,                 partition key: "<device label slug>-<hash of userAgent + platform>"
+//     deviceLabel,            user-supplied, remembered in localStorage (bindDeviceLabel)
+//     userAgent, platform, language, timezone,
+//     screen: { width, height, availWidth, availHeight, colorDepth },
+//     dpr, colorGamut,        "rec2020" | "p3" | "srgb" | null
+//     hardwareConcurrency,
+//     fonts: { probed, available: [family] }   installed-font probe (FONT_PROBES measured against generic fallbacks)
+//     collectedAt
+//   }
+// collectEnvironment() / probeFonts() / bindDeviceLabel() need a browser; the rest is isomorphic.
+
+export const DEVICE_LABEL_KEY = "pp-device-label";
+export const CLIENT_RE = /^[a-z0-9][a-z0-9-]{0,63}$/;
+export const FONT_PROBES = [
+  "Arial", "Helvetica", "Helvetica Neue", "Times New Roman", "Times", "Courier New", "Courier", "Verdana", "Georgia",
+  "Tahoma", "Trebuchet MS", "Segoe UI", "Calibri", "Cambria", "Consolas", "Menlo", "Monaco", "SF Pro Text",
+  "Roboto", "Noto Sans", "Noto Color Emoji", "Apple Color Emoji", "Segoe UI Emoji", "DejaVu Sans", "Liberation Sans",
+  "Ubuntu", "Cantarell", "Lucida Grande", "Comic Sans MS", "Impact",
+];
+const FALLBACKS = ["monospace", "serif", "sans-serif"];
+const FONT_TEXT = "mmmmmmmmmmlli WQ@#0 ÅĦƵ";
+const MAX_STR = 512;
+
+const str = (v, max = MAX_STR) => (typeof v === "string" && v ? v.slice(0, max) : null);
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+
+// 32-bit FNV-1a -> 8 hex digits (a stable key, not a secret)
+function fnv1a(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  return h.toString(16).padStart(8, "0");
+}
+
+export function clientKeyOf(env) {
+  const slug = String(env?.deviceLabel || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 40);
+  return `${slug || "client"}-${fnv1a(`${env?.userAgent || ""}|${env?.platform || ""}`)}`;
+}
+
+// Untrusted input -> environment (known fields only); userAgent falls back to the request's header
+export function normalizeEnvironment(input, { userAgent = "" } = {}) {
+  const e = isObj(input) ? input : {};
+  const s = isObj(e.screen) ? e.screen : {};
+  const f = isObj(e.fonts) ? e.fonts : {};
+  const env = {
+    deviceLabel: str(e.deviceLabel, 80),
+    userAgent: str(e.userAgent) || str(userAgent),
+    platform: str(e.platform, 80),
+    language: str(e.language, 40),
+    timezone: str(e.timezone, 80),
+    screen: {
+      width: num(s.width), height: num(s.height),
+      availWidth: num(s.availWidth), availHeight: num(s.availHeight), colorDepth: num(s.colorDepth),
+    },
+    dpr: num(e.dpr),
+    colorGamut: ["rec2020", "p3", "srgb"].includes(e.colorGamut) ? e.colorGamut : null,
+    hardwareConcurrency: num(e.hardwareConcurrency),
+    fonts: {
+      probed: num(f.probed),
+      available: Array.isArray(f.available) ? f.available.filter((x) => typeof x === "string").slice(0, 200).map((x) => x.slice(0, 80)) : [],
+    },
+    collectedAt: str(e.collectedAt, 40),
+  };
+  return { client: clientKeyOf(env), ...env };
+}
+
+// "Pixel 7 · Linux armv8l · 412×915@2.625x · p3"
+export function describeClient(env) {
+  if (!isObj(env)) return "unknown client";
+  const s = env.screen || {};
+  const browser = /(Firefox|Edg|OPR|Chrome|Safari)\/[\d.]+/.exec(env.userAgent || "")?.[0] || "unknown browser";
+  return [
+    env.deviceLabel || browser,
+    env.platform,
+    s.width && s.height ? `${s.width}×${s.height}${env.dpr ? `@${env.dpr}x` : ""}` : null,
+    env.colorGamut,
+  ].filter(Boolean).join(" · ");
+}
+
+// Installed-font probe: a family counts as installed when text set in it measures differently
+// from every generic fallback it could have fallen back to.
+export function probeFonts(families = FONT_PROBES) {
+  const ctx = document.createElement("canvas").getContext("2d");
+  const width = (font) => { ctx.font = `32px ${font}`; return ctx.measureText(FONT_TEXT).width; };
+  const base = FALLBACKS.map(width);
+  const available = families.filter((fam) => FALLBACKS.some((fb, i) => width(`"${fam}", ${fb}`) !== base[i]));
+  return { probed: families.length, available };
+}
+
+export function loadDeviceLabel() {
+  try { return localStorage.getItem(DEVICE_LABEL_KEY) || ""; } catch { return ""; }
+}
+
+// Keep an <input> in sync with the remembered device label
+export function bindDeviceLabel(input) {
+  if (!input) return;
+  input.value = loadDeviceLabel();
+  input.addEventListener("change", () => {
+    try { localStorage.setItem(DEVICE_LABEL_KEY, input.value.trim()); } catch { /* private mode */ }
+  });
+}
+
+export function collectEnvironment() {
+  const gamut = ["rec2020", "p3", "srgb"].find((g) => globalThis.matchMedia?.(`(color-gamut: ${g})`).matches) || null;
+  return normalizeEnvironment({
+    deviceLabel: loadDeviceLabel(),
+    userAgent: navigator.userAgent,
+    platform: navigator.userAgentData?.platform || navigator.platform,
+    language: navigator.language,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    screen: {
+      width: screen.width, height: screen.height,
+      availWidth: screen.availWidth, availHeight: screen.availHeight, colorDepth: screen.colorDepth,
+    },
+    dpr: devicePixelRatio,
+    colorGamut: gamut,
+    hardwareConcurrency: navigator.hardwareConcurrency,
+    fonts: probeFonts(),
+    collectedAt: new Date().toISOString(),
+  });
+}
@@ -0,0 +1,56 @@
+// fingerprint.js — pixel hashes of a rendered probe (isomorphic)
+//
+// Every (image, read-back path) gets
+//   sha256  hex SHA-256 of the raw RGBA bytes: equal only when every byte is equal
+//   phash   16 hex digits, 64-bit difference hash (dHash) of the image's luminance: 9×8 box-averaged
+//           grid, one bit per horizontally adjacent pair (left < right). Near-identical renders share it
+//           or differ in a few bits (hammingDistance), so it tells "one pixel flipped" from "another image".
+// Luminance is composited over black (alpha-premultiplied), so alpha-only changes still move the hash.
+
+export const SHA256_RE = /^[0-9a-f]{64}$/;
+export const PHASH_RE = /^[0-9a-f]{16}$/;
+const GRID_W = 9, GRID_H = 8;
+
+export async function sha256Hex(u8) {
+  const digest = await globalThis.crypto.subtle.digest("SHA-256", u8);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export function perceptualHash(rgba, width, height) {
+  const cells = new Float64Array(GRID_W * GRID_H), counts = new Uint32Array(GRID_W * GRID_H);
+  for (let y = 0; y < height; y++) {
+    const gy = Math.min(GRID_H - 1, Math.floor((y * GRID_H) / height));
+    for (let x = 0; x < width; x++) {
+      const gx = Math.min(GRID_W - 1, Math.floor((x * GRID_W) / width)), i = (y * width + x) * 4;
+      cells[gy * GRID_W + gx] += ((0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2]) * rgba[i + 3]) / 255;
+      counts[gy * GRID_W + gx]++;
+    }
+  }
+  let hex = "";
+  for (let y = 0; y < GRID_H; y++) {
+    let byte = 0;
+    for (let x = 0; x < GRID_W - 1; x++) {
+      const a = y * GRID_W + x;
+      const left = counts[a] ? cells[a] / counts[a] : 0, right = counts[a + 1] ? cells[a + 1] / counts[a + 1] : 0;
+      byte = (byte << 1) | (left < right ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, "0");
+  }
+  return hex;
+}
+
+// bits that differ between two phash strings (null when either is missing)
+export function hammingDistance(a, b) {
+  if (!PHASH_RE.test(a || "") || !PHASH_RE.test(b || "")) return null;
+  let bits = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) { bits += x & 1; x >>= 1; }
+  }
+  return bits;
+}
+
+export async function fingerprint(rgba, width, height) {
+  const u8 = rgba instanceof Uint8Array ? rgba : new Uint8Array(rgba.buffer, rgba.byteOffset, rgba.byteLength);
+  return { sha256: await sha256Hex(u8), phash: width && height && u8.length === width * height * 4 ? perceptualHash(u8, width, height) : null };
+}
@@ -1,5 +1,6 @@
-// frozen.js — draw exactly 10 canvases for a single subsession, no watermark at all
-// OPAQUE MODE: ctx is created with { alpha:false } and we flatten around draws.
+// frozen.js — built-in probe renderers (no watermark at all), registered with probes.js
+// OPAQUE MODE: contexts are created with { alpha:false } and we flatten around draws.
+import { registerProbe, registerSuite } from "./probes.js";
 
 function clearOpaque(ctx){
   const {width:w, height:h} = ctx.canvas;
@@ -11,42 +12,6 @@ function clearOpaque(ctx){
 }
 
 
-const CANVAS_WIDTH = 100, CANVAS_HEIGHT = 100;
-const __root = ensureRoot();
-
-function ensureRoot(){
-  let r = document.getElementById("canvas-root");
-  if(!r){
-    r = document.createElement("div");
-    r.id = "canvas-root";
-    r.style.display = "flex";
-    r.style.flexWrap = "wrap";
-    r.style.gap = "8px";
-    r.style.maxWidth = "1080px";
-    document.body.appendChild(r);
-  }
-  return r;
-}
-
-function createCanvas(name){
-  const box = document.createElement("div"); box.className = "pp-canvas-item";
-  const cv  = document.createElement("canvas"); cv.width = CANVAS_WIDTH; cv.height = CANVAS_HEIGHT;
-  const lb  = document.createElement("div"); lb.className = "pp-label"; lb.textContent = String(name);
-  box.appendChild(cv); box.appendChild(lb); __root.appendChild(box);
-
-  // IMPORTANT: alpha:false creates an opaque drawing buffer
-  const ctx = cv.getContext("2d", { willReadFrequently: true, alpha: false });
-
-  // Pre-flatten to an opaque background using copy (ensures A=255 everywhere)
-  ctx.save();
-  ctx.globalCompositeOperation = "copy";
-  ctx.fillStyle = "#ffffff";
-  ctx.fillRect(0, 0, cv.width, cv.height);
-  ctx.restore();
-
-  return ctx;
-}
-
 // Finalize: guarantee opacity even if renderers used semi-transparent paints
 function finalizeOpaque(ctx){
   const { width:w, height:h } = ctx.canvas;
@@ -57,25 +22,39 @@ function finalizeOpaque(ctx){
   ctx.restore();
 }
 
+// Drawing size in CSS pixels: probes.js scales the context by the variant's devicePixelRatio
+function cssSize(ctx){
+  const t = ctx.getTransform();
+  return { width: ctx.canvas.width / (t.a || 1), height: ctx.canvas.height / (t.d || 1) };
+}
+
 // very lightweight seeded pseudo-random
 function rng(seed = 1){
   let s = seed | 0;
   return () => ((s = (s * 1664525 + 1013904223) | 0) >>> 0) / 4294967296;
 }
 
+// Seed of the pre-registry image name ("S1_faces_1"), so registered probes keep their pixels
+const seedOf = (probe) => `S1_${probe.aliases[0] ?? probe.id}`.length;
+
 // --------- renderers (no watermark writes) ----------
-export function drawEmoji(category, name){
-  const ctx = createCanvas(name);
+export const EMOJI_SETS = {
+  faces:  ["😀","😃","😄","😁","😆","😅","🙂","🙃","😉","😊","😇","🥲","🤪","😵","😎","🤠","😔","😬","😧","🙄","🫠","🫤"],
+  persons:["👩","👨","🧑","👧","👦","👮","🧑‍🎄","🧞","🧛","🤺","🧘","👯","🧑‍🏫","🦸","🧑‍🔧","👩‍💼"],
+  travel: ["🏰","🏙","🌋","⛰","🌉","🚇","🚕","🎿","⏱","✂","📦","💡","🥁","🧻"],
+  flags:  ["🇺🇸","🇯🇵","🇩🇪","🇫🇷","🇬🇧","🇮🇳","🇰🇭","🇵🇭","🇿🇦","🇰🇷","🇨🇦","🇧🇷"],
+  hands:  ["👍","👎","👌","✊","🤚","🖐","👏","🙌","🫶","🤌","👉","👊"],
+  flowers:["🌸","💮","🏵","🌹","🥀","🌺","🌻","🌼","🌷","🪷","🪻","💐","🌿","🍀","🍁","🌵"],
+  animals:["🐶","🐱","🐭","🐹","🐰","🦊","🐻","🐼","🐨","🐯","🦁","🐮","🐷","🐸","🐵","🦉","🦋","🐙"],
+  symbols:["❤️","🧡","💛","💚","💙","💜","✨","⭐","🔥","💯","✅","❌","⚠️","♻️","☮️","☯️","⚛️","🔞"],
+  other_symbols:["©","®","™","℗","§","¶","†","‡","‰","※","⁂","♠","♣","♥","♦","♪","☂","☎","✈","⌘"],
+};
+
+export function drawEmoji(ctx, category, seed = 1){
   clearOpaque(ctx)
-  const gridSize = 6, cell = CANVAS_WIDTH / gridSize;
-  const emjs = {
-    faces:  ["😀","😃","😄","😁","😆","😅","🙂","🙃","😉","😊","😇","🥲","🤪","😵","😎","🤠","😔","😬","😧","🙄","🫠","🫤"],
-    persons:["👩","👨","🧑","👧","👦","👮","🧑‍🎄","🧞","🧛","🤺","🧘","👯","🧑‍🏫","🦸","🧑‍🔧","👩‍💼"],
-    travel: ["🏰","🏙","🌋","⛰","🌉","🚇","🚕","🎿","⏱","✂","📦","💡","🥁","🧻"],
-    flags:  ["🇺🇸","🇯🇵","🇩🇪","🇫🇷","🇬🇧","🇮🇳","🇰🇭","🇵🇭","🇿🇦","🇰🇷","🇨🇦","🇧🇷"],
-    hands:  ["👍","👎","👌","✊","🤚","🖐","👏","🙌","🫶","🤌","👉","👊"]
-  }[category] || ["•"];
-  const random = rng(name.length);
+  const gridSize = 6, cell = cssSize(ctx).width / gridSize;
+  const emjs = EMOJI_SETS[category] || ["•"];
+  const random = rng(seed);
   let idx = 0;
 
   // Use fully opaque fill to avoid introducing semi-transparent edges
@@ -98,8 +77,7 @@ export function drawEmoji(category, name){
   return ctx;
 }
 
-export function randomFont(name){
-  const ctx = createCanvas(name);
+export function randomFont(ctx){
   clearOpaque(ctx)
   const lines = [
     { font:"Menlo",           size:11, y:15,  text:"∀ ∑ λ Ω € ₿" },
@@ -119,9 +97,8 @@ export function randomFont(name){
   return ctx;
 }
 
-export function drawMoirePatternWatermarked(name = "moire"){
-  const ctx = createCanvas(name);
-  const { width:w, height:h } = ctx.canvas;
+export function drawMoirePatternWatermarked(ctx){
+  const { width:w, height:h } = cssSize(ctx);
   clearOpaque(ctx)
   ctx.globalCompositeOperation = "source-over";
   ctx.strokeStyle = "#000000";  // opaque
@@ -133,9 +110,8 @@ export function drawMoirePatternWatermarked(name = "moire"){
   return ctx;
 }
 
-export function gradQuantSteps(name = "gradQuantSteps"){
-  const ctx = createCanvas(name);
-  const { width:w, height:h } = ctx.canvas;
+export function gradQuantSteps(ctx){
+  const { width:w, height:h } = cssSize(ctx);
   const g = ctx.createLinearGradient(0, 0, w, h);
   g.addColorStop(0,   "#000000");
   g.addColorStop(0.6, "#777777");
@@ -145,11 +121,10 @@ export function gradQuantSteps(name = "gradQuantSteps"){
   return ctx;
 }
 
-export function shadowBlurProbe(name = "shadowBlurProbe"){
-  const ctx = createCanvas(name);
-  const { width:w, height:h } = ctx.canvas;
+export function shadowBlurProbe(ctx, seed = 1){
+  const { width:w, height:h } = cssSize(ctx);
   clearOpaque(ctx)
-  const random = rng(name.length);
+  const random = rng(seed);
   for (let i = 0; i < 6; i++){
     ctx.save();
     // Opaque shadow color; alpha:false still blends, but final buffer stays opaque
@@ -171,8 +146,7 @@ export function shadowBlurProbe(name = "shadowBlurProbe"){
   return ctx;
 }
 
-export function arandomString(name = "a-randomString"){
-  const ctx = createCanvas(name);
+export function arandomString(ctx){
   clearOpaque(ctx);
   ctx.fillStyle = "#6135DC";   // opaque instead of rgba(97,53,220,0.65)
   ctx.font = "12px monospace";
@@ -186,25 +160,28 @@ export function arandomString(name = "a-randomString"){
   return ctx;
 }
 
-// convenience for index_fixed.js
-export const TYPE_MAP_10 = [
+// --------- registry ----------
+// "classic" is the original 10-canvas set; aliases keep their old index-based names matching.
+const CLASSIC = [
   "faces","persons","travel","flags","hands",
   "randomFont","moire","a-randomString","gradQuantSteps","shadowBlurProbe",
 ];
-
-export function drawOne(type, name){
-  switch (type){
-    case "faces":
-    case "persons":
-    case "travel":
-    case "flags":
-    case "hands":
-      return drawEmoji(type, name);
-    case "randomFont":      return randomFont(name);
-    case "moire":           return drawMoirePatternWatermarked(name);
-    case "a-randomString":  return arandomString(name);
-    case "gradQuantSteps":  return gradQuantSteps(name);
-    case "shadowBlurProbe": return shadowBlurProbe(name);
-    default: return null;
-  }
+const classicAlias = (id) => CLASSIC.includes(id) ? [`${id}_${CLASSIC.indexOf(id) + 1}`] : [];
+
+for (const category of Object.keys(EMOJI_SETS)) {
+  registerProbe({
+    id: category,
+    aliases: classicAlias(category),
+    draw: (ctx, probe) => drawEmoji(ctx, category, seedOf(probe)),
+  });
 }
+registerProbe({ id: "randomFont",      aliases: classicAlias("randomFont"),      draw: (ctx) => randomFont(ctx) });
+registerProbe({ id: "moire",           aliases: classicAlias("moire"),           draw: (ctx) => drawMoirePatternWatermarked(ctx) });
+registerProbe({ id: "a-randomString",  aliases: classicAlias("a-randomString"),  draw: (ctx) => arandomString(ctx) });
+registerProbe({ id: "gradQuantSteps",  aliases: classicAlias("gradQuantSteps"),  draw: (ctx) => gradQuantSteps(ctx) });
+registerProbe({ id: "shadowBlurProbe", aliases: classicAlias("shadowBlurProbe"), draw: (ctx, probe) => shadowBlurProbe(ctx, seedOf(probe)) });
+
+registerSuite("classic", CLASSIC);
+registerSuite("emoji", Object.keys(EMOJI_SETS));
+registerSuite("text", ["randomFont", "a-randomString", "other_symbols"]);
+registerSuite("raster", ["moire", "gradQuantSteps", "shadowBlurProbe"]);
@@ -0,0 +1,22 @@
+// history_client.js — records a compare run on the server (PUT /history/append), shared by both pages
+
+// Atomic server-side append: the server merges this run into history.json under a per-file
+// lock and keeps it as its own run record (with its fingerprint hashes and client environment), with
+// the stored policy evaluated on `details`. Returns this client's merged history (+ runId, client, policy) or null.
+export async function appendRunToServer(deltaByImage, baselineRef, details, hashes, environment) {
+  const body = JSON.stringify({ images: deltaByImage, baseline: baselineRef || null, userAgent: navigator.userAgent, environment, details, hashes });
+  for (const method of ["PUT", "POST"]) {   // POST for proxies that block PUT
+    try {
+      const resp = await fetch("/history/append", {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body,
+      });
+      if (resp.ok) return await resp.json();
+      if (resp.status !== 405) throw new Error(`${method} /history/append failed: ${resp.status}`);
+    } catch (e) {
+      console.warn(`[history] ${method} /history/append failed:`, e);
+    }
+  }
+  return null;
+}
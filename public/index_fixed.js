@@ -2,42 +2,49 @@
 // Adds: per-image A-channel flag, deviation histogram/distribution, and max deviation excluding 255/254.
 // NEW: Server-persisted cross-run history of changed pixels (signed RGBA deltas);
 //      Analysis of (1) random selection vs (2) fixed delta per pixel across runs.
+//      Noise-pattern verdicts (seeding, ±1 LSB, edges/content, reproducibility) from GET /history/analysis.
+//      The last compare can be downloaded as a report (public/report.js: JSON, CSV, JUnit XML, HTML).
 //      History is cleared ONLY when baseline is replaced.
 
-import { TYPE_MAP_10, drawOne } from './frozen.js';
+import './frozen.js';            // registers the built-in probe families
+import './probes_webgl.js';
+import './probes_offscreen.js';
+import { renderSuite, lookupImage, bindSuiteSelect, bindMatrixInputs, variantLabel } from './probes.js';
+import { diffPixels } from './diff_engine.js';
+import { resolveRule, validateRules } from './rules.js';
+import { bindZoom, vizRow, diffOverlayRGBA, heatmapRGBA, pixelInspector } from './viz.js';
+import { buildReport, collectComparisons, bindExport, embedPanels } from './report.js';
+import { evaluatePolicy, policyBanner } from './policy.js';
+import { fingerprint } from './fingerprint.js';
+import { collectEnvironment, bindDeviceLabel, describeClient } from './environment.js';
+import { gateControls } from './auth.js';
+import { appendRunToServer } from './history_client.js';
+import { uploadTransfer, progressBar } from './transfer.js';
 
 // ---------- DOM ----------
 const $run   = document.getElementById("btn-run");
 const $clear = document.getElementById("btn-clear");
 const $set   = document.getElementById("btn-set");
+const $pin   = document.getElementById("btn-pin");
+const $name  = document.getElementById("baseline-name");   // <select>: "" = server default
+const $label = document.getElementById("baseline-label");
+const $rules = document.getElementById("rules-json");      // <textarea>: rules of the selected baseline
+const $saveRules = document.getElementById("btn-rules");
 const $out   = document.getElementById("output");
 const $sum   = document.getElementById("summary");
+const $progress = document.getElementById("upload-progress");   // <progress>: baseline upload
+const $cards = document.getElementById("cards");
+const $zoom  = document.getElementById("zoom");
+const $device = document.getElementById("device-label");     // remembered per browser (environment.js)
+const $exportFormat = document.getElementById("export-format");
+const $export = document.getElementById("btn-export");
+const selectedSuite = bindSuiteSelect(document.getElementById("suite"));
+const selectedMatrix = bindMatrixInputs(document.getElementById("sizes"), document.getElementById("dprs"));
+
+// ?baseline=<name> preselects a named baseline; otherwise the server default (/baseline) is used
+const INITIAL_BASELINE = new URLSearchParams(location.search).get("baseline") || "";
 
 // ---------- helpers ----------
-function getPixelsFrom(ctxOrCanvas) {
-  let canvas, ctx;
-  if (ctxOrCanvas && typeof ctxOrCanvas.getContext === "function") {
-    canvas = ctxOrCanvas;
-    ctx = canvas.getContext("2d", { willReadFrequently: true, alpha: true });
-  } else if (ctxOrCanvas && ctxOrCanvas.canvas) {
-    ctx = ctxOrCanvas;
-    canvas = ctx.canvas;
-  } else {
-    throw new Error("No canvas or 2d context to read from");
-  }
-  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
-  return new Uint8Array(img.data.buffer.slice(0));
-}
-
-function u8ToBase64(u8) {
-  let s = "";
-  const chunk = 0x8000;
-  for (let i = 0; i < u8.length; i += chunk) {
-    const sub = u8.subarray(i, i + chunk);
-    s += String.fromCharCode.apply(null, sub);
-  }
-  return btoa(s);
-}
 function base64ToU8(b64) {
   const bin = atob(b64);
   const u8 = new Uint8Array(bin.length);
@@ -47,32 +54,96 @@ function base64ToU8(b64) {
 const nowStr = () => new Date().toLocaleString();
 
 // ---------- baseline I/O ----------
-async function fetchBaseline() {
-  const resp = await fetch("/baseline", { method: "GET" });
+const selectedBaseline = () => ($name?.value || INITIAL_BASELINE || "");
+const baselineUrl = (name) => name ? `/baselines/${encodeURIComponent(name)}` : "/baseline";
+
+async function fetchBaseline(name = selectedBaseline()) {
+  const url = baselineUrl(name);
+  const resp = await fetch(url, { method: "GET" });
   if (resp.status === 404) return null;
-  if (!resp.ok) throw new Error("GET /baseline failed");
+  if (!resp.ok) throw new Error(`GET ${url} failed`);
   const data = await resp.json();
   const map = new Map();
   const pix = data?.pixels || {};
   for (const [k, b64] of Object.entries(pix)) map.set(k, base64ToU8(b64));
-  return { map, meta: data?.meta || {} };
+  return { map, meta: data?.meta || {}, rules: data?.rules || {} };
+}
+// uploaded image by image as binary chunks (transfer.js); the new version exists only once all arrived
+async function putBaseline(map, name = selectedBaseline(), label = $label?.value || "") {
+  const items = [...map.entries()].map(([k, u8]) => ({ series: "pixels", name: k, bytes: u8 }));
+  const manifest = {
+    target: "baseline", ...(name ? { name } : {}), label,
+    meta: { savedAt: nowStr(), dims: Object.fromEntries(renderedDims), environment: collectEnvironment() },
+  };
+  return uploadTransfer(manifest, items, { onProgress: progressBar($progress) });
+}
+
+// ---------- rules I/O (stored next to the baseline; see rules.js) ----------
+async function loadRules(name = selectedBaseline()) {
+  if (!$rules) return;
+  const url = `${baselineUrl(name)}/rules`;
+  try {
+    const resp = await fetch(url, { method: "GET" });
+    if (resp.status === 404) { $rules.value = "{}"; return; }
+    if (!resp.ok) throw new Error(`GET ${url} failed: ${resp.status}`);
+    $rules.value = JSON.stringify((await resp.json()).rules || {}, null, 2);
+  } catch (e) {
+    console.warn("[rules] load failed:", e);
+  }
+}
+async function saveRules() {
+  let rules;
+  try { rules = JSON.parse($rules.value || "{}"); }
+  catch (e) { return show("Rules are not valid JSON.", { error: String(e) }); }
+  const errors = validateRules(rules);
+  if (errors.length) return show("Rules rejected — see details.", { errors });
+
+  $saveRules.disabled = true;
+  try {
+    const url = `${baselineUrl(selectedBaseline())}/rules`;
+    const resp = await fetch(url, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ rules }),
+    });
+    const body = await resp.json().catch(() => ({}));
+    if (!resp.ok) return show(`Saving rules failed (${resp.status}).`, body);
+    $rules.value = JSON.stringify(body.rules, null, 2);
+    show(`Rules saved for baseline <b>${body.name}</b>.`, body);
+  } catch (e) {
+    console.error(e);
+    show("Error while saving rules. See console.", { error: String(e) });
+  } finally {
+    $saveRules.disabled = false;
+  }
 }
-async function putBaseline(map) {
-  const pixels = {};
-  for (const [k, u8] of map.entries()) pixels[k] = u8ToBase64(u8);
-  const payload = { pixels, meta: { savedAt: nowStr() } };
-  const resp = await fetch("/baseline", {
-    method: "PUT",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
-  if (!resp.ok) throw new Error("PUT /baseline failed");
+
+// Fill the baseline <select> from GET /baselines ("" option = server default)
+async function loadBaselineList() {
+  if (!$name) return;
+  try {
+    const resp = await fetch("/baselines", { method: "GET" });
+    if (!resp.ok) throw new Error(`GET /baselines failed: ${resp.status}`);
+    const { default: def, baselines } = await resp.json();
+    const keep = $name.value || INITIAL_BASELINE;
+    $name.innerHTML = "";
+    $name.appendChild(new Option(def ? `(default: ${def})` : "(default)", ""));
+    for (const b of baselines) {
+      const latest = b.latest ? ` — v${b.latest.version}${b.latest.label ? ` “${b.latest.label}”` : ""}` : "";
+      $name.appendChild(new Option(`${b.name}${latest}`, b.name));
+    }
+    if (keep && !baselines.some((b) => b.name === keep)) $name.appendChild(new Option(`${keep} (new)`, keep));
+    $name.value = keep;
+  } catch (e) {
+    console.warn("[baselines] list failed:", e);
+  }
 }
 
-// ---------- history I/O (server persisted; tolerant and with POST fallback) ----------
-async function getHistoryFromServer() {
+// ---------- history I/O (server persisted; tolerant and with POST fallbacks) ----------
+// Aggregates are per client (environment.js client key); "" = runs from before clients were tracked
+async function getHistoryFromServer(client = "") {
   try {
-    const resp = await fetch("/history", { method: "GET" });
+    const resp = await fetch(`/history${client ? `?client=${encodeURIComponent(client)}` : ""}`, { method: "GET" });
     if (resp.status === 404) return { runs: 0, byImage: {} };
     if (!resp.ok) throw new Error(`GET /history failed: ${resp.status}`);
     const hist = await resp.json();
@@ -116,131 +187,107 @@ async function putHistoryToServer(history) {
   }
 }
 
-// Merge this run’s deltas into persisted history (client-side)
-function mergeDeltaClientSide(hist, deltaByImage) {
-  hist.runs = (hist.runs || 0) + 1;
-  hist.byImage = hist.byImage || {};
-
-  for (const [name, { changedMap }] of Object.entries(deltaByImage)) {
-    let rec = hist.byImage[name];
-    if (!rec) {
-      rec = hist.byImage[name] = {
-        perRunChanged: [],
-        everChanged: [],        // Array used as a set of pixel indices
-        perPixel: {}            // pix -> { n, patterns: { "dr,dg,db,da": count } }
-      };
-    }
-    const changedCount = Object.keys(changedMap).length;
-    rec.perRunChanged.push(changedCount);
-
-    // everChanged
-    const evSet = new Set(rec.everChanged);
-    for (const pix of Object.keys(changedMap)) evSet.add(Number(pix));
-    rec.everChanged = Array.from(evSet);
-
-    // perPixel stats (track stability of signed deltas)
-    for (const [pixStr, delta] of Object.entries(changedMap)) {
-      const pix = Number(pixStr);
-      const key = delta.join(",");
-      if (!rec.perPixel[pix]) rec.perPixel[pix] = { n: 0, patterns: {} };
-      rec.perPixel[pix].n += 1;
-      rec.perPixel[pix].patterns[key] = (rec.perPixel[pix].patterns[key] || 0) + 1;
-    }
+// ?baseline&version&client of the analysis routes
+function historyQuery(baselineRef, client) {
+  const q = new URLSearchParams();
+  if (baselineRef?.name) { q.set("baseline", baselineRef.name); q.set("version", baselineRef.version); }
+  if (client) q.set("client", client);
+  const text = q.toString();
+  return text ? `?${text}` : "";
+}
+
+// Noise-pattern verdicts over the runs of one baseline version (server/analysis.js); null on failure
+async function getAnalysisFromServer(baselineRef, client) {
+  try {
+    const resp = await fetch(`/history/analysis${historyQuery(baselineRef, client)}`, { method: "GET" });
+    if (!resp.ok) throw new Error(`GET /history/analysis failed: ${resp.status}`);
+    return await resp.json();
+  } catch (e) {
+    console.warn("[history] analysis unavailable:", e);
+    return null;
+  }
+}
+
+// Fingerprint stability (distinct hashes, entropy, baseline reproduction; server/stability.js); null on failure
+async function getStabilityFromServer(baselineRef, client) {
+  try {
+    const resp = await fetch(`/history/stability${historyQuery(baselineRef, client)}`, { method: "GET" });
+    if (!resp.ok) throw new Error(`GET /history/stability failed: ${resp.status}`);
+    return await resp.json();
+  } catch (e) {
+    console.warn("[history] stability unavailable:", e);
+    return null;
+  }
+}
+
+// Pass/fail policy evaluated here when the append did not reach the server; null when there is none
+async function evaluatePolicyLocally(details) {
+  try {
+    const resp = await fetch("/policy", { method: "GET" });
+    if (!resp.ok) throw new Error(`GET /policy failed: ${resp.status}`);
+    const { policy } = await resp.json();
+    if (Array.isArray(policy?.rules) && !policy.rules.length) return null;
+    return evaluatePolicy(policy, collectComparisons(details));
+  } catch (e) {
+    console.warn("[policy] unavailable:", e);
+    return null;
   }
-  return hist;
+}
+
+// Wipe aggregates AND the run log; falls back to overwriting the aggregate only
+async function clearHistoryOnServer() {
+  try {
+    const resp = await fetch("/history", { method: "DELETE" });
+    if (resp.ok) return true;
+  } catch (e) {
+    // fall through to PUT/POST
+  }
+  return await putHistoryToServer({ runs: 0, byImage: {} }) !== null;
 }
 
 // ---------- rendering ----------
+const renderedDims = new Map();   // name -> { w, h } of the last render (ignoreRects need the width)
+const renderedProbes = new Map(); // name -> { probe, variant } of the last render
+
+// Baseline image for a rendered name; the default variant falls back to pre-registry names ("S1_faces_1")
+function baselineImage(map, name) {
+  const r = renderedProbes.get(name);
+  return r ? lookupImage(map, 1, r.probe, r.variant) : map.get(name);
+}
+
+// { [name]: metrics } -> { [probeId]: { [variant "WxH@Dx"]: { image, ...metrics } } }
+function groupByProbe(report) {
+  const out = {};
+  for (const [name, rec] of Object.entries(report)) {
+    const r = renderedProbes.get(name);
+    const probeId = r?.probe.id || name, variant = r ? variantLabel(r.variant) : "-";
+    (out[probeId] ||= {})[variant] = { image: name, ...rec };
+  }
+  return out;
+}
+
 function clearCanvases() {
   const root = document.getElementById("canvas-root");
   if (root) root.innerHTML = "";
 }
-function renderAll(sessionId = 1) {
+const renderErrors = new Map();   // name -> why the probe could not run here (no WebGL, …)
+
+// Every probe kind (2d, webgl, worker) hands back its read-back pixels
+async function renderAll(sessionId = 1) {
   const result = new Map();
   clearCanvases();
-  for (let k = 0; k < TYPE_MAP_10.length; k++) {
-    const type = TYPE_MAP_10[k];
-    const name = `S${sessionId}_${type}_${k + 1}`;
-    const ctx = drawOne(type, name);
-    result.set(name, getPixelsFrom(ctx));
+  renderedDims.clear();
+  renderedProbes.clear();
+  renderErrors.clear();
+  for (const { probe, variant, name, canvas, pixels, error } of await renderSuite(selectedSuite(), sessionId, selectedMatrix())) {
+    renderedProbes.set(name, { probe, variant });
+    if (error) { renderErrors.set(name, error); continue; }
+    result.set(name, pixels);
+    renderedDims.set(name, { w: canvas.width, h: canvas.height });
   }
   return result;
 }
 
-// ---------- differ (returns sparse changedMap with SIGNED deltas) ----------
-function diffRaw(prevU8, currU8, cap = 50) {
-  const len = Math.min(prevU8.length, currU8.length);
-  const totalPixels = len >> 2;
-
-  const samples = [];
-  const changedMap = Object.create(null); // pixelIndex -> [dr, dg, db, da] (SIGNED)
-
-  // tracking variables
-  let changed = 0;
-  let alphaChanges = 0;
-  let maxDeviation = 0;
-  let maxDeviationExcl255_254 = 0;
-  let hasAlphaChange = false;
-
-  const hist = new Uint32Array(256);
-
-  for (let i = 0; i < len; i += 4) {
-    const r0 = prevU8[i],     g0 = prevU8[i + 1], b0 = prevU8[i + 2], a0 = prevU8[i + 3];
-    const r1 = currU8[i],     g1 = currU8[i + 1], b1 = currU8[i + 2], a1 = currU8[i + 3];
-
-    const sdr = r1 - r0, sdg = g1 - g0, sdb = b1 - b0, sda = a1 - a0;
-    const dr = Math.abs(sdr), dg = Math.abs(sdg), db = Math.abs(sdb), da = Math.abs(sda);
-
-    if (da) { alphaChanges++; hasAlphaChange = true; }
-
-    const localMax = Math.max(dr, dg, db, da);
-    hist[localMax]++;
-
-    if (localMax > maxDeviation) maxDeviation = localMax;
-    if (localMax !== 255 && localMax !== 254 && localMax > maxDeviationExcl255_254)
-      maxDeviationExcl255_254 = localMax;
-
-    if (dr || dg || db || da) {
-      const pixIndex = i >> 2;
-      changed++;
-      changedMap[pixIndex] = [sdr, sdg, sdb, sda]; // SIGNED
-      if (samples.length < cap) {
-        samples.push({
-          pixel: pixIndex,
-          prev: [r0, g0, b0, a0],
-          curr: [r1, g1, b1, a1],
-          dev_abs: [dr, dg, db, da],
-          dev_signed: [sdr, sdg, sdb, sda],
-        });
-      }
-    }
-  }
-
-  // deviation % distribution (excluding 0)
-  const deviationDistribution = [];
-  const sumChanged = hist.reduce((a, b, i) => (i > 0 ? a + b : a), 0);
-  if (sumChanged > 0) {
-    for (let d = 1; d < 256; d++) if (hist[d]) {
-      const pct = (hist[d] / sumChanged) * 100;
-      deviationDistribution.push({ dev: d, pct: +pct.toFixed(2) });
-    }
-  }
-
-  return {
-    totalPixels,
-    changedPixels: changed,
-    pctChanged: totalPixels ? changed / totalPixels : 0,
-    alphaChanges,
-    maxDeviation,
-    maxDeviationExcl255_254,
-    hasAlphaChange,
-    deviationHistogram: Array.from(hist),
-    deviationDistribution,
-    sample: samples,
-    changedMap, // NEW: full sparse map of changed pixels -> signed delta
-  };
-}
-
 // ---------- analysis (works with server history structure) ----------
 function analyzeHistoryServerShape(hist) {
   const perImageSummary = {};
@@ -322,20 +369,73 @@ function logVariableDeltaPixels(hist, limitPerImage = 200) {
   console.groupEnd();
 }
 
+// ---------- result cards: baseline | current | diff overlay | cross-run heatmap ----------
+function renderCards(current, baseline, hist, report) {
+  if (!$cards) return;
+  $cards.innerHTML = "";
+  for (const [name, u8now] of current.entries()) {
+    const u8prev = baselineImage(baseline, name);
+    const dims = renderedDims.get(name);
+    if (!u8prev || !dims || u8prev.length !== u8now.length) continue;
+    const rec = hist?.byImage?.[name];
+    const heat = heatmapRGBA(rec?.perPixel, dims.w * dims.h);
+    const r = report[name] || {};
+
+    const rp = renderedProbes.get(name);
+
+    const card = document.createElement("div"); card.className = "item";
+    const title = document.createElement("div");
+    title.innerHTML = rp
+      ? `<b>${rp.probe.id}</b> · ${variantLabel(rp.variant)} <span class="label">${name}</span>`
+      : `<b>${name}</b>`;
+    const stat = document.createElement("div"); stat.className = "stat";
+    stat.innerHTML = `changed <b>${r.changedPixels ?? 0}</b> (${r.pctChanged ?? "0.00%"}) · max <b>${r.maxDeviation ?? 0}</b>` +
+      (r.filtered ? ` · after rules <b>${r.filtered.changedPixels}</b> (${r.filtered.pctChanged})` : "") +
+      ` · heatmap: ${Object.keys(rec?.perPixel || {}).length} pixels ever changed, max ${heat.maxN} / ${hist?.runs || 0} runs`;
+    card.appendChild(title);
+    card.appendChild(vizRow({
+      width: dims.w,
+      height: dims.h,
+      panels: [
+        { label: "baseline", rgba: u8prev },
+        { label: "current", rgba: u8now },
+        { label: "diff (|Δ| yellow→purple)", rgba: diffOverlayRGBA(u8prev, u8now) },
+        { label: "cross-run heatmap (n)", rgba: heat.rgba },
+      ],
+      inspect: pixelInspector({ prev: u8prev, curr: u8now, perPixel: rec?.perPixel, runs: hist?.runs || 0 }),
+    }));
+    card.appendChild(stat);
+    $cards.appendChild(card);
+  }
+}
+
 // ---------- UI ----------
 function show(summary, details) {
   if ($sum) $sum.innerHTML = summary;
   if ($out) $out.textContent = JSON.stringify(details, null, 2);
+  // machine-readable copy for the headless runner (bin/testpixel.js)
+  window.__pp_last_report__ = { seq: (window.__pp_last_report__?.seq || 0) + 1, at: new Date().toISOString(), details };
+}
+
+// Last compare, kept for the report export: { details, source, images: name -> { width, height, panels: [{ label, rgba }] } }
+let lastCompare = null;
+
+function exportReport() {
+  if (!lastCompare) return null;
+  const images = {};
+  for (const [name, { width, height, panels }] of lastCompare.images)
+    images[name] = { width, height, panels: embedPanels(width, height, panels) };
+  return buildReport(lastCompare.details, { source: lastCompare.source, images, defaultPath: "raw_vs_baseline" });
 }
 
 async function runCompare() {
   $run.disabled = true;
   try {
     const serverBaseline = await fetchBaseline();
-    const current = renderAll();
+    const current = await renderAll();
 
     if (!serverBaseline) {
-      show(`No server baseline. Click <b>Set Current as Baseline</b> first.`, { note: "no baseline" });
+      show(`No server baseline${selectedBaseline() ? ` named <b>${selectedBaseline()}</b>` : ""}. Click <b>Set Current as Baseline</b> first.`, { note: "no baseline" });
       return;
     }
 
@@ -343,19 +443,31 @@ async function runCompare() {
     const meta = serverBaseline.meta || {};
     const report = {};
     let overall = { total: 0, changed: 0, alpha: 0, maxDeviation: 0, maxDeviationExcl255_254: 0 };
+    const filteredOverall = { changed: 0, alpha: 0, ignored: 0, maxDeviation: 0, maxDeviationExcl255_254: 0 };
+    const rules = serverBaseline.rules || {};
+    let ruledImages = 0;
     const imagesWithAlphaChanges = [];
 
     // Build per-run delta to persist on the server
     const deltaByImage = {};
+    for (const [name, err] of renderErrors) report[name] = { note: `not rendered: ${err}` };
 
     for (const [name, u8now] of current.entries()) {
-      const u8prev = baseline.get(name);
+      const u8prev = baselineImage(baseline, name);
       if (!u8prev) {
         report[name] = { note: "missing in baseline" };
         continue;
       }
 
-      const r = diffRaw(u8prev, u8now, 50);
+      // sparse changedMap with SIGNED deltas (persisted to history) + first 50 samples;
+      // the rule only adds filtered counts — history always gets the raw deltas
+      const rule = resolveRule(rules, name);
+      const r = diffPixels(u8prev, u8now, {
+        deltas: "signed",
+        sampleCap: 50,
+        rule,
+        width: renderedDims.get(name)?.w || 0,
+      });
       const pctStr = (Math.round(r.pctChanged * 10000) / 100).toFixed(2) + "%";
 
       const allDevPct = r.deviationDistribution
@@ -376,6 +488,21 @@ async function runCompare() {
         allDeviationSummary: allDevPct,
         sample: r.sample,
       };
+      if (r.filtered) {
+        const f = r.filtered;
+        report[name].filtered = { ...f, pctChanged: (Math.round(f.pctChanged * 10000) / 100).toFixed(2) + "%", rule };
+        ruledImages++;
+        filteredOverall.changed += f.changedPixels;
+        filteredOverall.alpha += f.alphaChanges;
+        filteredOverall.ignored += f.ignoredPixels;
+        filteredOverall.maxDeviation = Math.max(filteredOverall.maxDeviation, f.maxDeviation);
+        filteredOverall.maxDeviationExcl255_254 = Math.max(filteredOverall.maxDeviationExcl255_254, f.maxDeviationExcl255_254);
+      } else {
+        filteredOverall.changed += r.changedPixels;
+        filteredOverall.alpha += r.alphaChanges;
+        filteredOverall.maxDeviation = Math.max(filteredOverall.maxDeviation, r.maxDeviation);
+        filteredOverall.maxDeviationExcl255_254 = Math.max(filteredOverall.maxDeviationExcl255_254, r.maxDeviationExcl255_254);
+      }
 
       // Collect sparse signed deltas for server persistence
       deltaByImage[name] = { changedMap: r.changedMap };
@@ -388,13 +515,24 @@ async function runCompare() {
       if (r.hasAlphaChange) imagesWithAlphaChanges.push(name);
     }
 
-    // ---- Persist run delta via GET→merge→PUT (tolerant)
-    let hist = await getHistoryFromServer();             // tolerant GET
-    hist = mergeDeltaClientSide(hist, deltaByImage);
-    const wrote = await putHistoryToServer(hist);        // tolerant PUT→POST fallback
-    if (wrote === null) {
+    // ---- Persist run delta via server-side atomic append (tolerant)
+    // Fingerprint of every rendered probe's read-back (SHA-256 + perceptual hash), stored with the run
+    const hashes = {};
+    for (const [name, u8now] of current.entries()) {
+      const dims = renderedDims.get(name);
+      hashes[name] = { raw: await fingerprint(u8now, dims?.w, dims?.h) };
+    }
+
+    const environment = collectEnvironment();
+    const grouped = groupByProbe(report);
+    const appended = await appendRunToServer(deltaByImage, meta.baseline, { report: grouped }, hashes, environment);
+    if (appended === null) {
       console.warn("[history] persist failed; continuing without updating server-side history.");
     }
+    const policy = appended ? appended.policy : await evaluatePolicyLocally({ report: grouped });
+    const hist = appended || await getHistoryFromServer(environment.client);
+    const analysis = await getAnalysisFromServer(meta.baseline, environment.client);
+    const stability = await getStabilityFromServer(meta.baseline, environment.client);
 
     // Summarize per-image %changed stats for this run
     const pctList = Object.values(report)
@@ -418,12 +556,46 @@ async function runCompare() {
 
     const exclHiLine = `Overall max deviation (excluding 255 & 254): <b>${overall.maxDeviationExcl255_254}</b> (0–253).<br/>`;
 
+    const filteredPct = overall.total ? filteredOverall.changed / overall.total : 0;
+    const rulesLine = ruledImages
+      ? `After rules (${ruledImages} image${ruledImages === 1 ? "" : "s"} ruled): changed <b>${filteredOverall.changed}</b> ` +
+        `(${(Math.round(filteredPct * 10000) / 100).toFixed(2)}%) vs raw <b>${overall.changed}</b>, ` +
+        `ignored by masks: <b>${filteredOverall.ignored}</b>, max deviation: <b>${filteredOverall.maxDeviation}</b>, ` +
+        `alpha changes: <b>${filteredOverall.alpha}</b>.<br/>`
+      : "";
+
     // Cross-run analysis using server history
     const histSummary = analyzeHistoryServerShape(hist);
+    const verdict = (v) => `<b>${v.verdict}</b> (${Math.round((v.confidence || 0) * 100)}%)`;
+    const analysisLine = analysis
+      ? `Noise analysis over ${analysis.runs} run(s) / ${analysis.sessions} session(s): ` +
+        `seeding ${verdict(analysis.overall.seeding)}, deltas ${verdict(analysis.overall.lsb)}, ` +
+        `location ${verdict(analysis.overall.content)}, reloads ${verdict(analysis.overall.reproducibility)}.<br/>`
+      : "";
+    const so = stability?.overall;
+    const stabilityLine = so?.paths
+      ? `Fingerprints over ${stability.hashedRuns} hashed run(s): <b>${so.stablePaths}</b> / ${so.paths} probe read-backs never changed hash, ` +
+        `mean entropy <b>${so.meanEntropyBits}</b> bits` +
+        (so.baselineReproductionRate != null ? `, baseline hash reproduced in <b>${Math.round(so.baselineReproductionRate * 100)}%</b> of runs` : "") +
+        `.<br/>`
+      : "";
+    const baselineEnv = meta.environment;
+    const clientLine = `Client: <b>${describeClient(environment)}</b> (<code>${environment.client}</code>)` +
+      (baselineEnv?.client && baselineEnv.client !== environment.client
+        ? ` — <span style="color:var(--warn)">baseline was saved by another client: ${describeClient(baselineEnv)}</span>`
+        : "") + `.<br/>`;
+    renderCards(current, baseline, hist, report);
+
+    const ref = meta.baseline
+      ? `<b>${meta.baseline.name}</b> v${meta.baseline.version}${meta.baseline.label ? ` (“${meta.baseline.label}”)` : ""}, `
+      : "";
 
     show(
-      `Compared against server baseline saved at <b>${meta.savedAt || "unknown"}</b>.<br/>
+      `${policyBanner(policy)}
+       Compared against server baseline ${ref}saved at <b>${meta.savedAt || "unknown"}</b>.<br/>
+       ${clientLine}
        Overall changed: <b>${overall.changed}</b> / ${overall.total} (${overallPctStr}).<br/>
+       ${rulesLine}
        ${statsLine}
        Overall max deviation: <b>${overall.maxDeviation}</b> (0–255).<br/>
        ${exclHiLine}
@@ -431,9 +603,24 @@ async function runCompare() {
        Alpha-channel changes (A≠): <b>${overall.alpha}</b>.<br/>
        Baseline not modified.<br/>
        <hr/>
+       ${analysisLine}
+       ${stabilityLine}
        <b>Cross-run analysis (server-persisted)</b>: see console for per-image details.`,
-      { report, history: histSummary }
+      { report: grouped, suite: selectedSuite(), runId: appended?.runId || null, environment, policy, fingerprints: hashes, history: histSummary, analysis, stability }
     );
+    lastCompare = {
+      details: { report: grouped, policy },
+      source: { page: "index", suite: selectedSuite(), baseline: meta.baseline || null, runId: appended?.runId || null, userAgent: navigator.userAgent, client: environment.client },
+      images: new Map([...current].flatMap(([name, u8now]) => {
+        const u8prev = baselineImage(baseline, name), dims = renderedDims.get(name);
+        if (!u8prev || !dims || u8prev.length !== u8now.length) return [];
+        return [[name, { width: dims.w, height: dims.h, panels: [
+          { label: "Baseline", rgba: u8prev },
+          { label: "Current", rgba: u8now },
+          { label: "Δ vs baseline", rgba: diffOverlayRGBA(u8prev, u8now) },
+        ] }]];
+      })),
+    };
 
     // Console diagnostics
     console.group(`[Cross-run analysis] (server) runs=${histSummary.runs}`);
@@ -472,20 +659,21 @@ async function runCompare() {
 async function setBaseline() {
   $set.disabled = true;
   try {
-    const current = renderAll();
-    await putBaseline(current);
+    const current = await renderAll();
+    const saved = await putBaseline(current);
 
     // Clear server history ONLY when the baseline is replaced (tolerant):
-    const cleared = await putHistoryToServer({ runs: 0, byImage: {} }) !== null;
+    const cleared = await clearHistoryOnServer();
 
     const note = cleared
-      ? "History cleared."
+      ? 'History cleared (the previous history can be restored from the <a href="./audit.html">audit log</a>).'
       : '<span style="color:#f59e0b">History not cleared (history endpoint unreachable).</span>';
 
     show(
-      `Server baseline set at <b>${nowStr()}</b>. ${note}`,
-      { saved: [...current.keys()], historyCleared: cleared }
+      `Server baseline <b>${saved?.name || "default"}</b> v${saved?.version ?? "?"} set at <b>${nowStr()}</b>. ${note}`,
+      { saved: [...current.keys()], notRendered: Object.fromEntries(renderErrors), baseline: saved, historyCleared: cleared }
     );
+    await loadBaselineList();
   } catch (e) {
     console.error(e);
     show("Error while setting baseline. See console.", { error: String(e) });
@@ -508,10 +696,36 @@ async function clearBaseline() {
   }
 }
 
+async function pinBaseline() {
+  const name = selectedBaseline();
+  if (!name) return show("Select a named baseline to pin.", { note: "nothing selected" });
+  $pin.disabled = true;
+  try {
+    const resp = await fetch(`/baselines/${encodeURIComponent(name)}/pin`, { method: "POST" });
+    if (!resp.ok) throw new Error(`POST /baselines/${name}/pin failed: ${resp.status}`);
+    show(`Baseline <b>${name}</b> is now the server default.`, await resp.json());
+    await loadBaselineList();
+  } catch (e) {
+    console.error(e);
+    show("Error while pinning baseline. See console.", { error: String(e) });
+  } finally {
+    $pin.disabled = false;
+  }
+}
+
 // ---------- bind ----------
 if (!window.__pp_bound_listeners__) {
   $run?.addEventListener("click", runCompare);
   $set?.addEventListener("click", setBaseline);
   $clear?.addEventListener("click", clearBaseline);
+  $pin?.addEventListener("click", pinBaseline);
+  $saveRules?.addEventListener("click", saveRules);
+  $name?.addEventListener("change", () => loadRules());
   window.__pp_bound_listeners__ = true;
+  bindZoom($zoom);
+  bindDeviceLabel($device);
+  // viewers can still compare (the run is just not recorded); baseline and rules edits need admin
+  gateControls({ admin: [$set, $clear, $pin, $saveRules] });
+  bindExport($exportFormat, $export, exportReport);
+  loadBaselineList().then(() => loadRules());
 }
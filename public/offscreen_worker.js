@@ -0,0 +1,80 @@
+// offscreen_worker.js — module Worker for probes_offscreen.js: draws a scene on an OffscreenCanvas
+// and reads it back inside the worker.
+//   in:  { id, scene, width, height, dpr, readback: "imageData" | "blob" }
+//   out: { id, pixels: ArrayBuffer (RGBA, top row first) } | { id, error }
+// readback "imageData" = getImageData on the OffscreenCanvas;
+// readback "blob"      = convertToBlob("image/png") -> createImageBitmap -> getImageData.
+
+function flatten(ctx) {
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "copy";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+  ctx.restore();
+}
+
+// scenes draw in CSS pixels (w × h); the context is already scaled by dpr
+const SCENES = {
+  text(ctx, w, h) {
+    ctx.fillStyle = "#141414";
+    ctx.textBaseline = "alphabetic";
+    const lines = [
+      ["12px Arial",           "Hamburgefonstiv 0123"],
+      ["11px Georgia",         "ß ψ ≠ ≈ ± ∞ € ₿"],
+      ["13px monospace",       "{ } [ ] < > ~ #"],
+      ["12px serif",           "é ñ ü å ø æ œ"],
+      ["14px sans-serif",      "😀 🌸 🐶 ❤️ 🇯🇵"],
+    ];
+    lines.forEach(([font, text], i) => {
+      ctx.font = font;
+      ctx.fillText(text, 4, 16 + i * ((h - 16) / lines.length), w - 8);
+    });
+  },
+  shapes(ctx, w, h) {
+    const g = ctx.createLinearGradient(0, 0, w, h);
+    g.addColorStop(0, "#1e3a8a"); g.addColorStop(0.5, "#f59e0b"); g.addColorStop(1, "#10b981");
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, w, h * 0.5);
+    ctx.shadowColor = "#000000"; ctx.shadowBlur = 6;
+    ctx.fillStyle = "#ef4444";
+    ctx.beginPath(); ctx.arc(w * 0.3, h * 0.7, w * 0.18, 0, Math.PI * 2); ctx.fill();
+    ctx.shadowBlur = 0;
+    ctx.strokeStyle = "#6135dc"; ctx.lineWidth = 2.5;
+    ctx.beginPath(); ctx.moveTo(w * 0.05, h * 0.95);
+    ctx.bezierCurveTo(w * 0.4, h * 0.2, w * 0.6, h * 1.2, w * 0.95, h * 0.55);
+    ctx.stroke();
+    ctx.globalAlpha = 0.5; ctx.fillStyle = "#0ea5e9";
+    ctx.fillRect(w * 0.55, h * 0.55, w * 0.35, h * 0.35);
+  },
+};
+
+async function render({ scene, width, height, dpr, readback }) {
+  const draw = SCENES[scene];
+  if (!draw) throw new Error(`unknown scene "${scene}"`);
+  const cv = new OffscreenCanvas(Math.round(width * dpr), Math.round(height * dpr));
+  const ctx = cv.getContext("2d", { alpha: false, willReadFrequently: true });
+  flatten(ctx);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  draw(ctx, width, height);
+
+  if (readback === "blob") {
+    const bmp = await createImageBitmap(await cv.convertToBlob({ type: "image/png" }));
+    const out = new OffscreenCanvas(cv.width, cv.height);
+    const octx = out.getContext("2d", { alpha: false, willReadFrequently: true });
+    flatten(octx);
+    octx.drawImage(bmp, 0, 0);
+    bmp.close();
+    return octx.getImageData(0, 0, out.width, out.height).data.buffer;
+  }
+  return ctx.getImageData(0, 0, cv.width, cv.height).data.buffer;
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    const pixels = await render(data);
+    self.postMessage({ id: data.id, pixels }, [pixels]);
+  } catch (e) {
+    self.postMessage({ id: data.id, error: String(e?.message || e) });
+  }
+};
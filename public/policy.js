@@ -0,0 +1,118 @@
+// policy.js — pass/fail policy evaluated on every compare (isomorphic; stored as <DATA_DIR>/policy.json)
+//
+// Policy document:
+//   {
+//     "version": 1,
+//     "rules": [
+//       { "name": "moire identical",        "images": "*moire*", "metric": "changedPixels", "max": 0 },
+//       { "name": "emoji under 0.5%",       "images": "*emoji*", "metric": "pctChanged", "lt": 0.5 },
+//       { "name": "alpha untouched",                             "metric": "alphaChanges", "max": 0 },
+//       { "name": "RAW = PNG(toBlob)",      "paths": "raw_vs_png_toBlob*", "metric": "changedPixels", "max": 0 }
+//     ]
+//   }
+// Rule fields:
+//   name         unique, shown in the banner
+//   images       glob or [globs] on the image name (default "*")
+//   paths        glob or [globs] on the comparison path (public/report.js; index page: "raw_vs_baseline")
+//   metric       changedPixels | pctChanged (percent) | maxDeviation | maxDeviationExcl255_254 | alphaChanges
+//   max / lt     value must be <= max, or < lt (exactly one of them)
+//   useFiltered  judge the rule-filtered counts where a comparison has them (default true)
+//   required     fail when no comparison matches (default false: the rule is "skipped")
+// Every matching (image, path) comparison must satisfy the rule; the run passes when no rule fails.
+
+import { globToRe } from "./rules.js";
+
+export const POLICY_VERSION = 1;
+export const POLICY_METRICS = ["changedPixels", "pctChanged", "maxDeviation", "maxDeviationExcl255_254", "alphaChanges"];
+const RULE_KEYS = ["name", "images", "paths", "metric", "max", "lt", "useFiltered", "required"];
+const MAX_LISTED_FAILURES = 20;
+
+function isObj(v) { return v && typeof v === "object" && !Array.isArray(v); }
+const globs = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+const isGlobList = (v) => v == null || typeof v === "string" || (Array.isArray(v) && v.length && v.every((g) => typeof g === "string"));
+
+export function emptyPolicy() { return { version: POLICY_VERSION, rules: [] }; }
+
+// -> list of problems ("" path = document root); empty when valid
+export function validatePolicy(doc) {
+  if (!isObj(doc)) return [{ path: "", error: "policy must be an object { version, rules }" }];
+  const errors = [];
+  if (doc.version != null && doc.version !== POLICY_VERSION) errors.push({ path: "version", error: `expected ${POLICY_VERSION}` });
+  if (!Array.isArray(doc.rules)) return [...errors, { path: "rules", error: "expected array" }];
+  const names = new Set();
+  doc.rules.forEach((r, i) => {
+    const at = (f) => `rules[${i}]${f ? "." + f : ""}`;
+    if (!isObj(r)) { errors.push({ path: at(""), error: "rule must be an object" }); return; }
+    for (const f of Object.keys(r)) if (!RULE_KEYS.includes(f)) errors.push({ path: at(f), error: "unknown field" });
+    if (typeof r.name !== "string" || !r.name.trim()) errors.push({ path: at("name"), error: "expected non-empty string" });
+    else if (names.has(r.name)) errors.push({ path: at("name"), error: "duplicate rule name" });
+    else names.add(r.name);
+    if (!isGlobList(r.images)) errors.push({ path: at("images"), error: "expected glob string or non-empty array of globs" });
+    if (!isGlobList(r.paths)) errors.push({ path: at("paths"), error: "expected glob string or non-empty array of globs" });
+    if (!POLICY_METRICS.includes(r.metric)) errors.push({ path: at("metric"), error: `expected one of ${POLICY_METRICS.join(", ")}` });
+    if ((r.max == null) === (r.lt == null)) errors.push({ path: at("max"), error: "set exactly one of max / lt" });
+    for (const f of ["max", "lt"]) {
+      if (r[f] != null && !(typeof r[f] === "number" && Number.isFinite(r[f]) && r[f] >= 0))
+        errors.push({ path: at(f), error: "expected a non-negative number" });
+    }
+    for (const f of ["useFiltered", "required"]) {
+      if (r[f] != null && typeof r[f] !== "boolean") errors.push({ path: at(f), error: "expected boolean" });
+    }
+  });
+  return errors;
+}
+
+export function describeRule(r) {
+  return `${r.metric} ${r.max != null ? `<= ${r.max}` : `< ${r.lt}`}`;
+}
+
+/*
+  comparisons: public/report.js collectComparisons() entries
+  -> { verdict: "pass" | "fail" | "none", evaluatedAt, rules: [{ name, expect, status: "pass" | "fail" | "skipped",
+        matched, failed, worst: { image, path, value } | null, failures: [{ image, path, value }] }] }
+  An invalid policy fails the run (verdict "fail", `errors` from validatePolicy, no rules) rather than letting it pass unchecked.
+*/
+export function evaluatePolicy(policy, comparisons) {
+  const errors = validatePolicy(policy);
+  if (errors.length) return { verdict: "fail", evaluatedAt: new Date().toISOString(), errors, rules: [] };
+  const rules = policy.rules.map((r) => {
+    const imageRes = globs(r.images ?? "*").map(globToRe), pathRes = globs(r.paths ?? "*").map(globToRe);
+    const ok = (v) => (r.max != null ? v <= r.max : v < r.lt);
+    let matched = 0, failed = 0, worst = null;
+    const failures = [];
+    for (const c of comparisons) {
+      if (!imageRes.some((re) => re.test(c.image)) || !pathRes.some((re) => re.test(c.path))) continue;
+      const m = r.useFiltered !== false && c.filtered && c.filtered[r.metric] != null ? c.filtered : c;
+      const value = m[r.metric];
+      if (value == null) continue;
+      matched++;
+      if (!worst || value > worst.value) worst = { image: c.image, path: c.path, value };
+      if (ok(value)) continue;
+      failed++;
+      if (failures.length < MAX_LISTED_FAILURES) failures.push({ image: c.image, path: c.path, value });
+    }
+    const status = failed ? "fail" : matched ? "pass" : (r.required ? "fail" : "skipped");
+    return { name: r.name, expect: describeRule(r), status, matched, failed, worst, failures };
+  });
+  return {
+    verdict: !rules.length ? "none" : rules.some((r) => r.status === "fail") ? "fail" : "pass",
+    evaluatedAt: new Date().toISOString(),
+    rules,
+  };
+}
+
+// Banner HTML for the pages' summary
+export function policyBanner(result) {
+  if (!result || result.verdict === "none") return "";
+  const color = result.verdict === "pass" ? "var(--ok)" : "var(--err)";
+  const lines = (result.errors || []).map((e) => `✗ invalid policy: ${e.path || "(root)"} — ${e.error}`);
+  lines.push(...result.rules.map((r) => {
+    const mark = r.status === "pass" ? "✓" : r.status === "fail" ? "✗" : "–";
+    const detail = r.status === "skipped" ? "no matching comparison"
+      : r.status === "fail" && !r.matched ? "no matching comparison (required)"
+      : `${r.matched - r.failed}/${r.matched} ok` + (r.worst ? `, worst ${r.worst.value} (${r.worst.image} · ${r.worst.path})` : "");
+    return `${mark} <b>${r.name}</b> — ${r.expect}: ${detail}`;
+  }));
+  return `<div style="border-left:4px solid ${color};padding-left:8px;margin-bottom:8px">` +
+    `Policy: <b style="color:${color}">${result.verdict.toUpperCase()}</b><br/>${lines.join("<br/>")}</div>`;
+}
@@ -0,0 +1,239 @@
+// probes.js — probe registry: every canvas renderer the pages can run, and named suites of them
+//
+// A probe is
+//   {
+//     id:      stable string, becomes the image name (S<session>_<id>) — never renumbered
+//     kind:    "2d" (default) | any kind added with registerRenderer() ("webgl", "worker", …)
+//     width, height                 canvas size (default 100×100)
+//     context: { alpha, colorSpace, willReadFrequently }   getContext(…) options for the kind
+//     draw(ctx, probe, variant)     2d: paints onto a freshly created, pre-flattened context, in CSS pixels
+//                                   (variant = { width, height, dpr }; the context is already scaled by dpr)
+//     aliases: [string]             older image names (e.g. "faces_1") still matched in baselines/last session
+//     …                             any other fields are kept for the kind's renderer (e.g. scene, readback)
+//   }
+//
+// A renderer turns (probe, variant, canvas box) into { canvas, pixels }: the canvas shown on the page
+// (and used for PNG round trips) and its read-back RGBA (backing-store size, top row first). Every
+// kind therefore feeds the same baseline / history / diff pipeline.
+//
+// Matrix: every probe can be rendered at several CSS sizes × devicePixelRatio factors. A variant's
+// backing store is (width·dpr)×(height·dpr) and it is stored/compared under its own image name:
+//   S1_faces                the probe's default size at dpr 1 (same key as before the matrix)
+//   S1_faces@64x64          another size
+//   S1_faces@2x             default size at dpr 2
+//   S1_faces@64x64@1.5x     both
+// Built-in probes register themselves in frozen.js (2d), probes_webgl.js and probes_offscreen.js;
+// extra probe files only need to import registerProbe() (and registerSuite()) from here and be
+// loaded before the page runs.
+
+const PROBES = new Map();
+const SUITES = new Map();
+
+export const DEFAULT_SUITE = "classic";
+const DEFAULT_CONTEXT = { alpha: false, willReadFrequently: true };
+
+export function registerProbe(def) {
+  if (!def || typeof def.id !== "string" || !/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(def.id))
+    throw new Error(`registerProbe: invalid id ${JSON.stringify(def?.id)}`);
+  const kind = def.kind || "2d";
+  if (kind === "2d" && typeof def.draw !== "function") throw new Error(`registerProbe(${def.id}): draw must be a function`);
+  if (PROBES.has(def.id)) throw new Error(`registerProbe: duplicate id "${def.id}"`);
+  const probe = Object.freeze({
+    ...def,
+    id: def.id,
+    kind,
+    width: def.width || 100,
+    height: def.height || 100,
+    context: Object.freeze(kind === "2d" ? { ...DEFAULT_CONTEXT, ...(def.context || {}) } : { ...(def.context || {}) }),
+    aliases: Object.freeze([...(def.aliases || [])]),
+  });
+  PROBES.set(probe.id, probe);
+  return probe;
+}
+
+export function getProbe(id) { return PROBES.get(id) || null; }
+export function listProbes() { return [...PROBES.values()]; }
+
+// ids may name probes registered later; they are resolved when the suite is used
+export function registerSuite(name, ids) {
+  SUITES.set(name, [...ids]);
+}
+export function listSuites() {
+  return ["all", ...SUITES.keys()];
+}
+
+// -> probes of a named suite, in suite order ("all" = every registered probe)
+export function suiteProbes(name = DEFAULT_SUITE) {
+  if (name === "all") return listProbes();
+  const ids = SUITES.get(name);
+  if (!ids) throw new Error(`unknown probe suite "${name}"`);
+  return ids.map((id) => {
+    const p = PROBES.get(id);
+    if (!p) throw new Error(`suite "${name}": unknown probe "${id}"`);
+    return p;
+  });
+}
+
+export function imageName(sessionId, probe, variant = null) {
+  return `S${sessionId}_${probe.id}${variant ? variantKey(probe, variant) : ""}`;
+}
+
+// ---------- size × DPR matrix ----------
+// matrix: { sizes: [null | { width, height }], dprs: [number] } — null size = the probe's own
+export const DEFAULT_MATRIX = Object.freeze({ sizes: [null], dprs: [1] });
+
+// "default, 64x64, 256x128" + "1, 2, device" -> matrix; throws on anything unparsable
+export function parseMatrix(sizesText = "", dprsText = "") {
+  const sizes = [], dprs = [];
+  for (const tok of String(sizesText).split(",").map((t) => t.trim()).filter(Boolean)) {
+    if (tok === "default") { sizes.push(null); continue; }
+    const m = /^(\d{1,4})x(\d{1,4})$/.exec(tok);
+    if (!m || !+m[1] || !+m[2]) throw new Error(`bad size "${tok}" (expected WxH or "default")`);
+    sizes.push({ width: +m[1], height: +m[2] });
+  }
+  for (const tok of String(dprsText).split(",").map((t) => t.trim()).filter(Boolean)) {
+    const v = tok === "device" ? (globalThis.devicePixelRatio || 1) : Number(tok);
+    if (!(v > 0 && v <= 8)) throw new Error(`bad devicePixelRatio "${tok}" (expected 0 < dpr <= 8 or "device")`);
+    dprs.push(v);
+  }
+  return { sizes: sizes.length ? sizes : [null], dprs: dprs.length ? [...new Set(dprs)] : [1] };
+}
+
+export function variantsOf(probe, matrix = DEFAULT_MATRIX) {
+  const out = [], seen = new Set();
+  for (const size of matrix.sizes) {
+    for (const dpr of matrix.dprs) {
+      const v = { width: size?.width || probe.width, height: size?.height || probe.height, dpr };
+      const key = variantKey(probe, v);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(v);
+    }
+  }
+  return out;
+}
+
+// Storage suffix: only what differs from the probe's default (so the default variant keeps the bare id)
+export function variantKey(probe, { width, height, dpr }) {
+  return (width !== probe.width || height !== probe.height ? `@${width}x${height}` : "") + (dpr !== 1 ? `@${dpr}x` : "");
+}
+// Display label, always complete: "100x100@1x"
+export function variantLabel({ width, height, dpr }) {
+  return `${width}x${height}@${dpr}x`;
+}
+
+// Look a variant's image up in a Map keyed by image name; the default variant also
+// falls back to the probe's legacy aliases
+export function lookupImage(map, sessionId, probe, variant = null) {
+  const name = imageName(sessionId, probe, variant);
+  if (map.has(name)) return map.get(name);
+  if (variant && variantKey(probe, variant)) return undefined;
+  for (const a of probe.aliases) if (map.has(`S${sessionId}_${a}`)) return map.get(`S${sessionId}_${a}`);
+  return undefined;
+}
+
+// Size/DPR inputs ("default, 64x64" / "1, 2, device"); ?sizes= and ?dpr= prefill them.
+// Returns a getter that parses the current values (throws on bad input).
+export function bindMatrixInputs(sizesInput, dprsInput) {
+  const q = new URLSearchParams(location.search);
+  if (sizesInput && q.get("sizes")) sizesInput.value = q.get("sizes");
+  if (dprsInput && q.get("dpr")) dprsInput.value = q.get("dpr");
+  return () => parseMatrix(sizesInput?.value ?? q.get("sizes") ?? "", dprsInput?.value ?? q.get("dpr") ?? "");
+}
+
+// Fill a suite <select>; ?suite=<name> preselects. Returns a getter for the current choice.
+export function bindSuiteSelect(select) {
+  const fromUrl = new URLSearchParams(location.search).get("suite");
+  const initial = fromUrl && listSuites().includes(fromUrl) ? fromUrl : DEFAULT_SUITE;
+  if (select) {
+    select.innerHTML = "";
+    for (const name of listSuites()) {
+      const n = name === "all" ? PROBES.size : SUITES.get(name).length;
+      select.appendChild(new Option(`${name} (${n})`, name));
+    }
+    select.value = initial;
+  }
+  return () => select?.value || initial;
+}
+
+// ---------- rendering ----------
+function ensureRoot() {
+  let r = document.getElementById("canvas-root");
+  if (!r) {
+    r = document.createElement("div");
+    r.id = "canvas-root";
+    r.style.display = "flex";
+    r.style.flexWrap = "wrap";
+    r.style.gap = "8px";
+    r.style.maxWidth = "1080px";
+    document.body.appendChild(r);
+  }
+  return r;
+}
+
+// A labelled DOM canvas of the variant's backing size (CSS size × dpr), appended to #canvas-root
+export function canvasFor(variant, name) {
+  const { width, height, dpr } = variant;
+  const box = document.createElement("div"); box.className = "pp-canvas-item";
+  const cv  = document.createElement("canvas");
+  cv.width = Math.round(width * dpr); cv.height = Math.round(height * dpr);
+  cv.style.width = `${width}px`; cv.style.height = `${height}px`;
+  const lb  = document.createElement("div"); lb.className = "pp-label"; lb.textContent = String(name);
+  box.appendChild(cv); box.appendChild(lb); ensureRoot().appendChild(box);
+  return cv;
+}
+
+// Show read-back pixels on a (display) canvas — for kinds that render somewhere else
+export function showPixels(cv, pixels) {
+  cv.getContext("2d").putImageData(new ImageData(new Uint8ClampedArray(pixels.buffer, pixels.byteOffset, pixels.length), cv.width, cv.height), 0, 0);
+  return cv;
+}
+
+const RENDERERS = new Map();
+
+// renderer(probe, variant, canvas) -> { canvas, pixels: Uint8Array } | Promise of it
+export function registerRenderer(kind, renderer) {
+  if (RENDERERS.has(kind)) throw new Error(`registerRenderer: duplicate kind "${kind}"`);
+  RENDERERS.set(kind, renderer);
+}
+
+// 2d: flatten to opaque white, scale by dpr, run draw(), read back with getImageData
+registerRenderer("2d", (probe, variant, cv) => {
+  const ctx = cv.getContext("2d", probe.context);
+  ctx.save();
+  ctx.globalCompositeOperation = "copy";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, cv.width, cv.height);
+  ctx.restore();
+
+  ctx.setTransform(variant.dpr, 0, 0, variant.dpr, 0, 0);
+  probe.draw(ctx, probe, variant);
+  const img = ctx.getImageData(0, 0, cv.width, cv.height);
+  return { canvas: cv, pixels: new Uint8Array(img.data.buffer.slice(0)) };
+});
+
+// -> { canvas, pixels }
+export async function renderProbe(probe, name = probe.id, variant = { width: probe.width, height: probe.height, dpr: 1 }) {
+  const renderer = RENDERERS.get(probe.kind);
+  if (!renderer) throw new Error(`probe "${probe.id}": no renderer for kind "${probe.kind}"`);
+  return renderer(probe, variant, canvasFor(variant, name));
+}
+
+// Render a whole suite across the matrix, probe by probe
+// -> [{ probe, variant, name, canvas, pixels } | { probe, variant, name, error }]
+// A probe its browser cannot run (no WebGL, no OffscreenCanvas, …) yields { error } instead of failing the suite.
+export async function renderSuite(suite = DEFAULT_SUITE, sessionId = 1, matrix = DEFAULT_MATRIX) {
+  const out = [];
+  for (const probe of suiteProbes(suite)) {
+    for (const variant of variantsOf(probe, matrix)) {
+      const name = imageName(sessionId, probe, variant);
+      try {
+        out.push({ probe, variant, name, ...(await renderProbe(probe, name, variant)) });
+      } catch (e) {
+        console.warn(`[probes] ${name} failed:`, e);
+        out.push({ probe, variant, name, error: String(e?.message || e) });
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,52 @@
+// probes_offscreen.js — OffscreenCanvas-in-Worker probe family (scenes live in offscreen_worker.js)
+// Each scene is registered twice: read back with getImageData inside the worker, and through
+// convertToBlob → PNG → decode (the "_blob" probes). The returned pixels are shown on the 2D
+// display canvas and go through the same baseline / history / diff pipeline as every other probe.
+import { registerProbe, registerRenderer, registerSuite, showPixels } from "./probes.js";
+
+const TIMEOUT_MS = 15000;
+let worker = null, seq = 0;
+const pending = new Map();   // id -> { resolve, reject, timer }
+
+function getWorker() {
+  if (worker) return worker;
+  if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined") throw new Error("OffscreenCanvas in Worker unavailable");
+  worker = new Worker(new URL("./offscreen_worker.js", import.meta.url), { type: "module" });
+  worker.onmessage = ({ data }) => {
+    const p = pending.get(data.id);
+    if (!p) return;
+    pending.delete(data.id);
+    clearTimeout(p.timer);
+    if (data.error) p.reject(new Error(data.error)); else p.resolve(new Uint8Array(data.pixels));
+  };
+  worker.onerror = (e) => {
+    for (const p of pending.values()) { clearTimeout(p.timer); p.reject(new Error(`worker error: ${e.message || "load failed"}`)); }
+    pending.clear();
+    worker = null;
+  };
+  return worker;
+}
+
+function renderInWorker(msg) {
+  const w = getWorker();
+  return new Promise((resolve, reject) => {
+    const id = ++seq;
+    const timer = setTimeout(() => { pending.delete(id); reject(new Error(`worker timed out after ${TIMEOUT_MS} ms`)); }, TIMEOUT_MS);
+    pending.set(id, { resolve, reject, timer });
+    w.postMessage({ id, ...msg });
+  });
+}
+
+registerRenderer("worker", async (probe, variant, display) => {
+  const pixels = await renderInWorker({ scene: probe.scene, readback: probe.readback, ...variant });
+  if (pixels.length !== display.width * display.height * 4) throw new Error(`worker returned ${pixels.length} bytes for ${display.width}x${display.height}`);
+  return { canvas: showPixels(display, pixels), pixels };
+});
+
+const SCENES = ["text", "shapes"];
+for (const scene of SCENES) {
+  registerProbe({ id: `offscreen_${scene}`,      kind: "worker", scene, readback: "imageData" });
+  registerProbe({ id: `offscreen_${scene}_blob`, kind: "worker", scene, readback: "blob" });
+}
+
+registerSuite("offscreen", SCENES.flatMap((s) => [`offscreen_${s}`, `offscreen_${s}_blob`]));
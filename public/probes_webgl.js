@@ -0,0 +1,103 @@
+// probes_webgl.js — WebGL probe family: deterministic scenes read back with gl.readPixels
+// Each variant renders on a detached canvas (WebGL 1, antialias off), the pixels are flipped to
+// top-row-first order, the context is released and the result is shown on the 2D display canvas.
+import { registerProbe, registerRenderer, registerSuite, showPixels } from "./probes.js";
+
+const GL_CONTEXT = { alpha: false, antialias: false, depth: false, preserveDrawingBuffer: true };
+
+function compile(gl, vsSrc, fsSrc) {
+  const shader = (type, src) => {
+    const sh = gl.createShader(type);
+    gl.shaderSource(sh, src);
+    gl.compileShader(sh);
+    if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) throw new Error(`shader: ${gl.getShaderInfoLog(sh)}`);
+    return sh;
+  };
+  const prog = gl.createProgram();
+  gl.attachShader(prog, shader(gl.VERTEX_SHADER, vsSrc));
+  gl.attachShader(prog, shader(gl.FRAGMENT_SHADER, fsSrc));
+  gl.linkProgram(prog);
+  if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) throw new Error(`program: ${gl.getProgramInfoLog(prog)}`);
+  gl.useProgram(prog);
+  return prog;
+}
+
+// Upload a float attribute (size components per vertex)
+function attribute(gl, prog, name, data, size) {
+  const loc = gl.getAttribLocation(prog, name);
+  gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(data), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(loc);
+  gl.vertexAttribPointer(loc, size, gl.FLOAT, false, 0, 0);
+}
+
+// ---------- scenes ----------
+// Overlapping vertex-coloured triangles with alpha blending (colour interpolation + blend rounding)
+export function drawTriangles(gl) {
+  const prog = compile(gl,
+    `attribute vec2 a_pos; attribute vec4 a_col; varying vec4 v_col;
+     void main(){ v_col = a_col; gl_Position = vec4(a_pos, 0.0, 1.0); }`,
+    `precision mediump float; varying vec4 v_col;
+     void main(){ gl_FragColor = v_col; }`);
+  attribute(gl, prog, "a_pos", [
+    -0.9, -0.8,   0.7, -0.6,  -0.2,  0.9,
+    -0.6,  0.6,   0.9,  0.7,   0.1, -0.9,
+    -0.95, 0.0,   0.95, 0.1,   0.0,  0.95,
+  ], 2);
+  attribute(gl, prog, "a_col", [
+    1, 0, 0, 0.7,   0, 1, 0, 0.7,   0, 0, 1, 0.7,
+    1, 1, 0, 0.6,   0, 1, 1, 0.6,   1, 0, 1, 0.6,
+    0.2, 0.2, 0.2, 0.5,   0.9, 0.5, 0.1, 0.5,   0.1, 0.5, 0.9, 0.5,
+  ], 4);
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  gl.drawArrays(gl.TRIANGLES, 0, 9);
+}
+
+// Full-screen fragment shader pattern (transcendental precision differences show up here)
+export function drawShader(gl) {
+  const prog = compile(gl,
+    `attribute vec2 a_pos; void main(){ gl_Position = vec4(a_pos, 0.0, 1.0); }`,
+    `#ifdef GL_FRAGMENT_PRECISION_HIGH
+       precision highp float;
+     #else
+       precision mediump float;
+     #endif
+     uniform vec2 u_res;
+     void main(){
+       vec2 uv = gl_FragCoord.xy / u_res;
+       float v = sin(uv.x * 40.0) * cos(uv.y * 30.0) + sin(length(uv - 0.5) * 60.0);
+       gl_FragColor = vec4(0.5 + 0.5 * sin(v * 3.0 + vec3(0.0, 2.094, 4.188)), 1.0);
+     }`);
+  attribute(gl, prog, "a_pos", [-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1], 2);
+  gl.uniform2f(gl.getUniformLocation(prog, "u_res"), gl.drawingBufferWidth, gl.drawingBufferHeight);
+  gl.drawArrays(gl.TRIANGLES, 0, 6);
+}
+
+// ---------- renderer ----------
+registerRenderer("webgl", (probe, variant, display) => {
+  const cv = document.createElement("canvas");
+  cv.width = display.width; cv.height = display.height;
+  const gl = cv.getContext("webgl", { ...GL_CONTEXT, ...probe.context });
+  if (!gl) throw new Error("WebGL unavailable");
+  try {
+    gl.viewport(0, 0, cv.width, cv.height);
+    gl.clearColor(1, 1, 1, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    probe.draw(gl, probe, variant);
+
+    const w = cv.width, h = cv.height, row = w * 4;
+    const raw = new Uint8Array(w * h * 4);
+    gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, raw);
+    const pixels = new Uint8Array(raw.length);   // readPixels is bottom-up
+    for (let y = 0; y < h; y++) pixels.set(raw.subarray((h - 1 - y) * row, (h - y) * row), y * row);
+    return { canvas: showPixels(display, pixels), pixels };
+  } finally {
+    gl.getExtension("WEBGL_lose_context")?.loseContext();   // browsers cap live WebGL contexts
+  }
+});
+
+registerProbe({ id: "webgl_triangles", kind: "webgl", draw: drawTriangles });
+registerProbe({ id: "webgl_shader",    kind: "webgl", draw: drawShader });
+
+registerSuite("webgl", ["webgl_triangles", "webgl_shader"]);
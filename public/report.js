@@ -0,0 +1,266 @@
+// report.js — compare results -> versioned report document and its export formats (isomorphic)
+//
+// Report document (REPORT_SCHEMA, version REPORT_VERSION):
+//   {
+//     schema: "testpixel/report", version: 1, generatedAt,
+//     source:  { page, suite, baseline, runId, userAgent, ... }     where the result came from
+//     summary: { comparisons, images, changedComparisons, totalPixels, changedPixels }
+//     comparisons: [{
+//       image, path, where,                                       image name, comparison path, location in the details
+//       totalPixels, changedPixels, pctChanged (percent), maxDeviation, maxDeviationExcl255_254, alphaChanges,
+//       filtered: { changedPixels, pctChanged, ignoredPixels } | null,   rule-filtered counts (public/rules.js)
+//       comparedAgainst: ISO date | null
+//     }],
+//     images: { [image]: { width, height, panels: [{ label, src: data URL }] } }   optional, embedded by toHTML()
+//     policy: { verdict, rules: [...] }                         optional, the pass/fail evaluation (public/policy.js)
+//   }
+// Formats: json (the document), csv (one row per comparison), junit (one testsuite per image, one
+// testcase per comparison path; a testcase fails when it breaches the thresholds) and html (self-contained).
+
+export const REPORT_SCHEMA = "testpixel/report";
+export const REPORT_VERSION = 1;
+
+export const REPORT_FORMATS = {
+  json:  { mime: "application/json", ext: "json" },
+  csv:   { mime: "text/csv", ext: "csv" },
+  junit: { mime: "application/xml", ext: "xml" },
+  html:  { mime: "text/html", ext: "html" },
+};
+
+// checked against the filtered counts when a comparison has them; default: any changed pixel fails
+export const DEFAULT_THRESHOLDS = { changedPixels: 0 };
+const THRESHOLD_KEYS = ["changedPixels", "pctChanged", "maxDeviation", "maxDeviationExcl255_254", "alphaChanges"];
+
+const SKIP_KEYS = new Set(["history", "sample", "analysis", "diffs", "policy", "fingerprints", "stability"]);
+
+function isObj(v) { return v && typeof v === "object" && !Array.isArray(v); }
+
+// "1.23%" | 0.0123 (fraction) -> 1.23
+function percentOf(v) {
+  if (typeof v === "string") return parseFloat(v) || 0;
+  return +((Number(v) || 0) * 100).toFixed(4);
+}
+
+/*
+Every object with a numeric changedPixels in `details` is one comparison. Its image is its own
+`image` field, else the nearest ancestor's, else its key; its path is its key when an ancestor names
+the image (compare_png.js: perImage[probe][variant][path]), else `defaultPath`.
+*/
+export function collectComparisons(details, { defaultPath = "raw_vs_baseline" } = {}) {
+  const out = [];
+  const walk = (node, parts, ancestorImage) => {
+    if (!isObj(node)) return;
+    if (typeof node.changedPixels === "number") {
+      const key = parts[parts.length - 1] ?? "";
+      const f = isObj(node.filtered) ? node.filtered : null;
+      out.push({
+        image: node.image || ancestorImage || key,
+        path: ancestorImage && !node.image ? key : defaultPath,
+        where: parts.join(" / "),
+        totalPixels: node.totalPixels ?? null,
+        changedPixels: node.changedPixels,
+        pctChanged: percentOf(node.pctChanged),
+        maxDeviation: node.maxDeviation ?? null,
+        maxDeviationExcl255_254: node.maxDeviationExcl255_254 ?? null,
+        alphaChanges: node.alphaChanges || 0,
+        filtered: f ? { changedPixels: f.changedPixels, pctChanged: percentOf(f.pctChanged), ignoredPixels: f.ignoredPixels ?? 0 } : null,
+        comparedAgainst: node.comparedAgainst || null,
+      });
+      return;
+    }
+    const image = typeof node.image === "string" ? node.image : ancestorImage;
+    for (const [k, v] of Object.entries(node)) if (!SKIP_KEYS.has(k)) walk(v, [...parts, k], image);
+  };
+  walk(details, [], null);
+  return out;
+}
+
+export function buildReport(details, { source = {}, images = null, defaultPath } = {}) {
+  const comparisons = collectComparisons(details, { defaultPath });
+  return {
+    schema: REPORT_SCHEMA,
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    source,
+    summary: {
+      comparisons: comparisons.length,
+      images: new Set(comparisons.map((c) => c.image)).size,
+      changedComparisons: comparisons.filter((c) => c.changedPixels > 0).length,
+      totalPixels: comparisons.reduce((a, c) => a + (c.totalPixels || 0), 0),
+      changedPixels: comparisons.reduce((a, c) => a + c.changedPixels, 0),
+    },
+    comparisons,
+    ...(images ? { images } : {}),
+    ...(isObj(details?.policy) ? { policy: details.policy } : {}),
+  };
+}
+
+export function isReport(doc) {
+  return isObj(doc) && doc.schema === REPORT_SCHEMA && Array.isArray(doc.comparisons);
+}
+
+// -> [{ metric, value, limit }] of a comparison
+export function breaches(c, thresholds = DEFAULT_THRESHOLDS) {
+  const m = c.filtered ? { ...c, ...c.filtered } : c;
+  const out = [];
+  for (const k of THRESHOLD_KEYS) {
+    const limit = thresholds[k];
+    if (limit != null && m[k] > limit) out.push({ metric: k, value: m[k], limit });
+  }
+  return out;
+}
+
+// ---------- formats ----------
+const CSV_COLUMNS = [
+  "image", "path", "where", "totalPixels", "changedPixels", "pctChanged", "maxDeviation", "maxDeviationExcl255_254",
+  "alphaChanges", "filteredChangedPixels", "filteredPctChanged", "ignoredPixels", "comparedAgainst",
+];
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCSV(report) {
+  const rows = report.comparisons.map((c) => [
+    c.image, c.path, c.where, c.totalPixels, c.changedPixels, c.pctChanged, c.maxDeviation, c.maxDeviationExcl255_254,
+    c.alphaChanges, c.filtered?.changedPixels, c.filtered?.pctChanged, c.filtered?.ignoredPixels, c.comparedAgainst,
+  ]);
+  return [CSV_COLUMNS, ...rows].map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[ch]);
+
+export function toJUnit(report, thresholds = DEFAULT_THRESHOLDS) {
+  const byImage = new Map();
+  for (const c of report.comparisons) (byImage.get(c.image) || byImage.set(c.image, []).get(c.image)).push(c);
+  let failures = 0;
+  const suites = [...byImage].map(([image, list]) => {
+    let suiteFailures = 0;
+    const cases = list.map((c) => {
+      const b = breaches(c, thresholds);
+      const metrics = `changedPixels=${c.changedPixels} pctChanged=${c.pctChanged}% maxDeviation=${c.maxDeviation} ` +
+        `maxDeviationExcl255_254=${c.maxDeviationExcl255_254} alphaChanges=${c.alphaChanges}` +
+        (c.filtered ? ` filtered.changedPixels=${c.filtered.changedPixels} filtered.pctChanged=${c.filtered.pctChanged}%` : "");
+      if (!b.length) return `    <testcase classname="${esc(image)}" name="${esc(c.path)}"><system-out>${esc(metrics)}</system-out></testcase>`;
+      suiteFailures++;
+      const msg = b.map((x) => `${x.metric} = ${x.value} > ${x.limit}`).join("; ");
+      return `    <testcase classname="${esc(image)}" name="${esc(c.path)}">\n` +
+        `      <failure message="${esc(msg)}" type="threshold">${esc(metrics)}</failure>\n    </testcase>`;
+    });
+    failures += suiteFailures;
+    return `  <testsuite name="${esc(image)}" tests="${list.length}" failures="${suiteFailures}" timestamp="${esc(report.generatedAt)}">\n` +
+      cases.join("\n") + "\n  </testsuite>";
+  });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<testsuites name="testpixel" tests="${report.comparisons.length}" failures="${failures}">\n` +
+    suites.join("\n") + (suites.length ? "\n" : "") + "</testsuites>\n";
+}
+
+const HTML_STYLE = `
+  body{margin:0;font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;color:#111;background:#fff}
+  .wrap{max-width:1080px;margin:0 auto;padding:16px}
+  .box{background:#f8fafc;border:1px solid #e5e7eb;border-radius:10px;padding:12px;margin:12px 0}
+  table{border-collapse:collapse;width:100%;font-size:12px}
+  th,td{border-bottom:1px solid #e5e7eb;padding:4px 6px;text-align:left}
+  th{color:#6b7280}
+  td.num{text-align:right;font-variant-numeric:tabular-nums}
+  tr.fail td{background:#fef2f2}
+  .panels{display:flex;gap:8px;flex-wrap:wrap}
+  figure{margin:0;display:inline-flex;flex-direction:column;align-items:center;font-size:12px;color:#6b7280}
+  figure img{image-rendering:pixelated;border:1px solid #e5e7eb;border-radius:6px;width:calc(4 * var(--w))}
+  section{border:1px solid #e5e7eb;border-radius:10px;padding:10px;margin:12px 0}`;
+
+export function toHTML(report, thresholds = DEFAULT_THRESHOLDS) {
+  const byImage = new Map();
+  for (const c of report.comparisons) (byImage.get(c.image) || byImage.set(c.image, []).get(c.image)).push(c);
+  const s = report.summary;
+  const source = Object.entries(report.source || {}).filter(([, v]) => v != null && v !== "")
+    .map(([k, v]) => `${esc(k)}: <b>${esc(typeof v === "object" ? JSON.stringify(v) : v)}</b>`).join(" · ");
+  const sections = [...byImage].map(([image, list]) => {
+    const img = report.images?.[image];
+    const panels = img?.panels?.length
+      ? `<div class="panels">${img.panels.map((p) =>
+          `<figure style="--w:${img.width}px"><img alt="${esc(p.label)}" src="${esc(p.src)}" width="${img.width}" height="${img.height}"/>` +
+          `<figcaption>${esc(p.label)}</figcaption></figure>`).join("")}</div>`
+      : "";
+    const rows = list.map((c) => {
+      const b = breaches(c, thresholds);
+      return `<tr${b.length ? ' class="fail"' : ""}><td>${esc(c.path)}</td><td class="num">${c.changedPixels} / ${c.totalPixels ?? "?"}</td>` +
+        `<td class="num">${c.pctChanged}%</td><td class="num">${c.maxDeviation ?? ""}</td><td class="num">${c.maxDeviationExcl255_254 ?? ""}</td>` +
+        `<td class="num">${c.alphaChanges}</td><td class="num">${c.filtered ? `${c.filtered.changedPixels} (${c.filtered.pctChanged}%)` : "—"}</td>` +
+        `<td>${b.length ? esc(b.map((x) => `${x.metric} ${x.value} > ${x.limit}`).join("; ")) : "ok"}</td></tr>`;
+    }).join("\n");
+    return `<section><h3>${esc(image)}</h3>${panels}<table><thead><tr><th>Path</th><th>Changed</th><th>%</th><th>Max</th>` +
+      `<th>Max excl 255/254</th><th>A≠</th><th>After rules</th><th>Result</th></tr></thead><tbody>\n${rows}\n</tbody></table></section>`;
+  }).join("\n");
+  // the report itself, for tools that want to re-read it
+  const data = JSON.stringify({ ...report, images: undefined }).replace(/</g, "\\u003c");
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>testpixel report ${esc(report.generatedAt)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<div class="wrap">
+<h2>testpixel report</h2>
+<div class="box">Generated <b>${esc(report.generatedAt)}</b> · schema ${esc(report.schema)} v${report.version}<br/>${source}<br/>
+${s.comparisons} comparison(s) over ${s.images} image(s); ${s.changedComparisons} with changed pixels; ${s.changedPixels} / ${s.totalPixels} pixels changed.</div>
+${sections}
+<script type="application/json" id="testpixel-report">${data}</script>
+</div>
+</body>
+</html>
+`;
+}
+
+// -> { body: string, mime, ext }
+export function formatReport(report, format, thresholds = DEFAULT_THRESHOLDS) {
+  const f = REPORT_FORMATS[format];
+  if (!f) throw new Error(`unknown report format "${format}" (${Object.keys(REPORT_FORMATS).join(", ")})`);
+  const body = format === "json" ? JSON.stringify(report, null, 2)
+    : format === "csv" ? toCSV(report)
+    : format === "junit" ? toJUnit(report, thresholds)
+    : toHTML(report, thresholds);
+  return { body, ...f };
+}
+
+export function reportFileName(report, format) {
+  return `testpixel-report-${String(report.generatedAt).replace(/[:.]/g, "-")}.${REPORT_FORMATS[format].ext}`;
+}
+
+// ---------- browser only ----------
+// panels: [{ label, rgba }] -> [{ label, src }] (PNG data URLs); panels with the wrong size are dropped
+export function embedPanels(width, height, panels) {
+  const cv = document.createElement("canvas");
+  cv.width = width; cv.height = height;
+  const ctx = cv.getContext("2d");
+  return panels.filter((p) => p.rgba && p.rgba.length === width * height * 4).map(({ label, rgba }) => {
+    ctx.putImageData(new ImageData(new Uint8ClampedArray(rgba), width, height), 0, 0);
+    return { label, src: cv.toDataURL("image/png") };
+  });
+}
+
+function download(name, body, mime) {
+  const url = URL.createObjectURL(new Blob([body], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url; a.download = name;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Fill a format <select> and wire the download button; getReport() -> report | null (nothing to export yet)
+export function bindExport(select, button, getReport) {
+  if (select) {
+    select.innerHTML = "";
+    for (const f of Object.keys(REPORT_FORMATS)) select.appendChild(new Option(f === "junit" ? "JUnit XML" : f.toUpperCase(), f));
+  }
+  button?.addEventListener("click", () => {
+    const report = getReport();
+    if (!report) { alert("Run a compare first."); return; }
+    const format = select?.value || "json";
+    const { body, mime } = formatReport(report, format);
+    download(reportFileName(report, format), body, mime);
+  });
+}
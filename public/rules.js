@@ -0,0 +1,100 @@
+// rules.js — per-image comparison rules (isomorphic; stored next to each baseline as rules.json)
+//
+// Rules document:
+//   {
+//     "*":            { ...rule },     // applies to every image
+//     "S1_faces_*":   { ...rule },     // glob keys ("*" = any run of characters)
+//     "S1_moire_7":   { ...rule }      // exact image name; later/more specific keys override earlier ones
+//   }
+// Rule fields (all optional):
+//   tolerance    number | [r,g,b,a]   channel |delta| <= tolerance is not a change (default 0)
+//   minDelta     number               pixel counts only if its largest considered |delta| >= minDelta (default 1)
+//   ignoreAlpha  boolean              leave the A channel out entirely
+//   ignoreRects  [{ x, y, w, h }]     pixel rectangles to skip
+//   mask         base64               w*h bytes (non-zero = skip) or w*h*4 RGBA (R > 0 = skip);
+//                                     PUT /baselines/:name/rules also takes a PNG (base64 or data URL) and
+//                                     stores it as w*h bytes: painted (non-black, non-transparent) = skip
+
+const RULE_KEYS = ["tolerance", "minDelta", "ignoreAlpha", "ignoreRects", "mask"];
+
+function isObj(v) { return v && typeof v === "object" && !Array.isArray(v); }
+const isInt = (v, lo, hi) => Number.isInteger(v) && v >= lo && v <= hi;
+
+// -> list of problems ("" path = document root); empty when valid
+export function validateRules(doc) {
+  const errors = [];
+  if (!isObj(doc)) return [{ path: "", error: "rules must be an object keyed by image name or glob" }];
+  for (const [key, rule] of Object.entries(doc)) {
+    const at = (f) => `${key}${f ? "." + f : ""}`;
+    if (!isObj(rule)) { errors.push({ path: at(""), error: "rule must be an object" }); continue; }
+    for (const f of Object.keys(rule)) if (!RULE_KEYS.includes(f)) errors.push({ path: at(f), error: "unknown field" });
+    const t = rule.tolerance;
+    if (t != null && !isInt(t, 0, 255) && !(Array.isArray(t) && t.length === 4 && t.every((v) => isInt(v, 0, 255))))
+      errors.push({ path: at("tolerance"), error: "expected 0..255 or [r,g,b,a] of 0..255" });
+    if (rule.minDelta != null && !isInt(rule.minDelta, 0, 255)) errors.push({ path: at("minDelta"), error: "expected 0..255" });
+    if (rule.ignoreAlpha != null && typeof rule.ignoreAlpha !== "boolean") errors.push({ path: at("ignoreAlpha"), error: "expected boolean" });
+    if (rule.ignoreRects != null) {
+      if (!Array.isArray(rule.ignoreRects)) errors.push({ path: at("ignoreRects"), error: "expected array" });
+      else rule.ignoreRects.forEach((r, i) => {
+        if (!isObj(r) || !isInt(r.x, 0, 1e6) || !isInt(r.y, 0, 1e6) || !isInt(r.w, 1, 1e6) || !isInt(r.h, 1, 1e6))
+          errors.push({ path: at(`ignoreRects[${i}]`), error: "expected { x, y, w, h } non-negative integers (w, h >= 1)" });
+      });
+    }
+    if (rule.mask != null && (typeof rule.mask !== "string" || !/^(data:image\/png;base64,)?[A-Za-z0-9+/]*={0,2}$/.test(rule.mask)))
+      errors.push({ path: at("mask"), error: "expected base64 string or PNG data URL" });
+  }
+  return errors;
+}
+
+// "*" = any run of characters; everything else literal
+export function globToRe(glob) {
+  return new RegExp("^" + glob.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*") + "$");
+}
+
+// Merge "*" -> matching globs (in document order) -> exact name. Returns null when nothing applies.
+export function resolveRule(doc, imageName) {
+  if (!isObj(doc)) return null;
+  let out = null;
+  const apply = (r) => { if (isObj(r)) out = { ...(out || {}), ...r }; };
+  apply(doc["*"]);
+  for (const [key, r] of Object.entries(doc)) {
+    if (key === "*" || key === imageName || !key.includes("*")) continue;
+    if (globToRe(key).test(imageName)) apply(r);
+  }
+  apply(doc[imageName]);
+  return out;
+}
+
+function b64ToBytes(b64) {
+  const bin = atob(b64);
+  const u8 = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) u8[i] = bin.charCodeAt(i);
+  return u8;
+}
+
+// Rule -> what diffPixels needs: { tol: [r,g,b,a], minDelta, ignoreAlpha, ignore: Uint8Array|null }
+// width may be 0 (unknown): rects are then skipped, masks still apply by pixel index.
+export function compileRule(rule, width, total) {
+  if (!rule) return null;
+  const t = rule.tolerance ?? 0;
+  const tol = Array.isArray(t) ? t.slice(0, 4) : [t, t, t, t];
+  const height = width > 0 ? Math.ceil(total / width) : 0;
+  let ignore = null;
+
+  if (Array.isArray(rule.ignoreRects) && rule.ignoreRects.length && width > 0) {
+    ignore = new Uint8Array(total);
+    for (const { x, y, w, h } of rule.ignoreRects) {
+      for (let yy = Math.max(0, y); yy < Math.min(height, y + h); yy++)
+        for (let xx = Math.max(0, x); xx < Math.min(width, x + w); xx++) ignore[yy * width + xx] = 1;
+    }
+  }
+  if (rule.mask && !rule.mask.startsWith("data:")) {
+    const m = b64ToBytes(rule.mask);
+    const perPixel = m.length === total ? 1 : (m.length === total * 4 ? 4 : 0);
+    if (perPixel) {
+      ignore = ignore || new Uint8Array(total);
+      for (let p = 0; p < total; p++) if (m[p * perPixel]) ignore[p] = 1;
+    }
+  }
+  return { tol, minDelta: Math.max(1, rule.minDelta ?? 1), ignoreAlpha: !!rule.ignoreAlpha, ignore };
+}
@@ -0,0 +1,101 @@
+// transfer.js — chunked uploads of a baseline version or the last session (POST /transfers: index.js, server/transfers.js)
+// Every image goes up as binary chunks (no base64, no giant JSON.stringify); the server stores the whole
+// only on commit, so an upload that breaks off never replaces anything. Chunks that fail are retried
+// from the byte count the server reports.
+
+export const CHUNK_BYTES = 4 * 1024 * 1024;
+
+async function failure(resp, what){
+  const body = await resp.json().catch(() => ({}));   // 400: { error, errors: [{ path, error }] } (GET /schemas)
+  return new Error(`${what} failed: ${body.error || resp.status}`);
+}
+
+// dataURL -> { bytes, type } (the encoded image, as a data URL series item)
+export function dataUrlBytes(durl){
+  const comma = durl.indexOf(",");
+  const bin = atob(durl.slice(comma + 1));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return { bytes, type: durl.slice(5, durl.indexOf(";")) };
+}
+
+/*
+  manifest: { target: "baseline" | "last-session", name?, label?, meta?, measure_text? }
+  items:    [{ series, name, bytes: Uint8Array, type? }]   (empty images are left out)
+  opts:     onProgress({ sent, total, done }), chunkBytes, retries (per chunk), ifMatch (baseline commit)
+  -> the commit response (what PUT /baselines/:name or PUT /last-session would answer); throws on failure
+*/
+export async function uploadTransfer(manifest, items, { onProgress = null, chunkBytes = CHUNK_BYTES, retries = 3, ifMatch = null } = {}){
+  items = items.filter((it) => it.bytes?.length);
+  const total = items.reduce((n, it) => n + it.bytes.length, 0);
+  let resp = await fetch("/transfers", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ ...manifest, items: items.map(({ series, name, bytes, type }) => ({ series, name, bytes: bytes.length, ...(type ? { type } : {}) })) }),
+  });
+  if (!resp.ok) throw await failure(resp, "POST /transfers");
+  const { id, chunkBytes: serverMax } = await resp.json();
+  const base = `/transfers/${id}`;
+  const size = Math.min(chunkBytes, serverMax || chunkBytes);
+
+  // bytes of item n the server holds (after a failed or conflicting chunk)
+  const receivedOf = async (n) => {
+    const r = await fetch(base);
+    if (!r.ok) throw await failure(r, `GET ${base}`);
+    return (await r.json()).items[n].received;
+  };
+
+  try {
+    let sent = 0;
+    onProgress?.({ sent, total, done: false });
+    for (const [n, it] of items.entries()) {
+      let offset = 0, left = retries;   // left: retries of the chunk at offset
+      while (offset < it.bytes.length) {
+        const chunk = it.bytes.subarray(offset, offset + size);
+        let r = null, error = null;
+        try {
+          r = await fetch(`${base}/items/${n}?offset=${offset}`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/octet-stream" },
+            body: chunk,
+          });
+        } catch (e) { error = e; }
+        if (r?.ok) {
+          offset += chunk.length;
+          sent += chunk.length;
+          left = retries;
+        } else if (r && r.status !== 409 && r.status < 500) {
+          throw await failure(r, `PUT ${base}/items/${n}`);
+        } else {
+          // 409 (the server has another byte count), 5xx or a network error: resume where the server is
+          if (r?.status !== 409 && !left--) throw error || await failure(r, `PUT ${base}/items/${n}`);
+          const received = r?.status === 409 ? (await r.json()).received : await receivedOf(n);
+          if (received > offset) left = retries;   // the chunk did get stored
+          sent += received - offset;
+          offset = received;
+        }
+        onProgress?.({ sent, total, done: false });
+      }
+    }
+
+    resp = await fetch(`${base}/commit`, { method: "POST", headers: ifMatch ? { "If-Match": ifMatch } : {} });
+    if (!resp.ok) throw await failure(resp, `POST ${base}/commit`);
+    onProgress?.({ sent: total, total, done: true });
+    return resp.json();
+  } catch (e) {
+    fetch(base, { method: "DELETE" }).catch(() => {});   // best effort: nothing was stored
+    onProgress?.({ sent: 0, total, done: true });
+    throw e;
+  }
+}
+
+// onProgress for uploadTransfer that drives a <progress> element (hidden when idle)
+export function progressBar(el){
+  return ({ sent, total, done }) => {
+    if (!el) return;
+    el.hidden = done;
+    el.max = total || 1;
+    el.value = sent;
+    el.title = `${(sent / 1048576).toFixed(1)} / ${(total / 1048576).toFixed(1)} MB uploaded`;
+  };
+}
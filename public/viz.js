@@ -0,0 +1,149 @@
+// viz.js — image panels for the result cards of index_fixed.js and compare_png.js (browser only)
+//   baseline / current images, a diff overlay coloured by |delta|, a cross-run heatmap from
+//   history.perPixel[pix].n, nearest-neighbour zoom (CSS var --pp-zoom) and a per-pixel hover inspector.
+
+export const ZOOM_LEVELS = [1, 2, 4, 8, 16];
+const ZOOM_KEY = "pp_zoom";
+
+// colour ramps: [t, r, g, b] stops, t in 0..1
+const DELTA_RAMP = [[0, 255, 235, 59], [0.33, 255, 152, 0], [0.66, 229, 57, 53], [1, 142, 36, 170]];
+const HEAT_RAMP  = [[0, 33, 102, 172], [0.5, 239, 59, 44], [0.8, 254, 217, 118], [1, 255, 255, 255]];
+
+function rampColor(stops, t) {
+  t = Math.min(1, Math.max(0, t));
+  for (let i = 1; i < stops.length; i++) {
+    const [t1, r1, g1, b1] = stops[i];
+    if (t > t1) continue;
+    const [t0, r0, g0, b0] = stops[i - 1];
+    const f = (t - t0) / (t1 - t0 || 1);
+    return [r0 + (r1 - r0) * f, g0 + (g1 - g0) * f, b0 + (b1 - b0) * f];
+  }
+  return stops[stops.length - 1].slice(1);
+}
+
+// |delta| 1..255 on a log scale, so ±1 LSB noise and full flips are both visible
+export function deltaColor(dev) {
+  return rampColor(DELTA_RAMP, Math.log(dev) / Math.log(255));
+}
+
+// Current image faded to light grey; every changed pixel painted by its max-channel |delta|
+export function diffOverlayRGBA(prevU8, currU8) {
+  const len = Math.min(prevU8.length, currU8.length);
+  const out = new Uint8ClampedArray(len);
+  for (let i = 0; i < len; i += 4) {
+    const dev = Math.max(
+      Math.abs(currU8[i] - prevU8[i]), Math.abs(currU8[i + 1] - prevU8[i + 1]),
+      Math.abs(currU8[i + 2] - prevU8[i + 2]), Math.abs(currU8[i + 3] - prevU8[i + 3]));
+    if (dev) {
+      const [r, g, b] = deltaColor(dev);
+      out[i] = r; out[i + 1] = g; out[i + 2] = b;
+    } else {
+      const grey = 0.299 * currU8[i] + 0.587 * currU8[i + 1] + 0.114 * currU8[i + 2];
+      out[i] = out[i + 1] = out[i + 2] = 191 + grey / 4;
+    }
+    out[i + 3] = 255;
+  }
+  return out;
+}
+
+// perPixel { [pix]: { n } } -> { rgba, maxN }; never-changed pixels stay near-white
+export function heatmapRGBA(perPixel, totalPixels) {
+  const out = new Uint8ClampedArray(totalPixels * 4).fill(248);
+  let maxN = 0;
+  for (const slot of Object.values(perPixel || {})) if (slot?.n > maxN) maxN = slot.n;
+  for (const [pixStr, slot] of Object.entries(perPixel || {})) {
+    const pix = Number(pixStr);
+    if (!(pix < totalPixels) || !slot?.n) continue;
+    const [r, g, b] = rampColor(HEAT_RAMP, maxN > 1 ? (slot.n - 1) / (maxN - 1) : 0);
+    out.set([r, g, b, 255], pix * 4);
+  }
+  return { rgba: out, maxN };
+}
+
+// ---------- zoom ----------
+export function setZoom(z) {
+  document.documentElement.style.setProperty("--pp-zoom", String(z));
+  try { localStorage.setItem(ZOOM_KEY, String(z)); } catch { /* private mode */ }
+}
+
+// Fill a <select> with ZOOM_LEVELS and keep --pp-zoom in sync (remembered across reloads)
+export function bindZoom(select, fallback = 4) {
+  let z = fallback;
+  try { z = Number(localStorage.getItem(ZOOM_KEY)) || fallback; } catch { /* private mode */ }
+  if (!ZOOM_LEVELS.includes(z)) z = fallback;
+  if (select) {
+    select.innerHTML = "";
+    for (const lv of ZOOM_LEVELS) select.appendChild(new Option(`${lv}×`, String(lv)));
+    select.value = String(z);
+    select.addEventListener("change", () => setZoom(Number(select.value)));
+  }
+  setZoom(z);
+}
+
+// ---------- panels + inspector ----------
+let tip = null;
+function tooltip() {
+  if (!tip) {
+    tip = document.createElement("div");
+    tip.className = "pp-tip";
+    tip.hidden = true;
+    document.body.appendChild(tip);
+  }
+  return tip;
+}
+
+function panel(label, rgba, width, height) {
+  const box = document.createElement("div"); box.className = "pp-viz-panel";
+  const cv = document.createElement("canvas"); cv.width = width; cv.height = height;
+  cv.style.width = `calc(var(--pp-zoom, 4) * ${width}px)`;
+  cv.getContext("2d").putImageData(new ImageData(new Uint8ClampedArray(rgba), width, height), 0, 0);
+  const lb = document.createElement("div"); lb.className = "label"; lb.textContent = label;
+  box.appendChild(cv); box.appendChild(lb);
+  return { box, cv };
+}
+
+// panels: [{ label, rgba }] of width×height RGBA; inspect(x, y, pix) -> HTML for the hover tooltip
+export function vizRow({ width, height, panels, inspect }) {
+  const row = document.createElement("div"); row.className = "pp-viz";
+  for (const { label, rgba } of panels) {
+    if (!rgba || rgba.length !== width * height * 4) continue;   // missing or mismatched (legacy) capture
+    const { box, cv } = panel(label, rgba, width, height);
+    if (inspect) {
+      cv.addEventListener("mousemove", (ev) => {
+        const r = cv.getBoundingClientRect();
+        const x = Math.min(width - 1, Math.floor((ev.clientX - r.left) * width / r.width));
+        const y = Math.min(height - 1, Math.floor((ev.clientY - r.top) * height / r.height));
+        const t = tooltip();
+        t.innerHTML = inspect(x, y, y * width + x);
+        t.style.left = `${ev.clientX + 14}px`;
+        t.style.top = `${ev.clientY + 14}px`;
+        t.hidden = false;
+      });
+      cv.addEventListener("mouseleave", () => { tooltip().hidden = true; });
+    }
+    row.appendChild(box);
+  }
+  return row;
+}
+
+// Standard tooltip: position, baseline/current RGBA, signed delta and (optional) cross-run stats
+export function pixelInspector({ prev, curr, perPixel = null, runs = 0, prevLabel = "baseline", currLabel = "current" }) {
+  const px = (u8, i) => u8 ? Array.from(u8.subarray(i, i + 4)).join(",") : "—";
+  return (x, y, pix) => {
+    const i = pix * 4;
+    let html = `<b>(${x}, ${y})</b> pixel ${pix}<br/>${prevLabel}: ${px(prev, i)}<br/>${currLabel}: ${px(curr, i)}`;
+    if (prev && curr) {
+      const d = [0, 1, 2, 3].map((c) => curr[i + c] - prev[i + c]);
+      html += `<br/>Δ: ${d.join(",")}`;
+    }
+    if (perPixel) {
+      const slot = perPixel[pix];
+      html += `<br/>changed in ${slot?.n || 0} / ${runs} runs`;
+      if (slot?.patterns) {
+        const top = Object.entries(slot.patterns).sort((a, b) => b[1] - a[1]).slice(0, 3);
+        html += top.map(([k, v]) => `<br/>&nbsp;[${k}] ×${v}`).join("");
+      }
+    }
+    return html;
+  };
+}
@@ -0,0 +1,330 @@
+// analysis.js — noise-pattern classifier over the run log (GET /history/analysis)
+/*
+Input: run records (server/history.js run log) of one baseline version, oldest first, and
+optionally that baseline's pixels so deltas can be related to image content.
+
+Runs are grouped into browser "sessions": same userAgent, at most gapMs between consecutive runs.
+Every run is one page load, so consecutive runs are reloads.
+
+Per image (and pooled over all images) the result answers:
+  seeding          which seed picks the perturbed pixel set
+                     per-call     the set changes between reloads even inside one session
+                     per-session  stable inside a session, different across sessions
+                     per-origin   stable across sessions too
+                     none         nothing ever changed
+                     inconclusive scores too close (e.g. only one session seen)
+  lsb              are the deltas ±1 on a single channel, and on which channel
+  content          are changes concentrated on edges / drawn content rather than flat background
+  reproducibility  do reloads (consecutive runs of one session) change the same pixels by the same deltas
+
+Each part is { verdict, confidence (0..1), ...evidence }.
+*/
+
+const HIGH_SIM = 0.9;        // Jaccard of changed sets treated as "the same set"
+const MIN_PAIRS = 5;         // run pairs needed before a seeding verdict gets full confidence
+const MIN_DELTAS = 100;      // deltas needed before an LSB verdict gets full confidence
+const LSB_SHARE = 0.95;      // share of ±1 single-channel deltas for an "lsb" verdict
+const EDGE_THRESHOLD = 32;   // luma gradient (|gx| + |gy|) that counts as an edge
+const LIFT = 2;              // change-rate ratio that counts as "concentrated"
+const MAX_RUNS = 50;         // most recent runs considered (pairs grow quadratically)
+
+const round = (x, d = 3) => (x == null || !Number.isFinite(x) ? null : +x.toFixed(d));
+
+function jaccard(a, b){
+  if (!a.size && !b.size) return 1;
+  let inter = 0;
+  for (const x of a) if (b.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26)
+export function normalCdf(z){
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Two-proportion z-test, two-sided -> { z, p }
+export function twoProportionTest(hits1, n1, hits2, n2){
+  if (!n1 || !n2) return { z: 0, p: 1 };
+  const p1 = hits1 / n1, p2 = hits2 / n2, pool = (hits1 + hits2) / (n1 + n2);
+  const se = Math.sqrt(pool * (1 - pool) * (1 / n1 + 1 / n2));
+  if (!se) return { z: 0, p: p1 === p2 ? 1 : 0 };
+  const z = (p1 - p2) / se;
+  return { z, p: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+export function groupSessions(runs, gapMs){
+  const sessionOf = new Map();
+  const lastByUa = new Map();   // userAgent -> { at, session }
+  let next = 0;
+  for (const run of runs) {
+    const at = Date.parse(run.createdAt) || 0;
+    const prev = lastByUa.get(run.userAgent);
+    const session = prev && at - prev.at <= gapMs ? prev.session : next++;
+    lastByUa.set(run.userAgent, { at, session });
+    sessionOf.set(run.id, session);
+  }
+  return { sessionOf, sessions: next };
+}
+
+// ---------- seeding + reproducibility ----------
+function seedingOf(samples, sessionOf){
+  // samples: [{ run, set, deltas }] of one image
+  if (samples.every((s) => !s.set.size)) return { verdict: 'none', confidence: 1, pairs: 0 };
+  let within = 0, withinN = 0, across = 0, acrossN = 0;
+  for (let i = 0; i < samples.length; i++) {
+    for (let j = i + 1; j < samples.length; j++) {
+      const sim = jaccard(samples[i].set, samples[j].set);
+      if (sessionOf.get(samples[i].run.id) === sessionOf.get(samples[j].run.id)) { within += sim; withinN++; }
+      else { across += sim; acrossN++; }
+    }
+  }
+  const pairs = withinN + acrossN;
+  if (!pairs) return { verdict: 'inconclusive', confidence: 0, pairs, note: 'need at least two runs' };
+  // without same-session pairs, every pair is a reload across sessions: it stands in for both
+  const w = withinN ? within / withinN : across / acrossN;
+  const a = acrossN ? across / acrossN : null;
+  const raw = {
+    'per-call': 1 - w,
+    'per-session': a == null ? w / 2 : w * (1 - a),
+    'per-origin': a == null ? w / 2 : w * a,
+  };
+  const sum = Object.values(raw).reduce((x, y) => x + y, 0) || 1;
+  const scores = Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, round(v / sum)]));
+  const ranked = Object.entries(scores).sort((x, y) => y[1] - x[1]);
+  const confidence = ranked[0][1] * Math.min(1, pairs / MIN_PAIRS);
+  const out = {
+    verdict: ranked[0][1] - ranked[1][1] < 0.1 ? 'inconclusive' : ranked[0][0],
+    confidence: round(confidence),
+    scores,
+    withinSessionSimilarity: withinN ? round(w) : null,
+    acrossSessionSimilarity: round(a),
+    pairs,
+  };
+  if (a == null) out.note = 'only one session seen: per-session and per-origin seeding look the same';
+  return out;
+}
+
+function reproducibilityOf(samples, sessionOf){
+  let pairs = 0, simSum = 0, identical = 0, overlap = 0, sameDelta = 0;
+  const lastOfSession = new Map();
+  for (const curr of samples) {
+    const session = sessionOf.get(curr.run.id);
+    const prev = lastOfSession.get(session);
+    lastOfSession.set(session, curr);
+    if (!prev) continue;
+    pairs++;
+    simSum += jaccard(prev.set, curr.set);
+    let same = prev.set.size === curr.set.size;
+    for (const [pix, d] of curr.deltas) {
+      const before = prev.deltas.get(pix);
+      if (before == null) { same = false; continue; }
+      overlap++;
+      if (before === d) sameDelta++; else same = false;
+    }
+    if (same) identical++;
+  }
+  if (!pairs) return { verdict: 'inconclusive', confidence: 0, reloads: 0 };
+  const meanJaccard = simSum / pairs, deltaAgreement = overlap ? sameDelta / overlap : 1;
+  const score = meanJaccard * deltaAgreement;
+  return {
+    verdict: score >= HIGH_SIM ? 'reproducible' : score >= 0.5 ? 'partly reproducible' : 'not reproducible',
+    confidence: round(Math.min(1, pairs / MIN_PAIRS) * (score >= HIGH_SIM ? score : score >= 0.5 ? 0.5 : 1 - score)),
+    reloads: pairs,
+    identicalReloads: identical,
+    meanJaccard: round(meanJaccard),
+    deltaAgreement: round(deltaAgreement),
+  };
+}
+
+// ---------- delta shape ----------
+function lsbCounts(samples, counts = { total: 0, singleChannel: 0, lsb: 0, singleLsb: 0, channels: [0, 0, 0, 0] }){
+  for (const { deltas } of samples) {
+    for (const key of deltas.values()) {
+      const d = key.split(',').map(Number);
+      const nz = d.map((v, c) => (v ? c : -1)).filter((c) => c >= 0);
+      const lsb = d.every((v) => Math.abs(v) <= 1);
+      counts.total++;
+      if (nz.length === 1) { counts.singleChannel++; counts.channels[nz[0]]++; }
+      if (lsb) counts.lsb++;
+      if (lsb && nz.length === 1) counts.singleLsb++;
+    }
+  }
+  return counts;
+}
+
+function lsbVerdict(c){
+  if (!c.total) return { verdict: 'none', confidence: 1, deltas: 0 };
+  const share = c.singleLsb / c.total;
+  const isLsb = share >= LSB_SHARE;
+  const sum = c.channels.reduce((a, b) => a + b, 0);
+  return {
+    verdict: isLsb ? 'lsb-single-channel' : (c.lsb / c.total >= LSB_SHARE ? 'lsb-multi-channel' : 'larger-deltas'),
+    confidence: round(Math.min(1, c.total / MIN_DELTAS) * (isLsb ? share : 1 - share)),
+    deltas: c.total,
+    singleChannelLsbShare: round(share),
+    lsbShare: round(c.lsb / c.total),
+    singleChannelShare: round(c.singleChannel / c.total),
+    channelShare: sum ? Object.fromEntries(['r', 'g', 'b', 'a'].map((k, i) => [k, round(c.channels[i] / sum)])) : null,
+  };
+}
+
+// ---------- content correlation ----------
+// rgba + width -> { edge: Uint8Array, content: Uint8Array } (1 = edge / non-background pixel)
+export function contentMasks(rgba, width){
+  const total = rgba.length >> 2, height = Math.floor(total / width);
+  const luma = new Float32Array(total);
+  const freq = new Map();
+  for (let p = 0; p < total; p++) {
+    const i = p * 4;
+    luma[p] = 0.299 * rgba[i] + 0.587 * rgba[i + 1] + 0.114 * rgba[i + 2];
+    const key = (rgba[i] << 24 | rgba[i + 1] << 16 | rgba[i + 2] << 8 | rgba[i + 3]) >>> 0;
+    freq.set(key, (freq.get(key) || 0) + 1);
+  }
+  let bg = 0, best = -1;
+  for (const [k, n] of freq) if (n > best) { best = n; bg = k; }
+
+  const edge = new Uint8Array(total), content = new Uint8Array(total);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x, i = p * 4;
+      const gx = luma[y * width + Math.min(width - 1, x + 1)] - luma[y * width + Math.max(0, x - 1)];
+      const gy = luma[Math.min(height - 1, y + 1) * width + x] - luma[Math.max(0, y - 1) * width + x];
+      if (Math.abs(gx) + Math.abs(gy) >= EDGE_THRESHOLD) edge[p] = 1;
+      if (((rgba[i] << 24 | rgba[i + 1] << 16 | rgba[i + 2] << 8 | rgba[i + 3]) >>> 0) !== bg) content[p] = 1;
+    }
+  }
+  return { edge, content };
+}
+
+function maskCounts(samples, mask, counts = { inHits: 0, inN: 0, outHits: 0, outN: 0 }){
+  let inside = 0;
+  for (let p = 0; p < mask.length; p++) inside += mask[p];
+  for (const { set } of samples) {
+    counts.inN += inside;
+    counts.outN += mask.length - inside;
+    for (const pix of set) {
+      if (pix >= mask.length) continue;
+      if (mask[pix]) counts.inHits++; else counts.outHits++;
+    }
+  }
+  return counts;
+}
+
+function liftOf(c){
+  const rIn = c.inN ? c.inHits / c.inN : 0, rOut = c.outN ? c.outHits / c.outN : 0;
+  const { p } = twoProportionTest(c.inHits, c.inN, c.outHits, c.outN);
+  return { rateInside: round(rIn, 6), rateOutside: round(rOut, 6), lift: rOut ? round(rIn / rOut) : null, p: round(p, 6) };
+}
+
+function contentVerdict(edgeC, contentC){
+  if (!edgeC) return { verdict: 'unknown', confidence: 0, note: 'no baseline pixels/dimensions for this image' };
+  const edges = liftOf(edgeC), content = liftOf(contentC);
+  if (edgeC.inHits + edgeC.outHits === 0) return { verdict: 'none', confidence: 1, edges, content };
+  // lift null = nothing changed outside the mask
+  const concentrated = (l) => (l.lift == null ? l.rateInside > 0 : l.lift >= LIFT) && l.p < 0.01;
+  const verdict = concentrated(edges) ? 'edges'
+    : concentrated(content) ? 'content'
+    : (edges.p >= 0.01 && content.p >= 0.01) ? 'uniform' : 'weak-correlation';
+  const p = verdict === 'edges' ? edges.p : verdict === 'content' ? content.p : Math.min(edges.p, content.p);
+  return {
+    verdict,
+    confidence: round(verdict === 'edges' || verdict === 'content' || verdict === 'weak-correlation' ? 1 - p : p),
+    edges,
+    content,
+  };
+}
+
+// ---------- entry point ----------
+/*
+  runs:      run records (changedMap deltas "dr,dg,db,da" or arrays), any order
+  baseline:  { pixels: { [name]: Uint8Array }, dims: { [name]: { w, h } } } | null
+  opts.gapMs session gap (default 30 min)
+*/
+export function analyzeRuns(runs, baseline = null, { gapMs = 30 * 60 * 1000 } = {}){
+  const ordered = [...runs].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))).slice(-MAX_RUNS);
+  const { sessionOf, sessions } = groupSessions(ordered, gapMs);
+
+  const names = new Set();
+  for (const run of ordered) for (const name of Object.keys(run.images || {})) names.add(name);
+
+  const perImage = {};
+  const pooledLsb = { total: 0, singleChannel: 0, lsb: 0, singleLsb: 0, channels: [0, 0, 0, 0] };
+  let pooledEdge = null, pooledContent = null;
+  const seedScores = {}, repro = [];
+
+  for (const name of [...names].sort()) {
+    const samples = [];
+    for (const run of ordered) {
+      const rec = run.images?.[name];
+      if (!rec) continue;
+      const deltas = new Map();
+      for (const [pix, d] of Object.entries(rec.changedMap || {})) deltas.set(Number(pix), Array.isArray(d) ? d.join(',') : String(d));
+      samples.push({ run, set: new Set(deltas.keys()), deltas });
+    }
+
+    const seeding = seedingOf(samples, sessionOf);
+    const reproducibility = reproducibilityOf(samples, sessionOf);
+    const lsb = lsbVerdict(lsbCounts(samples));
+    lsbCounts(samples, pooledLsb);
+
+    let content = contentVerdict(null);
+    const rgba = baseline?.pixels?.[name], w = baseline?.dims?.[name]?.w;
+    if (rgba && w && rgba.length % (w * 4) === 0) {
+      const masks = contentMasks(rgba, w);
+      const edgeC = maskCounts(samples, masks.edge), contentC = maskCounts(samples, masks.content);
+      content = contentVerdict(edgeC, contentC);
+      pooledEdge = maskCounts(samples, masks.edge, pooledEdge || undefined);
+      pooledContent = maskCounts(samples, masks.content, pooledContent || undefined);
+    }
+
+    perImage[name] = { runs: samples.length, seeding, lsb, content, reproducibility };
+    if (seeding.scores) {
+      for (const [k, v] of Object.entries(seeding.scores)) seedScores[k] = (seedScores[k] || 0) + v * seeding.pairs;
+    }
+    if (reproducibility.reloads) repro.push(reproducibility);
+  }
+
+  // pooled seeding: pair-weighted scores of images that changed at all
+  let seeding = { verdict: Object.keys(perImage).length ? 'none' : 'inconclusive', confidence: Object.keys(perImage).length ? 1 : 0 };
+  const weight = Object.values(perImage).reduce((a, r) => a + (r.seeding.scores ? r.seeding.pairs : 0), 0);
+  if (weight) {
+    const scores = Object.fromEntries(Object.entries(seedScores).map(([k, v]) => [k, round(v / weight)]));
+    const ranked = Object.entries(scores).sort((x, y) => y[1] - x[1]);
+    const pairs = Math.max(...Object.values(perImage).map((r) => r.seeding.pairs || 0));
+    seeding = {
+      verdict: ranked[0][1] - ranked[1][1] < 0.1 ? 'inconclusive' : ranked[0][0],
+      confidence: round(ranked[0][1] * Math.min(1, pairs / MIN_PAIRS)),
+      scores,
+    };
+  }
+  const reproducibility = repro.length
+    ? (() => {
+        const votes = {};
+        for (const r of repro) votes[r.verdict] = (votes[r.verdict] || 0) + 1;
+        const [verdict, n] = Object.entries(votes).sort((a, b) => b[1] - a[1])[0];
+        const agree = repro.filter((r) => r.verdict === verdict);
+        return {
+          verdict,
+          confidence: round((n / repro.length) * agree.reduce((a, r) => a + r.confidence, 0) / agree.length),
+          images: repro.length,
+          meanJaccard: round(repro.reduce((a, r) => a + r.meanJaccard, 0) / repro.length),
+        };
+      })()
+    : { verdict: 'inconclusive', confidence: 0, images: 0 };
+
+  return {
+    runs: ordered.length,
+    sessions,
+    gapMinutes: round(gapMs / 60000, 2),
+    overall: {
+      seeding,
+      lsb: lsbVerdict(pooledLsb),
+      content: contentVerdict(pooledEdge, pooledContent),
+      reproducibility,
+    },
+    perImage,
+  };
+}
@@ -0,0 +1,159 @@
+// audit.js — append-only audit log (<dataDir>/audit/events.jsonl, one JSON event per line)
+/*
+Event: { id, at, type, ...fields }
+  auth.rejected   { method, path, ip, principal: { name, via } | null, claimed, role, required, status, reason }
+                  (claimed = user name of a Basic attempt that did not verify)
+  write.<kind>    one per write to stored content; kind = baseline | rules | last-session | history
+                  { action, resource: { kind, name?, client? }, by: { name, via, role, ip }, client,
+                    sha256, size, version,                      content after the write (null when gone)
+                    previous: { sha256, size, version } | null, content before it (null when there was none)
+                    ...action-specific fields (runId, removedRuns, removedBase, from, previousDefault, restoredFrom,
+                                                 transfer = id of the chunked upload it committed,
+                                                 foldedRuns / trimmedRuns of a history compaction) }
+                  client = key of the writing browser (public/environment.js); size = bytes of the content's JSON;
+                  version = baseline version / last-session savedAt / history runs (per partition)
+
+Snapshots (<dataDir>/audit/snapshots/<sha256>.json.gz): the JSON content every sha256 above names,
+stored once per hash, so any version an event mentions can be read back and restored.
+
+prune() applies the audit retention (server/retention.js): events past maxAge or beyond the newest
+maxEvents are dropped, then every snapshot no remaining event names. Snapshots taken for an event
+that is not recorded yet are kept.
+*/
+import path from 'path';
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { exists } from './fsutil.js';
+import { withFileLock } from './concurrency.js';
+import { isExpired } from './retention.js';
+import { SHA256_RE } from '../public/fingerprint.js';
+
+// every sha256 field of an event, at any depth (content, previous, removedRuns, removedBase, ...)
+function snapshotsOf(value, out = new Set()){
+  if (Array.isArray(value)) for (const v of value) snapshotsOf(v, out);
+  else if (value && typeof value === 'object')
+    for (const [k, v] of Object.entries(value)) {
+      if (k === 'sha256' && SHA256_RE.test(String(v))) out.add(v);
+      else snapshotsOf(v, out);
+    }
+  return out;
+}
+
+function newEventId(){
+  // time-sortable, same shape as run ids: 2025-10-22T01-58-00-068Z-3fa9c1
+  return new Date().toISOString().replace(/[:.]/g, '-') + '-' + crypto.randomBytes(3).toString('hex');
+}
+
+export function createAuditLog(dataDir){
+  const dir = path.join(dataDir, 'audit');
+  const file = path.join(dir, 'events.jsonl');
+  const snapshotDir = path.join(dir, 'snapshots');
+  const snapshotFile = (sha256) => path.join(snapshotDir, `${sha256}.json.gz`);
+  const pending = new Set();      // snapshots taken for events not recorded yet (prune keeps them)
+
+  async function record(type, fields = {}){
+    const event = { id: newEventId(), at: new Date().toISOString(), type, ...fields };
+    await withFileLock(file, async () => {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(file, JSON.stringify(event) + '\n', 'utf8');
+    });
+    for (const sha256 of snapshotsOf(event)) pending.delete(sha256);
+    return event;
+  }
+
+  // newest first; type: exact event type or a "prefix." filter
+  async function list({ type = null, limit = 200 } = {}){
+    if (!(await exists(file))) return [];
+    const out = [];
+    const lines = (await fs.readFile(file, 'utf8')).split('\n');
+    for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+      if (!lines[i]) continue;
+      let e;
+      try { e = JSON.parse(lines[i]); } catch { continue; }   // torn last line after a crash
+      if (type && !(e.type === type || (type.endsWith('.') && e.type.startsWith(type)))) continue;
+      out.push(e);
+    }
+    return out;
+  }
+
+  async function get(id){
+    return (await list({ limit: Infinity })).find(e => e.id === id) || null;
+  }
+
+  // value -> { sha256, size } of its JSON, stored unless that hash already is; null -> null
+  async function snapshot(value){
+    if (value == null) return null;
+    const text = JSON.stringify(value);
+    const sha256 = crypto.createHash('sha256').update(text).digest('hex');
+    pending.add(sha256);
+    await withFileLock(snapshotFile(sha256), async () => {
+      if (await exists(snapshotFile(sha256))) return;
+      await fs.mkdir(snapshotDir, { recursive: true });
+      const tmp = snapshotFile(sha256) + '.tmp-' + Date.now();
+      await fs.writeFile(tmp, zlib.gzipSync(text));
+      await fs.rename(tmp, snapshotFile(sha256));
+    });
+    return { sha256, size: Buffer.byteLength(text) };
+  }
+
+  // -> stored content or null
+  async function readSnapshot(sha256){
+    if (!SHA256_RE.test(String(sha256)) || !(await exists(snapshotFile(sha256)))) return null;
+    return JSON.parse(zlib.gunzipSync(await fs.readFile(snapshotFile(sha256))).toString('utf8'));
+  }
+
+  /*
+    kind, action:  event type write.<kind> and what happened (save, delete, replace, append, restore, ...)
+    after/before:  the content after and before the write (null = none); both are snapshotted
+    version/previousVersion: how the resource names those two states
+    any other field is kept on the event as is
+  */
+  async function recordWrite(kind, action, { resource = {}, by = null, client = null, after = null, before = null, version = null, previousVersion = null, ...fields } = {}){
+    const now = await snapshot(after), prev = await snapshot(before);
+    return record(`write.${kind}`, {
+      action, resource: { kind, ...resource }, by, client,
+      sha256: now?.sha256 ?? null, size: now?.size ?? null, version: now ? version : null,
+      previous: prev ? { ...prev, version: previousVersion } : null,
+      ...fields,
+    });
+  }
+
+  /*
+    Drop events idle past maxAgeMs or beyond the newest maxEvents (null = no limit), then the snapshots
+    no remaining event names. -> { eventsRemoved, snapshotsRemoved }
+  */
+  async function prune({ maxAgeMs = null, maxEvents = null } = {}, now = Date.now()){
+    return withFileLock(file, async () => {
+      const lines = (await exists(file)) ? (await fs.readFile(file, 'utf8')).split('\n').filter(Boolean) : [];
+      let kept = [];
+      for (const line of lines) {
+        let e;
+        try { e = JSON.parse(line); } catch { continue; }   // torn line after a crash
+        if (!isExpired(e.at, maxAgeMs, now)) kept.push(e);
+      }
+      if (maxEvents != null && kept.length > maxEvents) kept = kept.slice(kept.length - maxEvents);
+      const eventsRemoved = lines.length - kept.length;
+      if (eventsRemoved) {
+        const tmp = file + '.tmp-' + Date.now();
+        await fs.writeFile(tmp, kept.map(e => JSON.stringify(e) + '\n').join(''), 'utf8');
+        await fs.rename(tmp, file);
+      }
+
+      const named = snapshotsOf(kept);
+      let snapshotsRemoved = 0;
+      for (const f of (await exists(snapshotDir)) ? await fs.readdir(snapshotDir) : []) {
+        const sha256 = f.endsWith('.json.gz') ? f.slice(0, -'.json.gz'.length) : null;
+        if (!SHA256_RE.test(String(sha256)) || named.has(sha256)) continue;
+        await withFileLock(snapshotFile(sha256), async () => {
+          if (pending.has(sha256)) return;
+          await fs.rm(snapshotFile(sha256), { force: true });
+          snapshotsRemoved++;
+        });
+      }
+      return { eventsRemoved, snapshotsRemoved };
+    });
+  }
+
+  return { record, list, get, snapshot, readSnapshot, recordWrite, prune };
+}
@@ -0,0 +1,222 @@
+// auth.js — API tokens / basic auth with viewer < writer < admin roles
+/*
+Config (<AUTH_FILE>, default <DATA_DIR>/auth.json; no file = auth disabled, every request is admin):
+  {
+    "anonymous": "viewer",                                   role of requests without credentials (null = none)
+    "tokens": [{ "name": "ci",    "role": "writer", "hash": "scrypt$<salt>$<key>" }],   Authorization: Bearer <name>.<secret>
+    "users":  [{ "name": "alice", "role": "admin",  "hash": "scrypt$<salt>$<key>" }]    Authorization: Basic <user:password>
+  }
+Secrets are stored as hashSecret() output (`testpixel hash-secret <secret>` prints one). A credential
+is only checked against the entries its name (token name / user name) picks, so a bad one costs at
+most one scrypt, run off the event loop.
+
+Every API request needs the role of the first ROUTE_ROLES entry matching its method and path (matched
+like Express routes: case-insensitive, trailing slash ignored, see routePath); writes that match nothing
+need admin. Static pages are served before this check, so the read-only pages load
+for anyone and their API reads succeed for viewers.
+  401 { error }  no / bad credentials (WWW-Authenticate: Basic, so browsers prompt)
+  403 { error }  authenticated, role too low
+  429 { error }  more than MAX_FAILURES bad credentials from one IP within REJECT_WINDOW_MS (not checked)
+Every rejection is logged and recorded in the audit log (auth.rejected), at most one event per IP and
+window: later ones in the window are counted, and the next recorded event carries that count (suppressed).
+*/
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { promisify } from 'util';
+import { exists, isPlainObject } from './fsutil.js';
+
+export const ROLES = ['viewer', 'writer', 'admin'];
+const rank = (role) => ROLES.indexOf(role);
+
+// [method (null = any), path, role (null = public)]; first match wins
+export const ROUTE_ROLES = [
+  ['GET', /^\/$/, null],
+  ['GET', /^\/healthz$/, null],
+  ['GET', /^\/auth\/whoami$/, null],
+  ['GET', /^\/schemas(\/|$)/, null],
+  ['GET', /^\/audit(\/|$)/, 'admin'],
+  ['GET', /^\/storage(\/|$)/, 'admin'],
+  ['GET', /./, 'viewer'],
+  ['POST', /^\/reports$/, 'viewer'],
+  ['POST', /^\/policy\/evaluate$/, 'viewer'],
+  ['PUT', /^\/history\/append$/, 'writer'],
+  ['POST', /^\/history\/(append|runs)$/, 'writer'],
+  ['POST', /^\/sessions\/[^/]+\/uploads$/, 'writer'],
+  ['PUT', /^\/last-session$/, 'writer'],
+  ['POST', /^\/transfers$/, 'writer'],
+  ['PUT', /^\/transfers\/[^/]+\/items\/[^/]+$/, 'writer'],
+  ['POST', /^\/transfers\/[^/]+\/commit$/, 'writer'],
+  ['DELETE', /^\/transfers\/[^/]+$/, 'writer'],
+  // baselines, rules, policy, whole-history writes, run deletion, recompute, audit restores,
+  // retention settings and maintenance: admin
+  // (a transfer also needs the role of the route its target replaces: admin for baselines)
+];
+
+const SCRYPT_KEYLEN = 32;
+const scrypt = promisify(crypto.scrypt);
+const REJECT_WINDOW_MS = 60 * 1000;
+const MAX_FAILURES = 20;                 // bad credentials per IP and window before 429
+
+export function hashSecret(secret){
+  const salt = crypto.randomBytes(16);
+  return `scrypt$${salt.toString('hex')}$${crypto.scryptSync(String(secret), salt, SCRYPT_KEYLEN).toString('hex')}`;
+}
+
+async function verifySecret(secret, stored){
+  const [scheme, saltHex, keyHex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const key = await scrypt(String(secret), Buffer.from(saltHex, 'hex'), SCRYPT_KEYLEN);
+  const want = Buffer.from(keyHex, 'hex');
+  return want.length === key.length && crypto.timingSafeEqual(key, want);
+}
+
+export function hasRole(principal, role){
+  return role == null || (!!principal?.role && rank(principal.role) >= rank(role));
+}
+
+// request path as Express routes it (case-insensitive, optional trailing slash) -> the form ROUTE_ROLES match
+export function routePath(urlPath){
+  const p = String(urlPath).toLowerCase();
+  return p.length > 1 && p.endsWith('/') ? p.replace(/\/+$/, '') || '/' : p;
+}
+
+export function requiredRole(method, urlPath){
+  const m = method === 'HEAD' ? 'GET' : method;
+  const p = routePath(urlPath);
+  for (const [rm, re, role] of ROUTE_ROLES) if ((!rm || rm === m) && re.test(p)) return role;
+  return 'admin';
+}
+
+// -> list of problems; empty when valid
+export function validateAuthConfig(cfg){
+  if (!isPlainObject(cfg)) return ['config must be an object { anonymous, tokens, users }'];
+  const errors = [];
+  if (cfg.anonymous != null && !ROLES.includes(cfg.anonymous)) errors.push(`anonymous: expected null or one of ${ROLES.join(', ')}`);
+  for (const list of ['tokens', 'users']) {
+    if (cfg[list] == null) continue;
+    if (!Array.isArray(cfg[list])) { errors.push(`${list}: expected array`); continue; }
+    cfg[list].forEach((e, i) => {
+      if (!isPlainObject(e) || typeof e.name !== 'string' || !e.name) errors.push(`${list}[${i}].name: expected non-empty string`);
+      if (!ROLES.includes(e?.role)) errors.push(`${list}[${i}].role: expected one of ${ROLES.join(', ')}`);
+      if (typeof e?.hash !== 'string' || !e.hash.startsWith('scrypt$')) errors.push(`${list}[${i}].hash: expected hashSecret() output`);
+    });
+  }
+  return errors;
+}
+
+/*
+  file:   auth config path
+  audit:  server/audit.js log for rejections
+  -> { enabled, middleware, whoami(req) }   (throws on an invalid config file: the server must not start open by mistake)
+*/
+export async function createAuth(file, { audit = null } = {}){
+  if (!(await exists(file))) {
+    console.warn(`[auth] ${file} not found — authentication disabled, every client has the admin role`);
+    const open = { name: null, via: null, role: 'admin' };
+    return {
+      enabled: false, middleware: (req, _res, next) => { req.principal = open; next(); },
+      whoami: async () => open, reject: async () => {},
+    };
+  }
+  const cfg = JSON.parse(await fs.readFile(file, 'utf8'));
+  const errors = validateAuthConfig(cfg);
+  if (errors.length) throw new Error(`invalid auth config ${file}: ${errors.join('; ')}`);
+
+  // verified secrets (sha256 of what the client sent -> principal), so scrypt runs once per credential
+  const verified = new Map();
+  // credential = "<name><sep><secret>"; only the entries named by it are hashed against
+  const match = async (entries, credential, sep, via) => {
+    const key = `${via}:${crypto.createHash('sha256').update(credential).digest('hex')}`;
+    if (verified.has(key)) return verified.get(key);
+    for (const e of entries.filter(x => credential.startsWith(`${x.name}${sep}`))) {
+      if (!(await verifySecret(credential.slice(e.name.length + sep.length), e.hash))) continue;
+      const principal = { name: e.name, via, role: e.role };
+      verified.set(key, principal);
+      return principal;
+    }
+    return null;
+  };
+
+  // per IP: { since, failures, suppressed } of the current REJECT_WINDOW_MS window
+  const rejections = new Map();
+  function windowOf(ip){
+    const now = Date.now();
+    let w = rejections.get(ip);
+    if (w && now - w.since < REJECT_WINDOW_MS) return w;
+    if (rejections.size > 10000)
+      for (const [k, v] of rejections) if (now - v.since >= REJECT_WINDOW_MS) rejections.delete(k);
+    w = { since: now, failures: 0, suppressed: 0, recorded: false, carried: w?.suppressed ?? 0 };
+    rejections.set(ip, w);
+    return w;
+  }
+  const throttled = (ip) => (rejections.get(ip)?.failures ?? 0) >= MAX_FAILURES && Date.now() - rejections.get(ip).since < REJECT_WINDOW_MS;
+
+  // -> principal, null (no credentials), or false (credentials that do not verify)
+  async function authenticate(req){
+    const h = req.get('authorization') || '';
+    const [scheme, value = ''] = h.split(/\s+/, 2);
+    if (!h) return null;
+    if (/^bearer$/i.test(scheme)) return (await match(cfg.tokens || [], value, '.', 'token')) || false;
+    if (/^basic$/i.test(scheme)) return (await match(cfg.users || [], Buffer.from(value, 'base64').toString('utf8'), ':', 'basic')) || false;
+    return false;
+  }
+
+  // the user name a rejected Basic attempt claimed (audit only; never trusted)
+  function claimedName(req){
+    const [scheme, value = ''] = (req.get('authorization') || '').split(/\s+/, 2);
+    if (!/^basic$/i.test(scheme)) return null;
+    const text = Buffer.from(value, 'base64').toString('utf8');
+    return text.includes(':') ? text.slice(0, text.indexOf(':')).slice(0, 80) : null;
+  }
+
+  async function whoami(req){
+    if (throttled(req.ip)) return { name: null, via: null, role: null };
+    const p = await authenticate(req);
+    if (p) return p;
+    return { name: null, via: null, role: p === false ? null : cfg.anonymous ?? null };
+  }
+
+  /*
+    Log and audit a rejection (coalesced per IP and window), then answer it.
+    fields: { status, reason, required, principal, claimed }
+  */
+  async function reject(req, res, { status, reason, required = null, principal = null, claimed = null }){
+    const w = windowOf(req.ip);
+    if (w.recorded) {
+      w.suppressed++;
+    } else {
+      w.recorded = true;
+      console.warn(`[auth] rejected ${req.method} ${req.path.slice(0, 200)} from ${req.ip} (${principal?.name || 'anonymous'}): ${reason}`);
+      try {
+        await audit?.record('auth.rejected', {
+          method: req.method, path: req.path.slice(0, 200), ip: req.ip,
+          principal: principal?.via ? { name: principal.name, via: principal.via } : null, claimed,
+          role: principal?.role ?? null, required, status, reason,
+          ...(w.carried ? { suppressed: w.carried } : {}),
+        });
+      } catch (e) {
+        console.error('[auth] audit write failed:', e);
+      }
+    }
+    if (status === 401) res.setHeader('WWW-Authenticate', 'Basic realm="testpixel", charset="UTF-8"');
+    if (status === 429) res.setHeader('Retry-After', String(Math.ceil((w.since + REJECT_WINDOW_MS - Date.now()) / 1000)));
+    res.status(status).json({ error: status === 403 ? `forbidden: ${reason}` : reason });
+  }
+
+  async function middleware(req, res, next){
+    const required = requiredRole(req.method, req.path);
+    if (req.get('authorization') && throttled(req.ip))
+      return reject(req, res, { status: 429, reason: 'too many failed authentication attempts', required });
+    const p = await authenticate(req);
+    const principal = p || { name: null, via: null, role: p === false ? null : cfg.anonymous ?? null };
+    req.principal = principal;
+    if (hasRole(principal, required)) return next();
+
+    if (p === false) windowOf(req.ip).failures++;
+    const status = p ? 403 : 401;
+    const reason = p === false ? 'bad credentials' : p ? `requires ${required} role` : 'authentication required';
+    await reject(req, res, { status, reason, required, principal, claimed: p === false ? claimedName(req) : null });
+  }
+
+  return { enabled: true, middleware, whoami, reject };
+}
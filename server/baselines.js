@@ -0,0 +1,251 @@
+// baselines.js — named, versioned baseline store
+/*
+Layout (under <dataDir>/baselines):
+  index.json            { default: name|null, baselines: { [name]: { createdAt, versions: [{ version, savedAt, label }] } } }
+  <name>/v<N>/          image set (server/pixelstore.js): index.json with meta + one .rgba file per image
+  <name>/rules.json     { updatedAt, rules } comparison rules (public/rules.js), shared by every version
+
+On the wire a version is still { pixels: { [imageName]: base64_rgba }, meta }.
+
+Versions are never overwritten: every save appends v<N+1>. The "default" baseline is
+what the legacy /baseline routes (and index_fixed.js without ?baseline=) operate on.
+*/
+import path from 'path';
+import fs from 'fs/promises';
+import { exists, readJson, writeJsonAtomic, isPlainObject, dirUsage } from './fsutil.js';
+import { withFileLock, ifMatchOk, starWithoutResource } from './concurrency.js';
+import { writeImageSet, readImageSet, imageSetSizes, base64MapToImages, imagesToBase64Map } from './pixelstore.js';
+
+// names that are Object.prototype keys are refused outright (the index is also prototype-free)
+export const NAME_RE = /^(?!(?:__proto__|constructor|prototype)$)[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+export const LEGACY_DEFAULT_NAME = 'default';
+
+export function isValidBaselineName(name){ return typeof name === 'string' && NAME_RE.test(name); }
+
+// ETag of a baseline = its name + latest version; every save appends a version, so it always changes.
+export function baselineEtag(name, version){ return version == null ? null : `"${name}@v${version}"`; }
+
+export function createBaselineStore(dataDir){
+  const root      = path.join(dataDir, 'baselines');
+  const indexFile = path.join(root, 'index.json');
+  const versionDir = (name, version) => path.join(root, name, `v${version}`);
+  const rulesFile = (name) => path.join(root, name, 'rules.json');
+
+  function emptyIndex(){ return { default: null, baselines: Object.create(null) }; }
+
+  // baselines is a null-prototype object: idx.baselines[name] never resolves "toString", "constructor", ...
+  async function readIndex(){
+    if (!(await exists(indexFile))) return emptyIndex();
+    const idx = await readJson(indexFile);
+    return {
+      default: typeof idx?.default === 'string' ? idx.default : null,
+      baselines: Object.assign(Object.create(null), isPlainObject(idx?.baselines) ? idx.baselines : {}),
+    };
+  }
+  async function writeIndex(idx){
+    await fs.mkdir(root, { recursive: true });
+    await writeJsonAtomic(indexFile, idx);
+  }
+  // all read-modify-write cycles on index.json go through here
+  const locked = (fn) => withFileLock(indexFile, fn);
+  const latestVersion = (rec) => rec?.versions?.length ? rec.versions[rec.versions.length - 1].version : null;
+
+  function describe(idx, name){
+    const rec = idx.baselines[name];
+    const versions = Array.isArray(rec?.versions) ? rec.versions : [];
+    return {
+      name,
+      isDefault: idx.default === name,
+      createdAt: rec?.createdAt || null,
+      versions: versions.length,
+      latest: versions.length ? versions[versions.length - 1] : null,
+    };
+  }
+
+  async function list(){
+    const idx = await readIndex();
+    return {
+      default: idx.default,
+      baselines: Object.keys(idx.baselines).sort().map(name => describe(idx, name)),
+    };
+  }
+
+  async function versions(name){
+    const idx = await readIndex();
+    const rec = idx.baselines[name];
+    return rec ? rec.versions.slice() : null;
+  }
+
+  // -> { [image]: bytes } of one version, from its index alone, or null
+  async function sizes(name, version){
+    const rec = (await readIndex()).baselines[name];
+    const entry = rec?.versions.find(v => v.version === Number(version));
+    return entry ? imageSetSizes(versionDir(name, entry.version)) : null;
+  }
+
+  // -> [{ name, versions, bytes, images: { [image]: bytes summed over versions } }]
+  async function usage(){
+    const idx = await readIndex(), out = [];
+    for (const name of Object.keys(idx.baselines).sort()) {
+      const images = {};
+      for (const v of idx.baselines[name].versions || [])
+        for (const [img, n] of Object.entries((await imageSetSizes(versionDir(name, v.version))) || {})) images[img] = (images[img] || 0) + n;
+      out.push({ name, versions: (idx.baselines[name].versions || []).length, bytes: (await dirUsage(path.join(root, name))).bytes, images });
+    }
+    return out;
+  }
+
+  // Returns { etag, pixels, meta } of the requested (or latest) version, or null. etag always tracks the latest version.
+  async function get(name, version){
+    const idx = await readIndex();
+    const rec = idx.baselines[name];
+    if (!rec || !rec.versions.length) return null;
+    const entry = version == null
+      ? rec.versions[rec.versions.length - 1]
+      : rec.versions.find(v => v.version === Number(version));
+    if (!entry) return null;
+    const data = await readImageSet(versionDir(name, entry.version));
+    if (!data) return null;
+    return {
+      etag: baselineEtag(name, latestVersion(rec)),
+      pixels: imagesToBase64Map(data.images),
+      rules: (await readRules(name))?.rules || {},
+      meta: {
+        ...data.meta,
+        baseline: { name, version: entry.version, label: entry.label, savedAt: entry.savedAt },
+      },
+    };
+  }
+
+  // Appends a new version; creates the baseline if needed. First baseline ever becomes the default.
+  // With opts.ifMatch set, returns { conflict: true, etag } instead of saving when the latest version moved on
+  // (and preconditionFailed too when it is "*" and the baseline does not exist yet).
+  // A name of null means "whatever is the default right now" (resolved under the lock).
+  function save(name, { pixels, meta = {}, label = '' }, opts = {}){
+    return locked(async () => {
+      const idx = await readIndex();
+      name = name ?? idx.default ?? LEGACY_DEFAULT_NAME;
+      const current = baselineEtag(name, latestVersion(idx.baselines[name]));
+      if (starWithoutResource(opts.ifMatch, current != null)) return { conflict: true, preconditionFailed: true, etag: null };
+      if (!ifMatchOk(opts.ifMatch, current)) return { conflict: true, etag: current };
+
+      let rec = idx.baselines[name];
+      if (!rec) rec = idx.baselines[name] = { createdAt: new Date().toISOString(), versions: [] };
+      const version = (latestVersion(rec) || 0) + 1;
+      const entry = { version, savedAt: new Date().toISOString(), label: String(label || '') };
+
+      await fs.mkdir(path.join(root, name), { recursive: true });
+      await writeImageSet(versionDir(name, version), { meta, images: base64MapToImages(pixels) });
+      rec.versions.push(entry);
+      if (!idx.default) idx.default = name;
+      await writeIndex(idx);
+      return { name, ...entry, etag: baselineEtag(name, version) };
+    });
+  }
+
+  // Returns { ok } | { notFound } | { conflict, etag }
+  function remove(name, opts = {}){
+    return locked(async () => {
+      const idx = await readIndex();
+      name = name ?? idx.default;
+      if (!name || !idx.baselines[name]) return { notFound: true };
+      const current = baselineEtag(name, latestVersion(idx.baselines[name]));
+      if (!ifMatchOk(opts.ifMatch, current)) return { conflict: true, etag: current };
+      delete idx.baselines[name];
+      if (idx.default === name) idx.default = null;
+      await writeIndex(idx);
+      await fs.rm(path.join(root, name), { recursive: true, force: true });
+      return { ok: true };
+    });
+  }
+
+  function rename(from, to){
+    return locked(async () => {
+      const idx = await readIndex();
+      if (!idx.baselines[from]) return { error: 'not found' };
+      if (idx.baselines[to]) return { error: 'target exists' };
+      await fs.rename(path.join(root, from), path.join(root, to));
+      idx.baselines[to] = idx.baselines[from];
+      delete idx.baselines[from];
+      if (idx.default === from) idx.default = to;
+      await writeIndex(idx);
+      return { ok: true };
+    });
+  }
+
+  function setDefault(name){
+    return locked(async () => {
+      const idx = await readIndex();
+      if (!idx.baselines[name]) return false;
+      idx.default = name;
+      await writeIndex(idx);
+      return true;
+    });
+  }
+
+  async function getDefaultName(){ return (await readIndex()).default; }
+
+  async function readRules(name){
+    return (await exists(rulesFile(name))) ? readJson(rulesFile(name)) : null;
+  }
+
+  // -> { name, updatedAt, rules } | null (no such baseline). A name of null means the default.
+  async function getRules(name){
+    const idx = await readIndex();
+    name = name ?? idx.default;
+    if (!name || !idx.baselines[name]) return null;
+    const doc = await readRules(name);
+    return { name, updatedAt: doc?.updatedAt || null, rules: isPlainObject(doc?.rules) ? doc.rules : {} };
+  }
+
+  // Replaces the whole rules document (validated by the caller). -> { name, updatedAt, rules } | { notFound }
+  function putRules(name, rules){
+    return locked(async () => {
+      const idx = await readIndex();
+      name = name ?? idx.default;
+      if (!name || !idx.baselines[name]) return { notFound: true };
+      const doc = { updatedAt: new Date().toISOString(), rules };
+      await writeJsonAtomic(rulesFile(name), doc);
+      return { name, ...doc };
+    });
+  }
+
+  // One-time import of the old single-file baseline.json as "default" (v1).
+  async function migrateLegacy(legacyFile){
+    const idx = await readIndex();
+    if (Object.keys(idx.baselines).length || !(await exists(legacyFile))) return false;
+    const data = await readJson(legacyFile);
+    if (!isPlainObject(data?.pixels)) return false;
+    await save(LEGACY_DEFAULT_NAME, {
+      pixels: data.pixels,
+      meta: isPlainObject(data.meta) ? data.meta : {},
+      label: 'imported from baseline.json',
+    });
+    return true;
+  }
+
+  // Convert versions written by the JSON-per-version layout (<name>/v<N>.json) to image-set dirs.
+  async function migrateJsonVersions(){
+    const idx = await readIndex();
+    let n = 0;
+    for (const [name, rec] of Object.entries(idx.baselines)) {
+      for (const { version } of rec.versions || []) {
+        const jsonFile = path.join(root, name, `v${version}.json`);
+        if (!(await exists(jsonFile))) continue;
+        const data = await readJson(jsonFile);
+        await writeImageSet(versionDir(name, version), {
+          meta: isPlainObject(data?.meta) ? data.meta : {},
+          images: base64MapToImages(isPlainObject(data?.pixels) ? data.pixels : {}),
+        });
+        await fs.unlink(jsonFile);
+        n++;
+      }
+    }
+    return n;
+  }
+
+  return {
+    list, versions, get, sizes, save, remove, rename, setDefault, getDefaultName, getRules, putRules, usage,
+    migrateLegacy, migrateJsonVersions,
+  };
+}
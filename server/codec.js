@@ -0,0 +1,75 @@
+// codec.js — compact binary encodings for sparse deltas and run records
+/*
+Sparse delta block (one image of one run), little-endian:
+  u32 count
+  u32[count]  pixel indices, sorted, delta-encoded (first value absolute)
+  i16[count*4] signed [dr,dg,db,da] per pixel, same order
+
+Run file (<runId>.run):
+  "PPR1"  magic
+  u8      flags            bit0 = body deflated (zlib deflateRaw)
+  body:   u32 headerLen, header JSON (utf8), then the sparse blocks back to back
+          header = { id, createdAt, userAgent, baseline, images: [{ name, offset, length }] }
+*/
+import zlib from 'zlib';
+
+const RUN_MAGIC = Buffer.from('PPR1', 'ascii');
+const FLAG_DEFLATE = 1;
+
+export function encodeSparse(changedMap){
+  const idx = Object.keys(changedMap || {}).map(Number).filter(Number.isFinite).sort((a, b) => a - b);
+  const buf = Buffer.alloc(4 + idx.length * 4 + idx.length * 8);
+  buf.writeUInt32LE(idx.length, 0);
+  let off = 4, prev = 0;
+  for (const pix of idx) { buf.writeUInt32LE(pix - prev, off); prev = pix; off += 4; }
+  for (const pix of idx) {
+    const d = changedMap[pix];
+    for (let c = 0; c < 4; c++) { buf.writeInt16LE(Array.isArray(d) ? (Number(d[c]) || 0) : 0, off); off += 2; }
+  }
+  return buf;
+}
+
+export function decodeSparse(buf){
+  const count = buf.readUInt32LE(0);
+  const out = {};
+  const idx = new Array(count);
+  let off = 4, pix = 0;
+  for (let i = 0; i < count; i++) { pix += buf.readUInt32LE(off); idx[i] = pix; off += 4; }
+  for (let i = 0; i < count; i++) {
+    out[idx[i]] = [buf.readInt16LE(off), buf.readInt16LE(off + 2), buf.readInt16LE(off + 4), buf.readInt16LE(off + 6)];
+    off += 8;
+  }
+  return out;
+}
+
+export function encodeRun(run, { compress = true } = {}){
+  const blocks = [];
+  const images = [];
+  let offset = 0;
+  for (const [name, rec] of Object.entries(run.images || {})) {
+    const b = encodeSparse(rec?.changedMap);
+    images.push({ name, offset, length: b.length });
+    blocks.push(b);
+    offset += b.length;
+  }
+  const { images: _drop, ...rest } = run;
+  const header = Buffer.from(JSON.stringify({ ...rest, images }), 'utf8');
+  const len = Buffer.alloc(4); len.writeUInt32LE(header.length, 0);
+  let body = Buffer.concat([len, header, ...blocks]);
+  if (compress) body = zlib.deflateRawSync(body);
+  return Buffer.concat([RUN_MAGIC, Buffer.from([compress ? FLAG_DEFLATE : 0]), body]);
+}
+
+export function decodeRun(buf){
+  if (!buf.subarray(0, 4).equals(RUN_MAGIC)) throw new Error('not a run file (bad magic)');
+  const flags = buf[4];
+  let body = buf.subarray(5);
+  if (flags & FLAG_DEFLATE) body = zlib.inflateRawSync(body);
+  const headerLen = body.readUInt32LE(0);
+  const header = JSON.parse(body.subarray(4, 4 + headerLen).toString('utf8'));
+  const blocks = body.subarray(4 + headerLen);
+  const images = Object.create(null);     // keyed by image name, which may be any string
+  for (const { name, offset, length } of header.images || [])
+    images[name] = { changedMap: decodeSparse(blocks.subarray(offset, offset + length)) };
+  return { ...header, images };
+}
@@ -0,0 +1,94 @@
+// compare.js — offline image-by-image compare of two uploaded capture sessions
+/*
+Images are paired by name with the session prefix and extension stripped, keeping the kind:
+  session_1/S1_raw_faces_1.rgba  <->  session_2/S2_raw_faces_1.rgba   key "rgba:raw_faces_1"
+  session_1/S1_moire_7.png       <->  session_2/S2_moire_7.png        key "png:moire_7"
+Pairs with different dimensions are rejected per image (error), never diffed.
+With a rules document (public/rules.js) each image is matched by its stem ("moire_7") and gets
+rule-filtered counts in `filtered` next to the raw ones.
+With embed, every compared image also carries png: { a, b } (PNG data URLs) for HTML reports.
+*/
+import fs from 'fs/promises';
+import path from 'path';
+import { decodePng, encodePng } from './png.js';
+import { diffPixels } from '../public/diff_engine.js';
+import { resolveRule } from '../public/rules.js';
+
+export function pairKey(fileName){
+  const kind = fileName.endsWith('.rgba') ? 'rgba' : 'png';
+  const stem = fileName.replace(/\.(rgba|png)$/, '').replace(/^S\d+_/, '');
+  return `${kind}:${stem}`;
+}
+
+// -> { width, height, rgba }; raw dumps without recorded dims get width/height null
+async function loadCapture(dir, ent){
+  const bytes = await fs.readFile(path.join(dir, ent.name));
+  if (ent.kind === 'png') return decodePng(bytes);
+  return { width: ent.width ?? null, height: ent.height ?? null, rgba: new Uint8Array(bytes.buffer, bytes.byteOffset, bytes.length) };
+}
+
+function sameDims(a, b){
+  if (a.width != null && b.width != null) return a.width === b.width && a.height === b.height && a.rgba.length === b.rgba.length;
+  return a.rgba.length === b.rgba.length;
+}
+
+const pngDataUrl = (img, width, height) => `data:image/png;base64,${encodePng(img.rgba, width, height).toString('base64')}`;
+
+export async function compareSessions(uploads, idA, idB, { sampleCap = 20, rules = null, embed = false } = {}){
+  const [listA, listB] = [await uploads.list(idA), await uploads.list(idB)];
+  if (!listA || !listB) return null;
+  const byKey = (list) => new Map(list.map(ent => [pairKey(ent.name), ent]));
+  const mapA = byKey(listA), mapB = byKey(listB);
+
+  const images = {};
+  const overall = { compared: 0, rejected: 0, total: 0, changed: 0, alpha: 0, maxDeviation: 0, maxDeviationExcl255_254: 0 };
+  if (rules) overall.filtered = { changed: 0, alpha: 0, ignored: 0, maxDeviation: 0 };
+  for (const [key, entA] of mapA) {
+    const entB = mapB.get(key);
+    if (!entB) continue;
+    try {
+      const [a, b] = [await loadCapture(uploads.dirOf(idA), entA), await loadCapture(uploads.dirOf(idB), entB)];
+      if (!sameDims(a, b)) {
+        images[key] = { a: entA.name, b: entB.name, error: `dimension mismatch: ${a.width ?? '?'}x${a.height ?? '?'} (${a.rgba.length} B) vs ${b.width ?? '?'}x${b.height ?? '?'} (${b.rgba.length} B)` };
+        overall.rejected++;
+        continue;
+      }
+      const width = a.width ?? b.width, height = a.height ?? b.height;
+      const rule = rules ? resolveRule(rules, key.slice(key.indexOf(':') + 1)) : null;
+      const r = diffPixels(a.rgba, b.rgba, {
+        sampleCap,
+        rule,
+        ...(width ? { width, bbox: true, regions: true, maxRegions: 20 } : {}),
+      });
+      images[key] = { a: entA.name, b: entB.name, width, height, ...r };
+      if (embed && width && height) images[key].png = { a: pngDataUrl(a, width, height), b: pngDataUrl(b, width, height) };
+      overall.compared++;
+      overall.total += r.totalPixels;
+      overall.changed += r.changedPixels;
+      overall.alpha += r.alphaChanges;
+      overall.maxDeviation = Math.max(overall.maxDeviation, r.maxDeviation);
+      overall.maxDeviationExcl255_254 = Math.max(overall.maxDeviationExcl255_254, r.maxDeviationExcl255_254);
+      if (r.filtered) {
+        overall.filtered.changed += r.filtered.changedPixels;
+        overall.filtered.alpha += r.filtered.alphaChanges;
+        overall.filtered.ignored += r.filtered.ignoredPixels;
+        overall.filtered.maxDeviation = Math.max(overall.filtered.maxDeviation, r.filtered.maxDeviation);
+      }
+    } catch (e) {
+      images[key] = { a: entA.name, b: entB.name, error: `decode failed: ${e.message}` };
+      overall.rejected++;
+    }
+  }
+  overall.pctChanged = overall.total ? overall.changed / overall.total : 0;
+  if (overall.filtered) overall.filtered.pctChanged = overall.total ? overall.filtered.changed / overall.total : 0;
+
+  return {
+    a: idA,
+    b: idB,
+    comparedAt: new Date().toISOString(),
+    overall,
+    images,
+    onlyInA: [...mapA.keys()].filter(k => !mapB.has(k)),
+    onlyInB: [...mapB.keys()].filter(k => !mapA.has(k)),
+  };
+}
@@ -0,0 +1,43 @@
+// concurrency.js — per-file write serialization + ETag/If-Match helpers
+import crypto from 'crypto';
+
+// key -> tail of the promise chain; every withFileLock(key) call runs after the previous one settles
+const chains = new Map();
+
+export function withFileLock(key, fn){
+  const prev = chains.get(key) || Promise.resolve();
+  const run = prev.then(() => fn());
+  const tail = run.catch(() => {});
+  chains.set(key, tail);
+  tail.then(() => { if (chains.get(key) === tail) chains.delete(key); });
+  return run;
+}
+
+export function etagOf(content){
+  return '"' + crypto.createHash('sha1').update(content).digest('hex') + '"';
+}
+
+const ifMatchTags = (header) => String(header).split(',').map(t => t.trim().replace(/^W\//, ''));
+
+// RFC 9110 If-Match: absent -> ok; "*" -> ok when the resource exists; else any listed tag must match.
+// exists: pass false when a missing resource still answers with a placeholder ETag ("empty" history)
+export function ifMatchOk(header, currentEtag, exists = currentEtag != null){
+  if (header == null || header === '') return true;
+  const tags = ifMatchTags(header);
+  if (tags.includes('*')) return exists;
+  return currentEtag != null && tags.includes(currentEtag);
+}
+
+// If-Match: * on a resource that does not exist: answered 412 (sendPreconditionFailed), not 409
+export function starWithoutResource(header, exists){
+  return !exists && header != null && header !== '' && ifMatchTags(header).includes('*');
+}
+
+export function sendPreconditionFailed(res){
+  return res.status(412).json({ error: 'precondition failed: If-Match: * but the resource does not exist' });
+}
+
+export function sendConflict(res, currentEtag){
+  if (currentEtag) res.setHeader('ETag', currentEtag);
+  return res.status(409).json({ error: 'conflict: resource changed since it was read (If-Match mismatch)', etag: currentEtag || null });
+}
@@ -0,0 +1,193 @@
+// drift.js — run-to-run drift report over the run log (GET /history/drift, public/drift.html)
+/*
+Per image, the series is the changed-pixel count of every logged run that rendered it, oldest first
+(`run` = position in the analysed log, `index` in changePoints = position in the image's series).
+  stats         n, mean, stddev, min, max, percentiles (p5 … p95)
+  changePoints  runs where the level shifted: binary segmentation, each split tested with Mann–Whitney U
+                (Bonferroni over the candidate splits); the run at `index` is the first run after the shift.
+                userAgentChanged / baselineChanged hint at the cause (browser update, new baseline).
+  windows       two run windows compared with Mann–Whitney U (two-sided) -> shifted-up | shifted-down | no significant change
+
+Windows are slices of the whole run log: "<from>..<to>" with from inclusive and to exclusive.
+Each bound is a run position (negative = from the end) or a date (Date.parse; compared with createdAt).
+Either bound may be empty. The default compares the older half of the log with the newer half.
+*/
+import { normalCdf } from './analysis.js';
+
+const MIN_SEGMENT = 3;       // runs on each side of a change point
+const MAX_CHANGE_POINTS = 5;
+const PERCENTILES = [5, 25, 50, 75, 95];
+
+const round = (x, d = 3) => (x == null || !Number.isFinite(x) ? null : +x.toFixed(d));
+
+function quantile(sorted, q){
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * q, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+export function summarize(values){
+  const n = values.length;
+  if (!n) return { n: 0, mean: null, stddev: null, min: null, max: null, percentiles: null };
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const variance = n > 1 ? values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1) : 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    n,
+    mean: round(mean),
+    stddev: round(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[n - 1],
+    percentiles: Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, round(quantile(sorted, p / 100))])),
+  };
+}
+
+// Mann–Whitney U, normal approximation with tie correction, two-sided
+// -> { u, z, p, effect } (effect = rank-biserial correlation; > 0 when b tends to be larger)
+export function mannWhitney(a, b){
+  const n1 = a.length, n2 = b.length;
+  if (!n1 || !n2) return { u: null, z: 0, p: 1, effect: 0 };
+  const all = [...a.map((v) => [v, 0]), ...b.map((v) => [v, 1])].sort((x, y) => x[0] - y[0]);
+  let rankA = 0, ties = 0;
+  for (let i = 0; i < all.length;) {
+    let j = i;
+    while (j < all.length && all[j][0] === all[i][0]) j++;
+    const rank = (i + j + 1) / 2, t = j - i;
+    ties += t ** 3 - t;
+    for (let k = i; k < j; k++) if (all[k][1] === 0) rankA += rank;
+    i = j;
+  }
+  const N = n1 + n2;
+  const uA = rankA - n1 * (n1 + 1) / 2, uB = n1 * n2 - uA;
+  const sigma = Math.sqrt((n1 * n2 / 12) * ((N + 1) - ties / (N * (N - 1))));
+  const z = sigma ? (uB - n1 * n2 / 2) / sigma : 0;
+  return { u: uB, z: round(z), p: round(sigma ? 2 * (1 - normalCdf(Math.abs(z))) : 1, 6), effect: round((2 * uB) / (n1 * n2) - 1) };
+}
+
+// points: [{ changed, ... }] -> sorted list of split indices (first run after each shift) with their test
+function segment(points, lo, hi, alpha, out){
+  if (out.length >= MAX_CHANGE_POINTS || hi - lo < 2 * MIN_SEGMENT) return;
+  const values = points.map((p) => p.changed);
+  let best = null;
+  const candidates = hi - lo - 2 * MIN_SEGMENT + 1;
+  for (let k = lo + MIN_SEGMENT; k <= hi - MIN_SEGMENT; k++) {
+    const t = mannWhitney(values.slice(lo, k), values.slice(k, hi));
+    if (!best || Math.abs(t.z) > Math.abs(best.test.z)) best = { k, test: t };
+  }
+  const pAdj = Math.min(1, best.test.p * candidates);
+  if (pAdj >= alpha) return;
+  out.push({ k: best.k, lo, hi, test: { ...best.test, pAdjusted: round(pAdj, 6) } });
+  segment(points, lo, best.k, alpha, out);
+  segment(points, best.k, hi, alpha, out);
+}
+
+function changePointsOf(points, alpha){
+  const found = [];
+  segment(points, 0, points.length, alpha, found);
+  return found.sort((a, b) => a.k - b.k).map(({ k, lo, hi, test }) => {
+    const before = points.slice(lo, k).map((p) => p.changed), after = points.slice(k, hi).map((p) => p.changed);
+    const run = points[k], prev = points[k - 1];
+    return {
+      index: k,
+      run: run.index,
+      runId: run.runId,
+      createdAt: run.createdAt,
+      before: { runs: before.length, mean: summarize(before).mean },
+      after: { runs: after.length, mean: summarize(after).mean },
+      ...test,
+      userAgentChanged: run.userAgent !== prev.userAgent,
+      baselineChanged: JSON.stringify(run.baseline) !== JSON.stringify(prev.baseline),
+    };
+  });
+}
+
+// "<from>..<to>" -> { from, to } of raw bounds; throws on malformed input
+export function parseWindow(text){
+  const m = /^(.*?)\.\.(.*)$/.exec(String(text).trim());
+  if (!m) throw new Error(`bad window "${text}" (expected <from>..<to>)`);
+  const bound = (tok) => {
+    if (!tok) return null;
+    if (/^-?\d+$/.test(tok)) return { index: Number(tok) };
+    const at = Date.parse(tok);
+    if (Number.isNaN(at)) throw new Error(`bad window bound "${tok}" (expected a run position or a date)`);
+    return { at };
+  };
+  return { from: bound(m[1]), to: bound(m[2]), text: String(text).trim() };
+}
+
+// window -> Set of run ids in the ordered log
+function runsInWindow(ordered, win){
+  const n = ordered.length;
+  const pos = (b, dflt) => {
+    if (!b) return dflt;
+    if (b.index != null) return Math.max(0, Math.min(n, b.index < 0 ? n + b.index : b.index));
+    const i = ordered.findIndex((r) => Date.parse(r.createdAt) >= b.at);
+    return i < 0 ? n : i;
+  };
+  const from = pos(win.from, 0), to = pos(win.to, n);
+  return { from, to, ids: new Set(ordered.slice(from, Math.max(from, to)).map((r) => r.id)) };
+}
+
+/*
+  runs:  run records (any order)
+  opts:  match(name) -> boolean   image filter (default: all)
+         a, b                     windows from parseWindow() (default: older / newer half)
+         alpha                    significance level (default 0.05)
+*/
+export function driftReport(runs, { match = () => true, a = null, b = null, alpha = 0.05 } = {}){
+  const ordered = [...runs].sort((x, y) => String(x.createdAt).localeCompare(String(y.createdAt)));
+  const half = Math.floor(ordered.length / 2);
+  const winA = runsInWindow(ordered, a || { from: null, to: { index: half } });
+  const winB = runsInWindow(ordered, b || { from: { index: half }, to: null });
+
+  const series = new Map();      // image name -> points (names are arbitrary strings, "constructor" included)
+  ordered.forEach((run, index) => {
+    for (const [name, rec] of Object.entries(run.images || {})) {
+      if (!match(name)) continue;
+      if (!series.has(name)) series.set(name, []);
+      series.get(name).push({
+        index,
+        runId: run.id,
+        createdAt: run.createdAt,
+        userAgent: run.userAgent,
+        baseline: run.baseline,
+        changed: Object.keys(rec?.changedMap || {}).length,
+      });
+    }
+  });
+
+  const images = Object.create(null);
+  let shifted = 0, withChangePoints = 0;
+  for (const name of [...series.keys()].sort()) {
+    const points = series.get(name);
+    const inA = points.filter((p) => winA.ids.has(p.runId)).map((p) => p.changed);
+    const inB = points.filter((p) => winB.ids.has(p.runId)).map((p) => p.changed);
+    const test = mannWhitney(inA, inB);
+    const significant = inA.length > 0 && inB.length > 0 && test.p < alpha;
+    const changePoints = changePointsOf(points, alpha);
+    if (significant) shifted++;
+    if (changePoints.length) withChangePoints++;
+    images[name] = {
+      stats: summarize(points.map((p) => p.changed)),
+      series: points.map(({ index, runId, createdAt, changed }) => ({ run: index, runId, createdAt, changed })),
+      changePoints,
+      windows: {
+        a: summarize(inA),
+        b: summarize(inB),
+        test: { ...test, significant },
+        verdict: !significant ? 'no significant change' : (test.effect > 0 ? 'shifted-up' : 'shifted-down'),
+      },
+    };
+  }
+
+  return {
+    runs: ordered.length,
+    alpha,
+    windows: {
+      a: { text: a?.text || `..${half}`, from: winA.from, to: winA.to },
+      b: { text: b?.text || `${half}..`, from: winB.from, to: winB.to },
+    },
+    summary: { images: Object.keys(images).length, withChangePoints, shiftedBetweenWindows: shifted },
+    images,
+  };
+}
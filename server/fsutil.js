@@ -0,0 +1,48 @@
+// fsutil.js — small fs/JSON helpers shared by index.js and the server/* stores
+import fs from 'fs/promises';
+import { constants as FS_CONST } from 'fs';
+import zlib from 'zlib';
+
+export async function exists(p){ try { await fs.access(p, FS_CONST.F_OK); return true; } catch { return false; } }
+export async function readJson(p){
+  try {
+    const s = await fs.readFile(p, 'utf8');
+    return JSON.parse(s);
+  } catch (e) {
+    console.error(`[readJson] ${p} error:`, e);
+    throw e;
+  }
+}
+export async function writeJsonAtomic(p, obj){
+  const tmp = p + '.tmp-' + Date.now();
+  await fs.writeFile(tmp, JSON.stringify(obj), 'utf8');
+  await fs.rename(tmp, p);
+}
+export function isPlainObject(v){ return v && typeof v === 'object' && !Array.isArray(v); }
+
+// -> { bytes, files, newestMs } of every file under p (a missing path counts as empty)
+export async function dirUsage(p){
+  const out = { bytes: 0, files: 0, newestMs: null };
+  let st;
+  try { st = await fs.stat(p); } catch { return out; }
+  if (!st.isDirectory()) return { bytes: st.size, files: 1, newestMs: st.mtimeMs };
+  for (const ent of await fs.readdir(p)) {
+    const sub = await dirUsage(`${p}/${ent}`);
+    out.bytes += sub.bytes;
+    out.files += sub.files;
+    if (sub.newestMs != null) out.newestMs = Math.max(out.newestMs ?? 0, sub.newestMs);
+  }
+  return out;
+}
+
+// gzip'd JSON (aggregates that are rewritten often but only ever read whole)
+export async function readJsonGz(p){
+  return JSON.parse(zlib.gunzipSync(await fs.readFile(p)).toString('utf8'));
+}
+export async function writeJsonGzAtomic(p, obj){
+  const text = JSON.stringify(obj);
+  const tmp = p + '.tmp-' + Date.now();
+  await fs.writeFile(tmp, zlib.gzipSync(text));
+  await fs.rename(tmp, p);
+  return text;
+}
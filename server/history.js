@@ -0,0 +1,333 @@
+// history.js — aggregate history shape + per-run log
+/*
+Aggregate schema (<dataDir>/history.json.gz; GET /history serves it as plain JSON):
+{
+  runs: number,
+  byImage: {
+    [imageName]: {
+      perRunChanged: number[],
+      everChanged: number[],                 // list of pixel indices that changed at least once
+      perPixel: {                            // pixelIndex -> stats
+        [pixelIndex]: { n: number, patterns: { [ "dr,dg,db,da" | "other" ]: number } }
+      }                                      // ("other" = patterns folded by capPatterns)
+    }
+  }
+}
+
+Run log (under <dataDir>/runs):
+  <runId>.run    binary run record (server/codec.js), decoded to
+                 { id, createdAt, userAgent, client, environment?, baseline: { name, version }|null, policy?, hashes?,
+                   images: { [name]: { changedMap } } }
+                 (client = partition key of the browser that ran it, public/environment.js; "" for runs logged before clients)
+                 (policy = the pass/fail evaluation stored with the run, public/policy.js;
+                  hashes = { [name]: { [path]: { sha256, phash } } } fingerprints, public/fingerprint.js)
+  _base.json.gz  aggregate the log is replayed on top of (runs merged before the log existed, and runs
+                 of the "" client compacted away)
+  _base/<client>.json.gz   the same for every other client (compacted runs only)
+
+Aggregates are partitioned per client so different browsers never share perPixel statistics.
+They are caches: recompute(client) rebuilds one from that client's base and runs.
+Compaction (fold) merges old runs, or only some of their images, into the base and drops them from
+the log; a run whose images are folded in several passes is counted once, when its last image goes.
+*/
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { exists, readJson, readJsonGz, writeJsonGzAtomic, isPlainObject } from './fsutil.js';
+import { encodeRun, decodeRun } from './codec.js';
+
+// byImage, perPixel and patterns are keyed by request data (image names like "constructor" included),
+// so they are built without a prototype and looked up with Object.hasOwn
+const dict = () => Object.create(null);
+
+export function emptyHistory(){ return { runs: 0, byImage: dict() }; }
+
+export function normalizeHistory(h){
+  if (!isPlainObject(h)) return emptyHistory();
+  const out = { runs: Number(h.runs) || 0, byImage: dict() };
+  const src = isPlainObject(h.byImage) ? h.byImage : {};
+  for (const [name, rec] of Object.entries(src)) {
+    const perRunChanged = Array.isArray(rec?.perRunChanged) ? rec.perRunChanged.map(x => Number(x)||0) : [];
+    const everChanged   = Array.isArray(rec?.everChanged)   ? [...new Set(rec.everChanged.map(x => Number(x)||0))] : [];
+    const perPixelIn    = isPlainObject(rec?.perPixel) ? rec.perPixel : {};
+    const perPixelOut   = dict();
+    for (const [pix, slot] of Object.entries(perPixelIn)) {
+      const n = Number(slot?.n)||0;
+      const patternsIn = isPlainObject(slot?.patterns) ? slot.patterns : {};
+      const patternsOut = dict();
+      for (const [k,v] of Object.entries(patternsIn)) patternsOut[String(k)] = Number(v)||0;
+      perPixelOut[pix] = { n, patterns: patternsOut };
+    }
+    out.byImage[name] = { perRunChanged, everChanged, perPixel: perPixelOut };
+  }
+  return out;
+}
+
+// Merge one run ({ [name]: { changedMap } }) into an aggregate, in place.
+// countRun false: only part of a run's images (compaction); its run is counted with the rest of them.
+export function mergeRunIntoHistory(hist, images, { countRun = true } = {}){
+  if (countRun) hist.runs = (hist.runs || 0) + 1;
+  hist.byImage = hist.byImage || dict();
+
+  for (const [name, recIn] of Object.entries(images)) {
+    const changedMap = isPlainObject(recIn?.changedMap) ? recIn.changedMap : {};
+    const rec = Object.hasOwn(hist.byImage, name) ? hist.byImage[name]
+      : (hist.byImage[name] = { perRunChanged: [], everChanged: [], perPixel: dict() });
+
+    const changedCount = Object.keys(changedMap).length;
+    rec.perRunChanged.push(changedCount);
+
+    // perPixel stats; a pixel's first slot also appends it to everChanged (normalizeHistory drops
+    // the duplicate of a pixel a hand-written aggregate listed without a slot)
+    for (const [pixStr, delta] of Object.entries(changedMap)) {
+      const pix = Number(pixStr);
+      const key = Array.isArray(delta) ? delta.join(',') : String(delta);
+      if (!Object.hasOwn(rec.perPixel, pix)) {
+        rec.perPixel[pix] = { n: 0, patterns: dict() };
+        rec.everChanged.push(pix);
+      }
+      const slot = rec.perPixel[pix];
+      slot.n += 1;
+      slot.patterns[key] = (Object.hasOwn(slot.patterns, key) ? slot.patterns[key] : 0) + 1;
+    }
+  }
+  return hist;
+}
+
+// Keep the maxPerPixel - 1 most frequent patterns of every pixel and fold the rest into "other",
+// in place (n is unchanged). -> number of patterns folded
+export function capPatterns(hist, maxPerPixel){
+  let folded = 0;
+  if (!(maxPerPixel >= 2)) return folded;
+  for (const rec of Object.values(hist.byImage || {})) {
+    for (const slot of Object.values(rec.perPixel || {})) {
+      const keys = Object.keys(slot.patterns);
+      if (keys.length <= maxPerPixel) continue;
+      const ranked = keys.filter(k => k !== 'other').sort((a, b) => slot.patterns[b] - slot.patterns[a]);
+      let other = Object.hasOwn(slot.patterns, 'other') ? slot.patterns.other : 0;
+      for (const k of ranked.slice(maxPerPixel - 1)) { other += slot.patterns[k]; delete slot.patterns[k]; folded++; }
+      slot.patterns.other = other;
+    }
+  }
+  return folded;
+}
+
+function newRunId(){
+  // time-sortable: 2025-10-22T01-58-00-068Z-3fa9c1
+  return new Date().toISOString().replace(/[:.]/g, '-') + '-' + crypto.randomBytes(3).toString('hex');
+}
+const RUN_ID_RE = /^[0-9TZ-]+-[0-9a-f]{6}$/;
+
+function summarizeRun(run){
+  const images = dict();
+  for (const [name, rec] of Object.entries(run.images || {}))
+    images[name] = Object.keys(rec?.changedMap || {}).length;
+  return {
+    id: run.id, createdAt: run.createdAt, userAgent: run.userAgent, client: run.client ?? '',
+    baseline: run.baseline, verdict: run.policy?.verdict ?? null, images,
+  };
+}
+
+// opts.compress: deflate run files (default true)
+export function createRunLog(dataDir, { compress = true } = {}){
+  const root = path.join(dataDir, 'runs');
+  const baseFile = path.join(root, '_base.json.gz');
+  const baseDir = path.join(root, '_base');
+  const baseFileOf = (client) => (client ? path.join(baseDir, `${client}.json.gz`) : baseFile);
+  const runFile = (id) => path.join(root, `${id}.run`);
+
+  async function ids(){
+    if (!(await exists(root))) return [];
+    return (await fs.readdir(root))
+      .filter(f => f.endsWith('.run'))
+      .map(f => f.slice(0, -4))
+      .sort();
+  }
+  async function readRun(id){ return decodeRun(await fs.readFile(runFile(id))); }
+  async function writeRun(run){
+    const tmp = runFile(run.id) + '.tmp';
+    await fs.writeFile(tmp, encodeRun(run, { compress }));
+    await fs.rename(tmp, runFile(run.id));
+  }
+
+  async function add({ images, userAgent = '', environment = null, baseline = null, policy = null, hashes = null }){
+    const run = {
+      id: newRunId(),
+      createdAt: new Date().toISOString(),
+      userAgent: String(userAgent || ''),
+      client: environment?.client ?? '',
+      baseline: isPlainObject(baseline) ? { name: baseline.name ?? null, version: baseline.version ?? null } : null,
+      images: dict(),
+    };
+    if (isPlainObject(environment)) run.environment = environment;
+    if (isPlainObject(policy)) run.policy = policy;
+    if (isPlainObject(hashes)) run.hashes = hashes;
+    for (const [name, rec] of Object.entries(images))
+      run.images[name] = { changedMap: isPlainObject(rec?.changedMap) ? rec.changedMap : {} };
+    await fs.mkdir(root, { recursive: true });
+    await writeRun(run);
+    return run;
+  }
+
+  async function get(id){
+    if (!RUN_ID_RE.test(id) || !(await exists(runFile(id)))) return null;
+    return readRun(id);
+  }
+
+  async function list(){
+    const out = [];
+    for (const id of await ids()) out.push(summarizeRun(await readRun(id)));
+    return out;
+  }
+
+  // full records, oldest first
+  async function all(){
+    const out = [];
+    for (const id of await ids()) out.push(await readRun(id));
+    return out;
+  }
+
+  async function remove(id){
+    if (!RUN_ID_RE.test(id) || !(await exists(runFile(id)))) return false;
+    await fs.unlink(runFile(id));
+    return true;
+  }
+
+  // re-insert a record under its own id (audit restore of removed runs); false when it is not a run
+  async function put(run){
+    if (!isPlainObject(run) || !RUN_ID_RE.test(String(run.id)) || !isPlainObject(run.images)) return false;
+    await fs.mkdir(root, { recursive: true });
+    await writeRun(run);
+    return true;
+  }
+
+  async function clear(){
+    await fs.rm(root, { recursive: true, force: true });
+  }
+
+  async function readBase(client = ''){
+    const file = baseFileOf(client);
+    return (await exists(file)) ? normalizeHistory(await readJsonGz(file)) : emptyHistory();
+  }
+
+  // Keep aggregates that predate the run log: snapshot them once as the replay base.
+  async function seedBase(hist){
+    if ((await exists(baseFile)) || (await ids()).length || !hist?.runs) return false;
+    await fs.mkdir(root, { recursive: true });
+    await writeJsonGzAtomic(baseFile, normalizeHistory(hist));
+    return true;
+  }
+  // replace a client's base (compaction, audit restore); an empty aggregate removes it
+  async function putBase(hist, client = ''){
+    const file = baseFileOf(client);
+    if (!hist?.runs && !Object.keys(hist?.byImage || {}).length) return fs.rm(file, { force: true });
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await writeJsonGzAtomic(file, normalizeHistory(hist));
+  }
+
+  // clients that have a base
+  async function baseClients(){
+    const out = (await exists(baseFile)) ? [''] : [];
+    if (await exists(baseDir)) for (const f of await fs.readdir(baseDir)) if (f.endsWith('.json.gz')) out.push(f.slice(0, -'.json.gz'.length));
+    return out;
+  }
+
+  /*
+    Fold runs of one client into its base and drop them from the log (compaction).
+    plan: Map runId -> null (the whole run) | Set of image names (only those; the run keeps the rest)
+    -> { base, removed: [runId], trimmed: [runId] }
+  */
+  async function fold(client, plan, { maxPatterns = null } = {}){
+    const base = await readBase(client);
+    const removed = [], trimmed = [];
+    for (const id of [...plan.keys()].sort()) {
+      if (!RUN_ID_RE.test(id) || !(await exists(runFile(id)))) continue;
+      const run = await readRun(id), names = plan.get(id);
+      if (!names || Object.keys(run.images || {}).every(n => names.has(n))) {
+        mergeRunIntoHistory(base, run.images || {});
+        await fs.unlink(runFile(id));
+        removed.push(id);
+        continue;
+      }
+      const images = dict();
+      for (const name of names) {
+        if (!Object.hasOwn(run.images, name)) continue;
+        images[name] = run.images[name];
+        delete run.images[name];
+        if (run.hashes) delete run.hashes[name];
+      }
+      mergeRunIntoHistory(base, images, { countRun: false });
+      await writeRun(run);
+      trimmed.push(id);
+    }
+    if (maxPatterns) capPatterns(base, maxPatterns);
+    if (removed.length || trimmed.length) await putBase(base, client);
+    return { base, removed, trimmed };
+  }
+
+  // aggregate of one client's runs, on top of its base
+  async function recompute(client = ''){
+    const hist = await readBase(client);
+    for (const id of await ids()) {
+      const run = await readRun(id);
+      if ((run.client ?? '') === client) mergeRunIntoHistory(hist, run.images || {});
+    }
+    return hist;
+  }
+
+  // -> [{ client, runs, firstSeen, lastSeen, environment }] (environment of the client's latest run)
+  async function clients(){
+    const by = new Map();
+    for (const id of await ids()) {
+      const run = await readRun(id), key = run.client ?? '';
+      const c = by.get(key) || { client: key, runs: 0, firstSeen: run.createdAt, lastSeen: null, environment: null };
+      c.runs++;
+      c.lastSeen = run.createdAt;
+      c.environment = run.environment ?? c.environment;
+      by.set(key, c);
+    }
+    return [...by.values()];
+  }
+
+  // Convert JSON run records / base from the previous layout (<id>.json, _base.json).
+  async function migrateJson(){
+    if (!(await exists(root))) return 0;
+    let n = 0;
+    for (const f of await fs.readdir(root)) {
+      if (!f.endsWith('.json')) continue;
+      const file = path.join(root, f);
+      const data = await readJson(file);
+      if (f === '_base.json') {
+        if (!(await exists(baseFile))) await writeJsonGzAtomic(baseFile, normalizeHistory(data));
+      } else if (data?.id) {
+        await writeRun(data);
+      } else continue;
+      await fs.unlink(file);
+      n++;
+    }
+    return n;
+  }
+
+  /*
+    -> { runs, bytes, baseBytes, clients: { [client]: { runs, bytes } },
+         images: { [name]: { runs, changedPixels, bytes } } }   (an image's bytes: its share of each run file, by changed pixels)
+  */
+  async function usage(){
+    const out = { runs: 0, bytes: 0, baseBytes: 0, clients: dict(), images: dict() };
+    for (const id of await ids()) {
+      const size = (await fs.stat(runFile(id))).size, run = await readRun(id);
+      const c = out.clients[run.client ?? ''] ??= { runs: 0, bytes: 0 };
+      out.runs++; out.bytes += size; c.runs++; c.bytes += size;
+      const counts = Object.entries(run.images || {}).map(([name, rec]) => [name, Object.keys(rec?.changedMap || {}).length]);
+      const weight = counts.reduce((a, [, n]) => a + n + 1, 0);
+      for (const [name, n] of counts) {
+        const img = out.images[name] ??= { runs: 0, changedPixels: 0, bytes: 0 };
+        img.runs++; img.changedPixels += n; img.bytes += Math.round(size * (n + 1) / weight);
+      }
+    }
+    for (const client of await baseClients()) out.baseBytes += (await fs.stat(baseFileOf(client))).size;
+    return out;
+  }
+
+  return { add, get, list, all, clients, remove, put, clear, readBase, seedBase, putBase, baseClients, fold, recompute, usage, migrateJson };
+}
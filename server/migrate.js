@@ -0,0 +1,37 @@
+// migrate.js — one-shot startup import of the old JSON files into the compact on-disk layout
+/*
+  baseline.json            -> baselines/default/v1/           (server/baselines.js)
+  baselines/<n>/v<N>.json  -> baselines/<n>/v<N>/
+  last_session_v2.json     -> sessions/last/                   (server/sessions.js)
+  history.json             -> history.json.gz + runs/_base.json.gz
+  runs/<id>.json           -> runs/<id>.run                    (server/codec.js)
+
+Each step is idempotent and skipped once its target exists; legacy files are left in place.
+*/
+import fs from 'fs/promises';
+import { exists, readJson, writeJsonGzAtomic } from './fsutil.js';
+import { normalizeHistory } from './history.js';
+
+export async function migrateLegacyData({ baselines, sessions, runLog, legacy, historyFile }){
+  const steps = [
+    ['baseline.json', async () => baselines.migrateLegacy(legacy.baseline)],
+    ['baseline JSON versions', async () => baselines.migrateJsonVersions()],
+    ['last_session_v2.json', async () => sessions.migrateLegacy(legacy.lastSession)],
+    ['history.json', async () => {
+      if ((await exists(historyFile)) || !(await exists(legacy.history))) return false;
+      const hist = normalizeHistory(await readJson(legacy.history));
+      await writeJsonGzAtomic(historyFile, hist);
+      await runLog.seedBase(hist);
+      return true;
+    }],
+    ['JSON run records', async () => runLog.migrateJson()],
+  ];
+  for (const [what, step] of steps) {
+    try {
+      const r = await step();
+      if (r) console.log(`[migrate] ${what}: imported${typeof r === 'number' ? ` (${r})` : ''}`);
+    } catch (e) {
+      console.error(`[migrate] ${what} failed:`, e);
+    }
+  }
+}
@@ -0,0 +1,94 @@
+// pixelstore.js — one binary file per image + a small index.json, replaced as a whole
+/*
+Image-set directory:
+  index.json        { meta: {}, images: { [name]: { file, bytes, mime? } } }
+  <file>            raw RGBA bytes (.rgba) or an encoded image (.png, ...)
+
+Wire helpers convert between the JSON shapes the pages send (base64 RGBA / data URLs)
+and the on-disk Buffers.
+*/
+import path from 'path';
+import fs from 'fs/promises';
+import { exists, readJson, isPlainObject } from './fsutil.js';
+
+const SAFE_RE = /^[A-Za-z0-9._@-]{1,120}$/;
+const EXT_BY_MIME = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+
+function fileNameFor(name, i, ext){
+  return (SAFE_RE.test(name) && !name.startsWith('.') ? name : `~${i}`) + '.' + ext;
+}
+
+// images: { [name]: { bytes: Buffer, mime?: string } } — no mime means raw RGBA
+export async function writeImageSet(dir, { meta = {}, images = {} }){
+  const tmp = `${dir}.tmp-${Date.now()}`;
+  await fs.mkdir(tmp, { recursive: true });
+  const index = { meta, images: {} };
+  let i = 0;
+  for (const [name, img] of Object.entries(images)) {
+    const ext = img.mime ? (EXT_BY_MIME[img.mime] || 'bin') : 'rgba';
+    const file = fileNameFor(name, i++, ext);
+    await fs.writeFile(path.join(tmp, file), img.bytes);
+    index.images[name] = { file, bytes: img.bytes.length, ...(img.mime ? { mime: img.mime } : {}) };
+  }
+  await fs.writeFile(path.join(tmp, 'index.json'), JSON.stringify(index), 'utf8');
+  await swapDir(tmp, dir);
+}
+
+// Replace dir with a fully written tmp dir: old aside -> new in -> drop old
+export async function swapDir(tmp, dir){
+  const old = `${dir}.old-${Date.now()}`;
+  const had = await exists(dir);
+  if (had) await fs.rename(dir, old);
+  await fs.rename(tmp, dir);
+  if (had) await fs.rm(old, { recursive: true, force: true });
+}
+
+// -> { meta, images: { [name]: { bytes, mime? } } } | null
+export async function readImageSet(dir){
+  const indexFile = path.join(dir, 'index.json');
+  if (!(await exists(indexFile))) return null;
+  const index = await readJson(indexFile);
+  const images = {};
+  for (const [name, ent] of Object.entries(index.images || {})) {
+    images[name] = { bytes: await fs.readFile(path.join(dir, ent.file)), ...(ent.mime ? { mime: ent.mime } : {}) };
+  }
+  return { meta: isPlainObject(index.meta) ? index.meta : {}, images };
+}
+
+// -> { [name]: bytes } from the index alone (no image is read), or null
+export async function imageSetSizes(dir){
+  const indexFile = path.join(dir, 'index.json');
+  if (!(await exists(indexFile))) return null;
+  const index = await readJson(indexFile);
+  return Object.fromEntries(Object.entries(index.images || {}).map(([name, ent]) => [name, Number(ent.bytes) || 0]));
+}
+
+// ---- wire <-> disk
+export function base64MapToImages(obj){
+  const images = {};
+  for (const [name, b64] of Object.entries(obj || {})) images[name] = { bytes: Buffer.from(String(b64), 'base64') };
+  return images;
+}
+export function imagesToBase64Map(images){
+  const out = {};
+  for (const [name, img] of Object.entries(images || {})) out[name] = img.bytes.toString('base64');
+  return out;
+}
+
+const DATA_URL_RE = /^data:([^;,]+)?(;base64)?,(.*)$/s;
+export function dataUrlMapToImages(obj){
+  const images = {};
+  for (const [name, durl] of Object.entries(obj || {})) {
+    const m = DATA_URL_RE.exec(String(durl));
+    if (!m) continue;
+    const mime = m[1] || 'application/octet-stream';
+    images[name] = { bytes: m[2] ? Buffer.from(m[3], 'base64') : Buffer.from(decodeURIComponent(m[3]), 'latin1'), mime };
+  }
+  return images;
+}
+export function imagesToDataUrlMap(images){
+  const out = {};
+  for (const [name, img] of Object.entries(images || {}))
+    out[name] = `data:${img.mime || 'application/octet-stream'};base64,${img.bytes.toString('base64')}`;
+  return out;
+}
@@ -0,0 +1,163 @@
+// png.js — minimal PNG inspection + decoding for uploaded captures (+ RGBA encoding for reports)
+import zlib from 'zlib';
+
+const PNG_SIG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+export function isPng(buf){
+  return buf.length >= 8 && buf.subarray(0, 8).equals(PNG_SIG);
+}
+
+// -> { width, height, bitDepth, colorType, interlace } | null
+export function readPngHeader(buf){
+  if (!isPng(buf) || buf.length < 33) return null;
+  if (buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return {
+    width: buf.readUInt32BE(16),
+    height: buf.readUInt32BE(20),
+    bitDepth: buf[24],
+    colorType: buf[25],
+    interlace: buf[28],
+  };
+}
+
+// Largest image decoded: the header's size is checked before anything is allocated or inflated,
+// so a small file declaring huge dimensions is refused instead of exhausting memory.
+export const MAX_PNG_SIDE = 16384;
+export const MAX_PNG_PIXELS = 32 * 1024 * 1024;     // 128 MB of RGBA
+
+// header -> why it is too large to decode, or null
+export function pngSizeError({ width, height }){
+  if (!width || !height) return `PNG declares an empty ${width}x${height} image`;
+  if (width > MAX_PNG_SIDE || height > MAX_PNG_SIDE) return `PNG is ${width}x${height}, sides are limited to ${MAX_PNG_SIDE}`;
+  if (width * height > MAX_PNG_PIXELS) return `PNG is ${width}x${height}, more than ${MAX_PNG_PIXELS} pixels`;
+  return null;
+}
+
+// ---- decoding (non-interlaced PNGs; all color types, bit depths 1..16) -> { width, height, rgba: Uint8Array }
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c){
+  const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+}
+
+export function decodePng(buf){
+  const hdr = readPngHeader(buf);
+  if (!hdr) throw new Error('not a PNG file');
+  const { width, height, bitDepth, colorType, interlace } = hdr;
+  const tooLarge = pngSizeError(hdr);
+  if (tooLarge) throw new Error(tooLarge);
+  if (interlace) throw new Error('interlaced PNGs are not supported');
+  const channels = CHANNELS[colorType];
+  if (!channels) throw new Error(`unsupported PNG color type ${colorType}`);
+
+  const idat = [];
+  let palette = null, trns = null;
+  for (let off = 8; off + 8 <= buf.length;) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString('ascii', off + 4, off + 8);
+    const data = buf.subarray(off + 8, off + 8 + len);
+    if (type === 'IDAT') idat.push(data);
+    else if (type === 'PLTE') palette = data;
+    else if (type === 'tRNS') trns = data;
+    else if (type === 'IEND') break;
+    off += 12 + len;
+  }
+  const bitsPP = channels * bitDepth;
+  const bpp = Math.max(1, bitsPP >> 3);            // filter unit (bytes)
+  const stride = Math.ceil(width * bitsPP / 8);
+  // never inflate more than the declared image holds (one filter byte per line)
+  const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: (stride + 1) * height });
+
+  const lines = Buffer.alloc(stride * height);
+  let prev = Buffer.alloc(stride);
+  for (let y = 0, src = 0; y < height; y++) {
+    const filter = raw[src++];
+    const line = lines.subarray(y * stride, (y + 1) * stride);
+    raw.copy(line, 0, src, src + stride); src += stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= bpp ? line[x - bpp] : 0, b = prev[x], c = x >= bpp ? prev[x - bpp] : 0;
+      if (filter === 1) line[x] = (line[x] + a) & 255;
+      else if (filter === 2) line[x] = (line[x] + b) & 255;
+      else if (filter === 3) line[x] = (line[x] + ((a + b) >> 1)) & 255;
+      else if (filter === 4) line[x] = (line[x] + paeth(a, b, c)) & 255;
+      else if (filter !== 0) throw new Error(`bad PNG filter ${filter}`);
+    }
+    prev = line;
+  }
+
+  // sample i of a line, scaled to 8 bits
+  const maxV = (1 << bitDepth) - 1;
+  const sample = (line, i) => {
+    if (bitDepth === 8) return line[i];
+    if (bitDepth === 16) return line[i * 2];
+    const bit = i * bitDepth, v = (line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxV;
+    return colorType === 3 ? v : Math.round(v * 255 / maxV);
+  };
+  const rawSample = (line, i) => bitDepth === 16 ? line.readUInt16BE(i * 2) : sample(line, i);
+
+  const rgba = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const line = lines.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4, s = x * channels;
+      if (colorType === 3) {
+        const p = sample(line, s);
+        if (!palette || p * 3 + 2 >= palette.length) throw new Error('PNG palette index out of range');
+        rgba[o] = palette[p * 3]; rgba[o + 1] = palette[p * 3 + 1]; rgba[o + 2] = palette[p * 3 + 2];
+        rgba[o + 3] = trns && p < trns.length ? trns[p] : 255;
+      } else if (colorType === 0 || colorType === 4) {
+        const g = sample(line, s);
+        rgba[o] = rgba[o + 1] = rgba[o + 2] = g;
+        let a = colorType === 4 ? sample(line, s + 1) : 255;
+        if (colorType === 0 && trns && trns.length >= 2 && rawSample(line, s) === trns.readUInt16BE(0)) a = 0;
+        rgba[o + 3] = a;
+      } else {
+        rgba[o] = sample(line, s); rgba[o + 1] = sample(line, s + 1); rgba[o + 2] = sample(line, s + 2);
+        let a = colorType === 6 ? sample(line, s + 3) : 255;
+        if (colorType === 2 && trns && trns.length >= 6 &&
+            rawSample(line, s) === trns.readUInt16BE(0) && rawSample(line, s + 1) === trns.readUInt16BE(2) &&
+            rawSample(line, s + 2) === trns.readUInt16BE(4)) a = 0;
+        rgba[o + 3] = a;
+      }
+    }
+  }
+  return { width, height, rgba };
+}
+
+// ---- encoding (8-bit RGBA, filter 0) — used to embed raw captures in HTML reports
+let CRC_TABLE = null;
+function crc32(buf){
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data){
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'ascii');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+export function encodePng(rgba, width, height){
+  if (rgba.length !== width * height * 4) throw new Error('rgba length does not match width*height*4');
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; ihdr[9] = 6;   // 8-bit RGBA; compression, filter, interlace = 0
+  return Buffer.concat([PNG_SIG, chunk('IHDR', ihdr), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))]);
+}
@@ -0,0 +1,86 @@
+// retention.js — what persisted data is kept, compacted or removed, and the disk quota (<DATA_DIR>/retention.json)
+/*
+Config (every field optional; null = no limit):
+  {
+    "runs":      { "keepPerImage": 200, "maxAgeDays": 30 },   run records kept in the log: an image's entries beyond its
+                                                              last keepPerImage runs (per client), and whole runs older
+                                                              than maxAgeDays, are folded into the client's base aggregate
+    "patterns":  { "maxPerPixel": 16 },                       delta patterns kept per pixel in aggregates; the rarest fold
+                                                              into "other" (server/history.js capPatterns)
+    "uploads":   { "maxAgeDays": 14 },                        upload sessions (data/uploads) idle longer are deleted
+    "transfers": { "maxAgeHours": 24 },                       unfinished chunked uploads idle longer are deleted
+    "audit":     { "maxAgeDays": 90, "maxEvents": 10000 },    audit events older, or beyond the newest maxEvents, are
+                                                              dropped with every snapshot no remaining event names
+                                                              (server/audit.js prune); those versions can no longer
+                                                              be restored
+    "quota":     { "maxBytes": 2000000000, "warnAt": 0.8 },   DATA_DIR size: warn from warnAt * maxBytes, refuse writes
+                                                              that add data above maxBytes
+    "intervalMinutes": 60                                     how often maintenance applies all of the above
+  }
+Compaction keeps every aggregate as it was (the folded runs stay counted in the base) but the folded
+runs no longer show up in run-based reports (analysis, drift, stability).
+*/
+import { isPlainObject } from './fsutil.js';
+
+export const DEFAULT_RETENTION = {
+  runs: { keepPerImage: null, maxAgeDays: null },
+  patterns: { maxPerPixel: null },
+  uploads: { maxAgeDays: null },
+  transfers: { maxAgeHours: 24 },
+  audit: { maxAgeDays: null, maxEvents: null },
+  quota: { maxBytes: null, warnAt: 0.8 },
+  intervalMinutes: 60,
+};
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// stored / sent config -> every field filled in from DEFAULT_RETENTION
+export function normalizeRetention(cfg){
+  const c = isPlainObject(cfg) ? cfg : {};
+  const out = {};
+  for (const [section, defaults] of Object.entries(DEFAULT_RETENTION))
+    out[section] = isPlainObject(defaults) ? { ...defaults, ...(isPlainObject(c[section]) ? c[section] : {}) } : (c[section] ?? defaults);
+  return out;
+}
+
+/*
+  runs of one client, oldest first -> Map runId -> null (fold the whole run) | Set of image names to fold
+  (an image is folded from every run but its keepPerImage newest; runs older than maxAgeDays go whole)
+*/
+export function planCompaction(runs, { keepPerImage = null, maxAgeDays = null } = {}, now = Date.now()){
+  const cutoff = maxAgeDays != null ? now - maxAgeDays * DAY_MS : null;
+  const seen = new Map(), plan = [];
+  for (let i = runs.length - 1; i >= 0; i--) {
+    const run = runs[i], names = Object.keys(run.images || {});
+    const old = cutoff != null && Date.parse(run.createdAt) < cutoff;
+    const fold = new Set();
+    for (const name of names) {
+      const k = (seen.get(name) || 0) + 1;
+      seen.set(name, k);
+      if (old || (keepPerImage != null && k > keepPerImage)) fold.add(name);
+    }
+    if (old || (fold.size && fold.size === names.length)) plan.push([run.id, null]);
+    else if (fold.size) plan.push([run.id, fold]);
+  }
+  return new Map(plan.reverse());
+}
+
+// -> true when something idle since `at` (ISO string / ms) is past maxAge (in ms; null = never)
+export function isExpired(at, maxAgeMs, now = Date.now()){
+  if (maxAgeMs == null || at == null) return false;
+  const t = typeof at === 'number' ? at : Date.parse(at);
+  return Number.isFinite(t) && now - t > maxAgeMs;
+}
+
+// bytes used -> { maxBytes, warnAt, usedBytes, fraction, state: "ok" | "warning" | "over", warning }
+export function quotaState(usedBytes, { maxBytes = null, warnAt = 0.8 } = {}){
+  if (maxBytes == null) return { maxBytes, warnAt, usedBytes, fraction: null, state: 'ok', warning: null };
+  const fraction = usedBytes / maxBytes;
+  const state = fraction >= 1 ? 'over' : fraction >= warnAt ? 'warning' : 'ok';
+  const pct = (fraction * 100).toFixed(1);
+  const warning = state === 'over'
+    ? `storage quota exceeded: ${usedBytes} of ${maxBytes} bytes (${pct}%); writes that add data are refused`
+    : state === 'warning' ? `storage at ${pct}% of the ${maxBytes} byte quota` : null;
+  return { maxBytes, warnAt, usedBytes, fraction, state, warning };
+}
+
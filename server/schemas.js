@@ -0,0 +1,522 @@
+// schemas.js — JSON Schemas of every JSON request body (published by GET /schemas) and their validator
+/*
+Schemas are plain JSON Schema (2020-12), self-contained (shared parts under $defs), so a client can
+use them as published. validate() implements the subset they use:
+  $ref "#/$defs/<name>", type (incl. "integer" and type lists), enum, const, anyOf,
+  properties, required, additionalProperties (false | schema), propertyNames, minProperties,
+  items, minItems, maxItems, minimum, maximum, minLength, maxLength, pattern,
+  contentEncoding "base64" (must decode: padded standard alphabet), format "data-url" (base64 image data URL)
+What a schema cannot say is checked after it passes (CHECKS): decoded RGBA length = w*h*4 and a
+multiple of 4, the same image names and byte lengths across series, aggregate counts that add up, run
+pixel indices inside the largest image (MAX_SIDE²), and the existing rules / policy validators
+(public/rules.js, public/policy.js).
+
+Errors: [{ path, error }]; path is relative to the body ("" = the body itself), e.g.
+  pixels.S1_faces_1            images.S1_a.changedMap.17[2]            rules.*.ignoreRects[0]
+Routes answer 400 { error: "invalid payload: <first problem>", errors } (query and route parameters use
+"query.<name>" / "params.<name>" paths). At most MAX_ERRORS are reported.
+*/
+import { SESSION_SERIES } from './sessions.js';
+import { NAME_RE } from './baselines.js';
+import { SHA256_RE, PHASH_RE } from '../public/fingerprint.js';
+import { POLICY_METRICS, validatePolicy } from '../public/policy.js';
+import { REPORT_SCHEMA } from '../public/report.js';
+import { validateRules } from '../public/rules.js';
+
+export const MAX_ERRORS = 100;
+const MAX_SIDE = 16384;
+const BASE64_RE = /^[A-Za-z0-9+/]*={0,2}$/;
+const DATA_URL_RE = /^data:image\/(png|jpeg|webp);base64,/;
+const MAX_PIXELS = MAX_SIDE * MAX_SIDE;       // pixel indices of a run stay below this (and so inside u32, server/codec.js)
+const PIXEL_KEY = '^(0|[1-9][0-9]{0,9})$';
+// image names become object keys on the server: Object.prototype members (constructor, __proto__, ...) are refused
+const IMAGE_NAME = `^(?!(?:${Object.getOwnPropertyNames(Object.prototype).join('|')})$)`;
+const DELTA_KEY = '^(-?[0-9]{1,3},-?[0-9]{1,3},-?[0-9]{1,3},-?[0-9]{1,3}|other)$';   // "other": patterns folded by compaction
+
+// ---- shared definitions
+const DEFS = {
+  imageName: { type: 'string', minLength: 1, maxLength: 200, pattern: IMAGE_NAME },
+  rgba: {
+    type: 'string', contentEncoding: 'base64', contentMediaType: 'application/octet-stream',
+    description: 'raw RGBA bytes, 4 per pixel, row-major',
+  },
+  rgbaMap: { type: 'object', propertyNames: { $ref: '#/$defs/imageName' }, additionalProperties: { $ref: '#/$defs/rgba' } },
+  dataUrlMap: {
+    type: 'object', propertyNames: { $ref: '#/$defs/imageName' },
+    additionalProperties: { type: 'string', format: 'data-url', description: 'data:image/(png|jpeg|webp);base64,...' },
+  },
+  dims: {
+    type: 'object', propertyNames: { $ref: '#/$defs/imageName' },
+    additionalProperties: {
+      type: 'object', required: ['w', 'h'],
+      properties: { w: { type: 'integer', minimum: 1, maximum: MAX_SIDE }, h: { type: 'integer', minimum: 1, maximum: MAX_SIDE } },
+    },
+  },
+  environment: { type: ['object', 'null'], description: 'client environment (public/environment.js); re-normalized by the server' },
+  count: { type: 'integer', minimum: 0 },
+  delta: {
+    type: 'array', minItems: 4, maxItems: 4, items: { type: 'integer', minimum: -255, maximum: 255 },
+    description: 'signed [dr, dg, db, da] of one changed pixel',
+  },
+  comparisonSource: {
+    anyOf: [
+      { type: 'object', required: ['schema', 'comparisons'], properties: { schema: { const: REPORT_SCHEMA }, comparisons: { type: 'array' } } },
+      { type: 'object', required: ['details'], properties: { details: { type: 'object' }, defaultPath: { type: 'string' }, source: { type: 'object' } } },
+    ],
+    description: 'a report document (public/report.js) or { details } of any compare',
+  },
+  thresholds: {
+    type: 'object', additionalProperties: false,
+    properties: Object.fromEntries(POLICY_METRICS.map(m => [m, { type: 'number', minimum: 0 }])),
+  },
+  globList: {
+    anyOf: [{ type: 'string' }, { type: 'array', minItems: 1, items: { type: 'string' } }],
+    description: 'a glob string or a non-empty array of globs',
+  },
+  policy: {
+    type: 'object', required: ['rules'],
+    properties: {
+      version: { const: 1 },
+      rules: {
+        type: 'array',
+        items: {
+          type: 'object', required: ['name', 'metric'], additionalProperties: false,
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            images: { $ref: '#/$defs/globList' },
+            paths: { $ref: '#/$defs/globList' },
+            metric: { enum: POLICY_METRICS },
+            max: { type: 'number', minimum: 0 },
+            lt: { type: 'number', minimum: 0 },
+            useFiltered: { type: 'boolean' },
+            required: { type: 'boolean' },
+          },
+        },
+      },
+    },
+  },
+};
+
+const body = (title, description, schema) => ({
+  $schema: 'https://json-schema.org/draft/2020-12/schema', title, ...(description ? { description } : {}), ...schema, $defs: DEFS,
+});
+
+const seriesProps = Object.fromEntries(Object.entries(SESSION_SERIES).map(([key, enc]) => [key,
+  enc === 'base64' ? { $ref: '#/$defs/rgbaMap' }
+    : enc === 'dataurl' ? { $ref: '#/$defs/dataUrlMap' }
+    : { type: 'object', additionalProperties: { type: 'array', items: { type: 'number' } } },
+]));
+
+// item series of a chunked upload: baseline pixels, or any binary last-session series
+const TRANSFER_SERIES = ['pixels', ...Object.keys(SESSION_SERIES).filter(k => SESSION_SERIES[k] !== 'json')];
+
+const historyRun = body('Run', 'One compare run: sparse per-image deltas against the baseline', {
+  type: 'object', required: ['images'], additionalProperties: false,
+  properties: {
+    images: {
+      type: 'object', propertyNames: { $ref: '#/$defs/imageName' },
+      additionalProperties: {
+        type: 'object', required: ['changedMap'], additionalProperties: false,
+        properties: {
+          changedMap: { type: 'object', propertyNames: { pattern: PIXEL_KEY }, additionalProperties: { $ref: '#/$defs/delta' } },
+        },
+      },
+    },
+    baseline: {
+      type: ['object', 'null'],
+      properties: { name: { type: ['string', 'null'] }, version: { type: ['integer', 'null'], minimum: 1 } },
+    },
+    userAgent: { type: 'string', maxLength: 1024 },
+    environment: { $ref: '#/$defs/environment' },
+    details: { type: ['object', 'null'], description: 'compare details; the stored policy is evaluated on them' },
+    hashes: {
+      type: ['object', 'null'], propertyNames: { $ref: '#/$defs/imageName' },
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object', required: ['sha256'],
+          properties: { sha256: { type: 'string', pattern: SHA256_RE.source }, phash: { type: ['string', 'null'], pattern: PHASH_RE.source } },
+        },
+      },
+    },
+  },
+});
+
+// name -> { schema, routes }
+export const SCHEMAS = {
+  baseline: {
+    routes: ['PUT /baselines/:name', 'PUT /baseline'],
+    schema: body('Baseline version', 'Pixels of every image; meta.dims (when sent) fixes each image\'s byte length to w*h*4', {
+      type: 'object', required: ['pixels'], additionalProperties: false,
+      properties: {
+        pixels: { $ref: '#/$defs/rgbaMap' },
+        label: { type: 'string', maxLength: 200 },
+        meta: {
+          type: 'object',
+          properties: { dims: { $ref: '#/$defs/dims' }, environment: { $ref: '#/$defs/environment' }, label: { type: 'string', maxLength: 200 } },
+        },
+      },
+    }),
+  },
+  baselineRename: {
+    routes: ['POST /baselines/:name/rename'],
+    schema: body('Baseline rename', null, {
+      type: 'object', required: ['to'], additionalProperties: false,
+      properties: { to: { type: 'string', pattern: NAME_RE.source } },
+    }),
+  },
+  rules: {
+    routes: ['PUT /baselines/:name/rules', 'PUT /baseline/rules'],
+    schema: body('Comparison rules', 'Rules keyed by image name or glob (public/rules.js)', {
+      type: 'object', required: ['rules'], additionalProperties: false,
+      properties: {
+        rules: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object', additionalProperties: false,
+            properties: {
+              tolerance: {
+                anyOf: [
+                  { type: 'integer', minimum: 0, maximum: 255 },
+                  { type: 'array', minItems: 4, maxItems: 4, items: { type: 'integer', minimum: 0, maximum: 255 } },
+                ],
+                description: '0..255 or [r, g, b, a] of 0..255',
+              },
+              minDelta: { type: 'integer', minimum: 0, maximum: 255 },
+              ignoreAlpha: { type: 'boolean' },
+              ignoreRects: {
+                type: 'array',
+                items: {
+                  type: 'object', required: ['x', 'y', 'w', 'h'],
+                  properties: {
+                    x: { type: 'integer', minimum: 0, maximum: 1e6 }, y: { type: 'integer', minimum: 0, maximum: 1e6 },
+                    w: { type: 'integer', minimum: 1, maximum: 1e6 }, h: { type: 'integer', minimum: 1, maximum: 1e6 },
+                  },
+                },
+              },
+              mask: { type: 'string', pattern: '^(data:image/png;base64,)?[A-Za-z0-9+/]*={0,2}$' },
+            },
+          },
+        },
+      },
+    }),
+  },
+  lastSession: {
+    routes: ['PUT /last-session'],
+    schema: body('Last session', 'Read-back series of one compare (server/sessions.js); "png" is the legacy name of png_blob', {
+      type: 'object', additionalProperties: false,
+      properties: {
+        ...seriesProps,
+        png: { $ref: '#/$defs/rgbaMap' },
+        meta: { type: 'object', properties: { savedAt: { type: 'string', maxLength: 40 }, environment: { $ref: '#/$defs/environment' } } },
+      },
+    }),
+  },
+  historyRun: { routes: ['PUT /history/append', 'POST /history/append', 'POST /history/runs'], schema: historyRun },
+  history: {
+    routes: ['PUT /history', 'POST /history/put'],
+    schema: body('History aggregate', 'Whole per-client aggregate (server/history.js)', {
+      type: 'object', required: ['runs', 'byImage'], additionalProperties: false,
+      properties: {
+        runs: { $ref: '#/$defs/count' },
+        byImage: {
+          type: 'object', propertyNames: { $ref: '#/$defs/imageName' },
+          additionalProperties: {
+            type: 'object', required: ['perRunChanged', 'everChanged', 'perPixel'], additionalProperties: false,
+            properties: {
+              perRunChanged: { type: 'array', items: { $ref: '#/$defs/count' } },
+              everChanged: { type: 'array', items: { $ref: '#/$defs/count' } },
+              perPixel: {
+                type: 'object', propertyNames: { pattern: PIXEL_KEY },
+                additionalProperties: {
+                  type: 'object', required: ['n', 'patterns'], additionalProperties: false,
+                  properties: {
+                    n: { type: 'integer', minimum: 1 },
+                    patterns: { type: 'object', propertyNames: { pattern: DELTA_KEY }, additionalProperties: { type: 'integer', minimum: 1 } },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    }),
+  },
+  policy: {
+    routes: ['PUT /policy'],
+    schema: body('Pass/fail policy', 'public/policy.js; each rule sets exactly one of max / lt', { $ref: '#/$defs/policy' }),
+  },
+  policyEvaluate: {
+    routes: ['POST /policy/evaluate'],
+    schema: body('Policy evaluation', 'A compare to evaluate, optionally with a draft policy', {
+      allOf: [{ $ref: '#/$defs/comparisonSource' }],
+      properties: { policy: { $ref: '#/$defs/policy' } },
+    }),
+  },
+  report: {
+    routes: ['POST /reports'],
+    schema: body('Report export', 'A compare to export, optionally with thresholds', {
+      allOf: [{ $ref: '#/$defs/comparisonSource' }],
+      properties: { thresholds: { $ref: '#/$defs/thresholds' } },
+    }),
+  },
+  uploadMeta: {
+    routes: ['POST /sessions/:id/uploads (multipart field "meta", JSON)'],
+    schema: body('Upload sizes', 'Size of each raw RGBA file by file name (PNGs carry their own)', {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: { width: { type: 'integer', minimum: 1, maximum: MAX_SIDE }, height: { type: 'integer', minimum: 1, maximum: MAX_SIDE } },
+      },
+    }),
+  },
+  transfer: {
+    routes: ['POST /transfers'],
+    schema: body('Chunked upload', 'A baseline version or last session announced item by item; each item\'s bytes follow as binary chunks (PUT /transfers/:id/items/:n) and POST /transfers/:id/commit stores the whole', {
+      type: 'object', required: ['target', 'items'], additionalProperties: false,
+      properties: {
+        target: { enum: ['baseline', 'last-session'] },
+        name: { type: 'string', pattern: NAME_RE.source, description: 'baseline name (omitted = the default baseline)' },
+        label: { type: 'string', maxLength: 200 },
+        meta: {
+          type: 'object',
+          properties: {
+            savedAt: { type: 'string', maxLength: 40 }, dims: { $ref: '#/$defs/dims' },
+            environment: { $ref: '#/$defs/environment' }, label: { type: 'string', maxLength: 200 },
+          },
+        },
+        measure_text: seriesProps.measure_text,
+        items: {
+          type: 'array', minItems: 1, maxItems: 5000,
+          items: {
+            type: 'object', required: ['series', 'name', 'bytes'], additionalProperties: false,
+            properties: {
+              series: { enum: TRANSFER_SERIES, description: 'pixels (baseline) or a last-session series' },
+              name: { $ref: '#/$defs/imageName' },
+              bytes: { type: 'integer', minimum: 1 },
+              type: { enum: ['image/png', 'image/jpeg', 'image/webp'], description: 'media type of an encoded image (data URL series)' },
+            },
+          },
+        },
+      },
+    }),
+  },
+  retention: {
+    routes: ['PUT /storage/retention'],
+    schema: body('Retention', 'What persisted data is kept, compacted or removed, and the disk quota (server/retention.js); null = no limit', {
+      type: 'object', additionalProperties: false,
+      properties: {
+        runs: {
+          type: 'object', additionalProperties: false,
+          properties: { keepPerImage: { type: ['integer', 'null'], minimum: 1 }, maxAgeDays: { type: ['number', 'null'], minimum: 0 } },
+        },
+        patterns: { type: 'object', additionalProperties: false, properties: { maxPerPixel: { type: ['integer', 'null'], minimum: 2 } } },
+        uploads: { type: 'object', additionalProperties: false, properties: { maxAgeDays: { type: ['number', 'null'], minimum: 0 } } },
+        transfers: { type: 'object', additionalProperties: false, properties: { maxAgeHours: { type: ['number', 'null'], minimum: 0 } } },
+        audit: {
+          type: 'object', additionalProperties: false,
+          properties: { maxAgeDays: { type: ['number', 'null'], minimum: 0 }, maxEvents: { type: ['integer', 'null'], minimum: 0 } },
+        },
+        quota: {
+          type: 'object', additionalProperties: false,
+          properties: { maxBytes: { type: ['integer', 'null'], minimum: 1 }, warnAt: { type: 'number', minimum: 0, maximum: 1 } },
+        },
+        intervalMinutes: { type: 'number', minimum: 1 },
+      },
+    }),
+  },
+  auditRestore: {
+    routes: ['POST /audit/:id/restore'],
+    schema: body('Audit restore', 'Which version of the event to write back (default: after, or before for deletes)', {
+      type: 'object', additionalProperties: false,
+      properties: { use: { enum: ['after', 'before'] } },
+    }),
+  },
+};
+
+// ---- validator
+const typeOf = (v) => (v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v);
+const at = (path, key) => (path ? `${path}.${key}` : String(key));
+const describeType = (t) => (Array.isArray(t) ? t.join(' or ') : t);
+
+const patterns = new Map();
+const patternOf = (src) => patterns.get(src) || patterns.set(src, new RegExp(src)).get(src);
+
+function typeMatches(t, v){
+  if (t === 'integer') return Number.isInteger(v);
+  if (t === 'number') return typeof v === 'number' && Number.isFinite(v);
+  return typeOf(v) === t;
+}
+
+export function isBase64(s){ return typeof s === 'string' && s.length % 4 === 0 && BASE64_RE.test(s); }
+export function base64Bytes(s){ return (s.length / 4) * 3 - (s.endsWith('==') ? 2 : s.endsWith('=') ? 1 : 0); }
+
+// schema + value -> [{ path, error }] (stops adding after MAX_ERRORS)
+export function validate(schema, value, path = '', root = schema, errors = []){
+  const push = (p, error) => { if (errors.length < MAX_ERRORS) errors.push({ path: p, error }); };
+  if (errors.length >= MAX_ERRORS) return errors;
+  if (schema.$ref) schema = { ...root.$defs[schema.$ref.replace('#/$defs/', '')], ...schema, $ref: undefined };
+
+  if (schema.anyOf) {
+    const tries = schema.anyOf.map(s => validate(s, value, path, root, []));
+    if (tries.every(t => t.length)) {
+      // described alternatives fail as a whole; otherwise report the branch that got furthest
+      if (schema.description) push(path, `expected ${schema.description}`);
+      else tries.reduce((a, b) => (b.length < a.length ? b : a)).forEach(e => push(e.path, e.error));
+      return errors;
+    }
+  }
+  for (const s of schema.allOf || []) validate(s, value, path, root, errors);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => typeMatches(t, value))) { push(path, `expected ${describeType(schema.type)}`); return errors; }
+  }
+  if (schema.const !== undefined && value !== schema.const) push(path, `expected ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) push(path, `expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) push(path, `expected at least ${schema.minLength} character(s)`);
+    if (schema.maxLength != null && value.length > schema.maxLength) push(path, `expected at most ${schema.maxLength} characters`);
+    if (schema.pattern && !patternOf(schema.pattern).test(value)) push(path, `expected to match ${schema.pattern}`);
+    if (schema.contentEncoding === 'base64' && !isBase64(value)) push(path, 'not decodable base64 (padded standard alphabet)');
+    if (schema.format === 'data-url' && !(DATA_URL_RE.test(value) && isBase64(value.slice(value.indexOf(',') + 1))))
+      push(path, 'expected a base64 data URL of a PNG, JPEG or WebP image');
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) push(path, `expected >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) push(path, `expected <= ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) push(path, `expected at least ${schema.minItems} item(s)`);
+    if (schema.maxItems != null && value.length > schema.maxItems) push(path, `expected at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((v, i) => validate(schema.items, v, `${path}[${i}]`, root, errors));
+  }
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+    for (const k of schema.required || []) if (value[k] === undefined) push(at(path, k), 'required');
+    if (schema.minProperties != null && keys.length < schema.minProperties) push(path, `expected at least ${schema.minProperties} field(s)`);
+    for (const k of keys) {
+      if (errors.length >= MAX_ERRORS) break;
+      if (schema.propertyNames) {
+        const before = errors.length;
+        validate(schema.propertyNames, k, at(path, k), root, errors);
+        if (errors.length > before) continue;
+      }
+      if (schema.properties && Object.hasOwn(schema.properties, k)) validate(schema.properties[k], value[k], at(path, k), root, errors);
+      else if (schema.additionalProperties === false) push(at(path, k), 'unknown field');
+      else if (schema.additionalProperties) validate(schema.additionalProperties, value[k], at(path, k), root, errors);
+    }
+  }
+  return errors;
+}
+
+// ---- checks a schema cannot express (run only on bodies the schema accepted)
+function checkRgbaMap(map, path, { dims = null, lengths = null } = {}){
+  const errors = [];
+  for (const [name, b64] of Object.entries(map)) {
+    const n = base64Bytes(b64), p = at(path, name);
+    if (!n || n % 4) { errors.push({ path: p, error: `decodes to ${n} bytes: expected a non-empty multiple of 4 (RGBA)` }); continue; }
+    const d = dims?.[name];
+    if (d && n !== d.w * d.h * 4) errors.push({ path: p, error: `decodes to ${n} bytes: expected w*h*4 = ${d.w}*${d.h}*4 = ${d.w * d.h * 4}` });
+    if (lengths) {
+      const want = lengths.get(name);
+      if (want == null) lengths.set(name, { n, path: p });
+      else if (want.n !== n) errors.push({ path: p, error: `decodes to ${n} bytes but ${want.path} has ${want.n}: the same image must have the same size in every series` });
+    }
+  }
+  return errors;
+}
+
+function sameNames(a, b, path, what){
+  const errors = [];
+  for (const name of Object.keys(a)) if (!(name in b)) errors.push({ path: at(path, name), error: `no ${what} for this image` });
+  return errors;
+}
+
+const CHECKS = {
+  historyRun(r){
+    const errors = [];
+    for (const [name, rec] of Object.entries(r.images))
+      for (const pix of Object.keys(rec.changedMap))
+        if (Number(pix) >= MAX_PIXELS) errors.push({ path: `images.${name}.changedMap.${pix}`, error: `pixel index beyond the largest image (${MAX_SIDE}x${MAX_SIDE})` });
+    return errors;
+  },
+  baseline(b){
+    const dims = b.meta?.dims;
+    return [
+      ...checkRgbaMap(b.pixels, 'pixels', { dims }),
+      ...(dims ? [...sameNames(b.pixels, dims, 'pixels', 'meta.dims entry'), ...sameNames(dims, b.pixels, 'meta.dims', 'pixels')] : []),
+    ];
+  },
+  lastSession(b){
+    const series = Object.keys(SESSION_SERIES).filter(k => SESSION_SERIES[k] !== 'json' && b[k] != null);
+    if (!series.length && b.png == null && b.measure_text == null)
+      return [{ path: '', error: `provide at least one of {${Object.keys(SESSION_SERIES).join(', ')}}` }];
+    const errors = [], lengths = new Map();
+    for (const k of [...series, ...(b.png != null ? ['png'] : [])]) {
+      if (SESSION_SERIES[k] === 'dataurl') continue;
+      errors.push(...checkRgbaMap(b[k], k, { lengths }));
+    }
+    // every series describes the images of the full-canvas read-back (raw) when it is there
+    if (b.raw) for (const k of series.filter(k => k !== 'raw')) errors.push(...sameNames(b[k], b.raw, k, 'raw image'));
+    return errors;
+  },
+  history(h){
+    const errors = [];
+    for (const [name, rec] of Object.entries(h.byImage)) {
+      const p = `byImage.${name}`;
+      if (rec.perRunChanged.length > h.runs) errors.push({ path: `${p}.perRunChanged`, error: `${rec.perRunChanged.length} entries but runs is ${h.runs}` });
+      const ever = new Set(rec.everChanged);
+      if (ever.size !== rec.everChanged.length) errors.push({ path: `${p}.everChanged`, error: 'duplicate pixel index' });
+      for (const [pix, slot] of Object.entries(rec.perPixel)) {
+        if (errors.length >= MAX_ERRORS) return errors;
+        if (!ever.has(Number(pix))) errors.push({ path: `${p}.perPixel.${pix}`, error: 'pixel is missing from everChanged' });
+        let sum = 0;
+        for (const [key, c] of Object.entries(slot.patterns)) {
+          sum += c;
+          if (key !== 'other' && key.split(',').some(v => Math.abs(Number(v)) > 255)) errors.push({ path: `${p}.perPixel.${pix}.patterns.${key}`, error: 'delta outside -255..255' });
+        }
+        if (sum !== slot.n) errors.push({ path: `${p}.perPixel.${pix}.n`, error: `is ${slot.n} but the pattern counts add up to ${sum}` });
+        if (slot.n > h.runs) errors.push({ path: `${p}.perPixel.${pix}.n`, error: `exceeds runs (${h.runs})` });
+      }
+    }
+    return errors;
+  },
+  transfer(t){
+    const errors = [], seen = new Set();
+    if (t.target === 'baseline' && t.measure_text != null) errors.push({ path: 'measure_text', error: 'only a last-session transfer has this series' });
+    if (t.target === 'last-session') for (const k of ['name', 'label']) if (t[k] != null) errors.push({ path: k, error: `only a baseline transfer has a ${k}` });
+    t.items.forEach((it, i) => {
+      const p = `items[${i}]`, enc = SESSION_SERIES[it.series];
+      if ((t.target === 'baseline') !== (it.series === 'pixels'))
+        errors.push({ path: `${p}.series`, error: t.target === 'baseline' ? 'expected "pixels"' : 'expected a last-session series' });
+      if (seen.has(`${it.series}/${it.name}`)) errors.push({ path: `${p}.name`, error: `${it.series}/${it.name} is announced twice` });
+      seen.add(`${it.series}/${it.name}`);
+      if (enc === 'dataurl' && !it.type) errors.push({ path: `${p}.type`, error: 'required for a data URL series' });
+      if (enc !== 'dataurl' && it.type) errors.push({ path: `${p}.type`, error: 'only data URL series are encoded images' });
+      if (enc !== 'dataurl' && it.bytes % 4) errors.push({ path: `${p}.bytes`, error: `${it.bytes} is not a multiple of 4 (RGBA)` });
+      const d = t.meta?.dims?.[it.name];
+      if (it.series === 'pixels' && d && it.bytes !== d.w * d.h * 4)
+        errors.push({ path: `${p}.bytes`, error: `expected w*h*4 = ${d.w}*${d.h}*4 = ${d.w * d.h * 4}` });
+    });
+    return errors;
+  },
+  rules: (b) => validateRules(b.rules).map(e => ({ ...e, path: at('rules', e.path) })),
+  policy: (b) => validatePolicy(b),
+  policyEvaluate: (b) => (b.policy != null ? validatePolicy(b.policy).map(e => ({ ...e, path: at('policy', e.path) })) : []),
+};
+
+// name of a SCHEMAS entry + body -> [{ path, error }] (empty when valid)
+export function validateBody(name, value){
+  const { schema } = SCHEMAS[name];
+  const errors = validate(schema, value);
+  if (errors.length || !CHECKS[name]) return errors;
+  return CHECKS[name](value).slice(0, MAX_ERRORS);
+}
+
+// 400 body for a list of problems
+export function invalidPayload(errors){
+  const first = errors[0];
+  return { error: `invalid payload: ${first.path ? `${first.path}: ` : ''}${first.error}`, errors };
+}
@@ -0,0 +1,104 @@
+// sessions.js — disk store for the compare_png.js "last session"
+/*
+Layout (under <dataDir>/sessions/last):
+  session.json        { meta: {}, series: [seriesName...] }
+  <series>/           image set (server/pixelstore.js)
+                        base64 series  -> .rgba files (base64 RGBA on the wire)
+                        dataurl series -> .png/.jpg/.webp files (data URLs on the wire)
+  <series>.json       json series (numbers, e.g. measureText metrics), stored as sent
+
+The whole directory is written next to the old one and swapped in, so a reader never
+sees half of a session.
+*/
+import path from 'path';
+import fs from 'fs/promises';
+import { exists, readJson, isPlainObject, dirUsage } from './fsutil.js';
+import {
+  writeImageSet, readImageSet, imageSetSizes, swapDir,
+  base64MapToImages, imagesToBase64Map, dataUrlMapToImages, imagesToDataUrlMap,
+} from './pixelstore.js';
+
+// series name -> wire encoding (one per compare_png.js read-back path)
+export const SESSION_SERIES = {
+  raw: 'base64',            // getImageData, full canvas
+  png_blob: 'base64',       // toBlob PNG, decoded
+  png_durl: 'dataurl',      // toDataURL PNG
+  raw_subrect: 'base64',    // getImageData in odd-sized tiles, reassembled
+  raw_repeat: 'base64',     // second full getImageData of the same canvas
+  bitmap: 'base64',         // createImageBitmap round trip
+  jpeg_blob: 'base64',      // toBlob JPEG at fixed quality, decoded
+  jpeg_durl: 'dataurl',     // toDataURL JPEG at fixed quality
+  webp_blob: 'base64',      // toBlob WebP at fixed quality, decoded
+  webp_durl: 'dataurl',     // toDataURL WebP at fixed quality
+  measure_text: 'json',     // measureText metrics { [label]: number[] }
+};
+
+export function createSessionStore(dataDir){
+  const dir = path.join(dataDir, 'sessions', 'last');
+
+  // payload: { [series]?, meta } in wire format
+  async function put(payload){
+    const tmp = `${dir}.tmp-${Date.now()}`;
+    await fs.mkdir(tmp, { recursive: true });
+    const series = [];
+    for (const [key, enc] of Object.entries(SESSION_SERIES)) {
+      if (!isPlainObject(payload[key])) continue;
+      if (enc === 'json') {
+        await fs.writeFile(path.join(tmp, `${key}.json`), JSON.stringify(payload[key]), 'utf8');
+        series.push(key);
+        continue;
+      }
+      const images = enc === 'dataurl' ? dataUrlMapToImages(payload[key]) : base64MapToImages(payload[key]);
+      await writeImageSet(path.join(tmp, key), { images });
+      series.push(key);
+    }
+    await fs.writeFile(path.join(tmp, 'session.json'), JSON.stringify({ meta: payload.meta || {}, series }), 'utf8');
+    await fs.mkdir(path.dirname(dir), { recursive: true });
+    await swapDir(tmp, dir);
+  }
+
+  // -> wire payload or null
+  async function get(){
+    const head = path.join(dir, 'session.json');
+    if (!(await exists(head))) return null;
+    const { meta, series } = await readJson(head);
+    const out = {};
+    for (const key of series || []) {
+      if (SESSION_SERIES[key] === 'json') {
+        const file = path.join(dir, `${key}.json`);
+        if (await exists(file)) out[key] = await readJson(file);
+        continue;
+      }
+      const set = await readImageSet(path.join(dir, key));
+      if (!set) continue;
+      out[key] = SESSION_SERIES[key] === 'dataurl' ? imagesToDataUrlMap(set.images) : imagesToBase64Map(set.images);
+    }
+    out.meta = isPlainObject(meta) ? meta : {};
+    return out;
+  }
+
+  // -> { bytes, savedAt, series: { [series]: bytes }, images: { [image]: bytes over every series } }
+  async function usage(){
+    const head = path.join(dir, 'session.json');
+    const out = { bytes: (await dirUsage(dir)).bytes, savedAt: null, series: {}, images: {} };
+    if (!(await exists(head))) return out;
+    const { meta, series } = await readJson(head);
+    out.savedAt = meta?.savedAt ?? null;
+    for (const key of series || []) {
+      out.series[key] = (await dirUsage(path.join(dir, SESSION_SERIES[key] === 'json' ? `${key}.json` : key))).bytes;
+      for (const [img, n] of Object.entries((await imageSetSizes(path.join(dir, key))) || {})) out.images[img] = (out.images[img] || 0) + n;
+    }
+    return out;
+  }
+
+  // One-time import of last_session_v2.json (old "png" key is promoted to "png_blob").
+  async function migrateLegacy(legacyFile){
+    if ((await exists(path.join(dir, 'session.json'))) || !(await exists(legacyFile))) return false;
+    const data = await readJson(legacyFile);
+    if (isPlainObject(data?.png) && !isPlainObject(data?.png_blob)) data.png_blob = data.png;
+    await put({ ...data, meta: isPlainObject(data?.meta) ? data.meta : {} });
+    return true;
+  }
+
+  return { get, put, usage, migrateLegacy };
+}
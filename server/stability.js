@@ -0,0 +1,132 @@
+// stability.js — fingerprint stability over the run log (GET /history/stability)
+/*
+Runs may carry hashes: { [image]: { [path]: { sha256, phash } } } (public/fingerprint.js; the index
+page sends path "raw"). Per image and path, over the runs that hashed it:
+  runs          runs seen
+  distinct      distinct SHA-256 values (1 = the fingerprint never changed)
+  entropyBits   Shannon entropy of the SHA-256 distribution (0 = stable; log2(runs) = new hash every run)
+  top           most frequent hashes with count and share
+  phash         distinct perceptual hashes, and the mean / max Hamming distance to the most frequent one
+  baseline      { sha256, reproduced, rate } — how often a run hashed exactly like the baseline image
+                (only for the path the baseline stores, "raw"); null without a baseline
+*/
+import crypto from 'crypto';
+import { isPlainObject } from './fsutil.js';
+import { SHA256_RE, PHASH_RE, perceptualHash, hammingDistance } from '../public/fingerprint.js';
+
+export const BASELINE_PATH = 'raw';
+const TOP_HASHES = 5;
+
+const round = (x, d = 3) => (x == null || !Number.isFinite(x) ? null : +x.toFixed(d));
+
+// client hashes -> the well-formed subset (null when nothing is left)
+export function normalizeHashes(input){
+  if (!isPlainObject(input)) return null;
+  const out = Object.create(null);   // keyed by image name
+  for (const [image, paths] of Object.entries(input)) {
+    if (!isPlainObject(paths)) continue;
+    for (const [p, h] of Object.entries(paths)) {
+      if (!isPlainObject(h) || !SHA256_RE.test(h.sha256 || '')) continue;
+      (out[image] ||= Object.create(null))[p] = { sha256: h.sha256, phash: PHASH_RE.test(h.phash || '') ? h.phash : null };
+    }
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// baseline pixels { [image]: Uint8Array } + dims { [image]: { w, h } } -> { [image]: { sha256, phash } }
+export function baselineHashes(pixels, dims = {}){
+  const out = Object.create(null);
+  for (const [image, rgba] of Object.entries(pixels)) {
+    const d = dims[image], sized = d?.w && d?.h && rgba.length === d.w * d.h * 4;
+    out[image] = {
+      sha256: crypto.createHash('sha256').update(rgba).digest('hex'),
+      phash: sized ? perceptualHash(rgba, d.w, d.h) : null,
+    };
+  }
+  return out;
+}
+
+export function entropyBits(counts){
+  const n = counts.reduce((a, c) => a + c, 0);
+  if (!n) return 0;
+  return counts.reduce((h, c) => (c ? h - (c / n) * Math.log2(c / n) : h), 0);
+}
+
+function tally(values){
+  const m = new Map();
+  for (const v of values) m.set(v, (m.get(v) || 0) + 1);
+  return [...m].sort((a, b) => b[1] - a[1]);
+}
+
+function pathStats(entries, base){
+  const shas = tally(entries.map((e) => e.sha256));
+  const phashes = entries.map((e) => e.phash).filter(Boolean);
+  const phashTally = tally(phashes);
+  const distances = phashTally.length ? phashes.map((p) => hammingDistance(p, phashTally[0][0])) : [];
+  const reproduced = base ? entries.filter((e) => e.sha256 === base.sha256).length : null;
+  return {
+    runs: entries.length,
+    distinct: shas.length,
+    entropyBits: round(entropyBits(shas.map(([, c]) => c))),
+    maxEntropyBits: round(Math.log2(entries.length)),
+    top: shas.slice(0, TOP_HASHES).map(([sha256, count]) => ({ sha256, count, share: round(count / entries.length) })),
+    phash: {
+      distinct: phashTally.length,
+      mostFrequent: phashTally[0]?.[0] ?? null,
+      meanDistance: distances.length ? round(distances.reduce((a, d) => a + d, 0) / distances.length) : null,
+      maxDistance: distances.length ? Math.max(...distances) : null,
+      baselineDistance: base?.phash && phashTally.length ? hammingDistance(base.phash, phashTally[0][0]) : null,
+    },
+    baseline: base ? { sha256: base.sha256, reproduced, rate: round(reproduced / entries.length) } : null,
+  };
+}
+
+/*
+  runs:   run records (any order); runs without hashes are ignored
+  opts:   match(image) -> boolean          image filter (default: all)
+          baseline { [image]: { sha256, phash } } | null   from baselineHashes()
+*/
+export function stabilityReport(runs, { match = () => true, baseline = null } = {}){
+  const byPath = new Map();   // image -> path -> [{ sha256, phash }]
+  let hashed = 0;
+  for (const run of runs) {
+    if (!isPlainObject(run.hashes)) continue;
+    hashed++;
+    for (const [image, paths] of Object.entries(run.hashes)) {
+      if (!match(image)) continue;
+      if (!byPath.has(image)) byPath.set(image, new Map());
+      const ofImage = byPath.get(image);
+      for (const [p, h] of Object.entries(paths || {})) {
+        if (!ofImage.has(p)) ofImage.set(p, []);
+        ofImage.get(p).push(h);
+      }
+    }
+  }
+
+  const images = Object.create(null);
+  let paths = 0, stable = 0, entropySum = 0, reproduced = 0, compared = 0;
+  for (const image of [...byPath.keys()].sort()) {
+    images[image] = Object.create(null);
+    for (const [p, entries] of byPath.get(image)) {
+      const s = pathStats(entries, p === BASELINE_PATH && baseline && Object.hasOwn(baseline, image) ? baseline[image] : null);
+      images[image][p] = s;
+      paths++;
+      if (s.distinct === 1) stable++;
+      entropySum += s.entropyBits;
+      if (s.baseline) { reproduced += s.baseline.reproduced; compared += s.runs; }
+    }
+  }
+
+  return {
+    runs: runs.length,
+    hashedRuns: hashed,
+    overall: {
+      images: Object.keys(images).length,
+      paths,
+      stablePaths: stable,
+      meanEntropyBits: paths ? round(entropySum / paths) : null,
+      baselineReproductionRate: compared ? round(reproduced / compared) : null,
+    },
+    images,
+  };
+}
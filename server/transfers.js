@@ -0,0 +1,113 @@
+// transfers.js — staged chunked uploads of a baseline version or the last session (data/transfers/<id>)
+/*
+  <id>/
+    transfer.json   { id, target, name, label, meta, measure_text, items: [{ series, name, bytes, type? }], by, createdAt }
+    <n>.part        bytes of items[n] received so far (appended in order, at the offset the client names)
+
+A transfer only describes and collects bytes: nothing outside its folder changes until the caller
+reads the complete items (read) and stores them itself, then removes the folder. An unfinished or
+abandoned transfer therefore never replaces stored content; updatedAt (createdAt or the newest chunk's
+mtime) tells how long it has been idle.
+*/
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { exists, readJson, writeJsonAtomic } from './fsutil.js';
+import { withFileLock } from './concurrency.js';
+
+const TRANSFER_ID_RE = /^[0-9a-f]{32}$/;
+
+export function isValidTransferId(id){ return typeof id === 'string' && TRANSFER_ID_RE.test(id); }
+
+export function createTransferStore(dataDir){
+  const root = path.join(dataDir, 'transfers');
+  const dirOf = (id) => path.join(root, id);
+  const headOf = (id) => path.join(dirOf(id), 'transfer.json');
+  const partOf = (id, n) => path.join(dirOf(id), `${n}.part`);
+
+  async function sizeOf(file){
+    try { return (await fs.stat(file)).size; } catch { return 0; }
+  }
+
+  async function readHead(id){
+    if (!isValidTransferId(id) || !(await exists(headOf(id)))) return null;
+    return readJson(headOf(id));
+  }
+
+  // manifest (validated by the caller) -> status
+  async function create(manifest){
+    const id = crypto.randomBytes(16).toString('hex');
+    await fs.mkdir(dirOf(id), { recursive: true });
+    await writeJsonAtomic(headOf(id), { ...manifest, id, createdAt: new Date().toISOString() });
+    return get(id);
+  }
+
+  // -> { id, target, name, by, createdAt, updatedAt, bytes, received, complete, items: [{ n, series, name, bytes, received }] } | null
+  async function get(id){
+    const head = await readHead(id);
+    if (!head) return null;
+    let updatedAt = Date.parse(head.createdAt), bytes = 0, received = 0;
+    const items = [];
+    for (const [n, it] of head.items.entries()) {
+      const got = await sizeOf(partOf(id, n));
+      if (got) updatedAt = Math.max(updatedAt, (await fs.stat(partOf(id, n))).mtimeMs);
+      items.push({ n, series: it.series, name: it.name, bytes: it.bytes, received: got });
+      bytes += it.bytes;
+      received += got;
+    }
+    return {
+      id, target: head.target, name: head.name ?? null, by: head.by ?? null, createdAt: head.createdAt,
+      updatedAt: new Date(updatedAt).toISOString(), bytes, received, complete: received === bytes, items,
+    };
+  }
+
+  /*
+    Append a chunk to items[n] at offset (must equal what was received so far, so a retried chunk is
+    never stored twice). -> { item } | { notFound } | { conflict, received } | { error }
+  */
+  async function append(id, n, offset, chunk){
+    const head = await readHead(id);
+    const it = head?.items[n];
+    if (!it) return { notFound: true };
+    return withFileLock(partOf(id, n), async () => {
+      const received = await sizeOf(partOf(id, n));
+      if (offset !== received) return { conflict: true, received };
+      if (received + chunk.length > it.bytes)
+        return { error: `chunk of ${chunk.length} bytes at ${offset} overruns the declared ${it.bytes} bytes` };
+      await fs.appendFile(partOf(id, n), chunk);
+      const now = received + chunk.length;
+      return { item: { n, series: it.series, name: it.name, bytes: it.bytes, received: now, complete: now === it.bytes } };
+    });
+  }
+
+  // -> { manifest, items: [{ series, name, type?, data: Buffer }] } | { incomplete: [item status] } | null
+  async function read(id){
+    const status = await get(id);
+    if (!status) return null;
+    if (!status.complete) return { incomplete: status.items.filter(it => it.received !== it.bytes) };
+    const manifest = await readHead(id);
+    const items = [];
+    for (const [n, it] of manifest.items.entries())
+      items.push({ ...it, data: await fs.readFile(partOf(id, n)) });
+    return { manifest, items };
+  }
+
+  async function remove(id){
+    if (!isValidTransferId(id) || !(await exists(dirOf(id)))) return false;
+    await fs.rm(dirOf(id), { recursive: true, force: true });
+    return true;
+  }
+
+  // every staged transfer's status, oldest first
+  async function list(){
+    if (!(await exists(root))) return [];
+    const out = [];
+    for (const id of (await fs.readdir(root)).filter(isValidTransferId)) {
+      const s = await get(id);
+      if (s) out.push(s);
+    }
+    return out.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  return { create, get, append, read, remove, list };
+}
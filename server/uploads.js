@@ -0,0 +1,129 @@
+// uploads.js — per-session folders of raw .rgba dumps and .png exports (data/uploads/session_<id>)
+/*
+  session_<id>/
+    S1_raw_faces_1.rgba     raw RGBA, length must equal width*height*4
+    S1_moire_7.png          PNG export, IHDR size must match the declared size (if declared)
+    uploads.json            { files: { [file]: { kind, width, height, bytes, uploadedAt } } }
+
+Files that predate uploads.json (copied in by hand) are still listed; PNG sizes are read from
+their header, .rgba sizes stay unknown.
+*/
+import path from 'path';
+import fs from 'fs/promises';
+import { exists, readJson, writeJsonAtomic, isPlainObject, dirUsage } from './fsutil.js';
+import { withFileLock } from './concurrency.js';
+import { readPngHeader, pngSizeError } from './png.js';
+
+const SESSION_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const FILE_RE = /^[A-Za-z0-9][A-Za-z0-9._@-]{0,127}\.(rgba|png)$/;
+
+export function isValidSessionId(id){ return typeof id === 'string' && SESSION_RE.test(id); }
+export function isValidUploadName(name){ return typeof name === 'string' && FILE_RE.test(name); }
+
+function kindOf(name){ return name.endsWith('.rgba') ? 'rgba' : 'png'; }
+const positiveInt = (v) => { const n = Number(v); return Number.isInteger(n) && n > 0 ? n : null; };
+
+// Validate one upload against its declared size. -> { entry } | { error }
+export function checkUpload(name, bytes, declared = {}){
+  if (!isValidUploadName(name)) return { error: 'file name must match [A-Za-z0-9._@-]+.(rgba|png)' };
+  const width = positiveInt(declared.width), height = positiveInt(declared.height);
+  if (kindOf(name) === 'rgba') {
+    if (!width || !height) return { error: 'raw .rgba uploads need width and height' };
+    if (bytes.length !== width * height * 4)
+      return { error: `size mismatch: ${bytes.length} bytes, expected ${width}x${height}x4 = ${width * height * 4}` };
+    return { entry: { kind: 'rgba', width, height, bytes: bytes.length } };
+  }
+  const hdr = readPngHeader(bytes);
+  if (!hdr) return { error: 'not a PNG file' };
+  const tooLarge = pngSizeError(hdr);
+  if (tooLarge) return { error: tooLarge };
+  if ((width && width !== hdr.width) || (height && height !== hdr.height))
+    return { error: `size mismatch: PNG is ${hdr.width}x${hdr.height}, declared ${width ?? '?'}x${height ?? '?'}` };
+  return { entry: { kind: 'png', width: hdr.width, height: hdr.height, bytes: bytes.length } };
+}
+
+export function createUploadStore(dataDir){
+  const root = path.join(dataDir, 'uploads');
+  const dirOf = (id) => path.join(root, `session_${id}`);
+  const indexOf = (id) => path.join(dirOf(id), 'uploads.json');
+
+  async function readIndex(id){
+    const f = indexOf(id);
+    const idx = (await exists(f)) ? await readJson(f) : null;
+    return { files: isPlainObject(idx?.files) ? idx.files : {} };
+  }
+
+  async function sessionIds(){
+    if (!(await exists(root))) return [];
+    return (await fs.readdir(root, { withFileTypes: true }))
+      .filter(d => d.isDirectory() && d.name.startsWith('session_'))
+      .map(d => d.name.slice('session_'.length))
+      .sort();
+  }
+
+  // -> [{ name, kind, width, height, bytes, uploadedAt }] | null when the session folder is missing
+  async function list(id){
+    if (!(await exists(dirOf(id)))) return null;
+    const idx = await readIndex(id);
+    const out = [];
+    for (const name of (await fs.readdir(dirOf(id))).filter(isValidUploadName).sort()) {
+      let ent = idx.files[name];
+      if (!ent) {
+        const file = path.join(dirOf(id), name);
+        const stat = await fs.stat(file);
+        const hdr = kindOf(name) === 'png' ? readPngHeader(await fs.readFile(file)) : null;
+        ent = { kind: kindOf(name), width: hdr?.width ?? null, height: hdr?.height ?? null, bytes: stat.size, uploadedAt: null };
+      }
+      out.push({ name, ...ent });
+    }
+    return out;
+  }
+
+  // files: [{ name, bytes: Buffer, width?, height? }] — all validated first, then written; -> { saved } | { errors }
+  async function save(id, files){
+    const checked = [], errors = [];
+    for (const f of files) {
+      const r = checkUpload(f.name, f.bytes, f);
+      if (r.error) errors.push({ file: f.name, error: r.error });
+      else checked.push({ ...f, entry: r.entry });
+    }
+    if (errors.length) return { errors };
+
+    return withFileLock(indexOf(id), async () => {
+      await fs.mkdir(dirOf(id), { recursive: true });
+      const idx = await readIndex(id);
+      const uploadedAt = new Date().toISOString();
+      for (const f of checked) {
+        await fs.writeFile(path.join(dirOf(id), f.name), f.bytes);
+        idx.files[f.name] = { ...f.entry, uploadedAt };
+      }
+      await writeJsonAtomic(indexOf(id), idx);
+      return { saved: checked.map(f => ({ name: f.name, ...idx.files[f.name] })) };
+    });
+  }
+
+  // -> [{ session, files, bytes, lastModified }] (lastModified: newest file, for retention)
+  async function usage(){
+    const out = [];
+    for (const id of await sessionIds()) {
+      const u = await dirUsage(dirOf(id));
+      out.push({ session: id, files: u.files, bytes: u.bytes, lastModified: u.newestMs != null ? new Date(u.newestMs).toISOString() : null });
+    }
+    return out;
+  }
+
+  async function remove(id){
+    if (!isValidSessionId(id) || !(await exists(dirOf(id)))) return false;
+    await withFileLock(indexOf(id), () => fs.rm(dirOf(id), { recursive: true, force: true }));
+    return true;
+  }
+
+  // absolute path of an uploaded file, or null
+  async function filePath(id, name){
+    if (!isValidUploadName(name)) return null;
+    const p = path.join(dirOf(id), name);
+    return (await exists(p)) ? p : null;
+  }
+
+  return { sessionIds, list, save, remove, usage, filePath, dirOf };
+}
@@ -0,0 +1,106 @@
+// server/analysis.js + GET /history/analysis — the noise-pattern verdicts on synthetic run logs
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalCdf, twoProportionTest, groupSessions, contentMasks, analyzeRuns } from '../server/analysis.js';
+import { startServer } from './server.js';
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const MIN = 60 * 1000;
+let seq = 0;
+// one run of image "img" changing the given pixels by delta, at minute m of browser ua
+const run = (ua, m, pixels, delta = [1, 0, 0, 0]) => ({
+  id: `r${seq++}`, userAgent: ua, createdAt: new Date(T0 + m * MIN).toISOString(),
+  images: { img: { changedMap: Object.fromEntries(pixels.map(p => [p, delta])) } },
+});
+const range = (from, n) => Array.from({ length: n }, (_, i) => from + i);
+
+test('normal CDF, two-proportion test and session grouping', () => {
+  assert.ok(Math.abs(normalCdf(0) - 0.5) < 1e-6);
+  assert.ok(Math.abs(normalCdf(1.96) - 0.975) < 1e-3);
+  assert.deepEqual(twoProportionTest(1, 0, 1, 10), { z: 0, p: 1 });
+  assert.ok(twoProportionTest(90, 100, 10, 100).p < 1e-6);
+  assert.ok(twoProportionTest(50, 100, 52, 100).p > 0.5);
+
+  const runs = [run('a', 0, []), run('b', 1, []), run('a', 20, []), run('a', 100, [])];
+  const { sessionOf, sessions } = groupSessions(runs, 30 * MIN);
+  assert.equal(sessions, 3);
+  assert.deepEqual(runs.map(r => sessionOf.get(r.id)), [0, 1, 0, 2]);
+});
+
+test('seeding: per session, per call and per origin', () => {
+  // three browser sessions, the same set inside each one
+  const perSession = ['a', 'b', 'c'].flatMap((ua, s) => [0, 1, 2].map(m => run(ua, m, range(s * 10, 5))));
+  const a = analyzeRuns(perSession).perImage.img;
+  assert.equal(a.seeding.verdict, 'per-session');
+  assert.equal(a.seeding.withinSessionSimilarity, 1);
+  assert.equal(a.seeding.acrossSessionSimilarity, 0);
+  assert.equal(a.reproducibility.verdict, 'reproducible');
+  assert.equal(a.reproducibility.reloads, 6);
+
+  const perCall = ['a', 'b'].flatMap((ua, s) => [0, 1, 2].map(m => run(ua, m, range((s * 3 + m) * 10, 5))));
+  const c = analyzeRuns(perCall).perImage.img;
+  assert.equal(c.seeding.verdict, 'per-call');
+  assert.equal(c.reproducibility.verdict, 'not reproducible');
+
+  const perOrigin = ['a', 'b', 'c'].flatMap(ua => [0, 1].map(m => run(ua, m, range(0, 5))));
+  assert.equal(analyzeRuns(perOrigin).overall.seeding.verdict, 'per-origin');
+
+  // a single session cannot tell per-session from per-origin
+  const one = analyzeRuns([0, 1, 2].map(m => run('a', m, range(0, 5)))).perImage.img.seeding;
+  assert.equal(one.verdict, 'inconclusive');
+  assert.match(one.note, /only one session/);
+
+  assert.equal(analyzeRuns([run('a', 0, [])]).perImage.img.seeding.verdict, 'none');
+  assert.equal(analyzeRuns([]).overall.seeding.verdict, 'inconclusive');
+});
+
+test('delta shape: single-channel LSB noise and larger deltas', () => {
+  const lsb = analyzeRuns([0, 1, 2].map(m => run('a', m, range(0, 50), [0, 0, -1, 0]))).overall.lsb;
+  assert.equal(lsb.verdict, 'lsb-single-channel');
+  assert.equal(lsb.deltas, 150);
+  assert.deepEqual(lsb.channelShare, { r: 0, g: 0, b: 1, a: 0 });
+  assert.equal(analyzeRuns([run('a', 0, range(0, 10), [1, 1, 0, 0])]).overall.lsb.verdict, 'lsb-multi-channel');
+  assert.equal(analyzeRuns([run('a', 0, range(0, 10), [9, 0, 0, 0])]).overall.lsb.verdict, 'larger-deltas');
+});
+
+test('content: changes on the edges of drawn content', () => {
+  // 16x16 white image with a black 4x4 square at (6,6)
+  const w = 16, rgba = new Uint8Array(w * w * 4).fill(255);
+  for (let y = 6; y < 10; y++) for (let x = 6; x < 10; x++) rgba.set([0, 0, 0, 255], (y * w + x) * 4);
+  const { edge, content } = contentMasks(rgba, w);
+  assert.equal(content.reduce((a, b) => a + b, 0), 16);
+  assert.equal(edge[0], 0);
+  assert.equal(edge[6 * w + 6], 1);
+
+  const edges = [];
+  for (let p = 0; p < edge.length; p++) if (edge[p]) edges.push(p);
+  const runs = [0, 1, 2, 3, 4, 5].map(m => run('a', m, edges));
+  const baseline = { pixels: { img: rgba }, dims: { img: { w, h: w } } };
+  const r = analyzeRuns(runs, baseline).perImage.img.content;
+  assert.equal(r.verdict, 'edges');
+  assert.equal(r.edges.rateInside, 1);
+  assert.equal(r.edges.rateOutside, 0);
+  assert.equal(analyzeRuns(runs).perImage.img.content.verdict, 'unknown');
+  assert.equal(analyzeRuns(runs, { pixels: { img: rgba }, dims: { img: { w: 7, h: 1 } } }).perImage.img.content.verdict, 'unknown');
+});
+
+test('GET /history/analysis reads the runs of one baseline version with its pixels', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const rgba = Buffer.alloc(16 * 4, 255);
+  rgba.set([0, 0, 0, 255], 5 * 4);
+  assert.equal((await srv.request('PUT', '/baselines/b', { pixels: { img: rgba.toString('base64') }, meta: { dims: { img: { w: 4, h: 4 } } } })).status, 200);
+  for (let i = 0; i < 3; i++)
+    assert.equal((await srv.request('POST', '/history/runs', { images: { img: { changedMap: { 5: [1, 0, 0, 0] } } }, baseline: { name: 'b', version: 1 } })).status, 200);
+  assert.equal((await srv.request('POST', '/history/runs', { images: { img: { changedMap: { 9: [1, 0, 0, 0] } } } })).status, 200);
+
+  const r = (await srv.request('GET', '/history/analysis?baseline=b')).body;
+  assert.deepEqual(r.baseline, { name: 'b', version: 1 });
+  assert.equal(r.runs, 3);
+  assert.notEqual(r.perImage.img.content.verdict, 'unknown');
+  assert.equal(r.perImage.img.reproducibility.verdict, 'reproducible');
+
+  assert.equal((await srv.request('GET', '/history/analysis')).body.baseline, null);   // the latest run names none
+  assert.equal((await srv.request('GET', '/history/analysis?gap=0')).status, 400);
+  assert.equal((await srv.request('GET', '/history/analysis?version=1.5')).status, 400);
+});
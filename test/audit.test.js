@@ -0,0 +1,103 @@
+// server/audit.js + the /audit routes — write events, content snapshots and restores
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createAuditLog } from '../server/audit.js';
+import { startServer } from './server.js';
+
+const dirs = [];
+test.after(() => Promise.all(dirs.map((d) => fs.rm(d, { recursive: true, force: true }))));
+
+async function auditLog(){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'testpixel-audit-'));
+  dirs.push(dir);
+  return { dir, audit: createAuditLog(dir) };
+}
+const b64 = (v) => Buffer.alloc(4, v).toString('base64');
+
+test('events are listed newest first and filtered by type or prefix', async () => {
+  const { dir, audit } = await auditLog();
+  const rejected = await audit.record('auth.rejected', { status: 401 });
+  const w1 = await audit.recordWrite('rules', 'replace', { resource: { name: 'b' }, after: { rules: 1 }, version: 'v1' });
+  const w2 = await audit.recordWrite('rules', 'replace', { resource: { name: 'b' }, after: { rules: 2 }, before: { rules: 1 }, version: 'v2', previousVersion: 'v1' });
+  await fs.appendFile(path.join(dir, 'audit', 'events.jsonl'), '{"torn');
+
+  assert.deepEqual((await audit.list()).map(e => e.id), [w2.id, w1.id, rejected.id]);
+  assert.deepEqual((await audit.list({ type: 'write.' })).map(e => e.id), [w2.id, w1.id]);
+  assert.deepEqual((await audit.list({ type: 'write.rule' })), []);   // exact type unless it ends with "."
+  assert.deepEqual((await audit.list({ limit: 1 })).map(e => e.id), [w2.id]);
+  assert.deepEqual(await audit.get(rejected.id), rejected);
+  assert.equal(await audit.get('nope'), null);
+
+  assert.deepEqual(w2.resource, { kind: 'rules', name: 'b' });
+  assert.equal(w2.version, 'v2');
+  assert.deepEqual(w2.previous, { sha256: w1.sha256, size: w1.size, version: 'v1' });
+  assert.equal(w1.previous, null);
+  assert.deepEqual(await audit.readSnapshot(w2.sha256), { rules: 2 });
+});
+
+test('snapshots are stored once per content hash', async () => {
+  const { dir, audit } = await auditLog();
+  const a = await audit.snapshot({ x: [1, 2] });
+  assert.deepEqual(await audit.snapshot({ x: [1, 2] }), a);
+  assert.equal(a.size, JSON.stringify({ x: [1, 2] }).length);
+  assert.equal((await fs.readdir(path.join(dir, 'audit', 'snapshots'))).length, 1);
+  assert.equal(await audit.snapshot(null), null);
+  assert.equal(await audit.readSnapshot('../events'), null);
+  assert.equal(await audit.readSnapshot('0'.repeat(64)), null);
+  const gone = await audit.recordWrite('rules', 'delete', { before: { rules: 1 } });
+  assert.deepEqual([gone.sha256, gone.size, gone.version], [null, null, null]);
+});
+
+test('baseline writes are audited and an older version restores as a new one', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  assert.equal((await srv.request('PUT', '/baselines/b', { pixels: { img: b64(1) }, label: 'first' })).status, 200);
+  assert.equal((await srv.request('PUT', '/baselines/b', { pixels: { img: b64(2) } })).status, 200);
+
+  const events = (await srv.request('GET', '/audit?type=write.baseline')).body;
+  assert.deepEqual(events.map(e => [e.action, e.version, e.previous?.version ?? null]), [['save', 2, 1], ['save', 1, null]]);
+  const first = (await srv.request('GET', `/audit/snapshots/${events[1].sha256}`)).body;
+  assert.equal(first.pixels.img, b64(1));
+  assert.deepEqual((await srv.request('GET', `/audit/${events[0].id}`)).body, events[0]);
+  assert.equal((await srv.request('GET', '/audit/nope')).status, 404);
+  assert.equal((await srv.request('GET', '/audit?limit=0')).status, 400);
+
+  const restore = await srv.request('POST', `/audit/${events[0].id}/restore`, { use: 'before' });
+  assert.equal(restore.status, 200);
+  assert.deepEqual(restore.body.restored, { event: events[0].id, use: 'before', sha256: events[1].sha256 });
+  assert.equal(restore.body.version, 3);
+  const current = (await srv.request('GET', '/baselines/b')).body;
+  assert.equal(current.pixels.img, b64(1));
+  const [last] = (await srv.request('GET', '/audit?type=write.baseline&limit=1')).body;
+  assert.deepEqual([last.action, last.restoredFrom.event], ['restore', events[0].id]);
+
+  assert.equal((await srv.request('POST', `/audit/${events[1].id}/restore`, { use: 'before' })).status, 409);   // v1 had no predecessor
+  assert.equal((await srv.request('POST', `/audit/${events[1].id}/restore`, { use: 'later' })).status, 400);
+});
+
+test('a deleted history partition comes back with its run records', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const environment = { deviceLabel: 'box' };
+  const appended = [];
+  for (const pix of [1, 2])
+    appended.push((await srv.request('POST', '/history/append', { images: { img: { changedMap: { [pix]: [1, 0, 0, 0] } } }, environment })).body);
+  const { client } = appended[0];
+  const before = (await srv.request('GET', `/history?client=${client}`)).body;
+
+  assert.equal((await srv.request('DELETE', `/history?client=${client}`)).status, 200);
+  const [del] = (await srv.request('GET', '/audit?type=write.history&limit=1')).body;
+  assert.equal(del.action, 'delete');
+  assert.equal(del.sha256, null);
+  assert.deepEqual(del.removedRuns.map(r => r.id), appended.map(r => r.runId));
+  assert.equal((await srv.request('GET', '/history/runs')).body.length, 0);
+
+  const restore = await srv.request('POST', `/audit/${del.id}/restore`);   // a delete restores its "before" by default
+  assert.equal(restore.status, 200);
+  assert.deepEqual([restore.body.restored.use, restore.body.clients, restore.body.runs], ['before', [client], 2]);
+  assert.deepEqual((await srv.request('GET', `/history?client=${client}`)).body, before);
+  assert.deepEqual((await srv.request('GET', '/history/runs')).body.map(r => r.id), appended.map(r => r.runId));
+});
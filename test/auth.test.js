@@ -0,0 +1,75 @@
+// server/auth.js — route roles and the middleware's answers
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createAuth, hashSecret, requiredRole, routePath } from '../server/auth.js';
+
+const dirs = [];
+test.after(() => Promise.all(dirs.map((d) => fs.rm(d, { recursive: true, force: true }))));
+
+async function authWith(cfg){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'testpixel-auth-'));
+  dirs.push(dir);
+  const file = path.join(dir, 'auth.json');
+  await fs.writeFile(file, JSON.stringify(cfg));
+  const events = [];
+  const auth = await createAuth(file, { audit: { record: async (type, fields) => { events.push({ type, ...fields }); } } });
+  return { auth, events };
+}
+
+// -> { status, body } the middleware answered, or { status: 'next', principal }
+function call(auth, method, urlPath, { authorization = null, ip = '10.0.0.1' } = {}){
+  return new Promise((resolve) => {
+    const req = { method, path: urlPath, ip, get: (h) => (h.toLowerCase() === 'authorization' ? authorization : null) };
+    const res = {
+      status(code){ this.code = code; return this; },
+      setHeader(){},
+      json(body){ resolve({ status: this.code, body }); },
+    };
+    auth.middleware(req, res, () => resolve({ status: 'next', principal: req.principal }));
+  });
+}
+
+test('mixed-case and trailing-slash paths need the same role as the lower-case path', () => {
+  for (const [method, p] of [['GET', '/audit'], ['GET', '/audit/abc'], ['GET', '/storage'], ['PUT', '/history/append'], ['POST', '/baselines/x/pin']]) {
+    const want = requiredRole(method, p);
+    for (const variant of [p.toUpperCase(), p.replace(/^\/./, (c) => c.toUpperCase()), `${p}/`, `${p.toUpperCase()}//`])
+      assert.equal(requiredRole(method, variant), want, `${method} ${variant}`);
+  }
+  assert.equal(requiredRole('GET', '/AUDIT'), 'admin');
+  assert.equal(routePath('/'), '/');
+  assert.equal(routePath('/Storage/'), '/storage');
+});
+
+test('an anonymous viewer is refused /AUDIT like /audit', async () => {
+  const { auth } = await authWith({ anonymous: 'viewer' });
+  assert.equal((await call(auth, 'GET', '/audit')).status, 401);
+  assert.equal((await call(auth, 'GET', '/AUDIT')).status, 401);
+  assert.equal((await call(auth, 'GET', '/Storage/')).status, 401);
+  assert.equal((await call(auth, 'GET', '/history')).status, 'next');
+});
+
+test('tokens are <name>.<secret> and only the named entry is checked', async () => {
+  const { auth } = await authWith({ tokens: [{ name: 'ci', role: 'writer', hash: hashSecret('s3cret') }] });
+  const ok = await call(auth, 'PUT', '/history/append', { authorization: 'Bearer ci.s3cret' });
+  assert.equal(ok.status, 'next');
+  assert.deepEqual(ok.principal, { name: 'ci', via: 'token', role: 'writer' });
+  assert.equal((await call(auth, 'PUT', '/history/append', { authorization: 'Bearer s3cret' })).status, 401);
+  assert.equal((await call(auth, 'PUT', '/history/append', { authorization: 'Bearer ci.wrong' })).status, 401);
+  assert.equal((await call(auth, 'PUT', '/baselines/x', { authorization: 'Bearer ci.s3cret' })).status, 403);
+});
+
+test('repeated bad credentials are throttled and audited once per window', async () => {
+  const { auth, events } = await authWith({ users: [{ name: 'alice', role: 'admin', hash: hashSecret('pw') }] });
+  const bad = { authorization: `Basic ${Buffer.from('nobody:x').toString('base64')}`, ip: '10.0.0.2' };
+  const statuses = [];
+  for (let i = 0; i < 25; i++) statuses.push((await call(auth, 'GET', '/history', bad)).status);
+  assert.deepEqual(statuses.slice(0, 20), Array(20).fill(401));
+  assert.deepEqual(statuses.slice(20), Array(5).fill(429));
+  assert.equal(events.filter(e => e.ip === '10.0.0.2').length, 1);
+  // other addresses are not affected
+  const good = { authorization: `Basic ${Buffer.from('alice:pw').toString('base64')}`, ip: '10.0.0.3' };
+  assert.equal((await call(auth, 'GET', '/audit', good)).status, 'next');
+});
@@ -0,0 +1,49 @@
+// server/baselines.js + server/concurrency.js — names that are prototype keys, If-Match: *
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createBaselineStore, isValidBaselineName } from '../server/baselines.js';
+import { ifMatchOk, starWithoutResource } from '../server/concurrency.js';
+
+const dirs = [];
+test.after(() => Promise.all(dirs.map((d) => fs.rm(d, { recursive: true, force: true }))));
+
+async function store(){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'testpixel-baselines-'));
+  dirs.push(dir);
+  return createBaselineStore(dir);
+}
+const pixels = { img: Buffer.from([1, 2, 3, 255]).toString('base64') };
+
+test('prototype keys are not baseline names', () => {
+  for (const name of ['__proto__', 'constructor', 'prototype']) assert.equal(isValidBaselineName(name), false, name);
+  for (const name of ['toString', 'constructor2', 'proto', 'default']) assert.equal(isValidBaselineName(name), true, name);
+});
+
+test('prototype keys never resolve to a stored baseline', async () => {
+  const b = await store();
+  await b.save('main', { pixels });
+  for (const name of ['toString', 'hasOwnProperty', 'constructor', '__proto__']) {
+    assert.equal(await b.get(name), null, name);
+    assert.equal(await b.versions(name), null, name);
+    assert.equal(await b.getRules(name), null, name);
+    assert.deepEqual(await b.remove(name), { notFound: true }, name);
+  }
+  assert.deepEqual((await b.list()).baselines.map(x => x.name), ['main']);
+});
+
+test('If-Match: * needs an existing resource', async () => {
+  assert.equal(ifMatchOk('*', null), false);
+  assert.equal(ifMatchOk('*', '"empty"', false), false);
+  assert.equal(ifMatchOk('"empty"', '"empty"', false), true);
+  assert.equal(starWithoutResource('*', false), true);
+  assert.equal(starWithoutResource('"a", *', true), false);
+  assert.equal(starWithoutResource(null, false), false);
+
+  const b = await store();
+  assert.deepEqual(await b.save('new', { pixels }, { ifMatch: '*' }), { conflict: true, preconditionFailed: true, etag: null });
+  assert.equal((await b.save('new', { pixels })).version, 1);
+  assert.equal((await b.save('new', { pixels }, { ifMatch: '*' })).version, 2);
+});
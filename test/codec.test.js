@@ -0,0 +1,83 @@
+// server/codec.js + server/pixelstore.js + the JSON import — the compact on-disk layout reads back what was written
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { encodeSparse, decodeSparse, encodeRun, decodeRun } from '../server/codec.js';
+import { writeImageSet, readImageSet, imageSetSizes, dataUrlMapToImages, imagesToDataUrlMap } from '../server/pixelstore.js';
+import { createRunLog } from '../server/history.js';
+
+const dirs = [];
+test.after(() => Promise.all(dirs.map((d) => fs.rm(d, { recursive: true, force: true }))));
+
+async function tmpDir(){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'testpixel-codec-'));
+  dirs.push(dir);
+  return dir;
+}
+const plain = (v) => JSON.parse(JSON.stringify(v));
+
+test('sparse deltas: sorted indices, signed channels, 4 + 12 bytes per pixel', () => {
+  const changedMap = { 4294967295: [-255, 255, 0, 1], 7: [1, -2, 3, -4], 0: [0, 0, 0, 9] };
+  const buf = encodeSparse(changedMap);
+  assert.equal(buf.length, 4 + 3 * 12);
+  const back = decodeSparse(buf);
+  assert.deepEqual(Object.keys(back), ['0', '7', '4294967295']);
+  assert.deepEqual(back, changedMap);
+  assert.deepEqual(decodeSparse(encodeSparse({})), {});
+  assert.deepEqual(decodeSparse(encodeSparse({ 3: 'junk' })), { 3: [0, 0, 0, 0] });
+});
+
+test('run records round trip, deflated or not', () => {
+  const run = {
+    id: '2026-01-01T00-00-00-000Z-abcdef', createdAt: '2026-01-01T00:00:00.000Z', userAgent: 'ua', client: '',
+    baseline: { name: 'b', version: 2 }, hashes: { img: { raw: { sha256: 'x' } } },
+    images: { img: { changedMap: { 2: [1, 0, 0, 0], 9: [0, -3, 0, 0] } }, constructor: { changedMap: {} } },
+  };
+  for (const compress of [true, false]) {
+    const buf = encodeRun(run, { compress });
+    assert.equal(buf.subarray(0, 4).toString('ascii'), 'PPR1');
+    assert.equal(buf[4], compress ? 1 : 0);
+    const back = decodeRun(buf);
+    assert.deepEqual(plain(back), plain(run));
+    assert.equal(Object.getPrototypeOf(back.images), null);
+  }
+  assert.throws(() => decodeRun(Buffer.from('JSON{}')), /bad magic/);
+});
+
+test('image sets keep raw and encoded images with their meta', async () => {
+  const dir = path.join(await tmpDir(), 'set');
+  const png = dataUrlMapToImages({ shot: 'data:image/png;base64,iVBORw0KGgo=' });
+  const images = { 'a/b': { bytes: Buffer.from([1, 2, 3, 4]) }, '.hidden': { bytes: Buffer.alloc(8) }, ...png };
+  await writeImageSet(dir, { meta: { dims: { 'a/b': { w: 1, h: 1 } } }, images });
+  const back = await readImageSet(dir);
+  assert.deepEqual(back.meta, { dims: { 'a/b': { w: 1, h: 1 } } });
+  assert.deepEqual(Object.keys(back.images), ['a/b', '.hidden', 'shot']);
+  assert.deepEqual([...back.images['a/b'].bytes], [1, 2, 3, 4]);
+  assert.equal(back.images.shot.mime, 'image/png');
+  assert.deepEqual(imagesToDataUrlMap({ shot: back.images.shot }), { shot: 'data:image/png;base64,iVBORw0KGgo=' });
+  assert.deepEqual(await imageSetSizes(dir), { 'a/b': 4, '.hidden': 8, shot: 8 });
+  // unsafe names are stored under generated file names
+  assert.ok((await fs.readdir(dir)).every(f => f === 'index.json' || /^(~\d+|shot)\./.test(f)));
+
+  await writeImageSet(dir, { images: { only: { bytes: Buffer.alloc(4) } } });   // replaced as a whole
+  assert.deepEqual(Object.keys((await readImageSet(dir)).images), ['only']);
+  assert.equal(await readImageSet(path.join(dir, 'missing')), null);
+});
+
+test('JSON run records are imported into .run files once', async () => {
+  const dir = await tmpDir();
+  const runs = path.join(dir, 'runs');
+  await fs.mkdir(runs);
+  const record = { id: '2025-10-22T01-58-00-068Z-3fa9c1', createdAt: '2025-10-22T01:58:00.068Z', userAgent: '', baseline: null,
+    images: { img: { changedMap: { 5: [1, 2, 3, 4] } } } };
+  await fs.writeFile(path.join(runs, `${record.id}.json`), JSON.stringify(record));
+  await fs.writeFile(path.join(runs, '_base.json'), JSON.stringify({ runs: 4, byImage: {} }));
+  const log = createRunLog(dir, { compress: false });
+  assert.equal(await log.migrateJson(), 2);
+  assert.equal(await log.migrateJson(), 0);
+  assert.deepEqual((await fs.readdir(runs)).sort(), [`${record.id}.run`, '_base.json.gz']);
+  assert.deepEqual(plain(await log.get(record.id)), record);
+  assert.equal((await log.readBase()).runs, 4);
+});
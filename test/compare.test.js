@@ -0,0 +1,43 @@
+// GET /sessions/:a/compare/:b — comparing two uploaded capture sessions
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './server.js';
+
+let srv;
+test.before(async () => {
+  srv = await startServer();
+  // 4x4 captures; B differs from A in its first 5 pixels
+  const a = Buffer.alloc(64, 10), b = Buffer.from(a);
+  for (let p = 0; p < 5; p++) b[p * 4] = 20;
+  for (const [id, bytes] of [['A', a], ['B', b]]) {
+    const form = new FormData();
+    form.append('width', '4');
+    form.append('height', '4');
+    form.append('files', new Blob([bytes]), 'S1_faces_1.rgba');
+    assert.equal((await srv.request('POST', `/sessions/${id}/uploads`, form)).status, 200);
+  }
+});
+test.after(() => srv?.stop());
+
+const compare = (query = '') => srv.request('GET', `/sessions/A/compare/B${query}`);
+const sampleOf = (res) => Object.values(res.body.images)[0].sample;
+
+test('raw metrics of the changed pixels', async () => {
+  const res = await compare();
+  assert.equal(res.status, 200);
+  const img = Object.values(res.body.images)[0];
+  assert.equal(img.changedPixels, 5);
+  assert.equal(img.maxDeviation, 10);
+  assert.equal(sampleOf(res).length, 5);
+});
+
+test('?sample caps the sample, 0 included', async () => {
+  assert.equal(sampleOf(await compare('?sample=2')).length, 2);
+  assert.deepEqual(sampleOf(await compare('?sample=0')), []);
+  assert.equal(sampleOf(await compare('?sample=5000')).length, 5);
+  for (const bad of ['-1', 'abc', '1.5', '']) {
+    const res = await compare(`?sample=${bad}`);
+    assert.equal(res.status, 400, bad);
+    assert.equal(res.body.errors[0].path, 'query.sample');
+  }
+});
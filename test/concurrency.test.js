@@ -0,0 +1,71 @@
+// server/concurrency.js + the history routes — serialized writes, ETag and If-Match
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { withFileLock, etagOf, ifMatchOk } from '../server/concurrency.js';
+import { startServer } from './server.js';
+
+const tick = () => new Promise((r) => setTimeout(r, 1));
+
+test('withFileLock runs the calls on one key one after another', async () => {
+  const order = [];
+  const job = (key, n) => withFileLock(key, async () => { order.push(`${key}${n}+`); await tick(); order.push(`${key}${n}-`); return n; });
+  const done = await Promise.all([job('a', 1), job('a', 2), job('b', 1)]);
+  assert.deepEqual(done, [1, 2, 1]);
+  assert.deepEqual(order.filter(s => s[0] === 'a'), ['a1+', 'a1-', 'a2+', 'a2-']);
+  assert.ok(order.indexOf('b1+') < order.indexOf('a1-'));   // other keys do not wait
+
+  const failed = withFileLock('a', async () => { throw new Error('boom'); });
+  await assert.rejects(failed, /boom/);
+  assert.equal(await withFileLock('a', async () => 'after'), 'after');   // a failure does not block the key
+});
+
+test('etagOf and If-Match lists', () => {
+  const tag = etagOf('{"runs":1}');
+  assert.match(tag, /^"[0-9a-f]{40}"$/);
+  assert.equal(etagOf('{"runs":1}'), tag);
+  assert.notEqual(etagOf('{"runs":2}'), tag);
+  assert.equal(ifMatchOk(undefined, tag), true);
+  assert.equal(ifMatchOk('', tag), true);
+  assert.equal(ifMatchOk(tag, tag), true);
+  assert.equal(ifMatchOk(`"other", W/${tag}`, tag), true);
+  assert.equal(ifMatchOk('"other"', tag), false);
+  assert.equal(ifMatchOk(tag, null), false);
+  assert.equal(ifMatchOk('*', tag), true);
+});
+
+test('history writes: 409 on a stale ETag, 412 for * on a partition never written', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const q = '/history?client=ci-box';
+  const empty = await srv.request('GET', q);
+  assert.equal(empty.headers.get('etag'), '"empty"');
+  assert.equal(empty.body.runs, 0);
+  assert.equal((await srv.request('PUT', q, empty.body, { 'if-match': '*' })).status, 412);
+
+  const first = await srv.request('PUT', q, { ...empty.body, runs: 1 }, { 'if-match': '"empty"' });
+  assert.equal(first.status, 200);
+  const tag = first.headers.get('etag');
+  assert.equal((await srv.request('GET', q)).headers.get('etag'), tag);
+
+  const stale = await srv.request('PUT', q, { ...empty.body, runs: 2 }, { 'if-match': '"empty"' });
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.etag, tag);
+  assert.equal((await srv.request('DELETE', q, undefined, { 'if-match': '"empty"' })).status, 409);
+  assert.equal((await srv.request('PUT', q, { ...empty.body, runs: 2 }, { 'if-match': tag })).status, 200);
+  assert.equal((await srv.request('GET', q)).body.runs, 2);
+  assert.equal((await srv.request('PUT', q, empty.body, { 'if-match': '*' })).status, 200);
+});
+
+test('concurrent appends all land in the aggregate', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const environment = { deviceLabel: 'par' };
+  const results = await Promise.all(Array.from({ length: 6 }, (_, i) =>
+    srv.request('POST', '/history/append', { images: { img: { changedMap: { [i]: [1, 0, 0, 0] } } }, environment })));
+  assert.deepEqual(results.map(r => r.status), [200, 200, 200, 200, 200, 200]);
+  const { client } = results[0].body;
+  const hist = (await srv.request('GET', `/history?client=${client}`)).body;
+  assert.equal(hist.runs, 6);
+  assert.deepEqual(Object.keys(hist.byImage.img.perPixel).sort(), ['0', '1', '2', '3', '4', '5']);
+  assert.equal((await srv.request('GET', '/history/runs')).body.length, 6);
+});
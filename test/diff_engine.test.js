@@ -0,0 +1,126 @@
+// public/diff_engine.js — diffPixels on fixed RGBA fixtures
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffPixels, distributionOf } from '../public/diff_engine.js';
+
+// 4x3 image of [10,20,30,255]; four pixels differ in curr:
+//   0 (0,0) R +2   1 (1,0) G -5   4 (0,1) A -255   11 (3,2) B +1
+const W = 4, H = 3;
+const prev = new Uint8Array(W * H * 4);
+for (let p = 0; p < W * H; p++) prev.set([10, 20, 30, 255], p * 4);
+const curr = prev.slice();
+curr.set([12, 20, 30, 255], 0 * 4);
+curr.set([10, 15, 30, 255], 1 * 4);
+curr.set([10, 20, 30, 0], 4 * 4);
+curr.set([10, 20, 31, 255], 11 * 4);
+
+const b64 = (u8) => Buffer.from(u8).toString('base64');
+
+test('raw metrics', () => {
+  const d = diffPixels(prev, curr);
+  assert.equal(d.totalPixels, 12);
+  assert.equal(d.changedPixels, 4);
+  assert.equal(d.pctChanged, 4 / 12);
+  assert.equal(d.alphaChanges, 1);
+  assert.equal(d.hasAlphaChange, true);
+  assert.equal(d.maxDeviation, 255);
+  assert.equal(d.maxDeviationExcl255_254, 5);
+  assert.equal(d.changedMap, undefined);
+});
+
+test('identical buffers', () => {
+  const d = diffPixels(prev, prev, { width: W, bbox: true, regions: true });
+  assert.equal(d.changedPixels, 0);
+  assert.equal(d.maxDeviation, 0);
+  assert.equal(d.bbox, null);
+  assert.deepEqual(d.regions, []);
+  assert.deepEqual(d.deviationDistribution, []);
+});
+
+test('signed and absolute deltas', () => {
+  assert.deepEqual({ ...diffPixels(prev, curr, { deltas: 'signed' }).changedMap }, {
+    0: [2, 0, 0, 0], 1: [0, -5, 0, 0], 4: [0, 0, 0, -255], 11: [0, 0, 1, 0],
+  });
+  assert.deepEqual({ ...diffPixels(prev, curr, { deltas: 'abs' }).changedMap }, {
+    0: [2, 0, 0, 0], 1: [0, 5, 0, 0], 4: [0, 0, 0, 255], 11: [0, 0, 1, 0],
+  });
+  const [first] = diffPixels(prev, curr, { diffs: true }).diffs;
+  assert.deepEqual(first, { pixel: 0, prev: [10, 20, 30, 255], curr: [12, 20, 30, 255], dev: [2, 0, 0, 0] });
+});
+
+test('histograms', () => {
+  const d = diffPixels(prev, curr, { channelHistograms: true });
+  const want = Array(256).fill(0);
+  want[0] = 8; want[1] = 1; want[2] = 1; want[5] = 1; want[255] = 1;
+  assert.deepEqual(d.deviationHistogram, want);
+  assert.deepEqual(d.deviationDistribution, [
+    { dev: 1, pct: 25 }, { dev: 2, pct: 25 }, { dev: 5, pct: 25 }, { dev: 255, pct: 25 },
+  ]);
+  const { r, g, b, a } = d.channelHistograms;
+  assert.equal(r[0], 11); assert.equal(r[2], 1);
+  assert.equal(g[0], 11); assert.equal(g[5], 1);
+  assert.equal(b[0], 11); assert.equal(b[1], 1);
+  assert.equal(a[0], 11); assert.equal(a[255], 1);
+  assert.deepEqual(distributionOf(new Uint32Array(256)), []);
+});
+
+test('bbox and regions', () => {
+  const d = diffPixels(prev, curr, { width: W, bbox: true, regions: true });
+  assert.deepEqual(d.bbox, { x: 0, y: 0, w: 4, h: 3 });
+  assert.deepEqual(d.regions, [
+    { x: 0, y: 0, w: 2, h: 2, pixels: 3 },
+    { x: 3, y: 2, w: 1, h: 1, pixels: 1 },
+  ]);
+  assert.deepEqual(diffPixels(prev, curr, { width: W, regions: true, maxRegions: 1 }).regions.length, 1);
+  assert.throws(() => diffPixels(prev, curr, { bbox: true }), /opts.width/);
+});
+
+test('sampleCap truncates the sample', () => {
+  assert.equal(diffPixels(prev, curr).sample.length, 4);
+  const d = diffPixels(prev, curr, { sampleCap: 2 });
+  assert.deepEqual(d.sample.map(s => s.pixel), [0, 1]);
+  assert.deepEqual(d.sample[1].dev_signed, [0, -5, 0, 0]);
+  assert.deepEqual(d.sample[1].dev_abs, [0, 5, 0, 0]);
+  assert.deepEqual(diffPixels(prev, curr, { sampleCap: 0 }).sample, []);
+  assert.equal(d.changedPixels, 4);   // only the sample is capped
+});
+
+test('rule tolerance and ignore rects', () => {
+  const d = diffPixels(prev, curr, { width: W, rule: { tolerance: 2, ignoreRects: [{ x: 0, y: 1, w: 1, h: 1 }] } });
+  assert.equal(d.changedPixels, 4);   // raw counts are untouched
+  assert.deepEqual(d.filtered, {
+    changedPixels: 1, pctChanged: 1 / 12, alphaChanges: 0, maxDeviation: 5, maxDeviationExcl255_254: 5,
+    hasAlphaChange: false, ignoredPixels: 1, belowTolerance: 2,
+  });
+});
+
+test('rule per-channel tolerance, minDelta and ignoreAlpha', () => {
+  let f = diffPixels(prev, curr, { width: W, rule: { tolerance: [0, 5, 0, 0] } }).filtered;
+  assert.equal(f.changedPixels, 3);
+  assert.equal(f.belowTolerance, 1);
+  assert.equal(f.maxDeviation, 255);
+  assert.equal(f.maxDeviationExcl255_254, 2);
+
+  f = diffPixels(prev, curr, { width: W, rule: { minDelta: 3 } }).filtered;
+  assert.equal(f.changedPixels, 2);
+  assert.equal(f.belowTolerance, 2);
+
+  f = diffPixels(prev, curr, { width: W, rule: { ignoreAlpha: true } }).filtered;
+  assert.equal(f.changedPixels, 3);
+  assert.equal(f.alphaChanges, 0);
+  assert.equal(f.belowTolerance, 1);
+  assert.equal(f.maxDeviation, 5);
+});
+
+test('rule masks, per pixel and RGBA', () => {
+  const m1 = new Uint8Array(W * H); m1[1] = 1; m1[11] = 255;
+  let f = diffPixels(prev, curr, { width: W, rule: { mask: b64(m1) } }).filtered;
+  assert.equal(f.ignoredPixels, 2);
+  assert.equal(f.changedPixels, 2);
+
+  const m4 = new Uint8Array(W * H * 4); m4[0] = 255; m4[4 * 4 + 1] = 255;   // only R counts: pixel 0 masked, 4 not
+  f = diffPixels(prev, curr, { rule: { mask: b64(m4) } }).filtered;
+  assert.equal(f.ignoredPixels, 1);
+  assert.equal(f.changedPixels, 3);
+  assert.equal(f.alphaChanges, 1);
+});
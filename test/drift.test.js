@@ -0,0 +1,85 @@
+// server/drift.js + GET /history/drift — level shifts, window tests and window parsing
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { summarize, mannWhitney, parseWindow, driftReport } from '../server/drift.js';
+import { startServer } from './server.js';
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+// one run per count, an hour apart; count = changed pixels of every image named
+const runsOf = (counts, names = ['img'], extra = () => ({})) => counts.map((n, i) => ({
+  id: `r${String(i).padStart(3, '0')}`, createdAt: new Date(T0 + i * 3600 * 1000).toISOString(), userAgent: 'ua', baseline: null,
+  images: Object.fromEntries(names.map(name => [name, { changedMap: Object.fromEntries(Array.from({ length: n }, (_, p) => [p, [1, 0, 0, 0]])) }])),
+  ...extra(i),
+}));
+const step = [5, 6, 5, 4, 5, 6, 5, 4, 5, 6, 30, 31, 29, 30, 32, 30, 31, 29, 30, 31];
+
+test('summary statistics and the Mann–Whitney test', () => {
+  assert.deepEqual(summarize([]), { n: 0, mean: null, stddev: null, min: null, max: null, percentiles: null });
+  const s = summarize([4, 1, 3, 2]);
+  assert.equal(s.mean, 2.5);
+  assert.equal(s.stddev, 1.291);
+  assert.deepEqual([s.min, s.max, s.percentiles.p50, s.percentiles.p95], [1, 4, 2.5, 3.85]);
+
+  assert.deepEqual(mannWhitney([], [1]), { u: null, z: 0, p: 1, effect: 0 });
+  const up = mannWhitney([1, 2, 3, 4, 5, 6], [11, 12, 13, 14, 15, 16]);
+  assert.equal(up.effect, 1);
+  assert.ok(up.p < 0.01);
+  assert.equal(mannWhitney([16, 15, 14, 13, 12, 11], [1, 2, 3, 4, 5, 6]).effect, -1);
+  assert.equal(mannWhitney([3, 3, 3], [3, 3, 3]).p, 1);   // all tied
+});
+
+test('windows parse run positions and dates', () => {
+  assert.deepEqual(parseWindow('..10'), { from: null, to: { index: 10 }, text: '..10' });
+  assert.deepEqual(parseWindow(' -5.. '), { from: { index: -5 }, to: null, text: '-5..' });
+  assert.deepEqual(parseWindow('2026-01-01..').from, { at: T0 });
+  assert.throws(() => parseWindow('10'), /expected <from>..<to>/);
+  assert.throws(() => parseWindow('yesterday..'), /bad window bound "yesterday"/);
+});
+
+test('a level shift is found as a change point and between the halves', () => {
+  const runs = runsOf(step, ['img'], (i) => ({ userAgent: i < 10 ? 'ua/1' : 'ua/2' })).reverse();   // any order
+  const r = driftReport(runs);
+  assert.equal(r.runs, 20);
+  assert.deepEqual(r.windows, { a: { text: '..10', from: 0, to: 10 }, b: { text: '10..', from: 10, to: 20 } });
+  const img = r.images.img;
+  assert.equal(img.stats.n, 20);
+  assert.equal(img.windows.verdict, 'shifted-up');
+  assert.equal(img.changePoints.length, 1);
+  const cp = img.changePoints[0];
+  assert.deepEqual([cp.index, cp.runId, cp.before.mean, cp.after.mean], [10, 'r010', 5.1, 30.3]);
+  assert.equal(cp.userAgentChanged, true);
+  assert.equal(cp.baselineChanged, false);
+  assert.deepEqual(r.summary, { images: 1, withChangePoints: 1, shiftedBetweenWindows: 1 });
+
+  // windows compare any two slices; the first ten runs are flat
+  const flat = driftReport(runs, { a: parseWindow('..5'), b: parseWindow('5..10') }).images.img.windows;
+  assert.equal(flat.verdict, 'no significant change');
+  assert.equal(driftReport(runs, { a: parseWindow('-5..'), b: parseWindow('..5') }).images.img.windows.verdict, 'shifted-down');
+  const byDate = driftReport(runs, { b: parseWindow(`${new Date(T0 + 15 * 3600 * 1000).toISOString()}..`) });
+  assert.equal(byDate.windows.b.from, 15);
+});
+
+test('steady series, image filters and image names that are prototype keys', () => {
+  const r = driftReport(runsOf(step.slice(0, 10), ['constructor', 'toString', 'a/b']), { match: (name) => name !== 'a/b' });
+  assert.deepEqual(Object.keys(r.images), ['constructor', 'toString']);
+  assert.equal(r.images.constructor.stats.n, 10);
+  assert.deepEqual(r.images.toString.changePoints, []);
+  assert.equal(r.images.toString.windows.verdict, 'no significant change');
+  assert.deepEqual(driftReport([]).summary, { images: 0, withChangePoints: 0, shiftedBetweenWindows: 0 });
+});
+
+test('GET /history/drift filters by image glob and baseline name', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  for (const n of [1, 2, 3]) {
+    const body = { images: { 'S1/a': { changedMap: { [n]: [1, 0, 0, 0] } }, 'S2/a': { changedMap: {} } }, baseline: { name: n < 3 ? 'x' : 'y', version: 1 } };
+    assert.equal((await srv.request('POST', '/history/runs', body)).status, 200);
+  }
+  const r = (await srv.request('GET', '/history/drift?image=S1/*&baseline=x')).body;
+  assert.equal(r.runs, 2);
+  assert.deepEqual(Object.keys(r.images), ['S1/a']);
+  assert.equal((await srv.request('GET', '/history/drift?alpha=1')).status, 400);
+  const bad = await srv.request('GET', '/history/drift?a=soon..');
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.errors.map(e => e.path), ['query.a']);
+});
@@ -0,0 +1,94 @@
+// server/history.js — aggregates and the run log, including image names that are prototype keys
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { emptyHistory, normalizeHistory, mergeRunIntoHistory, createRunLog } from '../server/history.js';
+import { startServer } from './server.js';
+
+const dirs = [];
+test.after(() => Promise.all(dirs.map((d) => fs.rm(d, { recursive: true, force: true }))));
+
+async function runLog(){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'testpixel-history-'));
+  dirs.push(dir);
+  return createRunLog(dir);
+}
+const PROTO_NAMES = ['constructor', 'toString', 'hasOwnProperty', '__proto__'];
+
+test('prototype keys are ordinary image names in an aggregate', () => {
+  const images = {};
+  for (const name of PROTO_NAMES) Object.defineProperty(images, name, { value: { changedMap: { 3: [1, 0, 0, 0] } }, enumerable: true });
+  const hist = mergeRunIntoHistory(emptyHistory(), images);
+  mergeRunIntoHistory(hist, images);
+  assert.equal(hist.runs, 2);
+  for (const name of PROTO_NAMES) {
+    assert.ok(Object.hasOwn(hist.byImage, name), name);
+    assert.deepEqual(hist.byImage[name].perRunChanged, [1, 1], name);
+    assert.deepEqual(hist.byImage[name].everChanged, [3], name);
+    assert.deepEqual({ ...hist.byImage[name].perPixel[3].patterns }, { '1,0,0,0': 2 }, name);
+  }
+  // a JSON round trip (plain objects again) keeps merging
+  const again = mergeRunIntoHistory(JSON.parse(JSON.stringify(hist)), { constructor: { changedMap: { 3: [1, 0, 0, 0] } } });
+  assert.deepEqual(again.byImage.constructor.perRunChanged, [1, 1, 1]);
+  assert.equal(normalizeHistory(again).byImage.constructor.perPixel[3].n, 3);
+});
+
+test('runs with prototype-key images are logged, replayed and folded', async () => {
+  const log = await runLog();
+  const run = await log.add({ images: { constructor: { changedMap: { 0: [0, 0, 0, 9] } }, toString: { changedMap: {} } } });
+  assert.deepEqual(Object.keys((await log.get(run.id)).images), ['constructor', 'toString']);
+  assert.deepEqual((await log.list())[0].images, Object.assign(Object.create(null), { constructor: 1, toString: 0 }));
+  assert.deepEqual((await log.recompute()).byImage.constructor.perRunChanged, [1]);
+  const { removed, base } = await log.fold('', new Map([[run.id, null]]));
+  assert.deepEqual(removed, [run.id]);
+  assert.deepEqual(base.byImage.toString.perRunChanged, [0]);
+  assert.equal((await log.usage()).runs, 0);
+});
+
+test('a run posted with image "constructor" is refused without being logged', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const images = { constructor: { changedMap: { 5: [2, 0, 0, 0] } }, toString: { changedMap: {} } };
+  const post = await srv.request('POST', '/history/append', { images, environment: { deviceLabel: 'proto' } });
+  assert.equal(post.status, 400);
+  assert.deepEqual(post.body.errors.map(e => e.path), ['images.constructor', 'images.toString']);
+  assert.deepEqual((await srv.request('GET', '/history/runs')).body, []);
+  assert.equal((await srv.request('POST', '/history/recompute')).status, 200);
+  assert.equal((await srv.request('POST', '/storage/maintenance')).status, 200);
+  assert.equal((await srv.request('DELETE', '/history')).status, 200);
+});
+
+test('run records: logged with every append, read back, deleted and replayed', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const environment = { deviceLabel: 'runs' };
+  const changed = [{ 1: [1, 0, 0, 0], 4: [0, -1, 0, 0] }, { 1: [1, 0, 0, 0] }, { 7: [0, 0, 2, 0] }];
+  const ids = [];
+  for (const changedMap of changed) {
+    const r = await srv.request('POST', '/history/append', { images: { img: { changedMap } }, baseline: { name: 'b', version: 3 }, environment, userAgent: 'UA/1' });
+    assert.equal(r.status, 200);
+    ids.push(r.body.runId);
+  }
+  const { client } = (await srv.request('GET', `/history/runs/${ids[0]}`)).body;
+  const aggregate = (await srv.request('GET', `/history?client=${client}`)).body;
+  assert.equal(aggregate.runs, 3);
+
+  const list = (await srv.request('GET', '/history/runs')).body;
+  assert.deepEqual(list.map(r => [r.id, r.images.img]), [[ids[0], 2], [ids[1], 1], [ids[2], 1]]);
+  assert.deepEqual(list[0].baseline, { name: 'b', version: 3 });
+  const first = (await srv.request('GET', `/history/runs/${ids[0]}`)).body;
+  assert.deepEqual([first.userAgent, first.images.img.changedMap], ['UA/1', changed[0]]);
+  assert.equal((await srv.request('GET', '/history/runs/2026-01-01T00-00-00-000Z-000000')).status, 404);
+
+  // the aggregate is a replay of the run log
+  assert.deepEqual((await srv.request('POST', `/history/recompute?client=${client}`)).body, aggregate);
+  const del = await srv.request('DELETE', `/history/runs/${ids[1]}`);
+  assert.deepEqual(del.body, { ok: true, client, runs: 2 });
+  const after = (await srv.request('GET', `/history?client=${client}`)).body;
+  assert.deepEqual(after.byImage.img.perRunChanged, [2, 1]);
+  assert.deepEqual(after.byImage.img.everChanged.sort((a, b) => a - b), [1, 4, 7]);
+  assert.equal(after.byImage.img.perPixel[1].n, 1);
+  assert.equal((await srv.request('DELETE', `/history/runs/${ids[1]}`)).status, 404);
+});
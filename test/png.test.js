@@ -0,0 +1,50 @@
+// server/png.js — decoding and its size limits
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { decodePng, encodePng, MAX_PNG_SIDE } from '../server/png.js';
+import { checkUpload } from '../server/uploads.js';
+
+const SIG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function chunk(type, data){
+  const c = Buffer.alloc(12 + data.length);
+  c.writeUInt32BE(data.length, 0); c.write(type, 4, 'ascii'); data.copy(c, 8);
+  return c;
+}
+
+// an 8-bit RGBA PNG whose IHDR declares width x height around the given scanlines (CRCs are not checked)
+function pngOf(width, height, lines){
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0); ihdr.writeUInt32BE(height, 4); ihdr[8] = 8; ihdr[9] = 6;
+  return Buffer.concat([SIG, chunk('IHDR', ihdr), chunk('IDAT', zlib.deflateSync(lines)), chunk('IEND', Buffer.alloc(0))]);
+}
+
+test('decodes filtered 8-bit RGBA', () => {
+  // line 0 unfiltered, line 1 "up" (adds the line above)
+  const lines = Buffer.from([0, 1, 2, 3, 255, 4, 5, 6, 128, 2, 1, 1, 1, 0, 0, 0, 0, 0]);
+  const { width, height, rgba } = decodePng(pngOf(2, 2, lines));
+  assert.equal(width, 2);
+  assert.equal(height, 2);
+  assert.deepEqual([...rgba], [1, 2, 3, 255, 4, 5, 6, 128, 2, 3, 4, 255, 4, 5, 6, 128]);
+});
+
+test('encode / decode round trip', () => {
+  const rgba = new Uint8Array([1, 2, 3, 255, 4, 5, 6, 128, 7, 8, 9, 0, 10, 11, 12, 255]);
+  const { width, height, rgba: out } = decodePng(encodePng(rgba, 2, 2));
+  assert.equal(width, 2);
+  assert.equal(height, 2);
+  assert.deepEqual([...out], [...rgba]);
+});
+
+test('huge declared dimensions are refused before allocating', () => {
+  const tiny = Buffer.alloc(5);
+  assert.throws(() => decodePng(pngOf(100000, 100000, tiny)), /limited to/);
+  assert.throws(() => decodePng(pngOf(MAX_PNG_SIDE, MAX_PNG_SIDE, tiny)), /more than \d+ pixels/);
+  assert.throws(() => decodePng(pngOf(0, 10, tiny)), /empty/);
+  assert.match(checkUpload('S1_x.png', pngOf(65535, 65535, tiny)).error, /limited to/);
+});
+
+test('a stream inflating past the declared size is refused', () => {
+  assert.throws(() => decodePng(pngOf(8, 8, Buffer.alloc(1 << 20))), { code: 'ERR_BUFFER_TOO_LARGE' });
+});
@@ -0,0 +1,122 @@
+// server/retention.js + audit pruning + the disk quota — what is kept, compacted or removed
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_RETENTION, DAY_MS, normalizeRetention, planCompaction, isExpired, quotaState } from '../server/retention.js';
+import { createAuditLog } from '../server/audit.js';
+import { createRunLog, capPatterns, emptyHistory, mergeRunIntoHistory } from '../server/history.js';
+import { startServer } from './server.js';
+
+const dirs = [];
+test.after(() => Promise.all(dirs.map((d) => fs.rm(d, { recursive: true, force: true }))));
+
+async function tmpDir(){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'testpixel-retention-'));
+  dirs.push(dir);
+  return dir;
+}
+const NOW = Date.parse('2026-01-31T00:00:00Z');
+const run = (id, daysAgo, names) => ({
+  id, createdAt: new Date(NOW - daysAgo * DAY_MS).toISOString(),
+  images: Object.fromEntries(names.map(n => [n, { changedMap: { 0: [1, 0, 0, 0] } }])),
+});
+
+test('normalizeRetention fills in every section', () => {
+  assert.deepEqual(normalizeRetention(null), DEFAULT_RETENTION);
+  const r = normalizeRetention({ runs: { keepPerImage: 5 }, audit: { maxEvents: 0 }, intervalMinutes: 5, junk: 1 });
+  assert.deepEqual(r.runs, { keepPerImage: 5, maxAgeDays: null });
+  assert.deepEqual(r.audit, { maxAgeDays: null, maxEvents: 0 });
+  assert.equal(r.intervalMinutes, 5);
+  assert.equal(r.junk, undefined);
+});
+
+test('planCompaction folds old runs whole and surplus images per image', () => {
+  const runs = [run('r1', 40, ['a', 'b']), run('r2', 3, ['a', 'b']), run('r3', 2, ['a']), run('r4', 1, ['a'])];
+  assert.equal(planCompaction(runs, {}, NOW).size, 0);
+  const byAge = planCompaction(runs, { maxAgeDays: 30 }, NOW);
+  assert.deepEqual([...byAge], [['r1', null]]);
+  const byCount = planCompaction(runs, { keepPerImage: 2 }, NOW);
+  assert.deepEqual([...byCount.keys()], ['r1', 'r2']);
+  assert.deepEqual([...byCount.get('r1')], ['a']);   // b has only two runs, so both keep it
+  assert.deepEqual([...byCount.get('r2')], ['a']);
+});
+
+test('isExpired and quotaState', () => {
+  assert.equal(isExpired(NOW - 2 * DAY_MS, DAY_MS, NOW), true);
+  assert.equal(isExpired(new Date(NOW).toISOString(), DAY_MS, NOW), false);
+  assert.equal(isExpired(NOW - 2 * DAY_MS, null, NOW), false);
+  assert.equal(isExpired('not a date', DAY_MS, NOW), false);
+  assert.equal(quotaState(10, {}).state, 'ok');
+  assert.equal(quotaState(79, { maxBytes: 100, warnAt: 0.8 }).state, 'ok');
+  assert.match(quotaState(80, { maxBytes: 100, warnAt: 0.8 }).warning, /80.0% of the 100 byte quota/);
+  assert.equal(quotaState(100, { maxBytes: 100 }).state, 'over');
+});
+
+test('capPatterns folds the rarest patterns into "other"', () => {
+  const hist = emptyHistory();
+  for (const d of [[1, 0, 0, 0], [1, 0, 0, 0], [1, 0, 0, 0], [2, 0, 0, 0], [2, 0, 0, 0], [3, 0, 0, 0]])
+    mergeRunIntoHistory(hist, { img: { changedMap: { 7: d } } });
+  assert.equal(capPatterns(hist, 2), 2);
+  assert.deepEqual({ ...hist.byImage.img.perPixel[7].patterns }, { '1,0,0,0': 3, other: 3 });
+  assert.equal(hist.byImage.img.perPixel[7].n, 6);
+  assert.equal(capPatterns(hist, 2), 0);
+});
+
+test('fold keeps the aggregate while dropping runs from the log', async () => {
+  const log = createRunLog(await tmpDir());
+  for (let i = 0; i < 3; i++) await log.add({ images: { a: { changedMap: { [i]: [1, 0, 0, 0] } }, b: { changedMap: {} } } });
+  const before = await log.recompute();
+  const ids = (await log.list()).map(r => r.id);
+  const { removed, trimmed } = await log.fold('', new Map([[ids[0], null], [ids[1], new Set(['a'])]]));
+  assert.deepEqual([removed, trimmed], [[ids[0]], [ids[1]]]);
+  assert.deepEqual(Object.keys((await log.get(ids[1])).images), ['b']);
+  assert.deepEqual(JSON.parse(JSON.stringify(await log.recompute())), JSON.parse(JSON.stringify(before)));
+});
+
+test('audit pruning drops old and surplus events, then unnamed snapshots', async () => {
+  const dir = await tmpDir();
+  const audit = createAuditLog(dir);
+  const snapshots = async () => (await fs.readdir(path.join(dir, 'audit', 'snapshots'))).length;
+  await audit.recordWrite('history', 'replace', { after: { v: 1 } });
+  const e2 = await audit.recordWrite('history', 'replace', { after: { v: 2 }, before: { v: 1 } });
+  const e3 = await audit.recordWrite('history', 'delete', { before: { v: 2 }, removedBase: [await audit.snapshot({ v: 'base' })] });
+  const orphan = await audit.snapshot({ v: 'never recorded' });
+  assert.equal(await snapshots(), 4);
+
+  assert.deepEqual(await audit.prune({}), { eventsRemoved: 0, snapshotsRemoved: 0 });   // the orphan may still be recorded
+  assert.deepEqual(await audit.prune({ maxEvents: 2 }), { eventsRemoved: 1, snapshotsRemoved: 0 });
+  assert.deepEqual((await audit.list()).map(e => e.id), [e3.id, e2.id]);
+  assert.deepEqual(await audit.readSnapshot(e2.previous.sha256), { v: 1 });   // still named by e2
+
+  const later = Date.parse(e3.at) + 10 * DAY_MS;
+  assert.deepEqual(await audit.prune({ maxAgeMs: DAY_MS }, later), { eventsRemoved: 2, snapshotsRemoved: 3 });
+  assert.deepEqual(await audit.list(), []);
+  assert.equal(await snapshots(), 1);
+  assert.deepEqual(await audit.readSnapshot(orphan.sha256), { v: 'never recorded' });
+});
+
+test('the quota refuses growing writes until retention frees space', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const changedMap = Object.fromEntries(Array.from({ length: 3000 }, (_, i) => [i * 3, [1, 2, 3, 4]]));
+  for (let i = 0; i < 3; i++)
+    assert.equal((await srv.request('POST', '/history/append', { images: { img: { changedMap } }, environment: { deviceLabel: 'q' } })).status, 200);
+
+  // deleting the history is allowed over quota, but snapshots what it removes into the audit log
+  assert.equal((await srv.request('DELETE', '/history')).status, 200);
+  const used = (await srv.request('GET', '/storage')).body.totalBytes;
+  assert.equal((await srv.request('PUT', '/storage/retention', { quota: { maxBytes: used - 1 } })).status, 200);
+  const refused = await srv.request('POST', '/history/runs', { images: { img: { changedMap: {} } } });
+  assert.equal(refused.status, 507);
+  assert.equal(refused.body.quota.state, 'over');
+  assert.equal((await srv.request('POST', '/storage/maintenance')).body.quota.state, 'over');
+
+  assert.equal((await srv.request('PUT', '/storage/retention', { quota: { maxBytes: used - 1 }, audit: { maxEvents: 0 } })).status, 200);
+  const pass = (await srv.request('POST', '/storage/maintenance')).body;
+  assert.ok(pass.auditPruned.eventsRemoved > 0);
+  assert.ok(pass.auditPruned.snapshotsRemoved > 0);
+  assert.notEqual(pass.quota.state, 'over');
+  assert.equal((await srv.request('POST', '/history/runs', { images: { img: { changedMap: {} } } })).status, 200);
+});
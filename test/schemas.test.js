@@ -0,0 +1,76 @@
+// server/schemas.js — request bodies the schemas refuse, and the pixel-range checks of a run
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBody, invalidPayload, SCHEMAS } from '../server/schemas.js';
+import { startServer } from './server.js';
+
+const rgba = (n) => Buffer.alloc(n * 4, 7).toString('base64');
+const run = (changedMap, name = 'img') => ({ images: { [name]: { changedMap } } });
+const paths = (errors) => errors.map(e => e.path);
+
+test('every schema is published with its routes', () => {
+  for (const [name, { routes, schema }] of Object.entries(SCHEMAS)) {
+    assert.ok(routes.length, name);
+    assert.equal(schema.$schema, 'https://json-schema.org/draft/2020-12/schema', name);
+    assert.ok(schema.$defs.imageName, name);
+  }
+});
+
+test('field paths of rejected bodies', () => {
+  assert.deepEqual(validateBody('historyRun', {}), [{ path: 'images', error: 'required' }]);
+  assert.deepEqual(paths(validateBody('historyRun', { images: {}, extra: 1 })), ['extra']);
+  assert.deepEqual(paths(validateBody('historyRun', run({ 1: [1, 2, 3] }))), ['images.img.changedMap.1']);
+  assert.deepEqual(paths(validateBody('historyRun', run({ 1: [1, 2, 3, 256] }))), ['images.img.changedMap.1[3]']);
+  assert.deepEqual(paths(validateBody('historyRun', run({ '01': [0, 0, 0, 1] }))), ['images.img.changedMap.01']);
+  assert.deepEqual(paths(validateBody('baseline', { pixels: { a: 'not base64!' } })), ['pixels.a']);
+  assert.deepEqual(paths(validateBody('baseline', { pixels: { a: rgba(3) }, meta: { dims: { a: { w: 2, h: 2 } } } })), ['pixels.a']);
+  assert.deepEqual(paths(validateBody('retention', { quota: { warnAt: 2 } })), ['quota.warnAt']);
+  assert.deepEqual(paths(validateBody('transfer', { target: 'baseline', items: [{ series: 'raw', name: 'a', bytes: 4 }] })), ['items[0].series']);
+  const history = { runs: 1, byImage: { a: { perRunChanged: [1, 1], everChanged: [], perPixel: { 3: { n: 1, patterns: { '1,0,0,0': 1 } } } } } };
+  assert.deepEqual(paths(validateBody('history', history)), ['byImage.a.perRunChanged', 'byImage.a.perPixel.3']);
+  assert.equal(invalidPayload([{ path: 'a', error: 'required' }]).error, 'invalid payload: a: required');
+});
+
+test('__proto__ is an unknown field, not a declared one', () => {
+  const body = JSON.parse('{ "images": {}, "__proto__": { "images": {} } }');
+  assert.deepEqual(validateBody('historyRun', body), [{ path: '__proto__', error: 'unknown field' }]);
+  assert.deepEqual(paths(validateBody('auditRestore', JSON.parse('{ "constructor": 1, "toString": 1 }'))), ['constructor', 'toString']);
+});
+
+test('image names that are Object.prototype members are refused', () => {
+  for (const name of ['constructor', 'toString', 'hasOwnProperty', 'valueOf', '__proto__']) {
+    const body = JSON.parse(`{ "images": { "${name}": { "changedMap": {} } } }`);
+    assert.deepEqual(paths(validateBody('historyRun', body)), [`images.${name}`], name);
+    assert.deepEqual(paths(validateBody('baseline', JSON.parse(`{ "pixels": { "${name}": "${rgba(1)}" } }`))), [`pixels.${name}`], name);
+  }
+  assert.deepEqual(validateBody('historyRun', run({}, 'constructor2')), []);
+  assert.deepEqual(validateBody('historyRun', run({}, 'S1_toString')), []);
+});
+
+test('pixel indices stay inside the largest image', () => {
+  assert.deepEqual(validateBody('historyRun', run({ 268435455: [1, 0, 0, 0] })), []);
+  assert.deepEqual(paths(validateBody('historyRun', run({ 268435456: [1, 0, 0, 0] }))), ['images.img.changedMap.268435456']);
+  assert.deepEqual(paths(validateBody('historyRun', run({ 4294967296: [1, 0, 0, 0] }))), ['images.img.changedMap.4294967296']);
+});
+
+test('runs against a stored baseline version stay inside its images', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const put = await srv.request('PUT', '/baselines/b1', { pixels: { img: rgba(4) }, meta: { dims: { img: { w: 2, h: 2 } } } });
+  assert.equal(put.status, 200);
+  const baseline = { name: 'b1', version: 1 };
+
+  const outside = await srv.request('POST', '/history/append', { ...run({ 4: [1, 0, 0, 0] }), baseline });
+  assert.equal(outside.status, 400);
+  assert.deepEqual(paths(outside.body.errors), ['images.img.changedMap.4']);
+  const huge = await srv.request('POST', '/history/runs', { ...run({ 4294967296: [1, 0, 0, 0] }), baseline });
+  assert.equal(huge.status, 400);
+  assert.equal((await srv.request('POST', '/history/runs', run({ 4294967296: [1, 0, 0, 0] }))).status, 400);
+  assert.deepEqual(await srv.request('GET', '/history/runs').then(r => r.body), []);
+
+  const inside = await srv.request('POST', '/history/append', { ...run({ 3: [1, 0, 0, 0] }), baseline });
+  assert.equal(inside.status, 200);
+  // images the baseline does not have, and runs without a stored version, are only held to the schema
+  assert.equal((await srv.request('POST', '/history/runs', { ...run({ 9: [1, 0, 0, 0] }, 'other'), baseline })).status, 200);
+  assert.equal((await srv.request('POST', '/history/runs', { ...run({ 9: [1, 0, 0, 0] }), baseline: { name: 'b1', version: 7 } })).status, 200);
+});
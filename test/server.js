@@ -0,0 +1,59 @@
+// test/server.js — runs index.js on a free port over a temporary DATA_DIR (route tests)
+import { spawn } from 'child_process';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+const INDEX = fileURLToPath(new URL('../index.js', import.meta.url));
+
+function freePort(){
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer().once('error', reject);
+    srv.listen(0, '127.0.0.1', () => { const { port } = srv.address(); srv.close(() => resolve(port)); });
+  });
+}
+
+// -> { url, dataDir, request(method, path, body?, headers?) -> { status, headers, body }, stop() }
+//    (body: JSON value, Buffer or FormData)
+export async function startServer(env = {}){
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'testpixel-srv-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [INDEX], {
+    env: { ...process.env, DATA_DIR: dataDir, PORT: String(port), ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let log = '';
+  child.stderr.on('data', (d) => { log += d; });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 20000);
+    child.stdout.on('data', (d) => { log += d; if (/Server on/.test(log)) { clearTimeout(timer); resolve(); } });
+    child.once('exit', (code) => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${log}`)); });
+  });
+  const url = `http://127.0.0.1:${port}`;
+
+  async function request(method, p, body, headers = {}){
+    const json = body !== undefined && !Buffer.isBuffer(body) && !(body instanceof FormData);
+    const res = await fetch(url + p, {
+      method,
+      headers: { ...(json ? { 'content-type': 'application/json' } : {}), ...headers },
+      body: body === undefined ? undefined : json ? JSON.stringify(body) : body,
+    });
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch {}
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  async function stop(){
+    if (child.exitCode == null) {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+
+  return { url, dataDir, request, stop, log: () => log };
+}
@@ -0,0 +1,62 @@
+// server/stability.js + GET /history/stability — fingerprint stability per baseline version
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { normalizeHashes, baselineHashes, stabilityReport, entropyBits } from '../server/stability.js';
+import { startServer } from './server.js';
+
+const sha = (s) => crypto.createHash('sha256').update(s).digest('hex');
+const hashes = (raw, image = 'img') => ({ [image]: { raw: { sha256: sha(raw), phash: '00000000000000ff' } } });
+
+test('normalizeHashes keeps the well-formed entries', () => {
+  assert.equal(normalizeHashes(null), null);
+  assert.equal(normalizeHashes({ img: { raw: { sha256: 'nope' } } }), null);
+  const out = normalizeHashes({ img: { raw: { sha256: sha('a'), phash: 'bad' }, css: { sha256: sha('b'), phash: '0123456789abcdef' } } });
+  assert.deepEqual(JSON.parse(JSON.stringify(out)), {
+    img: { raw: { sha256: sha('a'), phash: null }, css: { sha256: sha('b'), phash: '0123456789abcdef' } },
+  });
+});
+
+test('entropy, distinct hashes and baseline reproduction', () => {
+  assert.equal(entropyBits([4]), 0);
+  assert.equal(entropyBits([1, 1, 1, 1]), 2);
+  const runs = ['a', 'a', 'a', 'b'].map((raw) => ({ hashes: hashes(raw) }));
+  runs.push({ images: {} });   // not hashed
+  const pixels = { img: new Uint8Array(4) };
+  const base = baselineHashes(pixels);
+  assert.equal(base.img.sha256, sha(pixels.img));
+  const rep = stabilityReport(runs, { baseline: { img: { sha256: sha('a'), phash: null } } });
+  assert.equal(rep.runs, 5);
+  assert.equal(rep.hashedRuns, 4);
+  const s = rep.images.img.raw;
+  assert.equal(s.runs, 4);
+  assert.equal(s.distinct, 2);
+  assert.equal(s.entropyBits, 0.811);
+  assert.deepEqual(s.top.map(t => t.count), [3, 1]);
+  assert.deepEqual(s.baseline, { sha256: sha('a'), reproduced: 3, rate: 0.75 });
+  assert.deepEqual(rep.overall, { images: 1, paths: 1, stablePaths: 0, meanEntropyBits: 0.811, baselineReproductionRate: 0.75 });
+  assert.equal(stabilityReport(runs, { match: (img) => img !== 'img' }).overall.paths, 0);
+});
+
+test('runs against different baseline versions are never pooled', async (t) => {
+  const srv = await startServer();
+  t.after(srv.stop);
+  const pixels = (v) => ({ img: Buffer.alloc(16, v).toString('base64') });
+  assert.equal((await srv.request('PUT', '/baselines/b', { pixels: pixels(1) })).status, 200);
+  assert.equal((await srv.request('PUT', '/baselines/b', { pixels: pixels(2) })).status, 200);
+  const post = (version, raw) => srv.request('POST', '/history/runs', {
+    images: { img: { changedMap: {} } }, baseline: { name: 'b', version }, hashes: hashes(raw),
+  });
+  for (const raw of ['a', 'b', 'c']) assert.equal((await post(1, raw)).status, 200);
+  for (const raw of ['d', 'd']) assert.equal((await post(2, raw)).status, 200);
+
+  const latest = (await srv.request('GET', '/history/stability')).body;
+  assert.deepEqual(latest.baseline, { name: 'b', version: 2 });
+  assert.equal(latest.runs, 2);
+  assert.equal(latest.images.img.raw.distinct, 1);
+
+  const v1 = (await srv.request('GET', '/history/stability?baseline=b&version=1')).body;
+  assert.equal(v1.runs, 3);
+  assert.equal(v1.images.img.raw.distinct, 3);
+  assert.equal((await srv.request('GET', '/history/stability?baseline=b&version=3')).body.runs, 0);
+});
@@ -0,0 +1,110 @@
+// server/transfers.js, the /transfers routes and public/transfer.js — chunked uploads
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createTransferStore, isValidTransferId } from '../server/transfers.js';
+import { isExpired } from '../server/retention.js';
+import { uploadTransfer } from '../public/transfer.js';
+import { startServer } from './server.js';
+
+const dirs = [];
+test.after(() => Promise.all(dirs.map((d) => fs.rm(d, { recursive: true, force: true }))));
+
+async function store(){
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'testpixel-transfers-'));
+  dirs.push(dir);
+  return createTransferStore(dir);
+}
+const manifest = (bytes = 16) => ({ target: 'baseline', name: 'b', items: [{ series: 'pixels', name: 'img', bytes }] });
+const bytes = (n, v = 7) => Buffer.alloc(n, v);
+
+test('chunks are appended only at the received offset', async () => {
+  const t = await store();
+  const { id } = await t.create(manifest());
+  assert.ok(isValidTransferId(id));
+  assert.deepEqual(await t.append(id, 0, 4, bytes(4)), { conflict: true, received: 0 });
+  assert.equal((await t.append(id, 0, 0, bytes(8))).item.received, 8);
+  assert.deepEqual(await t.append(id, 0, 0, bytes(8)), { conflict: true, received: 8 });   // a retried chunk is not stored twice
+  assert.deepEqual(await t.append(id, 0, 12, bytes(4)), { conflict: true, received: 8 });  // nor one out of order
+  assert.match((await t.append(id, 0, 8, bytes(12))).error, /overruns the declared 16 bytes/);
+  assert.deepEqual(await t.append(id, 1, 0, bytes(4)), { notFound: true });
+  assert.equal((await t.get(id)).received, 8);
+});
+
+test('an incomplete transfer cannot be read; a complete one reads whole', async () => {
+  const t = await store();
+  const { id } = await t.create(manifest(8));
+  assert.deepEqual((await t.read(id)).incomplete.map(it => [it.name, it.received]), [['img', 0]]);
+  await t.append(id, 0, 0, bytes(8, 3));
+  const { manifest: head, items } = await t.read(id);
+  assert.equal(head.name, 'b');
+  assert.deepEqual(items.map(it => [it.name, [...it.data]]), [['img', [3, 3, 3, 3, 3, 3, 3, 3]]]);
+  assert.equal(await t.read('0'.repeat(32)), null);
+});
+
+test('expired transfers are found and removed', async () => {
+  const t = await store();
+  const a = await t.create(manifest()), b = await t.create(manifest());
+  const now = Date.parse((await t.get(b.id)).updatedAt) + 2 * 3600 * 1000;
+  assert.deepEqual((await t.list()).map(s => s.id).sort(), [a.id, b.id].sort());
+  assert.equal(isExpired(a.updatedAt, 3600 * 1000, now), true);
+  assert.equal(isExpired(a.updatedAt, 3 * 3600 * 1000, now), false);
+  assert.equal(isExpired(a.updatedAt, null, now), false);
+  assert.equal(await t.remove(a.id), true);
+  assert.equal(await t.remove(a.id), false);
+  assert.deepEqual((await t.list()).map(s => s.id), [b.id]);
+});
+
+test('transfer routes: offsets, chunk limit, commit and expiry', async (t) => {
+  const srv = await startServer({ TRANSFER_CHUNK_BYTES: '8' });
+  t.after(srv.stop);
+  const start = await srv.request('POST', '/transfers', manifest());
+  assert.equal(start.status, 201);
+  assert.equal(start.body.chunkBytes, 8);
+  const { id } = start.body;
+  const put = (offset, body) => srv.request('PUT', `/transfers/${id}/items/0?offset=${offset}`, body, { 'content-type': 'application/octet-stream' });
+
+  const early = await srv.request('POST', `/transfers/${id}/commit`);
+  assert.equal(early.status, 409);
+  assert.deepEqual(early.body.incomplete.map(it => it.received), [0]);
+  assert.equal((await put(0, bytes(9))).status, 413);
+  assert.deepEqual([(await put(4, bytes(4))).status, (await put(4, bytes(4))).body.received], [409, 0]);
+  assert.equal((await put(0, bytes(8))).status, 200);
+  assert.equal((await put(0, bytes(8))).status, 409);
+  assert.equal((await srv.request('POST', `/transfers/${id}/commit`)).status, 409);
+  assert.equal((await put(8, bytes(8))).status, 200);
+  assert.equal((await srv.request('POST', `/transfers/${id}/commit`)).status, 200);
+  assert.equal((await srv.request('GET', `/transfers/${id}`)).status, 404);
+
+  const idle = (await srv.request('POST', '/transfers', manifest())).body.id;
+  assert.equal((await srv.request('PUT', '/storage/retention', { transfers: { maxAgeHours: 0 } })).status, 200);
+  await new Promise((r) => setTimeout(r, 10));
+  assert.deepEqual((await srv.request('POST', '/storage/maintenance')).body.transfersRemoved, [idle]);
+  assert.equal((await srv.request('GET', `/transfers/${idle}`)).status, 404);
+});
+
+test('uploadTransfer retries every chunk afresh', async (t) => {
+  const srv = await startServer({ TRANSFER_CHUNK_BYTES: '4' });
+  const realFetch = globalThis.fetch;
+  t.after(async () => { globalThis.fetch = realFetch; await srv.stop(); });
+  // every chunk fails once with a 503 before it gets through
+  const failed = new Set();
+  globalThis.fetch = async (url, opts = {}) => {
+    if (opts.method === 'PUT' && !failed.has(url)) {
+      failed.add(url);
+      return new Response(JSON.stringify({ error: 'busy' }), { status: 503 });
+    }
+    return realFetch(srv.url + url, opts);
+  };
+  const progress = [];
+  const r = await uploadTransfer(manifest(), [{ series: 'pixels', name: 'img', bytes: new Uint8Array(16).fill(5) }],
+    { retries: 1, onProgress: (p) => progress.push(p.sent) });
+  assert.equal(r.ok, true);
+  assert.equal(failed.size, 4);
+  assert.equal(progress.at(-1), 16);
+  globalThis.fetch = realFetch;
+  const stored = await srv.request('GET', '/baselines/b');
+  assert.equal(stored.body.pixels.img, Buffer.alloc(16, 5).toString('base64'));
+});